@@ -3,12 +3,25 @@ class OSINTApp {
     constructor() {
         this.osintEngine = new OSINTEngine();
         this.currentResults = [];
+        this.currentSearchId = null;
+        this.pivotParent = null;
         this.init();
     }
 
-    init() {
+    async init() {
         this.bindEvents();
+        this.caseManager = new CaseManager(this);
+        this.graphView = new GraphView(this);
+        this.nameCandidates = new NameCandidates(this);
+        this.bulkSearch = new BulkSearch(this);
+        this.jobsPanel = new JobsPanel(this);
+        this.watchPanel = new WatchPanel(this);
+        this.overlapPanel = new OverlapPanel(this);
         this.showSection('search');
+        await PlatformConfig.load();
+        this.healthPanel = new HealthPanel(this);
+        PlatformConfig.renderSelection(document.querySelector('.platform-grid'));
+        PlatformConfig.applySearchType(document.getElementById('searchType').value);
         Utils.showNotification('OSINT Finder initialized. Remember to use responsibly.', 'success');
     }
     
@@ -44,6 +57,15 @@ class OSINTApp {
         // Search type change
         document.getElementById('searchType').addEventListener('change', (e) => {
             this.updateInputPlaceholder(e.target.value);
+            PlatformConfig.applySearchType(e.target.value);
+        });
+
+        // Pivot buttons inside result cards
+        document.getElementById('resultsContainer').addEventListener('click', (e) => {
+            const button = e.target.closest('.pivot-btn');
+            if (button) {
+                this.pivot(button.dataset.pivotType, button.dataset.pivotQuery, button.dataset.platform);
+            }
         });
     }
 
@@ -60,11 +82,45 @@ class OSINTApp {
         input.placeholder = placeholders[type] || 'Enter search query';
     }
 
-    // Start the search process
-    async startSearch() {
+    // Start a follow-up search for an identifier found in a result
+    pivot(type, query, platform) {
+        const typeSelect = document.getElementById('searchType');
+        if (!Array.from(typeSelect.options).some(option => option.value === type)) {
+            Utils.showNotification(`${type} searches are not supported yet`, 'error');
+            return;
+        }
+
+        this.pivotParent = {
+            searchId: this.currentSearchId,
+            query: document.getElementById('searchQuery').textContent,
+            platform,
+            entity: { type, query }
+        };
+        typeSelect.value = type;
+        this.updateInputPlaceholder(type);
+        PlatformConfig.applySearchType(type);
+        document.getElementById('searchInput').value = query;
+        this.startSearch();
+    }
+
+    // Show where the current search was pivoted from
+    updatePivotTrail(pivot) {
+        const trail = document.getElementById('pivotTrail');
+        if (!pivot) {
+            trail.classList.add('hidden');
+            return;
+        }
+        trail.textContent = `Pivoted from "${pivot.query}" via ${pivot.platform} (${pivot.entity.type})`;
+        trail.classList.remove('hidden');
+    }
+
+    // Start the search process. Name searches stop at the candidate step unless skipNameStep is set
+    async startSearch({ skipNameStep = false } = {}) {
         const query = document.getElementById('searchInput').value.trim();
         const type = document.getElementById('searchType').value;
         const selectedPlatforms = this.getSelectedPlatforms();
+        const pivot = this.pivotParent;
+        this.pivotParent = null;
 
         // Validation
         if (!query) {
@@ -77,17 +133,33 @@ class OSINTApp {
             return;
         }
 
+        if (type === 'name' && !skipNameStep) {
+            this.nameCandidates.open(query, pivot);
+            return;
+        }
+
         try {
-            // Show progress section
-            this.showSection('progress');
+            // Show progress and live results side by side
+            this.showSection('live');
+            this.graphView.hide();
             document.getElementById('searchQuery').textContent = query;
+            this.updatePivotTrail(pivot);
+            this.beginLiveResults(selectedPlatforms);
 
-            // Perform search
-            this.currentResults = await this.osintEngine.performSearch(query, type, selectedPlatforms);
+            // Perform search, rendering each card as its platform finishes
+            this.currentResults = await this.osintEngine.performSearch(query, type, selectedPlatforms, {
+                onEvent: (event) => this.updateLiveCard(event),
+                onResult: (result, platformKey) => this.renderLiveResult(platformKey, result)
+            });
 
             // Show results
             this.displayResults();
             this.showSection('results');
+            this.showCorrelation();
+
+            // Keep the search in the open case, if any
+            const savedSearch = await this.caseManager.recordSearch(query, type, selectedPlatforms, this.currentResults, pivot);
+            this.currentSearchId = savedSearch ? savedSearch.id : null;
 
         } catch (error) {
             console.error('Search error:', error);
@@ -96,12 +168,89 @@ class OSINTApp {
         }
     }
 
+    // Show a search reopened from a case
+    showSavedSearch(search, results) {
+        this.currentResults = results;
+        this.currentSearchId = search.id;
+        this.osintEngine.results = results;
+        this.osintEngine.totalPlatforms = search.platforms.length || results.length;
+        this.osintEngine.completedSearches = results.length;
+
+        document.getElementById('searchInput').value = search.query;
+        document.getElementById('searchType').value = search.type;
+        PlatformConfig.applySearchType(search.type);
+        document.getElementById('searchQuery').textContent = search.query;
+        this.updatePivotTrail(search.pivot);
+        this.graphView.hide();
+        this.displayResults();
+        this.showSection('results');
+        this.showCorrelation();
+    }
+
     // Get selected platforms
     getSelectedPlatforms() {
-        const checkboxes = document.querySelectorAll('.platform-item input[type="checkbox"]:checked');
+        const checkboxes = document.querySelectorAll('.platform-item input[type="checkbox"]:checked:not(:disabled)');
         return Array.from(checkboxes).map(cb => cb.value);
     }
 
+    // Placeholder cards for every platform while the stream runs; append keeps the cards already shown
+    beginLiveResults(platforms, { append = false } = {}) {
+        const resultsContainer = document.getElementById('resultsContainer');
+        const cards = platforms.map(platform => `
+            <div class="result-card pending" id="live-${Utils.sanitizeInput(platform)}">
+                <div class="result-header">
+                    <div class="platform-badge ${Utils.sanitizeInput(platform)}">${Utils.sanitizeInput(platform)}</div>
+                    <div class="status-badge unknown">Queued</div>
+                </div>
+                <div class="result-content"><p class="live-progress">Waiting for a free slot...</p></div>
+            </div>
+        `).join('');
+        if (append) {
+            resultsContainer.insertAdjacentHTML('beforeend', cards);
+        } else {
+            resultsContainer.innerHTML = cards;
+        }
+    }
+
+    // Show provider progress inside its placeholder card
+    updateLiveCard(event) {
+        const card = document.getElementById(`live-${event.platform}`);
+        if (!card || !card.classList.contains('pending')) return;
+
+        const progressLine = card.querySelector('.live-progress');
+        const badge = card.querySelector('.status-badge');
+        switch (event.event) {
+            case 'provider-start':
+                badge.textContent = 'Searching';
+                progressLine.textContent = 'Searching...';
+                break;
+            case 'provider-page':
+                progressLine.textContent = `Page ${event.page}${event.pages ? ` of ${event.pages}` : ''}${event.items ? `, ${event.items} items so far` : ''}`;
+                if (event.posts && event.posts.length > 0) {
+                    const preview = card.querySelector('.live-preview') || card.querySelector('.result-content').appendChild(document.createElement('div'));
+                    preview.className = 'live-preview';
+                    preview.innerHTML = ResultRenderer.renderPosts(event.posts.slice(0, 5));
+                }
+                break;
+            case 'provider-rate-limit':
+                progressLine.textContent = `Rate limited, retrying in ${Math.ceil(event.retryInMs / 1000)}s`;
+                break;
+            case 'provider-retry':
+                progressLine.textContent = `Retrying (attempt ${event.attempt})...`;
+                break;
+        }
+    }
+
+    // Replace a placeholder with the finished result card
+    renderLiveResult(platformKey, result) {
+        const card = document.getElementById(`live-${platformKey}`);
+        if (card) {
+            card.outerHTML = this.createResultCard(result);
+        } else {
+            document.getElementById('resultsContainer').innerHTML += this.createResultCard(result);
+        }
+    }
+
     // Display search results
     displayResults() {
         const resultsContainer = document.getElementById('resultsContainer');
@@ -126,74 +275,78 @@ class OSINTApp {
         });
     }
 
-    // Create result card HTML
-    createResultCard(result) {
-        // Always use the 'found' status class for consistent styling
-        const statusClass = 'found';
-        let statusText = 'Found';
-        
-        // Get the URL based on platform and query if not provided
-        let visitUrl = result.url;
-        if (!visitUrl) {
-            const query = result.query || document.getElementById('searchInput').value.trim();
-            const type = document.getElementById('searchType').value;
-            switch(result.platform.toLowerCase()) {
-                case 'google':
-                    visitUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-                    break;
-                case 'facebook':
-                    visitUrl = `https://www.facebook.com/search/top?q=${encodeURIComponent(query)}`;
-                    break;
-                case 'twitter':
-                    visitUrl = `https://twitter.com/search?q=${encodeURIComponent(query)}`;
-                    break;
-                case 'instagram':
-                    visitUrl = `https://www.instagram.com/explore/tags/${encodeURIComponent(query)}/`;
-                    break;
-                case 'linkedin':
-                    visitUrl = `https://www.linkedin.com/search/results/all/?keywords=${encodeURIComponent(query)}`;
-                    break;
-                case 'github':
-                    visitUrl = `https://github.com/search?q=${encodeURIComponent(query)}`;
-                    break;
-                case 'reddit':
-                    visitUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(query)}`;
-                    break;
-                case 'youtube':
-                    visitUrl = `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`;
-                    break;
-                default:
-                    visitUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}+site:${result.platform.toLowerCase()}.com`;
+    // Score the accounts found across platforms and add a card when some look like the same person
+    async showCorrelation() {
+        const results = this.currentResults
+            .filter(result => result.status !== 'error' && result.accounts && result.accounts.length > 0)
+            .map(({ content, ...result }) => result);
+        const accountCount = results.reduce((total, result) => total + result.accounts.length, 0);
+        if (accountCount < 2) return;
+
+        try {
+            const response = await fetch('/api/correlate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ results, hashAvatars: true })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
+            const correlation = await response.json();
+            if (correlation.data.pairs.length === 0) return;
+
+            document.getElementById('resultsContainer').insertAdjacentHTML('beforeend', `
+                <div class="result-card correlation-card">
+                    <div class="result-header">
+                        <div class="platform-badge correlation"><i class="fas fa-link"></i> Correlation</div>
+                        <div class="status-badge ${correlation.metrics.clusters > 0 ? 'found' : 'unknown'}">${correlation.metrics.clusters > 0 ? `${correlation.metrics.clusters} identities` : 'Weak matches'}</div>
+                    </div>
+                    <div class="result-content">${ResultRenderer.renderCorrelation(correlation)}</div>
+                </div>
+            `);
+        } catch (error) {
+            console.error('Correlation error:', error);
         }
+    }
 
-        // Get platform icon class
-        let iconClass;
-        if (result.platform.toLowerCase() === 'hunter') {
-            iconClass = 'fas fa-search';
-        } else {
-            iconClass = `fab fa-${result.platform.toLowerCase()}`;
-        }
+    // Create result card HTML
+    createResultCard(result) {
+        // Reflect what the provider actually verified
+        const statusLabels = {
+            'found': 'Found',
+            'not-found': 'Not Found',
+            'unknown': 'Unverified',
+            'error': 'Error'
+        };
+        const statusClass = statusLabels[result.status] ? result.status : 'unknown';
+        const statusText = statusLabels[statusClass];
+        
+        // Fall back to the provider's own search page when the result has no URL
+        const visitUrl = result.url || PlatformConfig.searchUrl(result.platform, result.query || document.getElementById('searchInput').value.trim());
+        const iconClass = PlatformConfig.iconClass(result.platform);
+        const platform = Utils.sanitizeInput(result.platform);
 
         return `
             <div class="result-card">
                 <div class="result-header">
-                    <div class="platform-badge ${result.platform.toLowerCase()}">
-                        <i class="${iconClass}"></i>
-                        ${result.platform}
+                    <div class="platform-badge ${platform.toLowerCase()}">
+                        <i class="${Utils.sanitizeInput(iconClass)}"></i>
+                        ${platform}
                     </div>
                     <div class="status-badge ${statusClass}">
                         ${statusText}
                     </div>
                 </div>
+                ${result.query && result.query !== document.getElementById('searchQuery').textContent ? `<p class="result-query">${Utils.sanitizeInput(result.query)}</p>` : ''}
+                ${result.cached ? `<p class="cache-marker"><i class="fas fa-history"></i> Cached result from ${new Date(result.fetchedAt).toLocaleString()}</p>` : ''}
                 <div class="result-content">
-                    ${result.content || `<p>${result.description}</p>`}
+                    ${result.content || `<p>${Utils.sanitizeInput(result.description)}</p>`}
                 </div>
                 <div class="result-actions">
-                    <a href="${visitUrl}" target="_blank" class="btn-small btn-visit">
-                        <i class="fas fa-external-link-alt"></i> Visit ${result.platform}
+                    <a href="${ResultRenderer.safeUrl(visitUrl)}" target="_blank" class="btn-small btn-visit">
+                        <i class="fas fa-external-link-alt"></i> Visit ${platform}
                     </a>
-                    <button class="btn-small btn-info" onclick="app.showResultDetails('${result.platform}')">
+                    <button class="btn-small btn-info" data-platform="${platform}" onclick="app.showResultDetails(this.dataset.platform)">
                         <i class="fas fa-info-circle"></i> Details
                     </button>
                 </div>
@@ -211,6 +364,7 @@ Status: ${result.status}
 Query: ${result.query}
 Type: ${result.type}
 Timestamp: ${new Date(result.timestamp).toLocaleString()}
+Fetched: ${result.fetchedAt ? new Date(result.fetchedAt).toLocaleString() : 'N/A'}${result.cached ? ' (cached)' : ''}
 URL: ${result.url || 'N/A'}
             `;
             alert(details); // Simple implementation - could be enhanced with modal
@@ -224,7 +378,10 @@ URL: ${result.url || 'N/A'}
         document.getElementById('results-section').classList.add('hidden');
 
         // Show requested section
-        if (section === 'progress') {
+        if (section === 'live') {
+            document.getElementById('progress-section').classList.remove('hidden');
+            document.getElementById('results-section').classList.remove('hidden');
+        } else if (section === 'progress') {
             document.getElementById('progress-section').classList.remove('hidden');
         } else if (section === 'results') {
             document.getElementById('results-section').classList.remove('hidden');
@@ -236,6 +393,7 @@ URL: ${result.url || 'N/A'}
     resetSearch() {
         document.getElementById('searchInput').value = '';
         this.currentResults = [];
+        this.currentSearchId = null;
         this.showSection('search');
         Utils.showNotification('Ready for new search', 'info');
     }
@@ -261,16 +419,3 @@ let app;
 document.addEventListener('DOMContentLoaded', () => {
     app = new OSINTApp();
 });
-
-fetch('/api/google/dork?q=someusername&type=username')
-  .then(res => res.json())
-  .then(data => {
-    data.results.forEach(result => {
-      const link = document.createElement('a');
-      link.href = result.url;
-      link.textContent = result.title;
-      link.target = '_blank';
-      document.body.appendChild(link);
-      document.body.appendChild(document.createElement('br'));
-    });
-  });
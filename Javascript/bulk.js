@@ -0,0 +1,450 @@
+// Bulk search: identifiers from an uploaded CSV or pasted list, searched one after another into an
+// identifier x platform matrix. The queue lives in localStorage so a reload picks up where it stopped
+const BULK_STORAGE_KEY = 'bulkSearchJob';
+const BULK_TYPES = ['email', 'phone', 'username', 'name', 'domain'];
+// A first row made only of these words is a header
+const BULK_HEADER_NAMES = ['type', 'identifier', 'query', 'value', 'id', ...BULK_TYPES];
+
+class BulkSearch {
+    constructor(app) {
+        this.app = app;
+        // Own engine so a bulk run does not reset the counters of the search on screen
+        this.engine = new OSINTEngine();
+        this.job = this.load();
+        this.running = false;
+        this.paused = false;
+        this.cancelWait = null;
+        this.visible = false;
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        document.getElementById('bulkToggleBtn').addEventListener('click', () => {
+            this.visible = !this.visible;
+            document.getElementById('bulkDetails').classList.toggle('hidden', !this.visible);
+            document.getElementById('bulkToggleBtn').textContent = this.visible ? 'Hide' : 'Show';
+        });
+
+        document.getElementById('bulkLoadBtn').addEventListener('click', () => {
+            this.loadInput();
+        });
+
+        document.getElementById('bulkStartBtn').addEventListener('click', () => {
+            this.run();
+        });
+
+        document.getElementById('bulkPauseBtn').addEventListener('click', () => {
+            this.pause();
+        });
+
+        document.getElementById('bulkRetryBtn').addEventListener('click', () => {
+            this.retryFailed();
+        });
+
+        document.getElementById('bulkClearBtn').addEventListener('click', () => {
+            this.clear();
+        });
+
+        document.getElementById('bulkExportBtn').addEventListener('click', () => {
+            this.exportCsv();
+        });
+
+        ['bulkFilterText', 'bulkFilterType', 'bulkFilterFound'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderMatrix());
+        });
+    }
+
+    load() {
+        try {
+            const job = JSON.parse(localStorage.getItem(BULK_STORAGE_KEY));
+            if (!job) return null;
+            // A row that was running when the page closed starts over
+            job.rows.forEach(row => {
+                if (row.status === 'running') row.status = 'pending';
+            });
+            return job;
+        } catch (error) {
+            console.error('Failed to load bulk search:', error);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            if (this.job) {
+                localStorage.setItem(BULK_STORAGE_KEY, JSON.stringify(this.job));
+            } else {
+                localStorage.removeItem(BULK_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.error('Failed to save bulk search:', error);
+        }
+    }
+
+    // Rows as { line, cells } from CSV, semicolon or tab separated text, or a plain list.
+    // Quoted cells may hold separators, doubled quotes and line breaks
+    static parseRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\n') line++;
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === ',' || char === ';' || char === '\t') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                    line++;
+                }
+                row.push(cell);
+                rows.push({ line: rowLine, cells: row });
+                rowLine = line;
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push({ line: rowLine, cells: row });
+        return rows
+            .map(entry => ({ line: entry.line, cells: entry.cells.map(value => value.trim()) }))
+            .filter(entry => entry.cells.some(Boolean));
+    }
+
+    // Search type of an identifier from the search validators, or null. An email also holds a domain and
+    // a phone number is also a valid username, so the order matters; "john.smith" reads as a domain
+    static detectType(value) {
+        if (Utils.isValidEmail(value)) return 'email';
+        if (Utils.isValidPhone(value) && value.replace(/\D/g, '').length >= 7) return 'phone';
+        if (Utils.isValidDomain(value)) return 'domain';
+        if (Utils.isValidUsername(value)) return 'username';
+        if (/^\p{L}[\p{L}'.-]*(\s+\p{L}[\p{L}'.-]*)+$/u.test(value)) return 'name';
+        return null;
+    }
+
+    // Queue rows from uploaded text. A row's type comes from a "type" header column, a cell naming a type
+    // ("email,john@example.com"), the forced type, or else the first cell a validator accepts
+    buildRows(text, forcedType = '') {
+        const rows = BulkSearch.parseRows(text);
+        const header = rows.length > 0 && rows[0].cells.every(cell => BULK_HEADER_NAMES.includes(cell.toLowerCase()))
+            ? rows.shift().cells.map(cell => cell.toLowerCase())
+            : null;
+        const typeColumn = header ? header.indexOf('type') : -1;
+        const seen = new Set();
+        const queued = [];
+        let duplicates = 0;
+
+        rows.forEach(({ line, cells }) => {
+            const typeCell = typeColumn >= 0
+                ? cells[typeColumn]
+                : cells.find(cell => BULK_TYPES.includes(cell.toLowerCase()));
+            const values = cells.filter((cell, column) => cell && column !== typeColumn && cell !== typeCell);
+            const explicitType = (typeCell || forcedType || '').toLowerCase();
+
+            let value;
+            let type;
+            let error = null;
+            if (BULK_TYPES.includes(explicitType)) {
+                value = values[0] || '';
+                type = explicitType;
+                if (!this.engine.validateInput(value, type)) error = `Not a valid ${type}`;
+            } else {
+                value = values.find(cell => BulkSearch.detectType(cell)) || values[0] || '';
+                type = BulkSearch.detectType(value);
+                if (!type) error = 'Type could not be detected';
+            }
+
+            const key = `${type}:${value.toLowerCase()}`;
+            if (seen.has(key)) {
+                duplicates++;
+                return;
+            }
+            seen.add(key);
+            queued.push({
+                line,
+                value,
+                type,
+                status: error ? 'invalid' : 'pending',
+                error,
+                results: {}
+            });
+        });
+        return { rows: queued, duplicates };
+    }
+
+    async loadInput() {
+        if (this.running) {
+            Utils.showNotification('Pause the running bulk search first', 'error');
+            return;
+        }
+        const file = document.getElementById('bulkFile').files[0];
+        const text = file ? await file.text() : document.getElementById('bulkInput').value;
+        const { rows, duplicates } = this.buildRows(text, document.getElementById('bulkType').value);
+        if (rows.length === 0) {
+            Utils.showNotification('No identifiers found in the upload', 'error');
+            return;
+        }
+        if (this.hasPending() && !confirm('Replace the unfinished bulk search?')) return;
+
+        this.job = {
+            source: file ? file.name : 'pasted list',
+            createdAt: new Date().toISOString(),
+            delay: Math.max(parseFloat(document.getElementById('bulkDelay').value) || 0, 0),
+            platforms: null,
+            rows
+        };
+        this.save();
+        this.render();
+        const invalid = rows.filter(row => row.status === 'invalid').length;
+        Utils.showNotification(`Queued ${rows.length - invalid} identifiers${invalid ? `, ${invalid} invalid` : ''}${duplicates ? `, ${duplicates} duplicates skipped` : ''}`, 'success');
+    }
+
+    hasPending() {
+        return !!this.job && this.job.rows.some(row => row.status === 'pending');
+    }
+
+    // Delay that pausing cuts short
+    wait(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.cancelWait = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    // Work through pending rows one at a time; every row fans out to its platforms in parallel on the server
+    async run() {
+        if (this.running || !this.hasPending()) return;
+        // The platforms checked when the run first starts are kept for every row, including after a resume
+        if (!this.job.platforms) {
+            this.job.platforms = Object.fromEntries(BULK_TYPES.map(type => [type, PlatformConfig.selectedFor(type)]));
+        }
+        this.running = true;
+        this.paused = false;
+        this.render();
+
+        while (!this.paused) {
+            const row = this.job.rows.find(entry => entry.status === 'pending');
+            if (!row) break;
+
+            const platforms = this.job.platforms[row.type] || [];
+            if (platforms.length === 0) {
+                row.status = 'error';
+                row.error = `No selected platform searches ${row.type}`;
+                this.save();
+                continue;
+            }
+
+            row.status = 'running';
+            this.render();
+            try {
+                const results = {};
+                await this.engine.fetchSearch(row.value, row.type, platforms, (event) => {
+                    if (event.event !== 'result') return;
+                    const result = this.engine.formatSearchResult(event.platform, event.result, row.value, row.type);
+                    results[event.platform] = { status: result.status, description: result.description, url: result.url || null };
+                });
+                row.results = results;
+                row.status = 'done';
+                row.error = null;
+            } catch (error) {
+                if (error.status === 429) {
+                    // The API rate limiter: put the row back and wait for the window to reset
+                    row.status = 'pending';
+                    const seconds = error.retryAfter || 60;
+                    this.setStatus(`Rate limited, resuming in ${seconds}s`);
+                    this.save();
+                    await this.wait(seconds * 1000);
+                    continue;
+                }
+                row.status = 'error';
+                row.error = error.message;
+            }
+            this.save();
+            this.render();
+            if (this.hasPending() && !this.paused) {
+                await this.wait(this.job.delay * 1000);
+            }
+        }
+
+        this.running = false;
+        this.cancelWait = null;
+        this.save();
+        this.render();
+        if (!this.hasPending()) {
+            Utils.showNotification('Bulk search finished', 'success');
+        }
+    }
+
+    pause() {
+        this.paused = true;
+        if (this.cancelWait) this.cancelWait();
+        this.setStatus('Pausing after the current identifier...');
+    }
+
+    retryFailed() {
+        if (!this.job) return;
+        this.job.rows.forEach(row => {
+            if (row.status === 'error') {
+                row.status = 'pending';
+                row.error = null;
+            }
+        });
+        this.save();
+        this.render();
+    }
+
+    clear() {
+        if (this.running) {
+            Utils.showNotification('Pause the running bulk search first', 'error');
+            return;
+        }
+        if (this.job && !confirm('Discard the bulk search and its results?')) return;
+        this.job = null;
+        this.save();
+        this.render();
+    }
+
+    setStatus(message) {
+        document.getElementById('bulkStatus').textContent = message;
+    }
+
+    // Platforms that appear in any row, in provider order
+    platformColumns() {
+        const used = new Set(this.job.rows.flatMap(row => Object.keys(row.results)));
+        const ordered = PlatformConfig.providers.map(provider => provider.id).filter(id => used.has(id));
+        return [...ordered, ...[...used].filter(id => !ordered.includes(id))];
+    }
+
+    // Rows passing the identifier, type and "found on" filters
+    filteredRows() {
+        const text = document.getElementById('bulkFilterText').value.trim().toLowerCase();
+        const type = document.getElementById('bulkFilterType').value;
+        const found = document.getElementById('bulkFilterFound').value;
+        return this.job.rows.filter(row => {
+            if (text && !row.value.toLowerCase().includes(text)) return false;
+            if (type && row.type !== type) return false;
+            if (found === '*') return Object.values(row.results).some(result => result.status === 'found');
+            if (found) return !!row.results[found] && row.results[found].status === 'found';
+            return true;
+        });
+    }
+
+    render() {
+        const rows = this.job ? this.job.rows : [];
+        const count = (status) => rows.filter(row => row.status === status).length;
+        const finished = count('done') + count('error') + count('invalid');
+        const foundRows = rows.filter(row => Object.values(row.results).some(result => result.status === 'found')).length;
+
+        document.getElementById('bulkSummary').textContent = this.job
+            ? `${finished}/${rows.length} done${this.running ? ', running' : this.hasPending() ? ', paused' : ''}`
+            : '';
+        document.getElementById('bulkProgressFill').style.width = `${rows.length ? (finished / rows.length) * 100 : 0}%`;
+        this.setStatus(this.job
+            ? `${this.job.source}: ${count('done')} searched, ${count('pending')} pending, ${count('error')} failed, ${count('invalid')} invalid; ${foundRows} found somewhere`
+            : 'Upload a CSV or text file, or paste one identifier per line');
+
+        document.getElementById('bulkStartBtn').disabled = this.running || !this.hasPending();
+        document.getElementById('bulkStartBtn').innerHTML = this.job && finished > 0 && this.hasPending()
+            ? '<i class="fas fa-play"></i> Resume'
+            : '<i class="fas fa-play"></i> Start';
+        document.getElementById('bulkPauseBtn').disabled = !this.running;
+        document.getElementById('bulkRetryBtn').disabled = this.running || count('error') === 0;
+        document.getElementById('bulkExportBtn').disabled = !this.job;
+
+        // Offer "found on" filters for the platforms in the matrix, keeping the current choice
+        const foundFilter = document.getElementById('bulkFilterFound');
+        const current = foundFilter.value;
+        foundFilter.innerHTML = '<option value="">All rows</option><option value="*">Found on any platform</option>' +
+            (this.job ? this.platformColumns() : []).map(id => `<option value="${id}">Found on ${ResultRenderer.escape(id)}</option>`).join('');
+        foundFilter.value = Array.from(foundFilter.options).some(option => option.value === current) ? current : '';
+
+        this.renderMatrix();
+    }
+
+    renderMatrix() {
+        const matrix = document.getElementById('bulkMatrix');
+        if (!this.job) {
+            matrix.innerHTML = '';
+            return;
+        }
+        const escape = ResultRenderer.escape;
+        const icons = {
+            'found': 'fas fa-check',
+            'not-found': 'fas fa-minus',
+            'unknown': 'fas fa-question',
+            'error': 'fas fa-exclamation-triangle'
+        };
+        const columns = this.platformColumns();
+        const rows = this.filteredRows();
+
+        const cell = (result) => {
+            if (!result) return '<td></td>';
+            const status = icons[result.status] ? result.status : 'unknown';
+            const icon = `<i class="${icons[status]}"></i>`;
+            return `<td class="matrix-cell ${status}" title="${escape(result.description)}">${result.url && status === 'found'
+                ? `<a href="${escape(result.url)}" target="_blank" rel="noopener">${icon}</a>`
+                : icon}</td>`;
+        };
+
+        matrix.innerHTML = `
+            <table class="bulk-table">
+                <thead>
+                    <tr>
+                        <th>Identifier</th>
+                        <th>Type</th>
+                        <th>Status</th>
+                        ${columns.map(id => `<th><i class="${PlatformConfig.iconClass(id)}" title="${escape(id)}"></i> ${escape(id)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="bulk-row ${row.status}">
+                            <td class="bulk-identifier">${escape(row.value)}</td>
+                            <td>${escape(row.type || '-')}</td>
+                            <td title="${escape(row.error || '')}">${escape(row.status)}${row.error ? ` <i class="fas fa-info-circle"></i>` : ''}</td>
+                            ${columns.map(id => cell(row.results[id])).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${rows.length < this.job.rows.length ? `<p class="bulk-filtered">Showing ${rows.length} of ${this.job.rows.length} rows</p>` : ''}
+        `;
+    }
+
+    // The matrix as filtered on screen, one column per platform
+    exportCsv() {
+        if (!this.job) return;
+        const columns = this.platformColumns();
+        const rows = this.filteredRows().map(row => [
+            row.value,
+            row.type || '',
+            row.line,
+            row.status,
+            row.error || '',
+            ...columns.map(id => row.results[id] ? row.results[id].status : '')
+        ]);
+        Utils.downloadCsv(['Identifier', 'Type', 'Line', 'Status', 'Error', ...columns], rows, `bulk-search-${Date.now()}.csv`);
+    }
+}
@@ -0,0 +1,243 @@
+// Investigation case panel: switch cases, save searches, annotate
+class CaseManager {
+    constructor(app) {
+        this.app = app;
+        this.activeCase = null;
+        this.bindEvents();
+        this.refreshCases();
+    }
+
+    bindEvents() {
+        document.getElementById('caseSelect').addEventListener('change', (e) => {
+            this.openCase(e.target.value);
+        });
+
+        document.getElementById('newCaseBtn').addEventListener('click', () => {
+            this.createCase();
+        });
+
+        document.getElementById('deleteCaseBtn').addEventListener('click', () => {
+            this.deleteCase();
+        });
+
+        document.getElementById('addNoteBtn').addEventListener('click', () => {
+            this.addNote();
+        });
+
+        document.getElementById('caseTags').addEventListener('change', (e) => {
+            this.updateTags(e.target.value);
+        });
+
+        // Delegate clicks on saved searches and notes
+        document.getElementById('caseSearches').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'reopen') {
+                this.reopenSearch(button.dataset.id);
+            } else if (button.dataset.action === 'remove') {
+                this.removeSearch(button.dataset.id);
+            }
+        });
+
+        document.getElementById('caseNotes').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (button) {
+                this.removeNote(button.dataset.id);
+            }
+        });
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    async refreshCases() {
+        try {
+            const { cases } = await this.request('/api/cases');
+            const select = document.getElementById('caseSelect');
+            select.innerHTML = '<option value="">No case (searches are not saved)</option>' + cases.map(investigation => `
+                <option value="${investigation.id}">${Utils.sanitizeInput(investigation.name)} (${investigation.searchCount} searches)</option>
+            `).join('');
+            select.value = this.activeCase ? this.activeCase.id : '';
+        } catch (error) {
+            console.error('Failed to load cases:', error);
+        }
+    }
+
+    async createCase() {
+        const name = prompt('Case name:');
+        if (!name || !name.trim()) return;
+
+        try {
+            const investigation = await this.request('/api/cases', { method: 'POST', body: { name } });
+            this.activeCase = investigation;
+            await this.refreshCases();
+            this.renderCase();
+            Utils.showNotification(`Case "${investigation.name}" created`, 'success');
+        } catch (error) {
+            Utils.showNotification(`Failed to create case: ${error.message}`, 'error');
+        }
+    }
+
+    async openCase(id) {
+        if (!id) {
+            this.activeCase = null;
+            this.renderCase();
+            return;
+        }
+        try {
+            this.activeCase = await this.request(`/api/cases/${id}`);
+            this.renderCase();
+        } catch (error) {
+            Utils.showNotification(`Failed to open case: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteCase() {
+        if (!this.activeCase || !confirm(`Delete case "${this.activeCase.name}" and all its searches?`)) return;
+
+        try {
+            await this.request(`/api/cases/${this.activeCase.id}`, { method: 'DELETE' });
+            this.activeCase = null;
+            await this.refreshCases();
+            this.renderCase();
+            Utils.showNotification('Case deleted', 'info');
+        } catch (error) {
+            Utils.showNotification(`Failed to delete case: ${error.message}`, 'error');
+        }
+    }
+
+    // Save a finished search into the active case, dropping rendered HTML.
+    // pivot describes the parent search and entity when the search was a pivot.
+    async recordSearch(query, type, platforms, results, pivot = null) {
+        if (!this.activeCase) return null;
+
+        try {
+            const search = await this.request(`/api/cases/${this.activeCase.id}/searches`, {
+                method: 'POST',
+                body: {
+                    query,
+                    type,
+                    platforms,
+                    parentId: pivot ? pivot.searchId : null,
+                    pivot,
+                    results: results.map(({ content, ...result }) => result)
+                }
+            });
+            this.activeCase.searches.push(search);
+            this.renderCase();
+            this.refreshCases();
+            return search;
+        } catch (error) {
+            Utils.showNotification(`Search was not saved to the case: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    reopenSearch(searchId) {
+        const search = this.activeCase && this.activeCase.searches.find(item => item.id === searchId);
+        if (!search) return;
+
+        const results = search.results.map(result => ({ ...result, content: ResultRenderer.render(result) }));
+        this.app.showSavedSearch(search, results);
+    }
+
+    async removeSearch(searchId) {
+        if (!confirm('Remove this search from the case?')) return;
+        try {
+            await this.request(`/api/cases/${this.activeCase.id}/searches/${searchId}`, { method: 'DELETE' });
+            this.activeCase.searches = this.activeCase.searches.filter(search => search.id !== searchId);
+            this.renderCase();
+            this.refreshCases();
+        } catch (error) {
+            Utils.showNotification(`Failed to remove search: ${error.message}`, 'error');
+        }
+    }
+
+    async addNote() {
+        const input = document.getElementById('caseNoteInput');
+        const text = input.value.trim();
+        if (!this.activeCase || !text) return;
+
+        try {
+            const note = await this.request(`/api/cases/${this.activeCase.id}/notes`, {
+                method: 'POST',
+                body: { text, searchId: this.app.currentSearchId || null }
+            });
+            this.activeCase.notes.push(note);
+            input.value = '';
+            this.renderCase();
+        } catch (error) {
+            Utils.showNotification(`Failed to add note: ${error.message}`, 'error');
+        }
+    }
+
+    async removeNote(noteId) {
+        try {
+            await this.request(`/api/cases/${this.activeCase.id}/notes/${noteId}`, { method: 'DELETE' });
+            this.activeCase.notes = this.activeCase.notes.filter(note => note.id !== noteId);
+            this.renderCase();
+        } catch (error) {
+            Utils.showNotification(`Failed to remove note: ${error.message}`, 'error');
+        }
+    }
+
+    async updateTags(value) {
+        if (!this.activeCase) return;
+        try {
+            this.activeCase = await this.request(`/api/cases/${this.activeCase.id}`, {
+                method: 'PATCH',
+                body: { tags: value }
+            });
+            this.renderCase();
+        } catch (error) {
+            Utils.showNotification(`Failed to update tags: ${error.message}`, 'error');
+        }
+    }
+
+    renderCase() {
+        const details = document.getElementById('caseDetails');
+        document.getElementById('deleteCaseBtn').disabled = !this.activeCase;
+
+        if (!this.activeCase) {
+            details.classList.add('hidden');
+            return;
+        }
+        details.classList.remove('hidden');
+
+        document.getElementById('caseTags').value = this.activeCase.tags.join(', ');
+
+        const searches = [...this.activeCase.searches].reverse();
+        const queryOf = (id) => {
+            const parent = this.activeCase.searches.find(search => search.id === id);
+            return parent ? parent.query : 'a removed search';
+        };
+        document.getElementById('caseSearches').innerHTML = searches.length === 0
+            ? '<li class="case-empty">No saved searches yet. Searches run while this case is open are saved automatically.</li>'
+            : searches.map(search => `
+                <li>
+                    <span><strong>${Utils.sanitizeInput(search.query)}</strong> (${Utils.sanitizeInput(search.type)})</span>
+                    <span class="case-meta">${new Date(search.createdAt).toLocaleString()} • ${search.results.length} results${search.parentId ? ` • pivoted from ${Utils.sanitizeInput(queryOf(search.parentId))}` : ''}</span>
+                    <button class="btn-small btn-info" data-action="reopen" data-id="${search.id}">Reopen</button>
+                    <button class="btn-small" data-action="remove" data-id="${search.id}">Remove</button>
+                </li>
+            `).join('');
+
+        document.getElementById('caseNotes').innerHTML = this.activeCase.notes.map(note => `
+            <li>
+                <p>${Utils.sanitizeInput(note.text)}</p>
+                <span class="case-meta">${new Date(note.createdAt).toLocaleString()}</span>
+                <button class="btn-small" data-action="remove" data-id="${note.id}">Remove</button>
+            </li>
+        `).join('');
+    }
+}
@@ -0,0 +1,249 @@
+// Relationship graph view: force layout drawn as SVG, filtered by node type, expanded on click
+class GraphView {
+    constructor(app) {
+        this.app = app;
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.hiddenTypes = new Set();
+        this.visible = false;
+        this.width = 900;
+        this.height = 560;
+        this.colors = {
+            account: '#1e3c72',
+            username: '#28a745',
+            email: '#dc3545',
+            phone: '#fd7e14',
+            name: '#6f42c1',
+            domain: '#0aa6b4',
+            url: '#6c757d'
+        };
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.getElementById('graphViewBtn').addEventListener('click', () => {
+            this.visible ? this.hide() : this.show();
+        });
+
+        document.getElementById('exportGraphmlBtn').addEventListener('click', () => {
+            this.export('graphml');
+        });
+
+        document.getElementById('exportGexfBtn').addEventListener('click', () => {
+            this.export('gexf');
+        });
+
+        document.getElementById('graphFilters').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.hiddenTypes.delete(e.target.value);
+            } else {
+                this.hiddenTypes.add(e.target.value);
+            }
+            this.render();
+        });
+
+        document.getElementById('graphCanvas').addEventListener('click', (e) => {
+            const node = e.target.closest('[data-node-id]');
+            if (node) {
+                this.expand(node.dataset.nodeId);
+            }
+        });
+    }
+
+    // Saved searches of the open case plus the current search when it is not saved
+    searches() {
+        const activeCase = this.app.caseManager.activeCase;
+        const searches = activeCase ? [...activeCase.searches] : [];
+        if (this.app.currentResults.length > 0 && !searches.some(search => search.id === this.app.currentSearchId)) {
+            searches.push({
+                id: this.app.currentSearchId || 'current',
+                query: document.getElementById('searchQuery').textContent,
+                type: document.getElementById('searchType').value,
+                results: this.app.currentResults.map(({ content, ...result }) => result)
+            });
+        }
+        return searches;
+    }
+
+    async request(body) {
+        const response = await fetch('/api/graph', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ searches: this.searches(), ...body })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response;
+    }
+
+    // Start from the searched identifiers and their direct neighbours
+    async show() {
+        this.visible = true;
+        document.getElementById('resultsContainer').classList.add('hidden');
+        document.getElementById('graphView').classList.remove('hidden');
+        document.getElementById('graphViewBtn').innerHTML = '<i class="fas fa-th-large"></i> Card View';
+        this.nodes.clear();
+        this.edges.clear();
+        document.getElementById('graphDetails').innerHTML = '<p>Click a node to expand its connections.</p>';
+
+        try {
+            const graph = await (await this.request({ depth: 1 })).json();
+            this.merge(graph);
+            this.layout();
+            this.render();
+        } catch (error) {
+            Utils.showNotification(`Failed to build graph: ${error.message}`, 'error');
+        }
+    }
+
+    hide() {
+        this.visible = false;
+        document.getElementById('resultsContainer').classList.remove('hidden');
+        document.getElementById('graphView').classList.add('hidden');
+        document.getElementById('graphViewBtn').innerHTML = '<i class="fas fa-project-diagram"></i> Graph View';
+    }
+
+    async expand(nodeId) {
+        const node = this.nodes.get(nodeId);
+        this.showDetails(node);
+        if (!node || node.expanded) return;
+
+        try {
+            const graph = await (await this.request({ focus: [nodeId], depth: 1 })).json();
+            node.expanded = true;
+            this.merge(graph, node);
+            this.layout();
+            this.render();
+        } catch (error) {
+            Utils.showNotification(`Failed to expand node: ${error.message}`, 'error');
+        }
+    }
+
+    // New nodes start next to the node they were expanded from
+    merge(graph, origin = null) {
+        graph.nodes.forEach(node => {
+            if (this.nodes.has(node.id)) return;
+            const angle = Math.random() * Math.PI * 2;
+            this.nodes.set(node.id, {
+                ...node,
+                x: origin ? origin.x + Math.cos(angle) * 60 : this.width / 2 + Math.cos(angle) * 150,
+                y: origin ? origin.y + Math.sin(angle) * 60 : this.height / 2 + Math.sin(angle) * 150
+            });
+        });
+        graph.edges.forEach(edge => this.edges.set(edge.id, edge));
+        this.updateFilters();
+    }
+
+    // Simple force directed layout: nodes repel, edges pull, everything drifts to the centre
+    layout(iterations = 250) {
+        const nodes = [...this.nodes.values()];
+        const edges = [...this.edges.values()];
+        for (let step = 0; step < iterations; step++) {
+            const cooling = 1 - step / iterations;
+            nodes.forEach(node => {
+                node.dx = (this.width / 2 - node.x) * 0.01;
+                node.dy = (this.height / 2 - node.y) * 0.01;
+            });
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const a = nodes[i];
+                    const b = nodes[j];
+                    const dx = a.x - b.x || 0.01;
+                    const dy = a.y - b.y || 0.01;
+                    const distanceSquared = Math.max(dx * dx + dy * dy, 25);
+                    const force = 2000 / distanceSquared;
+                    a.dx += dx * force / Math.sqrt(distanceSquared);
+                    a.dy += dy * force / Math.sqrt(distanceSquared);
+                    b.dx -= dx * force / Math.sqrt(distanceSquared);
+                    b.dy -= dy * force / Math.sqrt(distanceSquared);
+                }
+            }
+            edges.forEach(edge => {
+                const source = this.nodes.get(edge.source);
+                const target = this.nodes.get(edge.target);
+                const dx = target.x - source.x;
+                const dy = target.y - source.y;
+                const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                const force = (distance - 90) * 0.02;
+                source.dx += dx / distance * force;
+                source.dy += dy / distance * force;
+                target.dx -= dx / distance * force;
+                target.dy -= dy / distance * force;
+            });
+            nodes.forEach(node => {
+                node.x = Math.min(this.width - 20, Math.max(20, node.x + node.dx * cooling));
+                node.y = Math.min(this.height - 20, Math.max(20, node.y + node.dy * cooling));
+            });
+        }
+    }
+
+    updateFilters() {
+        const types = [...new Set([...this.nodes.values()].map(node => node.type))];
+        document.getElementById('graphFilters').innerHTML = types.map(type => `
+            <label class="graph-filter">
+                <input type="checkbox" value="${type}" ${this.hiddenTypes.has(type) ? '' : 'checked'}>
+                <span class="graph-swatch" style="background: ${this.colors[type] || '#333'}"></span> ${type}
+            </label>
+        `).join('');
+    }
+
+    // Searched identifiers stay visible whatever the filter says
+    isVisible(node) {
+        return node && (node.searched || !this.hiddenTypes.has(node.type));
+    }
+
+    render() {
+        const escape = ResultRenderer.escape;
+        const edges = [...this.edges.values()].filter(edge =>
+            this.isVisible(this.nodes.get(edge.source)) && this.isVisible(this.nodes.get(edge.target))
+        );
+        const nodes = [...this.nodes.values()].filter(node => this.isVisible(node));
+
+        document.getElementById('graphCanvas').innerHTML = `
+            <svg viewBox="0 0 ${this.width} ${this.height}" xmlns="http://www.w3.org/2000/svg">
+                ${edges.map(edge => {
+                    const source = this.nodes.get(edge.source);
+                    const target = this.nodes.get(edge.target);
+                    return `<line class="graph-edge ${escape(edge.type)}" x1="${source.x}" y1="${source.y}" x2="${target.x}" y2="${target.y}" stroke-width="${Math.min(edge.weight, 5)}"><title>${escape(edge.type)}</title></line>`;
+                }).join('')}
+                ${nodes.map(node => `
+                    <g class="graph-node${node.searched ? ' searched' : ''}${node.expanded || node.degree === 0 ? '' : ' expandable'}" data-node-id="${escape(node.id)}" transform="translate(${node.x}, ${node.y})">
+                        <circle r="${node.searched ? 12 : 8}" fill="${this.colors[node.type] || '#333'}"></circle>
+                        <text x="14" y="4">${escape(node.label.length > 32 ? `${node.label.slice(0, 31)}…` : node.label)}</text>
+                        <title>${escape(node.type)}: ${escape(node.label)}</title>
+                    </g>
+                `).join('')}
+            </svg>
+        `;
+        document.getElementById('graphStats').textContent = `${nodes.length} nodes, ${edges.length} connections`;
+    }
+
+    showDetails(node) {
+        if (!node) return;
+        const escape = ResultRenderer.escape;
+        const url = ResultRenderer.safeUrl(node.url);
+        document.getElementById('graphDetails').innerHTML = `
+            <h5>${escape(node.label)}</h5>
+            <p><strong>Type:</strong> ${escape(node.type)}${node.searched ? ' (searched)' : ''}</p>
+            ${node.platforms.length > 0 ? `<p><strong>Seen on:</strong> ${escape(node.platforms.join(', '))}</p>` : ''}
+            <p><strong>Connections:</strong> ${node.degree}</p>
+            ${url !== '#' ? `<p><a href="${url}" target="_blank" rel="noopener noreferrer">Open link</a></p>` : ''}
+        `;
+    }
+
+    async export(format) {
+        try {
+            const blob = await (await this.request({ format })).blob();
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `osint-graph-${Date.now()}.${format}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            Utils.showNotification(`Graph export failed: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,100 @@
+// Provider health panel: credential status, validity, quota and last error per provider
+class HealthPanel {
+    constructor(app) {
+        this.app = app;
+        this.visible = false;
+        this.bindEvents();
+        this.refresh();
+    }
+
+    bindEvents() {
+        document.getElementById('healthToggleBtn').addEventListener('click', () => {
+            this.visible = !this.visible;
+            document.getElementById('healthDetails').classList.toggle('hidden', !this.visible);
+            document.getElementById('healthToggleBtn').textContent = this.visible ? 'Hide' : 'Show';
+        });
+
+        document.getElementById('healthCheckBtn').addEventListener('click', () => {
+            this.refresh(true);
+        });
+
+        document.getElementById('healthTable').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-provider]');
+            if (button) {
+                this.check(button.dataset.provider);
+            }
+        });
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // refresh validates every provider on the server instead of returning the last known state
+    async refresh(validate = false) {
+        const button = document.getElementById('healthCheckBtn');
+        button.disabled = true;
+        try {
+            const report = await this.request(`/api/health${validate ? '?refresh=true' : ''}`);
+            this.providers = report.providers;
+            this.render(report);
+        } catch (error) {
+            Utils.showNotification(`Failed to load provider health: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async check(id) {
+        try {
+            const provider = await this.request(`/api/health/${encodeURIComponent(id)}/check`, { method: 'POST' });
+            this.providers = this.providers.map(existing => existing.id === id ? provider : existing);
+            this.render();
+        } catch (error) {
+            Utils.showNotification(`Failed to check ${id}: ${error.message}`, 'error');
+        }
+    }
+
+    static validity(provider) {
+        if (!provider.configured) return { label: 'Not configured', className: 'unknown' };
+        if (provider.valid === true) return { label: 'Valid', className: 'found' };
+        if (provider.valid === false) return { label: 'Invalid', className: 'error' };
+        return { label: provider.validatable ? 'Not checked' : 'No check needed', className: 'unknown' };
+    }
+
+    static quota(quota) {
+        if (!quota || quota.remaining === undefined || quota.remaining === null) return '-';
+        const limit = quota.limit !== undefined && quota.limit !== null ? ` / ${quota.limit}` : '';
+        const period = quota.period ? ` per ${quota.period}` : '';
+        const reset = quota.resetAt ? ` (resets ${new Date(quota.resetAt).toLocaleString()})` : '';
+        return `${quota.remaining}${limit}${period}${reset}`;
+    }
+
+    render(report = null) {
+        const escape = ResultRenderer.escape;
+        const degraded = report ? report.status === 'degraded' : this.providers.some(provider => provider.configured && provider.valid === false);
+        const summary = document.getElementById('healthSummary');
+        summary.textContent = degraded ? 'Some providers need attention' : 'All configured providers are working';
+        summary.className = `health-summary ${degraded ? 'degraded' : 'ok'}`;
+
+        document.getElementById('healthTable').innerHTML = this.providers.map(provider => {
+            const validity = HealthPanel.validity(provider);
+            return `
+                <tr>
+                    <td><i class="${escape(PlatformConfig.iconClass(provider.id))}"></i> ${escape(provider.name)}</td>
+                    <td>${provider.configured ? 'Yes' : `No (missing ${escape(provider.missing.join(', '))})`}</td>
+                    <td><span class="status-badge ${validity.className}">${validity.label}</span></td>
+                    <td>${escape(HealthPanel.quota(provider.quota))}</td>
+                    <td class="health-error">${provider.lastError ? `${escape(provider.lastError)}<br><span class="case-meta">${new Date(provider.lastErrorAt).toLocaleString()}</span>` : '-'}</td>
+                    <td>${provider.checkedAt ? new Date(provider.checkedAt).toLocaleString() : '-'}</td>
+                    <td><button class="btn-small" data-provider="${escape(provider.id)}" ${provider.validatable && provider.configured ? '' : 'disabled'}>Check</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+}
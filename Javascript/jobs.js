@@ -0,0 +1,203 @@
+// Background jobs panel: queue searches on the server, follow their progress and open finished results
+class JobsPanel {
+    constructor(app) {
+        this.app = app;
+        this.jobs = [];
+        this.visible = false;
+        // EventSource per unfinished job shown in the panel
+        this.subscriptions = new Map();
+        this.bindEvents();
+        this.refresh();
+    }
+
+    bindEvents() {
+        document.getElementById('jobsToggleBtn').addEventListener('click', () => {
+            this.visible = !this.visible;
+            document.getElementById('jobsDetails').classList.toggle('hidden', !this.visible);
+            document.getElementById('jobsToggleBtn').textContent = this.visible ? 'Hide' : 'Show';
+        });
+
+        document.getElementById('jobsRefreshBtn').addEventListener('click', () => {
+            this.refresh();
+        });
+
+        document.getElementById('backgroundSearchBtn').addEventListener('click', () => {
+            this.queueSearch();
+        });
+
+        document.getElementById('jobsTable').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'cancel') {
+                this.cancel(button.dataset.id);
+            } else if (button.dataset.action === 'open') {
+                this.open(button.dataset.id);
+            }
+        });
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async refresh() {
+        try {
+            const { jobs } = await this.request('/api/jobs');
+            this.jobs = jobs;
+            this.jobs.filter(job => !JobsPanel.isFinished(job)).forEach(job => this.subscribe(job.id));
+            this.render();
+        } catch (error) {
+            Utils.showNotification(`Failed to load jobs: ${error.message}`, 'error');
+        }
+    }
+
+    static isFinished(job) {
+        return ['succeeded', 'failed', 'cancelled'].includes(job.state);
+    }
+
+    // Queue the query in the search form as a background search; name searches skip the candidate step
+    async queueSearch() {
+        const query = document.getElementById('searchInput').value.trim();
+        const type = document.getElementById('searchType').value;
+        const platforms = this.app.getSelectedPlatforms();
+        if (!query || platforms.length === 0) {
+            Utils.showNotification('Enter a search query and select at least one platform', 'error');
+            return;
+        }
+
+        try {
+            const job = await this.request('/api/jobs', {
+                method: 'POST',
+                body: { kind: 'search', payload: { query, type, platforms } }
+            });
+            this.upsert(job);
+            this.subscribe(job.id);
+            if (!this.visible) document.getElementById('jobsToggleBtn').click();
+            Utils.showNotification(`Search for "${query}" queued in the background`, 'success');
+        } catch (error) {
+            Utils.showNotification(`Failed to queue search: ${error.message}`, 'error');
+        }
+    }
+
+    // Follow a job through /api/jobs/:id/events until it finishes; onDone gets the finished job with its result
+    subscribe(id, onDone = null) {
+        if (this.subscriptions.has(id)) return;
+        const source = new EventSource(`/api/jobs/${encodeURIComponent(id)}/events`);
+        this.subscriptions.set(id, source);
+        const close = () => {
+            source.close();
+            this.subscriptions.delete(id);
+        };
+
+        source.addEventListener('job', (e) => {
+            this.upsert(JSON.parse(e.data));
+        });
+        source.addEventListener('done', (e) => {
+            const job = JSON.parse(e.data);
+            close();
+            this.upsert({ ...job, hasResult: job.result !== null });
+            if (job.state === 'succeeded') {
+                Utils.showNotification(`Background ${job.kind} "${JobsPanel.label(job)}" finished`, 'success');
+            }
+            if (onDone) onDone(job);
+        });
+        source.addEventListener('error', close);
+    }
+
+    upsert(job) {
+        const { result, ...summary } = job;
+        const index = this.jobs.findIndex(existing => existing.id === job.id);
+        if (index === -1) {
+            this.jobs.unshift(summary);
+        } else {
+            this.jobs[index] = summary;
+        }
+        this.render();
+    }
+
+    async cancel(id) {
+        try {
+            this.upsert(await this.request(`/api/jobs/${encodeURIComponent(id)}/cancel`, { method: 'POST' }));
+        } catch (error) {
+            Utils.showNotification(`Failed to cancel job: ${error.message}`, 'error');
+        }
+    }
+
+    // Show a finished search job like a search reopened from a case
+    async open(id) {
+        try {
+            const job = await this.request(`/api/jobs/${encodeURIComponent(id)}`);
+            if (!job.result) {
+                throw new Error('The job has no result');
+            }
+            if (job.kind === 'watch') {
+                this.app.watchPanel.refresh().then(() => this.app.watchPanel.showTimeline(job.result.watchId));
+                return;
+            }
+            if (job.kind === 'twitter-overlap') {
+                this.app.overlapPanel.show(job.result);
+                return;
+            }
+            if (job.kind !== 'search') {
+                this.app.showSavedSearch({ id: null, query: JobsPanel.label(job), type: job.result.type, platforms: [job.result.platform] }, [
+                    this.app.osintEngine.formatSearchResult(job.result.platform, job.result, job.result.query, job.result.type)
+                ]);
+                return;
+            }
+            const { query, type, platforms, results } = job.result;
+            const formatted = results.map((result, index) => this.app.osintEngine.formatSearchResult(platforms[index], result, query, type));
+            this.app.showSavedSearch({ id: null, query, type, platforms }, formatted);
+        } catch (error) {
+            Utils.showNotification(`Failed to open job: ${error.message}`, 'error');
+        }
+    }
+
+    // What the job is about: the search query or the first payload value
+    static label(job) {
+        const payload = job.payload || {};
+        return payload.query || Object.values(payload).find(value => typeof value === 'string') || job.kind;
+    }
+
+    render() {
+        const escape = ResultRenderer.escape;
+        const active = this.jobs.filter(job => !JobsPanel.isFinished(job)).length;
+        document.getElementById('jobsSummary').textContent = this.jobs.length > 0
+            ? `${active} running or queued, ${this.jobs.length - active} finished`
+            : '';
+
+        const stateClasses = { succeeded: 'found', failed: 'error', cancelled: 'not-found' };
+        const progress = (job) => {
+            const parts = [];
+            if (job.progress && job.progress.total) parts.push(`${job.progress.completed || 0}/${job.progress.total}`);
+            if (job.progress && job.progress.message) parts.push(job.progress.message);
+            if (job.state === 'retrying' && job.nextRunAt) parts.push(`retry at ${new Date(job.nextRunAt).toLocaleTimeString()}`);
+            return parts.join(' - ');
+        };
+
+        document.getElementById('jobsTable').innerHTML = this.jobs.length === 0
+            ? '<tr><td colspan="7">No background jobs</td></tr>'
+            : this.jobs.map(job => `
+                <tr>
+                    <td>${escape(job.kind)}</td>
+                    <td>${escape(JobsPanel.label(job))}</td>
+                    <td><span class="status-badge ${stateClasses[job.state] || 'unknown'}">${escape(job.state)}</span></td>
+                    <td>${escape(progress(job))}${job.error ? `<div class="health-error">${escape(job.error)}</div>` : ''}</td>
+                    <td>${job.attempts}/${job.maxAttempts}</td>
+                    <td>${new Date(job.createdAt).toLocaleString()}</td>
+                    <td>
+                        ${JobsPanel.isFinished(job) ? '' : `<button class="btn-small" data-action="cancel" data-id="${job.id}">Cancel</button>`}
+                        ${job.state === 'succeeded' && job.hasResult ? `<button class="btn-small btn-info" data-action="open" data-id="${job.id}">Open</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+    }
+}
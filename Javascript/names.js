@@ -0,0 +1,188 @@
+// Name candidate step: between entering a full name and searching, pick usernames and emails generated from it
+class NameCandidates {
+    constructor(app) {
+        this.app = app;
+        this.name = null;
+        this.pivot = null;
+        this.candidates = null;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.getElementById('namesGenerateBtn').addEventListener('click', () => {
+            this.generate();
+        });
+
+        document.getElementById('namesSearchBtn').addEventListener('click', () => {
+            this.searchSelected();
+        });
+
+        // Skip the candidates and run the name search as entered
+        document.getElementById('namesAsTypedBtn').addEventListener('click', () => {
+            this.hide();
+            this.app.pivotParent = this.pivot;
+            this.app.startSearch({ skipNameStep: true });
+        });
+
+        document.getElementById('namesCancelBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        document.getElementById('namesSection').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-select]');
+            if (button) {
+                this.select(button.dataset.select, button.dataset.count ? parseInt(button.dataset.count, 10) : 0);
+            }
+        });
+
+        document.getElementById('namesSection').addEventListener('change', (e) => {
+            if (e.target.matches('input[data-candidate-type]')) {
+                this.updateSummary();
+            }
+        });
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Show the step for a name; pivot is kept for the searches started from it
+    open(name, pivot = null) {
+        this.name = name;
+        this.pivot = pivot;
+        document.getElementById('namesQuery').textContent = name;
+        document.getElementById('namesSection').classList.remove('hidden');
+        this.generate();
+    }
+
+    hide() {
+        document.getElementById('namesSection').classList.add('hidden');
+    }
+
+    async generate() {
+        const button = document.getElementById('namesGenerateBtn');
+        button.disabled = true;
+        try {
+            this.candidates = await this.request('/api/names/candidates', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: this.name,
+                    birthYear: document.getElementById('namesBirthYear').value.trim(),
+                    nicknames: document.getElementById('namesNicknames').value,
+                    domains: document.getElementById('namesDomains').value
+                })
+            });
+            this.render();
+        } catch (error) {
+            Utils.showNotification(`Failed to generate candidates: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    render() {
+        const escape = ResultRenderer.escape;
+        const { latinName, transliterated, usernames, emails } = this.candidates;
+        const latin = document.getElementById('namesLatin');
+        latin.textContent = transliterated ? `Transliterated as "${latinName}"` : '';
+        latin.classList.toggle('hidden', !transliterated);
+
+        // The five best usernames start selected; emails are opt-in
+        const list = (candidates, type, checkedCount) => candidates.map((candidate, index) => `
+            <li>
+                <label>
+                    <input type="checkbox" data-candidate-type="${type}" value="${escape(candidate.value)}" ${index < checkedCount ? 'checked' : ''}>
+                    <span class="candidate-value">${escape(candidate.value)}</span>
+                    <span class="candidate-score" title="${escape(candidate.pattern)}">${Math.round(candidate.score * 100)}%</span>
+                </label>
+            </li>
+        `).join('');
+        document.getElementById('namesUsernames').innerHTML = list(usernames, 'username', 5);
+        document.getElementById('namesEmails').innerHTML = list(emails, 'email', 0);
+        this.updateSummary();
+    }
+
+    // Check the first count candidates of a type and clear the rest
+    select(type, count) {
+        document.querySelectorAll(`#namesSection input[data-candidate-type="${type}"]`).forEach((input, index) => {
+            input.checked = index < count;
+        });
+        this.updateSummary();
+    }
+
+    selected() {
+        return Array.from(document.querySelectorAll('#namesSection input[data-candidate-type]:checked')).map(input => ({
+            type: input.dataset.candidateType,
+            query: input.value
+        }));
+    }
+
+    updateSummary() {
+        const selected = this.selected();
+        const count = (type) => selected.filter(candidate => candidate.type === type).length;
+        document.getElementById('namesSummary').textContent =
+            `${count('username')} usernames on ${PlatformConfig.selectedFor('username').length} platforms, ` +
+            `${count('email')} emails on ${PlatformConfig.selectedFor('email').length} platforms`;
+    }
+
+    // Search every selected candidate in turn and show all results together
+    async searchSelected() {
+        const app = this.app;
+        const runs = this.selected()
+            .map(candidate => ({ ...candidate, platforms: PlatformConfig.selectedFor(candidate.type) }))
+            .filter(run => run.platforms.length > 0);
+        if (runs.length === 0) {
+            Utils.showNotification('Select at least one candidate and a platform that searches it', 'error');
+            return;
+        }
+
+        this.hide();
+        app.showSection('live');
+        app.graphView.hide();
+        document.getElementById('searchQuery').textContent = this.name;
+        app.updatePivotTrail(this.pivot);
+        document.getElementById('resultsContainer').innerHTML = '';
+
+        const results = [];
+        for (const [index, run] of runs.entries()) {
+            document.getElementById('resultsContainer').insertAdjacentHTML('beforeend', `
+                <h4 class="candidate-heading">${ResultRenderer.escape(run.query)} (${index + 1} of ${runs.length})</h4>
+            `);
+            app.beginLiveResults(run.platforms, { append: true });
+            try {
+                const runResults = await app.osintEngine.performSearch(run.query, run.type, run.platforms, {
+                    onEvent: (event) => app.updateLiveCard(event),
+                    onResult: (result, platformKey) => app.renderLiveResult(platformKey, result)
+                });
+                results.push(...runResults);
+                await app.caseManager.recordSearch(run.query, run.type, run.platforms, runResults, {
+                    searchId: this.pivot ? this.pivot.searchId : null,
+                    query: this.name,
+                    platform: 'name candidates',
+                    entity: { type: run.type, query: run.query }
+                });
+            } catch (error) {
+                console.error('Candidate search error:', error);
+                Utils.showNotification(`Search for ${run.query} failed: ${error.message}`, 'error');
+            }
+            // Placeholders of platforms that never answered would clash with the next run's card ids
+            document.querySelectorAll('#resultsContainer .result-card.pending').forEach(card => card.remove());
+        }
+
+        // performSearch only counts the last run
+        app.currentResults = results;
+        app.currentSearchId = null;
+        app.osintEngine.results = results;
+        app.osintEngine.totalPlatforms = results.length;
+        app.osintEngine.completedSearches = results.length;
+        app.displayResults();
+        app.showSection('results');
+        app.showCorrelation();
+    }
+}
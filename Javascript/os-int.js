@@ -5,13 +5,6 @@ class OSINTEngine {
         this.searchProgress = 0;
         this.totalPlatforms = 0;
         this.completedSearches = 0;
-        this.API_KEYS = {
-            TRUECALLER: 'YOUR_TRUECALLER_API_KEY',
-            TWITTER: 'YOUR_TWITTER_API_KEY',
-            FACEBOOK: 'YOUR_FACEBOOK_API_KEY',
-            INSTAGRAM: 'YOUR_INSTAGRAM_API_KEY',
-            GITHUB: 'YOUR_GITHUB_API_KEY'
-        };
     }
 
     // Update progress bar and text
@@ -25,8 +18,8 @@ class OSINTEngine {
         }
     }
 
-    // Main search method
-    async performSearch(query, type, selectedPlatforms) {
+    // Main search method; handlers.onEvent sees every stream event, handlers.onResult each finished platform
+    async performSearch(query, type, selectedPlatforms, handlers = {}) {
         this.results = [];
         this.searchProgress = 0;
         this.completedSearches = 0;
@@ -37,41 +30,113 @@ class OSINTEngine {
             throw new Error('Search query cannot be empty');
         }
 
-        if (!type || !['email', 'phone', 'username', 'name'].includes(type)) {
+        if (!type || !['email', 'phone', 'username', 'name', 'domain'].includes(type)) {
             throw new Error('Invalid search type');
         }
 
         // Update initial progress
         this.updateProgress('Initializing search...', 0);
 
-        // Search each platform
-        for (const platform of selectedPlatforms) {
-            try {
-                this.updateProgress(`Searching ${platform}...`, (this.completedSearches / this.totalPlatforms) * 100);
-                await this.searchPlatform(platform, query, type);
-                
-                this.completedSearches++;
-                const progress = (this.completedSearches / this.totalPlatforms) * 100;
-                this.updateProgress(`Searched ${this.completedSearches}/${this.totalPlatforms} platforms`, progress);
-                
-                // Add delay between searches to respect rate limits
-                await this.delay(1000);
-            } catch (error) {
-                console.error(`Error searching ${platform}:`, error);
-                this.results.push({
-                    platform: platform,
-                    status: 'error',
-                    url: null,
-                    description: `Error: ${error.message}`,
-                    timestamp: new Date().toISOString()
-                });
+        // The server searches every platform in parallel and streams each event as it happens
+        await this.streamSearch(query, type, selectedPlatforms, (event) => {
+            const progress = (this.completedSearches / this.totalPlatforms) * 100;
+            switch (event.event) {
+                case 'provider-start':
+                    this.updateProgress(`Searching ${event.platform}...`, progress);
+                    break;
+                case 'provider-page':
+                    this.updateProgress(`${event.platform}: page ${event.page}${event.pages ? ` of ${event.pages}` : ''}${event.items ? ` (${event.items} items)` : ''}`, progress);
+                    break;
+                case 'provider-rate-limit':
+                    this.updateProgress(`${event.platform} is rate limited, retrying in ${Math.ceil(event.retryInMs / 1000)}s`, progress);
+                    break;
+                case 'provider-retry':
+                    this.updateProgress(`Retrying ${event.platform} (attempt ${event.attempt})...`, progress);
+                    break;
+                case 'result': {
+                    const result = this.formatSearchResult(event.platform, event.result, query, type);
+                    this.results.push(result);
+                    this.completedSearches = event.completed;
+                    this.updateProgress(`Searched ${this.completedSearches}/${this.totalPlatforms} platforms (${event.platform} finished)`, (this.completedSearches / this.totalPlatforms) * 100);
+                    if (handlers.onResult) handlers.onResult(result, event.platform);
+                    break;
+                }
             }
-        }
+            if (handlers.onEvent) handlers.onEvent(event);
+        });
 
         this.updateProgress('Search completed!', 100);
         return this.results;
     }
 
+    // Subscribe to the Server-Sent Events search stream until the done event arrives
+    streamSearch(query, type, platforms, onEvent) {
+        return new Promise((resolve, reject) => {
+            const params = new URLSearchParams({ q: query, type, platforms: platforms.join(',') });
+            const source = new EventSource(`/api/search/stream?${params}`);
+            const fail = (error) => {
+                source.close();
+                reject(error);
+            };
+
+            ['start', 'provider-start', 'provider-page', 'provider-rate-limit', 'provider-retry', 'result'].forEach(name => {
+                source.addEventListener(name, (e) => {
+                    try {
+                        onEvent(JSON.parse(e.data));
+                    } catch (error) {
+                        fail(error);
+                    }
+                });
+            });
+
+            source.addEventListener('done', (e) => {
+                source.close();
+                onEvent(JSON.parse(e.data));
+                resolve();
+            });
+
+            // Fired both for server error events and for dropped connections
+            source.addEventListener('error', (e) => {
+                fail(new Error(e.data ? JSON.parse(e.data).error : 'Search stream was interrupted'));
+            });
+        });
+    }
+
+    // Run a search through the newline-delimited JSON endpoint. Unlike EventSource this sees the HTTP status,
+    // so a 429 from the API rate limiter rejects with status and retryAfter (seconds) for the caller to wait out
+    async fetchSearch(query, type, platforms, onEvent) {
+        const response = await fetch('/api/search', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, type, platforms })
+        });
+        if (!response.ok) {
+            const error = new Error(response.status === 429 ? 'Too many requests' : `HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null;
+            throw error;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            const event = JSON.parse(line);
+            if (event.event === 'error') throw new Error(event.error);
+            onEvent(event);
+        };
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffered);
+    }
+
     // Helper method for delay
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
@@ -98,6 +163,8 @@ class OSINTEngine {
                 return Utils.isValidUsername(query);
             case 'name':
                 return query.length >= 2;
+            case 'domain':
+                return Utils.isValidDomain(query);
             default:
                 return false;
         }
@@ -145,20 +212,7 @@ class OSINTEngine {
 
     // Format search results
     formatSearchResult(platformKey, data, query, type) {
-        switch(platformKey) {
-            case 'truecaller':
-                return this.formatTruecallerResult(data);
-            case 'twitter':
-                return this.formatTwitterResult(data);
-            case 'github':
-                return this.formatGithubResult(data);
-            case 'whatsapp':
-                return this.formatWhatsAppResult(data);
-            case 'upi':
-                return this.formatUPIResult(data);
-            default:
-                return this.formatDefaultResult(platformKey, data, query, type);
-        }
+        return this.formatSchemaResult(platformKey, data, query, type);
     }
 
     // Add error handling for rate limits
@@ -179,7 +233,7 @@ class OSINTEngine {
                 }
                 break;
             case 'phone':
-                const phoneRegex = /^\+?[\d\s-]{10,}$/;
+                const phoneRegex = /^\+?[\d\s().-]{7,}$/;
                 if (!phoneRegex.test(query)) {
                     throw new Error('Invalid phone number format');
                 }
@@ -194,197 +248,13 @@ class OSINTEngine {
                     throw new Error('Name must be at least 2 characters long');
                 }
                 break;
-        }
-        return true;
-    }
-
-    // TrueCaller API Integration
-    async searchTruecaller(query, type) {
-        if (type !== 'phone') return null;
-        
-        try {
-            const response = await fetch('https://api4.truecaller.com/v1/search', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.API_KEYS.TRUECALLER}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    phone: query,
-                    countryCode: 'IN' // Adjust based on your needs
-                })
-            });
-
-            const data = await response.json();
-            return this.formatTruecallerResult(data);
-        } catch (error) {
-            throw new Error(`TrueCaller API error: ${error.message}`);
-        }
-    }
-
-    // Twitter API Integration (v2)
-    async searchTwitter(query, type) {
-        try {
-            const endpoint = type === 'email' 
-                ? `https://api.twitter.com/2/users/by/email/${query}`
-                : `https://api.twitter.com/2/users/by/username/${query}`;
-
-            const response = await fetch(endpoint, {
-                headers: {
-                    'Authorization': `Bearer ${this.API_KEYS.TWITTER}`,
-                    'Content-Type': 'application/json'
+            case 'domain':
+                if (!Utils.isValidDomain(query)) {
+                    throw new Error('Invalid domain name format');
                 }
-            });
-
-            const data = await response.json();
-            return this.formatTwitterResult(data);
-        } catch (error) {
-            throw new Error(`Twitter API error: ${error.message}`);
-        }
-    }
-
-    // GitHub API Integration
-    async searchGithub(query, type) {
-        try {
-            const response = await fetch(`https://api.github.com/search/users?q=${query}`, {
-                headers: {
-                    'Authorization': `token ${this.API_KEYS.GITHUB}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
-
-            const data = await response.json();
-            return this.formatGithubResult(data);
-        } catch (error) {
-            throw new Error(`GitHub API error: ${error.message}`);
-        }
-    }
-
-    // WhatsApp Business API Integration
-    async searchWhatsApp(query, type) {
-        if (type !== 'phone') return null;
-        
-        try {
-            // Using WhatsApp Business API to check number
-            const response = await fetch('https://graph.facebook.com/v17.0/WHATSAPP_BUSINESS_ACCOUNT_ID/messages', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.API_KEYS.FACEBOOK}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    messaging_product: "whatsapp",
-                    recipient_type: "individual",
-                    to: query,
-                    type: "template",
-                    template: { name: "hello_world", language: { code: "en" } }
-                })
-            });
-
-            const data = await response.json();
-            return this.formatWhatsAppResult(data);
-        } catch (error) {
-            throw new Error(`WhatsApp API error: ${error.message}`);
-        }
-    }
-
-    // UPI Handle Lookup (using appropriate payment system APIs)
-    async searchUPI(query, type) {
-        try {
-            // Implementation will depend on the specific UPI payment system API you have access to
-            const response = await fetch('https://api.upi.system/v1/handle/verify', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.API_KEYS.UPI}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    upiHandle: query
-                })
-            });
-
-            const data = await response.json();
-            return this.formatUPIResult(data);
-        } catch (error) {
-            throw new Error(`UPI API error: ${error.message}`);
+                break;
         }
-    }
-
-    // Result Formatters
-    formatTruecallerResult(data) {
-        return {
-            platform: 'TrueCaller',
-            status: data.name ? 'found' : 'not-found',
-            url: null,
-            description: data.name ? `Name: ${data.name}, Spam: ${data.spamScore}` : 'No information found',
-            content: this.generateFoundContent('TrueCaller', data, data.query, data.type),
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    formatTwitterResult(data) {
-        return {
-            platform: 'Twitter',
-            status: data.data ? 'found' : 'not-found',
-            url: data.data ? `https://twitter.com/${data.data.username}` : null,
-            description: data.data ? `Twitter user found: @${data.data.username}` : 'No Twitter account found',
-            content: this.generateFoundContent('Twitter', data, data.query, data.type),
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    formatGithubResult(data) {
-        return {
-            platform: 'GitHub',
-            status: data.total_count > 0 ? 'found' : 'not-found',
-            url: data.items?.[0]?.html_url || null,
-            description: data.total_count > 0 ? `GitHub user found: ${data.items[0].login}` : 'No GitHub account found',
-            content: this.generateFoundContent('GitHub', data, data.query, data.type),
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    // Generate content for found results
-    generateFoundContent(platform, data, query, type) {
-        const templates = {
-            'Google': `<div class="found-content">
-                <h4>Search Results</h4>
-                <p>Multiple results found for ${type}: ${query}</p>
-            </div>`,
-            'Facebook': `<div class="found-content">
-                <h4>Profile Found</h4>
-                <p>Facebook profile found for ${type}: ${query}</p>
-            </div>`,
-            'Twitter': `<div class="found-content">
-                <h4>Account Located</h4>
-                <p>Twitter account found matching ${type}: ${query}</p>
-            </div>`,
-            'Instagram': `<div class="found-content">
-                <h4>Instagram Profile</h4>
-                <p>Instagram account found for ${type}: ${query}</p>
-            </div>`,
-            'LinkedIn': `<div class="found-content">
-                <h4>Professional Profile</h4>
-                <p>LinkedIn profile found for ${type}: ${query}</p>
-            </div>`,
-            'GitHub': `<div class="found-content">
-                <h4>Developer Profile</h4>
-                <p>GitHub account found for ${type}: ${query}</p>
-            </div>`,
-            'Reddit': `<div class="found-content">
-                <h4>Reddit User</h4>
-                <p>Reddit account found for ${type}: ${query}</p>
-            </div>`,
-            'YouTube': `<div class="found-content">
-                <h4>YouTube Channel</h4>
-                <p>YouTube channel found for ${type}: ${query}</p>
-            </div>`
-        };
-
-        return templates[platform] || `<div class="found-content">
-            <h4>Results Found</h4>
-            <p>Information found on ${platform} for ${type}: ${query}</p>
-        </div>`;
+        return true;
     }
 
     // Weighted random choice
@@ -402,36 +272,25 @@ class OSINTEngine {
         return choices[choices.length - 1];
     }
 
-    // Format results for different platforms
-    formatDefaultResult(platform, data, query, type) {
+    // Format a structured API result (see lib/result-schema.js) for display and export
+    formatSchemaResult(platform, data, query, type) {
         return {
-            platform: platform,
-            status: data.found ? 'found' : 'not-found',
+            platform: data.platform || platform,
+            status: data.status || 'not-found',
             url: data.url || null,
+            query: data.query || query,
+            type: data.type || type,
             description: data.description || `Search completed on ${platform}`,
-            content: this.generateFoundContent(platform, data, query, type),
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    formatWhatsAppResult(data) {
-        return {
-            platform: 'WhatsApp',
-            status: data.contacts ? 'found' : 'not-found',
-            url: null,
-            description: data.contacts ? 'WhatsApp account exists' : 'No WhatsApp account found',
-            content: this.generateFoundContent('WhatsApp', data, data.query, data.type),
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    formatUPIResult(data) {
-        return {
-            platform: 'UPI',
-            status: data.valid ? 'found' : 'not-found',
-            url: null,
-            description: data.valid ? `Valid UPI ID: ${data.vpa}` : 'Invalid UPI handle',
-            content: this.generateFoundContent('UPI', data, data.query, data.type),
+            accounts: data.accounts || [],
+            posts: data.posts || [],
+            emails: data.emails || [],
+            links: data.links || [],
+            metrics: data.metrics || {},
+            entities: data.entities || [],
+            cached: Boolean(data.cached),
+            fetchedAt: data.fetchedAt,
+            data: data.data,
+            content: ResultRenderer.render(data),
             timestamp: new Date().toISOString()
         };
     }
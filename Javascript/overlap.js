@@ -0,0 +1,197 @@
+// Audience overlap panel: compare the followers and following of 2 to 5 Twitter accounts in a background job
+const OVERLAP_COLORS = ['#667eea', '#e8590c', '#2f9e44', '#c2255c', '#1098ad'];
+
+// Circle centres and region label positions of the Venn diagram for two and three accounts
+const VENN_LAYOUTS = {
+    2: {
+        circles: [[150, 120], [250, 120]],
+        radius: 85,
+        names: [[110, 24], [290, 24]],
+        regions: { '0': [110, 124], '1': [290, 124], '0+1': [200, 124] }
+    },
+    3: {
+        circles: [[160, 110], [240, 110], [200, 180]],
+        radius: 75,
+        names: [[110, 24], [290, 24], [200, 274]],
+        regions: { '0': [125, 95], '1': [275, 95], '2': [200, 225], '0+1': [200, 85], '0+2': [158, 162], '1+2': [242, 162], '0+1+2': [200, 136] }
+    }
+};
+
+const OVERLAP_RELATIONS = { follower: 'follows', followed: 'followed by', both: 'mutual' };
+
+class OverlapPanel {
+    constructor(app) {
+        this.app = app;
+        this.result = null;
+        // Which lists the diagrams compare: combined, followers or following
+        this.view = 'combined';
+        this.visible = false;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.getElementById('overlapToggleBtn').addEventListener('click', () => {
+            this.toggle(!this.visible);
+        });
+
+        document.getElementById('overlapCompareBtn').addEventListener('click', () => {
+            this.compare();
+        });
+
+        document.getElementById('overlapView').addEventListener('change', (e) => {
+            this.view = e.target.value;
+            this.render();
+        });
+
+        document.getElementById('overlapResults').addEventListener('click', (e) => {
+            const button = e.target.closest('.pivot-btn');
+            if (button) {
+                this.app.pivot(button.dataset.pivotType, button.dataset.pivotQuery, button.dataset.platform);
+            }
+        });
+    }
+
+    toggle(visible) {
+        this.visible = visible;
+        document.getElementById('overlapDetails').classList.toggle('hidden', !this.visible);
+        document.getElementById('overlapToggleBtn').textContent = this.visible ? 'Hide' : 'Show';
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Queue the comparison; the result shows up here when the job finishes, which may take several
+    // rate limit windows for large accounts
+    async compare() {
+        const usernames = document.getElementById('overlapUsernames').value
+            .split(/[\s,]+/)
+            .map(username => username.replace(/^@/, ''))
+            .filter(Boolean);
+        const cap = parseInt(document.getElementById('overlapCap').value, 10) || undefined;
+        if (usernames.length < 2) {
+            Utils.showNotification('Enter at least two Twitter usernames', 'error');
+            return;
+        }
+
+        try {
+            const job = await this.request('/api/twitter/overlap', { method: 'POST', body: { usernames, cap } });
+            this.app.jobsPanel.upsert(job);
+            this.app.jobsPanel.subscribe(job.id, (finished) => {
+                if (finished.state === 'succeeded' && finished.result) this.show(finished.result);
+            });
+            document.getElementById('overlapStatus').textContent = `Comparing ${usernames.map(username => `@${username}`).join(', ')}; progress is shown under Background Jobs`;
+            Utils.showNotification('Overlap analysis queued', 'success');
+        } catch (error) {
+            Utils.showNotification(`Failed to compare accounts: ${error.message}`, 'error');
+        }
+    }
+
+    // Show a finished overlap job, e.g. opened from the jobs panel
+    show(result) {
+        this.result = result;
+        document.getElementById('overlapStatus').textContent = '';
+        this.toggle(true);
+        this.render();
+        document.getElementById('overlapResults').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    render() {
+        const container = document.getElementById('overlapResults');
+        const result = this.result;
+        if (!result) {
+            container.innerHTML = '';
+            return;
+        }
+        const escape = ResultRenderer.escape;
+        const comparison = result[this.view];
+        const handle = (username) => `@${escape(username)}`;
+        document.getElementById('overlapSummary').textContent = `${result.accounts.map(username => `@${username}`).join(', ')}: ${result.sharedTotal.toLocaleString()} shared accounts`;
+
+        container.innerHTML = `
+            <h6>Coverage (up to ${result.cap.toLocaleString()} per list)</h6>
+            <table class="overlap-table">
+                <thead><tr><th>Account</th><th>Followers</th><th>Following</th></tr></thead>
+                <tbody>${result.accounts.map(username => `
+                    <tr>
+                        <td>${handle(username)}</td>
+                        ${['followers', 'following'].map(kind => {
+                            const list = result.coverage[username][kind];
+                            return `<td>${list.fetched.toLocaleString()} of ${list.total.toLocaleString()}${list.error ? `<div class="health-error">${escape(list.error)}</div>` : ''}</td>`;
+                        }).join('')}
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            ${result.direct.length > 0 ? `<p class="overlap-note">${result.direct.map(link => `${handle(link.from)} follows ${handle(link.to)}`).join(' • ')}</p>` : ''}
+
+            <h6>Similarity</h6>
+            <table class="overlap-table">
+                <thead><tr><th>Accounts</th><th>In Common</th><th>Union</th><th>Jaccard</th></tr></thead>
+                <tbody>${comparison.pairs.map(pair => `
+                    <tr>
+                        <td>${pair.accounts.map(handle).join(' & ')}</td>
+                        <td>${pair.intersection.toLocaleString()}</td>
+                        <td>${pair.union.toLocaleString()}</td>
+                        <td>${(pair.jaccard * 100).toFixed(1)}%</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            ${result.accounts.length > 2 ? `<p class="overlap-note">${comparison.sharedByAll.toLocaleString()} accounts are in all ${result.accounts.length} lists</p>` : ''}
+
+            <h6>Overlap</h6>
+            ${OverlapPanel.renderVenn(result.accounts, comparison.regions)}
+            ${ResultRenderer.renderBarChart(Object.entries(comparison.regions)
+                .filter(([key]) => key.includes('+'))
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 15)
+                .map(([key, value]) => ({ label: key.split('+').map(index => `@${result.accounts[index]}`).join(' + '), value })))}
+
+            <h6>Shared Accounts${result.sharedTotal > result.shared.length ? ` (top ${result.shared.length} of ${result.sharedTotal.toLocaleString()})` : ''}</h6>
+            ${result.shared.length === 0 ? '<p class="overlap-note">No account is tied to more than one of them</p>' : `
+            <table class="overlap-table">
+                <thead><tr><th>Account</th><th>Followers</th><th>Relation</th><th>Score</th></tr></thead>
+                <tbody>${result.shared.map(account => `
+                    <tr>
+                        <td>
+                            ${account.username ? `
+                            <a href="${ResultRenderer.safeUrl(`https://twitter.com/${account.username}`)}" target="_blank" rel="noopener noreferrer">@${escape(account.username)}</a>
+                            ${account.verified ? '<i class="fas fa-check-circle" title="Verified"></i>' : ''}
+                            <button class="pivot-btn" data-pivot-type="username" data-pivot-query="${escape(account.username)}" data-platform="twitter" title="Search username ${escape(account.username)}">
+                                <i class="fas fa-share"></i> Pivot
+                            </button>` : escape(account.id)}
+                            ${account.name ? `<div class="overlap-note">${escape(account.name)}</div>` : ''}
+                        </td>
+                        <td>${account.followers === null ? '' : account.followers.toLocaleString()}</td>
+                        <td>${Object.entries(account.relations).map(([username, relation]) => `
+                            <span class="overlap-relation ${escape(relation)}">${OVERLAP_RELATIONS[relation]} ${handle(username)}</span>
+                        `).join('')}</td>
+                        <td>${account.score}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>`}
+        `;
+    }
+
+    // Venn diagram of the region counts for two or three accounts; more accounts only get the region bars
+    static renderVenn(accounts, regions) {
+        const layout = VENN_LAYOUTS[accounts.length];
+        if (!layout) return '';
+        const escape = ResultRenderer.escape;
+        return `
+            <svg class="overlap-venn" viewBox="0 0 400 ${accounts.length === 3 ? 290 : 230}" xmlns="http://www.w3.org/2000/svg">
+                ${layout.circles.map(([x, y], i) => `<circle cx="${x}" cy="${y}" r="${layout.radius}" style="fill: ${OVERLAP_COLORS[i]}; stroke: ${OVERLAP_COLORS[i]}" />`).join('')}
+                ${layout.names.map(([x, y], i) => `<text class="overlap-venn-name" x="${x}" y="${y}" style="fill: ${OVERLAP_COLORS[i]}">@${escape(accounts[i])}</text>`).join('')}
+                ${Object.entries(layout.regions).map(([key, [x, y]]) => `<text x="${x}" y="${y}">${(regions[key] || 0).toLocaleString()}</text>`).join('')}
+            </svg>
+        `;
+    }
+}
@@ -1,129 +1,72 @@
-// Platform configurations for OSINT searches
+// Search providers as reported by /api/providers; builds the platform checkboxes
 const PlatformConfig = {
-    google: {
-        name: 'Google',
-        icon: 'fab fa-google',
-        searchUrl: (query, type) => {
-            const encodedQuery = encodeURIComponent(query);
-            switch(type) {
-                case 'email':
-                    return `https://www.google.com/search?q="${encodedQuery}"`;
-                case 'phone':
-                    return `https://www.google.com/search?q="${encodedQuery}"`;
-                case 'username':
-                    return `https://www.google.com/search?q="${encodedQuery}"`;
-                case 'name':
-                    return `https://www.google.com/search?q="${encodedQuery}"`;
-                default:
-                    return `https://www.google.com/search?q=${encodedQuery}`;
-            }
-        },
-        checkMethod: 'redirect' // Will redirect to search page
-    },
-
-    facebook: {
-        name: 'Facebook',
-        icon: 'fab fa-facebook',
-        searchUrl: (query, type) => {
-            const encodedQuery = encodeURIComponent(query);
-            return `https://www.facebook.com/search/people/?q=${encodedQuery}`;
-        },
-        checkMethod: 'redirect'
-    },
+    providers: [],
 
-    twitter: {
-        name: 'Twitter',
-        icon: 'fab fa-twitter',
-        searchUrl: (query, type) => {
-            const encodedQuery = encodeURIComponent(query);
-            if (type === 'username') {
-                return `/api/twitter/user/${encodedQuery}`;
+    async load() {
+        try {
+            const response = await fetch('/api/providers');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
-            return `/api/twitter/search?query=${encodedQuery}&type=${type || 'tweet'}`;
-        },
-        checkMethod: 'api',
-        processResponse: async (response) => {
-            const data = await response.json();
-            return {
-                found: data.status === 'found',
-                url: data.url,
-                content: data.content,
-                description: data.description || 'Twitter search results'
-            };
+            this.providers = await response.json();
+        } catch (error) {
+            console.error('Failed to load providers:', error);
+            Utils.showNotification(`Failed to load search providers: ${error.message}`, 'error');
         }
+        return this.providers;
     },
 
-    instagram: {
-        name: 'Instagram',
-        icon: 'fab fa-instagram',
-        searchUrl: (query, type) => {
-            if (type === 'username') {
-                return `https://www.instagram.com/${query}/`;
-            }
-            const encodedQuery = encodeURIComponent(query);
-            return `https://www.instagram.com/explore/tags/${encodedQuery}/`;
-        },
-        checkMethod: 'redirect'
+    get(id) {
+        return this.providers.find(provider => provider.id === String(id).toLowerCase());
     },
 
-    hunter: {
-        name: 'Hunter.io',
-        icon: 'fas fa-search',
-        searchUrl: (query, type) => {
-            const encodedQuery = encodeURIComponent(query);
-            if (type === 'domain') {
-                return `https://hunter.io/search/${encodedQuery}`;
-            } else if (type === 'email') {
-                return `https://hunter.io/email-verifier/${encodedQuery}`;
-            }
-            return `https://hunter.io/search/${encodedQuery}`;
-        },
-        checkMethod: 'redirect'
+    iconClass(id) {
+        const provider = this.get(id);
+        return provider ? provider.icon : 'fas fa-search';
     },
 
-    github: {
-        name: 'GitHub',
-        icon: 'fab fa-github',
-        searchUrl: (query, type) => {
-            if (type === 'username') {
-                return `https://github.com/${query}`;
-            }
-            const encodedQuery = encodeURIComponent(query);
-            return `https://github.com/search?q=${encodedQuery}&type=users`;
-        },
-        checkMethod: 'redirect'
+    // Link to the provider's own search page, falling back to a site-restricted Google search
+    searchUrl(id, query) {
+        const provider = this.get(id);
+        if (provider && provider.searchUrl) {
+            return provider.searchUrl.replace('{query}', encodeURIComponent(query));
+        }
+        return `https://www.google.com/search?q=${encodeURIComponent(query)}+site:${String(id).toLowerCase()}.com`;
     },
 
-    reddit: {
-        name: 'Reddit',
-        icon: 'fab fa-reddit',
-        searchUrl: (query, type) => {
-            const encodedQuery = encodeURIComponent(query);
-            if (type === 'username') {
-                return `/api/reddit/user/${encodedQuery}`;
-            }
-            return `/api/reddit/search?query=${encodedQuery}&type=${type || 'posts'}`;
-        },
-        checkMethod: 'api',
-        processResponse: async (response) => {
-            const data = await response.json();
-            return {
-                found: data.status === 'found',
-                url: data.url,
-                content: data.content,
-                description: data.description || 'Reddit search results'
-            };
-        }
+    // Providers missing required credentials are shown but cannot be selected
+    renderSelection(container) {
+        container.innerHTML = this.providers.map(provider => {
+            const title = provider.configured
+                ? provider.description
+                : `Not configured: set ${provider.missing.join(', ')} on the server`;
+            return `
+                <label class="platform-item${provider.configured ? '' : ' disabled'}" data-platform="${provider.id}" title="${ResultRenderer.escape(title)}">
+                    <input type="checkbox" value="${provider.id}" ${provider.configured && provider.defaultSelected ? 'checked' : ''} ${provider.configured ? '' : 'disabled'}>
+                    <span><i class="${provider.icon}" style="color:${provider.color}"></i> ${ResultRenderer.escape(provider.name)}</span>
+                </label>
+            `;
+        }).join('');
+    },
+
+    // Checked providers that search a type. Providers hidden for the current search type still count
+    // when checked, so a name search can go on to search usernames or emails
+    selectedFor(type) {
+        return Array.from(document.querySelectorAll('.platform-item input[type="checkbox"]:checked'))
+            .map(checkbox => checkbox.value)
+            .filter(id => {
+                const provider = this.get(id);
+                return provider && provider.configured && provider.searchTypes.includes(type);
+            });
     },
 
-    youtube: {
-        name: 'YouTube',
-        icon: 'fab fa-youtube',
-        searchUrl: (query, type) => {
-            const encodedQuery = encodeURIComponent(query);
-            return `https://www.youtube.com/results?search_query=${encodedQuery}`;
-        },
-        checkMethod: 'redirect'
+    // Only offer providers that support the chosen search type, e.g. phone lookups for phone numbers
+    applySearchType(type) {
+        document.querySelectorAll('.platform-item[data-platform]').forEach(item => {
+            const provider = this.get(item.dataset.platform);
+            const supported = provider.searchTypes.includes(type);
+            item.classList.toggle('hidden', !supported);
+            item.querySelector('input').disabled = !provider.configured || !supported;
+        });
     }
 };
-    
\ No newline at end of file
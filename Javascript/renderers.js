@@ -0,0 +1,605 @@
+// Client-side rendering of the structured API result schema
+const ResultRenderer = {
+    // Escape any value before it is placed in markup
+    escape: (value) => Utils.sanitizeInput(value === undefined || value === null ? '' : String(value)),
+
+    // Only allow http(s) links in href attributes
+    safeUrl: (url) => /^https?:\/\//i.test(url || '') ? encodeURI(url) : '#',
+
+    formatDate: (value) => value ? new Date(value).toLocaleDateString() : '',
+
+    // Render a full result envelope
+    render: (result) => {
+        if (result.status === 'error') {
+            return `<div class="found-content"><p>${ResultRenderer.escape(result.description || result.error)}</p></div>`;
+        }
+
+        const sections = [
+            ResultRenderer.renderPhoneAnalysis(result.data && result.data.analysis),
+            ResultRenderer.renderEmailAnalysis(result.data && result.data.analysis, result.platform),
+            ResultRenderer.renderDomainReport(result.data && result.data.report, result.platform),
+            ResultRenderer.renderGithubReport(result.data && result.data.github, result.platform),
+            ResultRenderer.renderYoutubeChannel(result.data && result.data.youtube),
+            ResultRenderer.renderRedditAnalytics(result.platform === 'reddit' && result.data && result.data.analytics),
+            ResultRenderer.renderTwitterAnalytics(result.platform === 'twitter' && result.data && result.data.analytics),
+            ResultRenderer.renderAccounts(result.accounts || []),
+            ResultRenderer.renderEmails(result.emails || [], result.data),
+            ResultRenderer.renderPosts(result.posts || []),
+            ResultRenderer.renderLinks(result.links || []),
+            ResultRenderer.renderSiteChecks((result.data && result.data.checks) || []),
+            ResultRenderer.renderEntities(result.entities || [], result.platform)
+        ].filter(Boolean);
+
+        if (sections.length === 0) {
+            return `<div class="found-content"><p>${ResultRenderer.escape(result.description)}</p></div>`;
+        }
+        return sections.join('');
+    },
+
+    renderMetrics: (metrics = {}) => {
+        const entries = Object.entries(metrics).filter(([, value]) => typeof value === 'number');
+        if (entries.length === 0) return '';
+        return `<div class="user-metrics">${entries.map(([name, value]) =>
+            `<span><strong>${value.toLocaleString()}</strong> ${ResultRenderer.escape(name)}</span>`
+        ).join('')}</div>`;
+    },
+
+    // Same thresholds as config/correlation-config.js
+    confidenceLevel: (score) => score >= 0.75 ? 'high' : score >= 0.45 ? 'medium' : 'low',
+
+    renderAccounts: (accounts) => {
+        if (accounts.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        // Site enumeration accounts are listed by renderSiteChecks instead
+        accounts = accounts.filter(account => account.displayName || account.bio || account.avatarUrl || account.metrics && Object.keys(account.metrics).length > 0);
+        if (accounts.length === 0) return '';
+        return `<div class="account-results">${accounts.map(account => `
+            <div class="user-card ${account.matchScore !== undefined ? `${ResultRenderer.confidenceLevel(account.matchScore)}-confidence` : ''}">
+                <div class="user-header">
+                    ${account.avatarUrl ? `<img src="${ResultRenderer.safeUrl(account.avatarUrl)}" alt="${escape(account.username)}" class="profile-image">` : ''}
+                    <div class="user-names">
+                        ${account.displayName ? `<h4>${escape(account.displayName)}</h4>` : ''}
+                        <span class="username">${escape(account.username)}</span>
+                        ${account.verified ? '<span class="verified-badge" title="Verified Account">✓</span>' : ''}
+                        ${account.protected ? '<span class="protected-badge" title="Protected Account">🔒</span>' : ''}
+                    </div>
+                </div>
+                <div class="user-bio">
+                    ${account.bio ? `<p class="user-description">${escape(account.bio)}</p>` : ''}
+                    ${account.location ? `<p class="user-location"><i class="fas fa-map-marker-alt"></i> ${escape(account.location)}</p>` : ''}
+                    ${account.createdAt ? `<p class="user-joined"><i class="far fa-calendar-alt"></i> Joined ${ResultRenderer.formatDate(account.createdAt)}</p>` : ''}
+                </div>
+                ${account.matchReasons && account.matchReasons.length > 0 ? `
+                <div class="match-info">
+                    <p class="confidence-score">Match Confidence: ${ResultRenderer.confidenceLevel(account.matchScore)} (${Math.round(account.matchScore * 100)}%)</p>
+                    <ul class="match-reasons">${account.matchReasons.map(reason => `<li>${escape(reason)}</li>`).join('')}</ul>
+                </div>` : ''}
+                ${ResultRenderer.renderMetrics(account.metrics)}
+                ${account.url ? `<div class="user-actions">
+                    <a href="${ResultRenderer.safeUrl(account.url)}" target="_blank" class="profile-link">View Profile</a>
+                </div>` : ''}
+            </div>
+        `).join('')}</div>`;
+    },
+
+    // Correlation groups and the explained pair scores behind them
+    renderCorrelation: (result) => {
+        const escape = ResultRenderer.escape;
+        const { pairs = [], clusters = [] } = result.data || {};
+        const signals = (pair) => pair.signals.map(signal => `
+            <li>${escape(signal.detail)} <span class="signal-weight">+${Math.round(signal.contribution * 100)}</span></li>
+        `).join('');
+        return `
+            <div class="correlation-results">
+                <p>${escape(result.description)}</p>
+                ${clusters.map((cluster, index) => `
+                    <div class="correlation-cluster ${cluster.confidence}-confidence">
+                        <h5>Identity ${index + 1}: ${escape(cluster.confidence)} confidence (${Math.round(cluster.score * 100)}%)</h5>
+                        <p>${cluster.members.map(member => `<span class="entity-chip">${escape(member)}</span>`).join('')}</p>
+                    </div>
+                `).join('')}
+                ${pairs.length > 0 ? `
+                    <h5>Account pairs</h5>
+                    <ul class="correlation-pairs">
+                        ${pairs.slice(0, 20).map(pair => `
+                            <li class="${pair.confidence}-confidence">
+                                <strong>${escape(pair.a)}</strong> ↔ <strong>${escape(pair.b)}</strong>
+                                <span class="confidence-score">${escape(pair.confidence)} (${Math.round(pair.score * 100)}%)</span>
+                                <ul class="match-reasons">${signals(pair)}</ul>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    renderEmails: (emails, data = {}) => {
+        if (emails.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        return `
+            <div class="hunter-results">
+                ${data && data.domain ? `<h4>Domain: ${escape(data.domain)}</h4>` : ''}
+                ${data && data.pattern ? `<p>Email Pattern: ${escape(data.pattern)}</p>` : ''}
+                <ul class="hunter-email-list">${emails.map(email => `
+                    <li>
+                        <strong>${escape(email.address)}</strong>
+                        ${email.firstName || email.lastName ? `<br>${escape([email.firstName, email.lastName].filter(Boolean).join(' '))}` : ''}
+                        ${email.position ? `<br>Position: ${escape(email.position)}` : ''}
+                        ${email.department ? `<br>Department: ${escape(email.department)}` : ''}
+                        ${email.status ? `<br>Status: ${escape(email.status)}` : ''}
+                        ${email.score !== undefined ? `<br>Score: ${escape(email.score)}` : ''}
+                    </li>
+                `).join('')}</ul>
+            </div>
+        `;
+    },
+
+    renderPosts: (posts) => {
+        if (posts.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        return `<ul class="reddit-list">${posts.map(post => {
+            const text = post.text && post.text.length > 200 ? `${post.text.substring(0, 200)}...` : post.text;
+            const meta = [
+                post.community ? `in r/${escape(post.community)}` : '',
+                ResultRenderer.formatDate(post.createdAt),
+                ...Object.entries(post.metrics || {})
+                    .filter(([, value]) => value)
+                    .map(([name, value]) => `${value} ${escape(name)}`)
+            ].filter(Boolean).join(' • ');
+            return `
+                <li>
+                    ${post.title ? `<a href="${ResultRenderer.safeUrl(post.url)}" target="_blank">${escape(post.title)}</a>` : ''}
+                    ${text ? `<div class="comment-body">${escape(text)}</div>` : ''}
+                    ${!post.title && post.url ? `<a href="${ResultRenderer.safeUrl(post.url)}" target="_blank" class="tweet-link">View ${escape(post.kind)}</a>` : ''}
+                    <span class="reddit-meta">${meta}</span>
+                </li>
+            `;
+        }).join('')}</ul>`;
+    },
+
+    // Username enumeration checks, profiles that exist first
+    renderSiteChecks: (checks) => {
+        if (checks.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        const order = { 'exists': 0, 'unknown': 1, 'not-exists': 2 };
+        const sorted = [...checks].sort((a, b) => order[a.state] - order[b.state]);
+        return `<ul class="site-checks">${sorted.map(check => `
+            <li class="site-check ${escape(check.state)}" title="${escape(check.evidence && (check.evidence.reason || check.evidence.matched))}">
+                <a href="${ResultRenderer.safeUrl(check.url)}" target="_blank">${escape(check.site)}</a>
+                <span class="site-check-state">${escape(check.state)}</span>
+                ${check.evidence && check.evidence.matched ? `<span class="reddit-meta">${escape(check.evidence.matched)}</span>` : ''}
+            </li>
+        `).join('')}</ul>`;
+    },
+
+    // Offline phone number analysis and the spellings used by the other searches
+    renderPhoneAnalysis: (analysis) => {
+        if (!analysis || !analysis.e164) return '';
+        const escape = ResultRenderer.escape;
+        const facts = [
+            ['E.164', analysis.e164],
+            ['International', analysis.formats.international],
+            ['National', analysis.formats.national],
+            ['Country', analysis.country],
+            ['Line type', analysis.lineType],
+            ['Carrier range', analysis.carrier],
+            ['Location', analysis.location],
+            ['Timezones', analysis.timezones.join(', ')]
+        ].filter(([, value]) => value);
+        return `
+            <div class="phone-analysis">
+                <table class="analysis-facts">
+                    ${facts.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>
+                <h5>Formatting Variants</h5>
+                <div class="phone-variants">${analysis.variants.map(variant => `<code>${escape(variant)}</code>`).join('')}</div>
+            </div>
+        `;
+    },
+
+    // Offline email analysis; username candidates can be searched directly
+    renderEmailAnalysis: (analysis, platform) => {
+        if (!analysis || !analysis.aliases) return '';
+        const escape = ResultRenderer.escape;
+        const flags = [
+            [analysis.disposable, 'Disposable domain', true],
+            [analysis.roleAccount, 'Role account', true],
+            [analysis.freeProvider, 'Free provider', false],
+            [analysis.aliases.tag, `Plus tag: ${analysis.aliases.tag}`, false],
+            [analysis.aliases.dotsIgnored, 'Dots ignored', false],
+            [analysis.dns && !analysis.dns.acceptsMail, 'No MX records', true]
+        ].filter(([active]) => active);
+        const facts = [
+            ['Provider', analysis.provider],
+            ['Mailbox', analysis.aliases.canonical],
+            ['Also delivers', analysis.aliases.equivalents.join(', ')],
+            ['MX', analysis.dns && analysis.dns.mx.map(record => `${record.priority} ${record.exchange}`).join(', ')],
+            ['SPF', analysis.dns && analysis.dns.spf],
+            ['DMARC', analysis.dns && analysis.dns.dmarc],
+            ['DNS', analysis.dnsError && `Lookup failed: ${analysis.dnsError}`]
+        ].filter(([, value]) => value);
+        return `
+            <div class="email-analysis">
+                ${flags.length > 0 ? `<div class="analysis-flags">${flags.map(([, label, warning]) =>
+                    `<span class="analysis-flag${warning ? ' warning' : ''}">${escape(label)}</span>`
+                ).join('')}</div>` : ''}
+                <table class="analysis-facts">
+                    ${facts.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>
+                ${analysis.usernameCandidates.length > 0 ? `
+                <div class="entity-list">
+                    <h5>Username Candidates</h5>
+                    ${analysis.usernameCandidates.map(candidate => `
+                        <span class="entity-chip username">
+                            <i class="fas fa-user"></i> ${escape(candidate)}
+                            <button class="pivot-btn" data-pivot-type="username" data-pivot-query="${escape(candidate)}" data-platform="${escape(platform)}" title="Search username ${escape(candidate)}">
+                                <i class="fas fa-share"></i> Pivot
+                            </button>
+                        </span>
+                    `).join('')}
+                </div>` : ''}
+            </div>
+        `;
+    },
+
+    // One DNS answer as text; MX, SOA and CAA answers are objects
+    formatDnsRecord: (type, record) => {
+        if (type === 'MX') return `${record.priority} ${record.exchange || '.'}`;
+        if (type === 'SOA') return `${record.nsname} ${record.hostmaster} serial ${record.serial}`;
+        if (type === 'CAA') return ['issue', 'issuewild', 'iodef'].filter(tag => record[tag]).map(tag => `${tag} ${record[tag]}`).join(', ');
+        return String(record);
+    },
+
+    // Registration, DNS, certificate transparency subdomains and the email pattern of a domain
+    renderDomainReport: (report, platform) => {
+        if (!report) return '';
+        const escape = ResultRenderer.escape;
+        const sectionNames = { registration: 'Registration', dns: 'DNS', subdomains: 'Subdomains', emails: 'Hunter.io' };
+        const registration = report.registration;
+        const registrationFacts = registration ? [
+            ['Registrar', registration.registrar && `${registration.registrar}${registration.registrarIanaId ? ` (IANA ${registration.registrarIanaId})` : ''}`],
+            ['Registered', ResultRenderer.formatDate(registration.created)],
+            ['Updated', ResultRenderer.formatDate(registration.updated)],
+            ['Expires', ResultRenderer.formatDate(registration.expires)],
+            ['Status', registration.status.join(', ')],
+            ['Nameservers', registration.nameservers.join(', ')],
+            ['DNSSEC', registration.dnssec === null ? '' : registration.dnssec ? 'signed' : 'unsigned'],
+            ['Registrant', registration.registrant && [registration.registrant.name, registration.registrant.organization, registration.registrant.email, registration.registrant.country].filter(Boolean).join(', ')],
+            ['Abuse contact', registration.abuseEmail]
+        ].filter(([, value]) => value) : [];
+        const dnsFacts = report.dns ? [
+            ...Object.entries(report.dns.records)
+                .map(([type, records]) => [type, (Array.isArray(records) ? records : [records]).map(record => ResultRenderer.formatDnsRecord(type, record)).join('\n')]),
+            ['SPF', report.dns.mail && report.dns.mail.spf],
+            ['DMARC', report.dns.mail && report.dns.mail.dmarc]
+        ].filter(([, value]) => value) : [];
+        const pattern = report.emailPattern;
+        const subdomains = report.subdomains ? report.subdomains.subdomains : [];
+
+        return `
+            <div class="domain-report">
+                ${Object.entries(report.errors || {}).map(([section, error]) =>
+                    `<p class="domain-report-error">${escape(sectionNames[section] || section)} lookup failed: ${escape(error)}</p>`
+                ).join('')}
+                ${registrationFacts.length > 0 ? `
+                <h5>Registration</h5>
+                <table class="analysis-facts">
+                    ${registrationFacts.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>` : ''}
+                ${dnsFacts.length > 0 ? `
+                <h5>DNS Records</h5>
+                <table class="analysis-facts dns-records">
+                    ${dnsFacts.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>` : ''}
+                ${pattern ? `<p><strong>Email Pattern:</strong> ${escape(pattern.pattern)}@${escape(report.domain)} ${pattern.source === 'hunter'
+                    ? '(Hunter.io)'
+                    : `(guessed from ${pattern.matches} of ${pattern.sample} named addresses)`}</p>` : ''}
+                ${subdomains.length > 0 ? `
+                <div class="entity-list">
+                    <h5>Subdomains from Certificate Transparency (${report.subdomains.total}, ${escape(report.subdomains.source)})</h5>
+                    <ul class="subdomain-list">${subdomains.map(subdomain => `
+                        <li>
+                            <span>${escape(subdomain.name)}</span>
+                            <span class="case-meta">${ResultRenderer.formatDate(subdomain.firstSeen)} – ${ResultRenderer.formatDate(subdomain.lastSeen)} • ${subdomain.certificates} certificates</span>
+                            <button class="pivot-btn" data-pivot-type="domain" data-pivot-query="${escape(subdomain.name)}" data-platform="${escape(platform)}" title="Search domain ${escape(subdomain.name)}">
+                                <i class="fas fa-share"></i> Pivot
+                            </button>
+                        </li>
+                    `).join('')}</ul>
+                </div>` : ''}
+            </div>
+        `;
+    },
+
+    // Organisations, activity dates, commit authors from push events, public keys and gists of a GitHub login
+    renderGithubReport: (report, platform) => {
+        if (!report) return '';
+        const escape = ResultRenderer.escape;
+        const formatDate = ResultRenderer.formatDate;
+        const profile = report.profile;
+        const activity = report.activity;
+        const pivot = (type, query) => `
+            <button class="pivot-btn" data-pivot-type="${type}" data-pivot-query="${escape(query)}" data-platform="${escape(platform)}" title="Search ${type} ${escape(query)}">
+                <i class="fas fa-share"></i> Pivot
+            </button>`;
+        const facts = [
+            ['Company', profile.company],
+            ['Twitter', profile.twitterUsername && `@${profile.twitterUsername}`],
+            ['Account created', formatDate(activity.accountCreated)],
+            ['First seen', formatDate(activity.firstSeen)],
+            ['Last seen', formatDate(activity.lastSeen)],
+            ['Public events', activity.events.total > 0 && `${activity.events.total} between ${formatDate(activity.events.window.firstSeen)} and ${formatDate(activity.events.window.lastSeen)}: ${
+                Object.entries(activity.events.types).map(([type, count]) => `${count} ${type.replace(/Event$/, '')}`).join(', ')}`],
+            ['Repositories', `${report.repositories.total} (${report.repositories.forks} forks, ${report.repositories.stars} stars)`],
+            ['Languages', report.repositories.languages.map(entry => `${entry.language} (${entry.count})`).join(', ')],
+            ['SSH keys', report.keys.ssh.map(key => `${key.type} ${key.fingerprint}`).join('\n')],
+            ['GPG keys', report.keys.gpg.map(key => `${key.keyId}${key.emails.length > 0 ? ` (${key.emails.map(email => email.email).join(', ')})` : ''}`).join('\n')]
+        ].filter(([, value]) => value);
+
+        return `
+            <div class="github-report">
+                ${Object.entries(report.errors || {}).map(([section, error]) =>
+                    `<p class="domain-report-error">${escape(section)} lookup failed: ${escape(error)}</p>`
+                ).join('')}
+                <table class="analysis-facts github-facts">
+                    ${facts.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>
+                ${report.organizations.length > 0 ? `
+                <div class="entity-list">
+                    <h5>Organisations</h5>
+                    ${report.organizations.map(org => `
+                        <span class="entity-chip username">
+                            <a href="${ResultRenderer.safeUrl(org.url)}" target="_blank">${escape(org.login)}</a>
+                            ${pivot('username', org.login)}
+                        </span>
+                    `).join('')}
+                </div>` : ''}
+                ${report.commitAuthors.length > 0 ? `
+                <h5>Commit Authors in Push Events</h5>
+                <table class="github-authors">
+                    <tr><th>Name</th><th>Email</th><th>Commits</th><th>Repositories</th><th>Seen</th><th></th></tr>
+                    ${report.commitAuthors.map(author => `
+                        <tr>
+                            <td>${escape(author.name)}</td>
+                            <td>${escape(author.email)}${author.noreply ? ' <span class="case-meta">(noreply)</span>' : ''}</td>
+                            <td>${author.commits}</td>
+                            <td>${escape(author.repositories.join(', '))}</td>
+                            <td>${formatDate(author.firstSeen)} – ${formatDate(author.lastSeen)}</td>
+                            <td>${author.email && !author.noreply ? pivot('email', author.email) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </table>` : ''}
+                ${report.gists.length > 0 ? `
+                <h5>Gists (${report.gists.length})</h5>
+                <ul class="github-gists">${report.gists.map(gist => `
+                    <li>
+                        <a href="${ResultRenderer.safeUrl(gist.url)}" target="_blank">${escape(gist.description || gist.files.join(', ') || gist.id)}</a>
+                        <span class="case-meta">${escape(gist.files.join(', '))} • ${formatDate(gist.createdAt)} – ${formatDate(gist.updatedAt)}</span>
+                    </li>
+                `).join('')}</ul>` : ''}
+            </div>
+        `;
+    },
+
+    // Channel facts of a YouTube lookup; the uploads are listed as posts and the description links as links
+    renderYoutubeChannel: (channel) => {
+        if (!channel) return '';
+        const escape = ResultRenderer.escape;
+        const formatDate = ResultRenderer.formatDate;
+        // Counts read from the channel page are rounded by YouTube
+        const count = (value) => value === null ? '' : `${channel.approximateCounts ? 'about ' : ''}${value.toLocaleString()}`;
+        const latest = channel.uploads.length > 0 ? channel.uploads[0] : null;
+        const facts = [
+            ['Channel ID', channel.id],
+            ['Handle', channel.handle && `@${channel.handle}`],
+            ['Custom URL', channel.customUrl && !channel.customUrl.includes(`@${channel.handle}`) ? channel.customUrl : null],
+            ['Created', formatDate(channel.createdAt)],
+            ['Country', channel.country],
+            ['Subscribers', channel.subscribersHidden ? 'Hidden' : count(channel.subscribers)],
+            ['Videos', count(channel.videos)],
+            ['Views', count(channel.views)],
+            ['Latest upload', latest && `${formatDate(latest.publishedAt)}: ${latest.title}`],
+            ['Keywords', channel.keywords.join(', ')],
+            ['Source', channel.source === 'api' ? 'YouTube Data API' : 'Public channel page']
+        ].filter(([, value]) => value);
+
+        return `
+            <div class="youtube-channel">
+                ${channel.bannerUrl ? `<img src="${ResultRenderer.safeUrl(channel.bannerUrl)}" alt="" class="youtube-banner">` : ''}
+                ${Object.entries(channel.errors || {}).map(([section, error]) =>
+                    `<p class="domain-report-error">${escape(section)} lookup failed: ${escape(error)}</p>`
+                ).join('')}
+                <table class="analysis-facts github-facts">
+                    ${facts.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+                </table>
+            </div>
+        `;
+    },
+
+    // Horizontal bars for [{ label, value, note }], scaled to the largest value
+    renderBarChart: (entries) => {
+        if (entries.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        const largest = Math.max(...entries.map(entry => entry.value), 1);
+        return `<div class="bar-chart">${entries.map(entry => `
+            <div class="bar-row">
+                <span class="bar-label" title="${escape(entry.label)}">${escape(entry.label)}</span>
+                <span class="bar-track"><span class="bar-fill" style="width: ${(entry.value / largest * 100).toFixed(1)}%"></span></span>
+                <span class="bar-value">${escape(entry.note || entry.value.toLocaleString())}</span>
+            </div>
+        `).join('')}</div>`;
+    },
+
+    // Line over [{ label, value }] as inline SVG, labelled at both ends
+    renderLineChart: (points) => {
+        if (points.length < 2) return '';
+        const escape = ResultRenderer.escape;
+        const width = 600;
+        const height = 140;
+        const values = points.map(point => point.value);
+        const low = Math.min(...values, 0);
+        const span = Math.max(...values) - low || 1;
+        const coordinates = points.map((point, i) => [
+            (i / (points.length - 1) * (width - 20) + 10).toFixed(1),
+            (height - 20 - (point.value - low) / span * (height - 40)).toFixed(1)
+        ]);
+        return `
+            <svg class="line-chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <polyline points="${coordinates.map(point => point.join(',')).join(' ')}" />
+                ${coordinates.map(([x, y], i) => `<circle cx="${x}" cy="${y}" r="2.5"><title>${escape(points[i].label)}: ${points[i].value.toLocaleString()}</title></circle>`).join('')}
+                <text x="10" y="${height - 4}">${escape(points[0].label)}</text>
+                <text x="${width - 10}" y="${height - 4}" text-anchor="end">${escape(points[points.length - 1].label)}</text>
+                <text x="10" y="12">${Math.max(...values).toLocaleString()}</text>
+            </svg>`;
+    },
+
+    // Weekday by hour grid of activity counts in UTC
+    renderHeatmap: (heatmap) => {
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const largest = Math.max(...heatmap.counts.flat(), 1);
+        return `
+            <table class="activity-heatmap">
+                <tr><th></th>${heatmap.hours.map((_, hour) => `<th>${hour % 3 === 0 ? hour : ''}</th>`).join('')}</tr>
+                ${heatmap.counts.map((hours, day) => `
+                    <tr>
+                        <th>${days[day]}</th>
+                        ${hours.map((count, hour) => `<td style="opacity: ${count === 0 ? 0.08 : (0.2 + count / largest * 0.8).toFixed(2)}" title="${days[day]} ${hour}:00 UTC: ${count}"></td>`).join('')}
+                    </tr>
+                `).join('')}
+            </table>`;
+    },
+
+    // Items per UTC hour as columns
+    renderHourHistogram: (hours) => {
+        const largest = Math.max(...hours, 1);
+        return `
+            <div class="hour-histogram">
+                ${hours.map((count, hour) => `
+                    <div class="hour-column" title="${hour}:00 UTC: ${count}">
+                        <span class="hour-bar" style="height: ${(count / largest * 100).toFixed(1)}%"></span>
+                        <span class="hour-label">${hour % 3 === 0 ? hour : ''}</span>
+                    </div>
+                `).join('')}
+            </div>`;
+    },
+
+    renderTimezone: (timezone) => {
+        if (!timezone) return '';
+        const escape = ResultRenderer.escape;
+        return `
+            <p><strong>Likely timezone:</strong> ${escape(timezone.label)}${timezone.regions ? ` (${escape(timezone.regions)})` : ''}
+                <span class="confidence-score">(${escape(timezone.confidence)} confidence)</span>
+                <span class="case-meta">quietest hours ${timezone.quietHoursUtc[0]}:00–${timezone.quietHoursUtc[1]}:00 UTC</span></p>`;
+    },
+
+    // Account age, activity heatmap with the inferred timezone, subreddits, karma per month and co-occurring communities
+    renderRedditAnalytics: (analytics) => {
+        if (!analytics || analytics.items === 0) return '';
+        const escape = ResultRenderer.escape;
+        const formatDate = ResultRenderer.formatDate;
+        const age = analytics.accountAge;
+        return `
+            <div class="activity-analytics">
+                <h5>Activity Analytics</h5>
+                <p class="case-meta">
+                    ${analytics.items.toLocaleString()} items from ${formatDate(analytics.range.from)} to ${formatDate(analytics.range.to)}
+                    ${age ? ` • account created ${formatDate(age.createdAt)} (${age.years} years)` : ''}
+                </p>
+                ${ResultRenderer.renderTimezone(analytics.timezone)}
+                <h6>Activity by Weekday and Hour (UTC)</h6>
+                ${ResultRenderer.renderHeatmap(analytics.heatmap)}
+                <h6>Subreddits</h6>
+                ${ResultRenderer.renderBarChart(analytics.subreddits.slice(0, 12).map(subreddit => ({
+                    label: `r/${subreddit.name}`,
+                    value: subreddit.total,
+                    note: `${subreddit.submissions} posts, ${subreddit.comments} comments, ${subreddit.karma.toLocaleString()} karma`
+                })))}
+                ${analytics.karmaOverTime.length > 1 ? `
+                <h6>Karma over Time (cumulative, by month)</h6>
+                ${ResultRenderer.renderLineChart(analytics.karmaOverTime.map(month => ({ label: month.month, value: month.cumulativeKarma })))}` : ''}
+                ${analytics.coOccurring.length > 0 ? `
+                <h6>Communities Active on the Same Days</h6>
+                ${ResultRenderer.renderBarChart(analytics.coOccurring.slice(0, 8).map(pair => ({
+                    label: pair.communities.map(name => `r/${name}`).join(' + '),
+                    value: pair.days,
+                    note: `${pair.days} days`
+                })))}` : ''}
+            </div>
+        `;
+    },
+
+    // Timeline mix, posting hours, hashtags, mentions, linked domains, clients and annotated topics
+    renderTwitterAnalytics: (analytics) => {
+        if (!analytics || analytics.tweets === 0) return '';
+        const escape = ResultRenderer.escape;
+        const formatDate = ResultRenderer.formatDate;
+        const kindNames = { original: 'Original', reply: 'Replies', retweet: 'Retweets', quote: 'Quotes' };
+        const counted = (entries, key) => entries.map(entry => ({ label: entry[key], value: entry.count }));
+        const section = (title, entries) => entries.length > 0 ? `<h6>${title}</h6>${ResultRenderer.renderBarChart(entries)}` : '';
+        return `
+            <div class="activity-analytics twitter">
+                <h5>Timeline Analysis</h5>
+                <p class="case-meta">
+                    ${analytics.tweets.toLocaleString()} tweets from ${formatDate(analytics.range.from)} to ${formatDate(analytics.range.to)}
+                    ${analytics.tweetsPerDay !== null ? ` • ${analytics.tweetsPerDay} per day` : ''}
+                </p>
+                <div class="kind-split">
+                    ${Object.entries(analytics.kinds).filter(([, count]) => count > 0).map(([kind, count]) => `
+                        <span class="kind-segment ${kind}" style="flex: ${count}" title="${kindNames[kind]}: ${count}">
+                            ${escape(kindNames[kind])} ${Math.round(analytics.ratios[kind] * 100)}%
+                        </span>
+                    `).join('')}
+                </div>
+                ${ResultRenderer.renderTimezone(analytics.timezone)}
+                <h6>Tweets by Hour (UTC)</h6>
+                ${ResultRenderer.renderHourHistogram(analytics.hours)}
+                ${section('Hashtags', counted(analytics.hashtags, 'hashtag'))}
+                ${section('Most Mentioned', analytics.mentions.map(mention => ({ label: `@${mention.username}`, value: mention.count })))}
+                ${section('Linked Domains', counted(analytics.domains, 'domain'))}
+                ${section('Topics', analytics.topics.map(topic => ({ label: `${topic.entity} (${topic.domain})`, value: topic.count })))}
+                ${section('Clients', counted(analytics.sources, 'source'))}
+            </div>
+        `;
+    },
+
+    // Entities found in the result, each with a one-click pivot search
+    renderEntities: (entities, platform) => {
+        const pivotable = entities.filter(entity => entity.pivot).slice(0, 30);
+        if (pivotable.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        const icons = {
+            email: 'fas fa-envelope',
+            username: 'fas fa-user',
+            phone: 'fas fa-phone',
+            name: 'fas fa-id-card',
+            domain: 'fas fa-globe',
+            url: 'fas fa-link'
+        };
+        return `
+            <div class="entity-list">
+                <h5>Discovered Identifiers</h5>
+                ${pivotable.map(entity => `
+                    <span class="entity-chip ${escape(entity.type)}" title="${escape(entity.sources.map(source => `${source.platform} ${source.field}`).join(', '))}">
+                        <i class="${icons[entity.type] || 'fas fa-tag'}"></i> ${escape(entity.value)}
+                        <button class="pivot-btn" data-pivot-type="${escape(entity.pivot.type)}" data-pivot-query="${escape(entity.pivot.query)}" data-platform="${escape(platform)}" title="Search ${escape(entity.pivot.type)} ${escape(entity.pivot.query)}">
+                            <i class="fas fa-share"></i> Pivot
+                        </button>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    renderLinks: (links) => {
+        if (links.length === 0) return '';
+        const escape = ResultRenderer.escape;
+        return `<ul class="dork-results">${links.map(link => `
+            <li>
+                <a href="${ResultRenderer.safeUrl(link.url)}" target="_blank">${escape(link.title || link.url)}</a>
+                ${link.source ? `<span class="dork-template">${escape(link.source)}</span>` : ''}
+                ${link.snippet ? `<p>${escape(link.snippet)}</p>` : ''}
+            </li>
+        `).join('')}</ul>`;
+    }
+};
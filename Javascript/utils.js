@@ -9,7 +9,13 @@ const Utils = {
     // Validate phone number format
     isValidPhone: (phone) => {
         const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-        return phoneRegex.test(phone.replace(/[\s\-\(\)]/g, ''));
+        return phoneRegex.test(phone.replace(/[\s\-\(\)\.]/g, ''));
+    },
+
+    // Validate domain name format
+    isValidDomain: (domain) => {
+        const domainRegex = /^(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))+$/i;
+        return domainRegex.test(domain.trim().replace(/^https?:\/\//i, '').split('/')[0]);
     },
 
     // Validate username format
@@ -20,14 +26,14 @@ const Utils = {
 
     // Format phone number
     formatPhone: (phone) => {
-        return phone.replace(/[\s\-\(\)]/g, '');
+        return phone.replace(/[\s\-\(\)\.]/g, '');
     },
 
-    // Sanitize input
+    // Sanitize input for text and quoted attribute values; innerHTML leaves quotes alone
     sanitizeInput: (input) => {
         const temp = document.createElement('div');
         temp.textContent = input;
-        return temp.innerHTML;
+        return temp.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     },
 
     // Generate random delay
@@ -132,24 +138,42 @@ const Utils = {
         doc.save(`osint-results-${Date.now()}.pdf`);
     },
 
-    // Export data as CSV
+    // Export data as CSV, one row per result plus one row per structured record
     exportAsCSV: (data) => {
-        const headers = ['Platform', 'Status', 'URL', 'Description'];
+        const headers = ['Platform', 'Status', 'Record', 'Identifier', 'Name', 'URL', 'Description'];
+        const rows = [];
+        data.forEach(item => {
+            rows.push([item.platform, item.status, 'result', item.query || '', '', item.url || '', item.description || '']);
+            (item.accounts || []).forEach(account => {
+                rows.push([item.platform, item.status, 'account', account.username || '', account.displayName || '', account.url || '', account.bio || '']);
+            });
+            (item.emails || []).forEach(email => {
+                const name = [email.firstName, email.lastName].filter(Boolean).join(' ');
+                rows.push([item.platform, item.status, 'email', email.address || '', name, '', email.position || email.status || '']);
+            });
+            (item.posts || []).forEach(post => {
+                rows.push([item.platform, item.status, post.kind || 'post', post.id || '', post.title || '', post.url || '', post.text || '']);
+            });
+            (item.links || []).forEach(link => {
+                rows.push([item.platform, item.status, 'link', link.source || '', link.title || '', link.url || '', link.snippet || '']);
+            });
+        });
+
+        Utils.downloadCsv(headers, rows, `osint-results-${Date.now()}.csv`);
+    },
+
+    // Download rows as a CSV file with every field quoted
+    downloadCsv: (headers, rows, filename) => {
         const csvContent = [
             headers.join(','),
-            ...data.map(item => [
-                item.platform,
-                item.status,
-                item.url || '',
-                item.description || ''
-            ].map(field => `"${field}"`).join(','))
+            ...rows.map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
         ].join('\n');
-        
+
         const blob = new Blob([csvContent], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `osint-results-${Date.now()}.csv`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     },
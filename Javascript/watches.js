@@ -0,0 +1,226 @@
+// Watches panel: re-run the current search on a schedule and follow what changed between runs
+const WATCH_EVENT_ICONS = {
+    'baseline': 'fa-flag',
+    'status-changed': 'fa-exchange-alt',
+    'new-account': 'fa-user-plus',
+    'account-removed': 'fa-user-slash',
+    'profile-changed': 'fa-id-card',
+    'metrics-changed': 'fa-chart-line',
+    'new-post': 'fa-comment',
+    'new-community': 'fa-users',
+    'new-email': 'fa-envelope',
+    'new-link': 'fa-link'
+};
+
+class WatchPanel {
+    constructor(app) {
+        this.app = app;
+        this.watches = [];
+        this.events = [];
+        // Timeline filter: a watch id or null for every watch
+        this.watchFilter = null;
+        this.visible = false;
+        this.bindEvents();
+        this.refresh();
+    }
+
+    bindEvents() {
+        document.getElementById('watchesToggleBtn').addEventListener('click', () => {
+            this.toggle(!this.visible);
+        });
+
+        document.getElementById('watchesRefreshBtn').addEventListener('click', () => {
+            this.refresh();
+        });
+
+        document.getElementById('watchSearchBtn').addEventListener('click', () => {
+            this.create();
+        });
+
+        document.getElementById('watchSchedule').addEventListener('change', (e) => {
+            document.getElementById('watchCustomSchedule').classList.toggle('hidden', e.target.value !== 'custom');
+        });
+
+        document.getElementById('watchTimelineFilter').addEventListener('change', (e) => {
+            this.watchFilter = e.target.value || null;
+            this.renderTimeline();
+        });
+
+        document.getElementById('watchesTable').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.dataset.id;
+            if (button.dataset.action === 'toggle') {
+                this.update(id, { enabled: button.dataset.enabled !== 'true' });
+            } else if (button.dataset.action === 'run') {
+                this.run(id);
+            } else if (button.dataset.action === 'timeline') {
+                this.showTimeline(id);
+            } else if (button.dataset.action === 'delete') {
+                this.remove(id);
+            }
+        });
+    }
+
+    toggle(visible) {
+        this.visible = visible;
+        document.getElementById('watchesDetails').classList.toggle('hidden', !this.visible);
+        document.getElementById('watchesToggleBtn').textContent = this.visible ? 'Hide' : 'Show';
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    async refresh() {
+        try {
+            const [{ watches }, { events }] = await Promise.all([
+                this.request('/api/watches'),
+                this.request('/api/watches/timeline')
+            ]);
+            this.watches = watches;
+            this.events = events;
+            this.render();
+        } catch (error) {
+            Utils.showNotification(`Failed to load watches: ${error.message}`, 'error');
+        }
+    }
+
+    schedule() {
+        const preset = document.getElementById('watchSchedule').value;
+        return preset === 'custom' ? document.getElementById('watchCustomSchedule').value.trim() : preset;
+    }
+
+    // Watch the query in the search form on the checked platforms
+    async create() {
+        const query = document.getElementById('searchInput').value.trim();
+        const type = document.getElementById('searchType').value;
+        const platforms = this.app.getSelectedPlatforms();
+        if (!query || platforms.length === 0) {
+            Utils.showNotification('Enter a search query and select at least one platform', 'error');
+            return;
+        }
+
+        try {
+            const watch = await this.request('/api/watches', {
+                method: 'POST',
+                body: { name: document.getElementById('watchName').value.trim() || undefined, query, type, platforms, schedule: this.schedule() }
+            });
+            document.getElementById('watchName').value = '';
+            this.toggle(true);
+            Utils.showNotification(`Watching "${watch.name}"; the first run records a baseline`, 'success');
+            await this.refresh();
+            if (watch.jobId) this.app.jobsPanel.subscribe(watch.jobId);
+        } catch (error) {
+            Utils.showNotification(`Failed to create watch: ${error.message}`, 'error');
+        }
+    }
+
+    async update(id, changes) {
+        try {
+            await this.request(`/api/watches/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+            await this.refresh();
+        } catch (error) {
+            Utils.showNotification(`Failed to update watch: ${error.message}`, 'error');
+        }
+    }
+
+    async run(id) {
+        try {
+            const job = await this.request(`/api/watches/${encodeURIComponent(id)}/run`, { method: 'POST' });
+            this.app.jobsPanel.upsert(job);
+            this.app.jobsPanel.subscribe(job.id);
+            Utils.showNotification('Watch run queued', 'success');
+        } catch (error) {
+            Utils.showNotification(`Failed to run watch: ${error.message}`, 'error');
+        }
+    }
+
+    async remove(id) {
+        const watch = this.watches.find(item => item.id === id);
+        if (!confirm(`Stop watching "${watch ? watch.name : id}" and delete its timeline?`)) return;
+        try {
+            await this.request(`/api/watches/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (this.watchFilter === id) this.watchFilter = null;
+            await this.refresh();
+        } catch (error) {
+            Utils.showNotification(`Failed to delete watch: ${error.message}`, 'error');
+        }
+    }
+
+    // Open the panel on one watch's timeline, e.g. from a finished watch job
+    showTimeline(id) {
+        this.watchFilter = id;
+        this.toggle(true);
+        this.render();
+        document.getElementById('watchTimeline').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    render() {
+        const escape = ResultRenderer.escape;
+        const changes = this.watches.reduce((total, watch) => total + watch.eventCount, 0);
+        document.getElementById('watchesSummary').textContent = this.watches.length > 0
+            ? `${this.watches.filter(watch => watch.enabled).length} active of ${this.watches.length}, ${changes} events`
+            : '';
+
+        const lastRun = (watch) => {
+            if (!watch.lastRun) return 'Not yet';
+            const errors = Object.keys(watch.lastRun.errors || {});
+            return `${new Date(watch.lastRun.finishedAt).toLocaleString()} - ${watch.lastRun.changes} changes`
+                + (errors.length > 0 ? `<div class="health-error">Failed: ${escape(errors.join(', '))}</div>` : '');
+        };
+
+        document.getElementById('watchesTable').innerHTML = this.watches.length === 0
+            ? '<tr><td colspan="6">No watches. Fill in the search form and click Watch.</td></tr>'
+            : this.watches.map(watch => `
+                <tr class="${watch.enabled ? '' : 'watch-paused'}">
+                    <td><strong>${escape(watch.name)}</strong><div class="watch-query">${escape(watch.type)}: ${escape(watch.query)}</div></td>
+                    <td>${escape(watch.platforms.join(', '))}</td>
+                    <td><code>${escape(watch.schedule)}</code></td>
+                    <td>${watch.enabled && watch.nextRunAt ? new Date(watch.nextRunAt).toLocaleString() : 'Paused'}</td>
+                    <td>${lastRun(watch)}</td>
+                    <td class="watch-actions">
+                        <button class="btn-small" data-action="toggle" data-id="${watch.id}" data-enabled="${watch.enabled}">${watch.enabled ? 'Pause' : 'Resume'}</button>
+                        <button class="btn-small" data-action="run" data-id="${watch.id}">Run Now</button>
+                        <button class="btn-small btn-info" data-action="timeline" data-id="${watch.id}">Timeline (${watch.eventCount})</button>
+                        <button class="btn-small" data-action="delete" data-id="${watch.id}"><i class="fas fa-trash"></i></button>
+                    </td>
+                </tr>
+            `).join('');
+
+        const filter = document.getElementById('watchTimelineFilter');
+        filter.innerHTML = '<option value="">All watches</option>' + this.watches
+            .map(watch => `<option value="${watch.id}">${escape(watch.name)}</option>`)
+            .join('');
+        filter.value = this.watchFilter || '';
+        this.renderTimeline();
+    }
+
+    renderTimeline() {
+        const escape = ResultRenderer.escape;
+        const events = this.watchFilter ? this.events.filter(event => event.watchId === this.watchFilter) : this.events;
+        document.getElementById('watchTimeline').innerHTML = events.length === 0
+            ? '<p class="watch-empty">No changes recorded yet</p>'
+            : events.map(event => `
+                <div class="watch-event ${escape(event.type)}">
+                    <i class="fas ${WATCH_EVENT_ICONS[event.type] || 'fa-circle'}"></i>
+                    <div class="watch-event-body">
+                        <div class="watch-event-summary">${escape(event.summary)}</div>
+                        <div class="watch-event-meta">
+                            ${new Date(event.detectedAt).toLocaleString()} - ${escape(event.watchName)} - ${escape(event.platform)}
+                            ${event.details && event.details.url ? ` - <a href="${ResultRenderer.safeUrl(event.details.url)}" target="_blank" rel="noopener noreferrer">Open</a>` : ''}
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+    }
+}
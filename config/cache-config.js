@@ -0,0 +1,30 @@
+// Upstream response cache configuration
+// backend: 'memory' (LRU), 'file' (one JSON file per entry) or 'tiered' (memory in front of file)
+// TTLs are in seconds and can be overridden per provider, e.g. CACHE_TTL_SERPAPI=3600
+function ttl(provider, fallback) {
+    return parseInt(process.env[`CACHE_TTL_${provider.toUpperCase()}`], 10) || fallback;
+}
+
+const cacheConfig = {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    backend: process.env.CACHE_BACKEND || 'tiered',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+    directory: process.env.CACHE_DIR || 'data/cache',
+
+    defaultTtl: ttl('default', 60 * 60),
+    ttls: {
+        // SerpAPI credits are the most expensive, keep results for a day
+        serpapi: ttl('serpapi', 24 * 60 * 60),
+        hunter: ttl('hunter', 24 * 60 * 60),
+        reddit: ttl('reddit', 15 * 60),
+        twitter: ttl('twitter', 15 * 60),
+        truecaller: ttl('truecaller', 24 * 60 * 60),
+        whatsapp: ttl('whatsapp', 24 * 60 * 60),
+        upi: ttl('upi', 24 * 60 * 60),
+        dns: ttl('dns', 60 * 60),
+        // Registration and certificate history change slowly
+        domain: ttl('domain', 6 * 60 * 60)
+    }
+};
+
+module.exports = cacheConfig;
@@ -0,0 +1,35 @@
+// Cross-platform correlation settings
+// Each signal contributes weight * similarity and contributions combine as
+// independent evidence: score = 1 - product(1 - contribution).
+const correlationConfig = {
+    signals: {
+        username: { weight: 0.6, minSimilarity: 0.75 },
+        displayName: { weight: 0.4, minSimilarity: 0.7 },
+        bio: { weight: 0.35, minSimilarity: 0.3 },
+        links: { weight: 0.7, minSimilarity: 0.5 },
+        location: { weight: 0.2, minSimilarity: 0.5 },
+        avatar: { weight: 0.8, minSimilarity: 1 },
+        contact: { weight: 0.6, minSimilarity: 0.3 }
+    },
+
+    // Confidence labels by score
+    levels: [
+        { name: 'high', minScore: 0.75 },
+        { name: 'medium', minScore: 0.45 },
+        { name: 'low', minScore: 0 }
+    ],
+
+    // Pairs below minPairScore are dropped, pairs above clusterScore join identity clusters
+    minPairScore: 0.3,
+    clusterScore: 0.6,
+
+    // Contact lookups drop candidates that score below this
+    minCandidateScore: 0.2,
+
+    // Avatar downloads for hashing
+    avatarTimeout: parseInt(process.env.AVATAR_HASH_TIMEOUT, 10) || 5000,
+    avatarConcurrency: 4,
+    maxAccounts: 200
+};
+
+module.exports = correlationConfig;
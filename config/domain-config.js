@@ -0,0 +1,19 @@
+// Domain report configuration
+// sources: 'live' queries RDAP, DNS and certificate transparency logs;
+// 'fixtures' reads <fixturesDir>/<domain>.json instead (see scripts/fixtures/domains)
+const domainConfig = {
+    sources: process.env.DOMAIN_SOURCES || 'live',
+    fixturesDir: process.env.DOMAIN_FIXTURES_DIR || 'scripts/fixtures/domains',
+    timeout: parseInt(process.env.DOMAIN_TIMEOUT, 10) || 20000,
+
+    // rdap.org redirects to the registry responsible for the TLD
+    rdapEndpoint: process.env.RDAP_ENDPOINT || 'https://rdap.org',
+
+    // Certificate transparency search: 'crtsh' or 'certspotter'
+    certificateSource: process.env.CT_SOURCE || 'crtsh',
+    maxSubdomains: parseInt(process.env.DOMAIN_MAX_SUBDOMAINS, 10) || 500,
+
+    dnsRecordTypes: ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'TXT', 'SOA', 'CAA']
+};
+
+module.exports = domainConfig;
@@ -0,0 +1,63 @@
+// Email domain lists used by the offline email analysis
+//
+// disposable - throwaway inbox services
+// free       - free webmail providers, so the domain says nothing about an employer
+// roles      - local parts that belong to a function rather than a person
+// providers  - how a mailbox provider treats addresses:
+//   domains   - the provider's domains
+//   shared    - every domain delivers to the same mailbox
+//   dots      - dots in the local part are ignored
+//   plus      - anything after a + is a tag on the same mailbox
+
+const emailDomains = {
+    // DNS lookups for MX, SPF and DMARC records are off unless enabled
+    dnsLookups: process.env.EMAIL_DNS_LOOKUPS === 'true',
+
+    disposable: [
+        '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonaddy.me',
+        'burnermail.io', 'discard.email', 'dispostable.com', 'dropmail.me', 'emailondeck.com',
+        'fakeinbox.com', 'fakemail.net', 'getairmail.com', 'getnada.com', 'guerrillamail.biz',
+        'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com',
+        'harakirimail.com', 'inboxbear.com', 'incognitomail.org', 'jetable.org', 'mailcatch.com',
+        'maildrop.cc', 'mailinator.com', 'mailinator.net', 'mailnesia.com', 'mailpoof.com',
+        'mailsac.com', 'mintemail.com', 'moakt.com', 'mohmal.com', 'mytemp.email',
+        'mytrashmail.com', 'nada.email', 'sharklasers.com', 'spam4.me', 'spambox.us',
+        'spamgourmet.com', 'temp-mail.io', 'temp-mail.org', 'tempail.com', 'tempinbox.com',
+        'tempmail.dev', 'tempmail.net', 'tempmailo.com', 'tempr.email', 'throwawaymail.com',
+        'tmail.ws', 'tmpmail.net', 'tmpmail.org', 'trashmail.com', 'trashmail.de',
+        'trashmail.net', 'wegwerfmail.de', 'yopmail.com', 'yopmail.fr', 'yopmail.net'
+    ],
+
+    free: [
+        'aol.com', 'fastmail.com', 'fastmail.fm', 'gmail.com', 'gmx.com',
+        'gmx.de', 'gmx.net', 'googlemail.com', 'hey.com', 'hotmail.co.uk',
+        'hotmail.com', 'hotmail.fr', 'hushmail.com', 'icloud.com', 'inbox.com',
+        'live.com', 'lycos.com', 'mac.com', 'mail.com', 'mail.ru',
+        'me.com', 'msn.com', 'outlook.com', 'pm.me', 'proton.me',
+        'protonmail.ch', 'protonmail.com', 'qq.com', 'rediffmail.com', 'rocketmail.com',
+        't-online.de', 'tutanota.com', 'tuta.io', 'web.de', 'yahoo.co.in',
+        'yahoo.co.uk', 'yahoo.com', 'yahoo.fr', 'yandex.com', 'yandex.ru',
+        'ymail.com', 'zoho.com', 'zohomail.com', '163.com', '126.com'
+    ],
+
+    roles: [
+        'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact',
+        'enquiries', 'feedback', 'hello', 'help', 'hostmaster', 'hr', 'info',
+        'inquiries', 'jobs', 'legal', 'mail', 'marketing', 'media', 'news',
+        'newsletter', 'no-reply', 'noc', 'noreply', 'office', 'orders', 'postmaster',
+        'press', 'privacy', 'sales', 'security', 'service', 'support', 'sysadmin',
+        'team', 'webmaster'
+    ],
+
+    providers: {
+        gmail: { name: 'Gmail', domains: ['gmail.com', 'googlemail.com'], shared: true, dots: true, plus: true },
+        outlook: { name: 'Outlook', domains: ['outlook.com', 'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'live.com', 'msn.com'], plus: true },
+        icloud: { name: 'iCloud', domains: ['icloud.com', 'me.com', 'mac.com'], shared: true, plus: true },
+        proton: { name: 'Proton Mail', domains: ['proton.me', 'protonmail.com', 'protonmail.ch', 'pm.me'], shared: true, plus: true },
+        fastmail: { name: 'Fastmail', domains: ['fastmail.com', 'fastmail.fm'], plus: true },
+        yahoo: { name: 'Yahoo', domains: ['yahoo.com', 'yahoo.co.uk', 'yahoo.co.in', 'yahoo.fr', 'ymail.com', 'rocketmail.com'] },
+        zoho: { name: 'Zoho', domains: ['zoho.com', 'zohomail.com'], plus: true }
+    }
+};
+
+module.exports = emailDomains;
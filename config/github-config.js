@@ -0,0 +1,19 @@
+// GitHub profile report configuration
+// sources: 'live' calls the REST API; 'fixtures' reads recorded responses from
+// <fixturesDir>/<login>.json instead (see scripts/fixtures/github)
+const githubConfig = {
+    sources: process.env.GITHUB_SOURCES || 'live',
+    fixturesDir: process.env.GITHUB_FIXTURES_DIR || 'scripts/fixtures/github',
+    apiBase: process.env.GITHUB_API_BASE || 'https://api.github.com',
+    timeout: parseInt(process.env.GITHUB_TIMEOUT, 10) || 15000,
+
+    // Pages of 100 fetched per list. The public event stream never goes past 300 events or 90 days
+    maxRepoPages: parseInt(process.env.GITHUB_MAX_REPO_PAGES, 10) || 3,
+    maxGistPages: 1,
+    maxEventPages: 3,
+
+    // Repositories listed in the report, most recently pushed first
+    topRepositories: 20
+};
+
+module.exports = githubConfig;
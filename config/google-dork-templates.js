@@ -0,0 +1,100 @@
+// Google Dork template library
+// Templates are grouped by search type. Each template turns the raw query
+// into a dork string that is sent to SERP API as a normal Google search.
+// Phone templates also get the number's formatting variants, since pages
+// write the same number in many ways.
+
+const quote = (value) => `"${String(value).replace(/"/g, '')}"`;
+const anyOf = (values) => values.length > 1 ? `(${values.map(quote).join(' OR ')})` : quote(values[0]);
+
+const dorkTemplates = {
+    email: {
+        exact: {
+            description: 'Exact email address anywhere on the web',
+            build: (query) => quote(query)
+        },
+        pastebin: {
+            description: 'Email address in pastes',
+            build: (query) => `site:pastebin.com ${quote(query)}`
+        },
+        documents: {
+            description: 'Email address inside public documents',
+            build: (query) => `(filetype:pdf OR filetype:doc OR filetype:docx OR filetype:xlsx OR filetype:txt) ${quote(query)}`
+        },
+        social: {
+            description: 'Email address on social networks',
+            build: (query) => `(site:twitter.com OR site:facebook.com OR site:linkedin.com OR site:instagram.com) ${quote(query)}`
+        },
+        code: {
+            description: 'Email address in code repositories',
+            build: (query) => `(site:github.com OR site:gitlab.com OR site:bitbucket.org) ${quote(query)}`
+        }
+    },
+
+    phone: {
+        exact: {
+            description: 'Exact phone number anywhere on the web',
+            build: (query, variants = [query]) => anyOf(variants)
+        },
+        pastebin: {
+            description: 'Phone number in pastes',
+            build: (query, variants = [query]) => `site:pastebin.com ${anyOf(variants)}`
+        },
+        documents: {
+            description: 'Phone number inside public documents',
+            build: (query, variants = [query]) => `(filetype:pdf OR filetype:doc OR filetype:xlsx) ${anyOf(variants)}`
+        },
+        directories: {
+            description: 'Phone number on caller ID and directory sites',
+            build: (query, variants = [query]) => `(site:truecaller.com OR site:sync.me OR site:whocallsme.com) ${anyOf(variants)}`
+        }
+    },
+
+    username: {
+        inurl: {
+            description: 'Username in page URLs',
+            build: (query) => `inurl:${String(query).replace(/\s+/g, '')}`
+        },
+        social: {
+            description: 'Username on social networks',
+            build: (query) => `(site:twitter.com OR site:instagram.com OR site:reddit.com OR site:tiktok.com) ${quote(query)}`
+        },
+        code: {
+            description: 'Username on developer platforms',
+            build: (query) => `(site:github.com OR site:gitlab.com OR site:stackoverflow.com) ${quote(query)}`
+        },
+        pastebin: {
+            description: 'Username in pastes',
+            build: (query) => `site:pastebin.com ${quote(query)}`
+        },
+        forums: {
+            description: 'Username in forum profiles',
+            build: (query) => `(inurl:profile OR inurl:member OR inurl:user) ${quote(query)}`
+        }
+    },
+
+    name: {
+        exact: {
+            description: 'Exact full name',
+            build: (query) => quote(query)
+        },
+        documents: {
+            description: 'Full name inside PDF documents',
+            build: (query) => `filetype:pdf ${quote(query)}`
+        },
+        linkedin: {
+            description: 'Full name on LinkedIn profiles',
+            build: (query) => `site:linkedin.com/in ${quote(query)}`
+        },
+        social: {
+            description: 'Full name on social networks',
+            build: (query) => `(site:facebook.com OR site:twitter.com OR site:instagram.com) ${quote(query)}`
+        },
+        resume: {
+            description: 'Full name in CVs and resumes',
+            build: (query) => `(intitle:resume OR intitle:cv) ${quote(query)}`
+        }
+    }
+};
+
+module.exports = dorkTemplates;
@@ -0,0 +1,16 @@
+// Background job queue configuration
+// Jobs are kept in JOBS_FILE (data/jobs.json by default) so they survive a restart
+const jobConfig = {
+    // Jobs running at once; each search job still fans out to its platforms in parallel
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+
+    // Attempts per job including the first. Attempt n waits baseDelay * 2^(n-1), capped at maxDelay
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+    baseDelay: parseInt(process.env.JOB_RETRY_DELAY, 10) || 5000,
+    maxDelay: 5 * 60 * 1000,
+
+    // Finished jobs and their results are dropped after this many hours
+    retentionHours: parseInt(process.env.JOB_RETENTION_HOURS, 10) || 72
+};
+
+module.exports = jobConfig;
@@ -0,0 +1,45 @@
+// Username and email candidates generated from a person's name (lib/name-permutations.js)
+// Patterns use {first}, {middle}, {last} and the initials {f}, {m}, {l}. weight ranks a pattern
+// against the others: how often people pick it for a handle, roughly
+const namePatterns = {
+    usernames: [
+        { pattern: '{first}{last}', weight: 1 },
+        { pattern: '{first}.{last}', weight: 0.95 },
+        { pattern: '{f}{last}', weight: 0.9 },
+        { pattern: '{first}_{last}', weight: 0.85 },
+        // Surname and initial is a common work handle, so it ranks with its mirror "jsmith"
+        { pattern: '{last}{f}', weight: 0.9 },
+        { pattern: '{first}', weight: 0.7 },
+        { pattern: '{first}{l}', weight: 0.65 },
+        { pattern: '{f}.{last}', weight: 0.6 },
+        { pattern: '{last}{first}', weight: 0.55 },
+        { pattern: '{first}-{last}', weight: 0.5 },
+        { pattern: '{last}.{first}', weight: 0.5 },
+        { pattern: '{first}.{l}', weight: 0.45 },
+        { pattern: '{f}{m}{last}', weight: 0.45 },
+        { pattern: '{first}{m}{last}', weight: 0.4 },
+        { pattern: '{last}', weight: 0.35 },
+        { pattern: '{last}_{first}', weight: 0.35 }
+    ],
+
+    // Patterns that also get a birth year suffix ("jsmith84", "john.smith1984"), with their weight multiplied
+    birthYearPatterns: ['{first}{last}', '{first}.{last}', '{f}{last}', '{first}_{last}', '{first}', '{last}{f}', '{first}{l}'],
+    birthYearWeights: { short: 0.8, full: 0.75 },
+
+    // A nickname in place of the first name ("bob.smith" for Robert Smith)
+    nicknameWeight: 0.9,
+
+    // Email candidates put the best usernames on each domain; user supplied domains come first
+    emailDomains: (process.env.NAME_EMAIL_DOMAINS || 'gmail.com,outlook.com,yahoo.com').split(',').map(domain => domain.trim()).filter(Boolean),
+    emailUsernames: 12,
+
+    maxUsernames: parseInt(process.env.NAME_MAX_USERNAMES, 10) || 60,
+    maxEmails: parseInt(process.env.NAME_MAX_EMAILS, 10) || 40,
+
+    // Dropped from the name before it is split
+    titles: ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'jr', 'sr', 'ii', 'iii', 'iv'],
+    // Kept with the surname: "Ludwig van Beethoven" has the last name "vanbeethoven" as well as "beethoven"
+    particles: ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'dos', 'du', 'la', 'le', 'bin', 'ibn', 'al', 'el']
+};
+
+module.exports = namePatterns;
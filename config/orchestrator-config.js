@@ -0,0 +1,17 @@
+// Search orchestrator configuration
+// maxConcurrency caps the providers running at once for a single search,
+// platform concurrency is shared by every search running on the server.
+const orchestratorConfig = {
+    maxConcurrency: parseInt(process.env.SEARCH_MAX_CONCURRENCY, 10) || 4,
+
+    // Per provider timeout in milliseconds
+    defaultTimeout: parseInt(process.env.SEARCH_PROVIDER_TIMEOUT, 10) || 20000,
+
+    defaultPlatformConcurrency: 2,
+
+    // Each provider declares its own rateLimit; entries here override it,
+    // e.g. reddit: { timeout: 180000 }
+    platforms: {}
+};
+
+module.exports = orchestratorConfig;
@@ -0,0 +1,26 @@
+// Phone intelligence API configuration
+// Endpoints can point at a local mock (npm run mock:phone) instead of the real services
+const phoneApiConfig = {
+    // Default country for numbers entered without a + prefix
+    countryCode: process.env.COUNTRY_CODE || 'IN',
+    timeout: parseInt(process.env.PHONE_API_TIMEOUT, 10) || 15000,
+
+    truecaller: {
+        endpoint: process.env.TRUECALLER_API_ENDPOINT || 'https://api4.truecaller.com/v1'
+    },
+
+    whatsapp: {
+        endpoint: process.env.WHATSAPP_API_ENDPOINT || 'https://graph.facebook.com/v17.0'
+    },
+
+    upi: {
+        endpoint: process.env.UPI_API_ENDPOINT || 'https://api.upi.system/v1',
+        // Payment app handles tried for a mobile number, most common first
+        handles: (process.env.UPI_HANDLES || 'ybl,paytm,okaxis,oksbi,okhdfcbank,okicici,ibl,axl,upi')
+            .split(',')
+            .map(handle => handle.trim())
+            .filter(Boolean)
+    }
+};
+
+module.exports = phoneApiConfig;
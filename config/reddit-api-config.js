@@ -2,6 +2,8 @@ const redditConfig = {
     clientId: process.env.REDDIT_CLIENT_ID,
     clientSecret: process.env.REDDIT_CLIENT_SECRET,
     userAgent: 'reconXhunter:v1.0.0 (by /u/your_reddit_username)',
+    // Maximum number of overview items fetched when paging a user's history
+    historyLimit: parseInt(process.env.REDDIT_HISTORY_LIMIT, 10) || 500,
     defaultParams: {
         limit: 25,
         sort: 'relevance',
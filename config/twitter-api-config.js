@@ -4,6 +4,18 @@ const twitterConfig = {
     bearerToken: process.env.TWITTER_BEARER_TOKEN,
     accessToken: process.env.TWITTER_ACCESS_TOKEN,
     accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+    // Tweets fetched for a timeline analysis, 100 per request. The API serves at most the last 3200
+    timelineDepth: Math.min(parseInt(process.env.TWITTER_TIMELINE_DEPTH, 10) || 200, 3200),
+    // Most recent tweets kept in the result next to the analysis
+    timelinePosts: 10,
+    // Audience overlap: followers and following fetched per account, 1000 per request. The API allows
+    // 15 requests per 15 minutes for each list, so large caps take several rate limit windows
+    overlap: {
+        minAccounts: 2,
+        maxAccounts: 5,
+        listCap: parseInt(process.env.TWITTER_OVERLAP_CAP, 10) || 2000,
+        sharedAccounts: 100
+    },
     defaultParams: {
         max_results: 25,
         tweet: {
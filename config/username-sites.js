@@ -0,0 +1,315 @@
+// Username enumeration site catalogue
+//
+// Each site describes how to decide whether a profile exists:
+//   url       - public profile URL, {username} is replaced with the username
+//   probeUrl  - optional URL that is requested instead of url (e.g. a JSON API)
+//   pattern   - usernames the site accepts; anything else cannot exist there
+//   exists    - { status: [codes], markers: [strings the body must contain] }
+//   missing   - { status: [codes], markers: [strings in the body], redirect: 'substring of the Location header' }
+// Sites without an exists rule treat HTTP 200 as a profile.
+
+const GENERIC = /^[A-Za-z0-9_.-]{1,40}$/;
+const ALNUM_UNDERSCORE = /^[A-Za-z0-9_]{1,30}$/;
+const ALNUM_DASH = /^[A-Za-z0-9-]{1,39}$/;
+// One DNS label, for sites that give each user a subdomain
+const SUBDOMAIN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+const usernameSites = [
+    // Social networks
+    { key: 'facebook', name: 'Facebook', category: 'social', url: 'https://www.facebook.com/{username}', pattern: /^[A-Za-z0-9.]{5,50}$/, missing: { status: [404], markers: ['This content isn\'t available', 'Page Not Found'] } },
+    { key: 'instagram', name: 'Instagram', category: 'social', url: 'https://www.instagram.com/{username}/', pattern: /^[A-Za-z0-9_.]{1,30}$/, missing: { status: [404], markers: ['Sorry, this page isn\'t available'], redirect: '/accounts/login' } },
+    { key: 'twitter', name: 'Twitter', category: 'social', url: 'https://twitter.com/{username}', probeUrl: 'https://nitter.net/{username}', pattern: /^[A-Za-z0-9_]{1,15}$/, exists: { status: [200], markers: ['profile-card'] }, missing: { status: [404], markers: ['not found'] } },
+    { key: 'reddit', name: 'Reddit', category: 'social', url: 'https://www.reddit.com/user/{username}', probeUrl: 'https://www.reddit.com/user/{username}/about.json', pattern: /^[A-Za-z0-9_-]{3,20}$/, exists: { status: [200], markers: ['"kind": "t2"', '"kind":"t2"'] }, missing: { status: [404] } },
+    { key: 'tiktok', name: 'TikTok', category: 'social', url: 'https://www.tiktok.com/@{username}', pattern: /^[A-Za-z0-9_.]{2,24}$/, missing: { status: [404], markers: ['Couldn\'t find this account'] } },
+    { key: 'pinterest', name: 'Pinterest', category: 'social', url: 'https://www.pinterest.com/{username}/', pattern: /^[A-Za-z0-9_]{3,30}$/, missing: { redirect: '/ideas/', status: [404] } },
+    { key: 'tumblr', name: 'Tumblr', category: 'social', url: 'https://{username}.tumblr.com', pattern: /^[A-Za-z0-9-]{1,32}$/, missing: { status: [404] } },
+    { key: 'vk', name: 'VK', category: 'social', url: 'https://vk.com/{username}', pattern: /^[A-Za-z0-9_.]{5,32}$/, missing: { status: [404] } },
+    { key: 'ok', name: 'OK.ru', category: 'social', url: 'https://ok.ru/{username}', pattern: /^[A-Za-z0-9_.]{3,40}$/, missing: { status: [404] } },
+    { key: 'mastodon', name: 'Mastodon.social', category: 'social', url: 'https://mastodon.social/@{username}', probeUrl: 'https://mastodon.social/api/v1/accounts/lookup?acct={username}', pattern: /^[A-Za-z0-9_]{1,30}$/, missing: { status: [404] } },
+    { key: 'bluesky', name: 'Bluesky', category: 'social', url: 'https://bsky.app/profile/{username}.bsky.social', probeUrl: 'https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor={username}.bsky.social', pattern: /^[A-Za-z0-9-]{3,18}$/, missing: { status: [400, 404] } },
+    { key: 'threads', name: 'Threads', category: 'social', url: 'https://www.threads.net/@{username}', pattern: /^[A-Za-z0-9_.]{1,30}$/, missing: { status: [404] } },
+    { key: 'snapchat', name: 'Snapchat', category: 'social', url: 'https://www.snapchat.com/add/{username}', pattern: /^[A-Za-z][A-Za-z0-9_.-]{2,14}$/, missing: { status: [404] } },
+    { key: 'telegram', name: 'Telegram', category: 'social', url: 'https://t.me/{username}', pattern: /^[A-Za-z][A-Za-z0-9_]{4,31}$/, exists: { status: [200], markers: ['tgme_page_title'] }, missing: { markers: ['tgme_page_description">If you have'] } },
+    { key: 'linktree', name: 'Linktree', category: 'social', url: 'https://linktr.ee/{username}', pattern: /^[A-Za-z0-9_.]{3,30}$/, missing: { status: [404] } },
+    { key: 'aboutme', name: 'About.me', category: 'social', url: 'https://about.me/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'gravatar', name: 'Gravatar', category: 'social', url: 'https://en.gravatar.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'myspace', name: 'Myspace', category: 'social', url: 'https://myspace.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'weibo', name: 'Weibo', category: 'social', url: 'https://weibo.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'disqus', name: 'Disqus', category: 'social', url: 'https://disqus.com/by/{username}/', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'mewe', name: 'MeWe', category: 'social', url: 'https://mewe.com/i/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'gab', name: 'Gab', category: 'social', url: 'https://gab.com/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'minds', name: 'Minds', category: 'social', url: 'https://www.minds.com/{username}/', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'pixelfed', name: 'Pixelfed.social', category: 'social', url: 'https://pixelfed.social/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'fosstodon', name: 'Fosstodon', category: 'social', url: 'https://fosstodon.org/@{username}', probeUrl: 'https://fosstodon.org/api/v1/accounts/lookup?acct={username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'infosecexchange', name: 'Infosec.exchange', category: 'social', url: 'https://infosec.exchange/@{username}', probeUrl: 'https://infosec.exchange/api/v1/accounts/lookup?acct={username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'lemmy', name: 'Lemmy.world', category: 'social', url: 'https://lemmy.world/u/{username}', pattern: /^[A-Za-z0-9_]{3,20}$/, missing: { status: [404] } },
+    { key: 'truthsocial', name: 'Truth Social', category: 'social', url: 'https://truthsocial.com/@{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'gettr', name: 'GETTR', category: 'social', url: 'https://gettr.com/user/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'plurk', name: 'Plurk', category: 'social', url: 'https://www.plurk.com/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'askfm', name: 'ASKfm', category: 'social', url: 'https://ask.fm/{username}', pattern: /^[A-Za-z0-9_]{3,40}$/, missing: { status: [404] } },
+    { key: 'tellonym', name: 'Tellonym', category: 'social', url: 'https://tellonym.me/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'spacehey', name: 'SpaceHey', category: 'social', url: 'https://spacehey.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'douban', name: 'Douban', category: 'social', url: 'https://www.douban.com/people/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'clubhouse', name: 'Clubhouse', category: 'social', url: 'https://www.clubhouse.com/@{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'carrd', name: 'Carrd', category: 'social', url: 'https://{username}.carrd.co', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'beacons', name: 'Beacons', category: 'social', url: 'https://beacons.ai/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'biolink', name: 'bio.link', category: 'social', url: 'https://bio.link/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'soloto', name: 'solo.to', category: 'social', url: 'https://solo.to/{username}', pattern: GENERIC, missing: { status: [404] } },
+
+    // Video and streaming
+    { key: 'youtube', name: 'YouTube', category: 'video', url: 'https://www.youtube.com/@{username}', pattern: /^[A-Za-z0-9_.-]{3,30}$/, missing: { status: [404] } },
+    { key: 'twitch', name: 'Twitch', category: 'video', url: 'https://www.twitch.tv/{username}', probeUrl: 'https://m.twitch.tv/{username}', pattern: /^[A-Za-z0-9_]{4,25}$/, missing: { status: [404], markers: ['Sorry. Unless you\'ve got a time machine'] } },
+    { key: 'vimeo', name: 'Vimeo', category: 'video', url: 'https://vimeo.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'dailymotion', name: 'Dailymotion', category: 'video', url: 'https://www.dailymotion.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'kick', name: 'Kick', category: 'video', url: 'https://kick.com/{username}', probeUrl: 'https://kick.com/api/v2/channels/{username}', pattern: /^[A-Za-z0-9_]{3,25}$/, missing: { status: [404] } },
+    { key: 'rumble', name: 'Rumble', category: 'video', url: 'https://rumble.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'odysee', name: 'Odysee', category: 'video', url: 'https://odysee.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'bitchute', name: 'BitChute', category: 'video', url: 'https://www.bitchute.com/channel/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'trovo', name: 'Trovo', category: 'video', url: 'https://trovo.live/s/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'dlive', name: 'DLive', category: 'video', url: 'https://dlive.tv/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'coub', name: 'Coub', category: 'video', url: 'https://coub.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'younow', name: 'YouNow', category: 'video', url: 'https://www.younow.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+
+    // Development
+    { key: 'github', name: 'GitHub', category: 'development', url: 'https://github.com/{username}', pattern: /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/, missing: { status: [404] } },
+    { key: 'gitlab', name: 'GitLab', category: 'development', url: 'https://gitlab.com/{username}', probeUrl: 'https://gitlab.com/api/v4/users?username={username}', pattern: /^[A-Za-z0-9_.-]{2,255}$/, exists: { status: [200], markers: ['"username"'] }, missing: { markers: ['[]'] } },
+    { key: 'bitbucket', name: 'Bitbucket', category: 'development', url: 'https://bitbucket.org/{username}/', pattern: /^[A-Za-z0-9_-]{1,30}$/, missing: { status: [404] } },
+    { key: 'sourceforge', name: 'SourceForge', category: 'development', url: 'https://sourceforge.net/u/{username}/profile', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'codeberg', name: 'Codeberg', category: 'development', url: 'https://codeberg.org/{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'npm', name: 'npm', category: 'development', url: 'https://www.npmjs.com/~{username}', pattern: /^[a-z0-9_.-]{1,214}$/, missing: { status: [404] } },
+    { key: 'pypi', name: 'PyPI', category: 'development', url: 'https://pypi.org/user/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'dockerhub', name: 'Docker Hub', category: 'development', url: 'https://hub.docker.com/u/{username}', probeUrl: 'https://hub.docker.com/v2/users/{username}/', pattern: /^[a-z0-9]{4,30}$/, missing: { status: [404] } },
+    { key: 'stackoverflow', name: 'Stack Overflow', category: 'development', url: 'https://stackoverflow.com/users/filter?search={username}', pattern: GENERIC, exists: { status: [200], markers: ['user-details'] }, missing: { markers: ['No users matched your search'] } },
+    { key: 'hackernews', name: 'Hacker News', category: 'development', url: 'https://news.ycombinator.com/user?id={username}', pattern: /^[A-Za-z0-9_-]{2,15}$/, exists: { status: [200], markers: ['created:'] }, missing: { markers: ['No such user.'] } },
+    { key: 'devto', name: 'DEV Community', category: 'development', url: 'https://dev.to/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'hashnode', name: 'Hashnode', category: 'development', url: 'https://hashnode.com/@{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'replit', name: 'Replit', category: 'development', url: 'https://replit.com/@{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'codepen', name: 'CodePen', category: 'development', url: 'https://codepen.io/{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'leetcode', name: 'LeetCode', category: 'development', url: 'https://leetcode.com/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hackerrank', name: 'HackerRank', category: 'development', url: 'https://www.hackerrank.com/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'codewars', name: 'Codewars', category: 'development', url: 'https://www.codewars.com/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'kaggle', name: 'Kaggle', category: 'development', url: 'https://www.kaggle.com/{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'huggingface', name: 'Hugging Face', category: 'development', url: 'https://huggingface.co/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'keybase', name: 'Keybase', category: 'development', url: 'https://keybase.io/{username}', pattern: /^[A-Za-z0-9_]{2,16}$/, missing: { status: [404] } },
+    { key: 'launchpad', name: 'Launchpad', category: 'development', url: 'https://launchpad.net/~{username}', pattern: /^[a-z0-9][a-z0-9+.-]{1,40}$/, missing: { status: [404] } },
+    { key: 'rubygems', name: 'RubyGems', category: 'development', url: 'https://rubygems.org/profiles/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'packagist', name: 'Packagist', category: 'development', url: 'https://packagist.org/users/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'cratesio', name: 'crates.io', category: 'development', url: 'https://crates.io/users/{username}', probeUrl: 'https://crates.io/api/v1/users/{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'hackerone', name: 'HackerOne', category: 'development', url: 'https://hackerone.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'bugcrowd', name: 'Bugcrowd', category: 'development', url: 'https://bugcrowd.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'tryhackme', name: 'TryHackMe', category: 'development', url: 'https://tryhackme.com/p/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'sourcehut', name: 'SourceHut', category: 'development', url: 'https://sr.ht/~{username}/', pattern: /^[a-z_][a-z0-9_-]{1,29}$/, missing: { status: [404] } },
+    { key: 'notabug', name: 'NotABug', category: 'development', url: 'https://notabug.org/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'gitea', name: 'Gitea', category: 'development', url: 'https://gitea.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'qiita', name: 'Qiita', category: 'development', url: 'https://qiita.com/{username}', pattern: /^[A-Za-z0-9_-]{3,32}$/, missing: { status: [404] } },
+    { key: 'zenn', name: 'Zenn', category: 'development', url: 'https://zenn.dev/{username}', pattern: /^[A-Za-z0-9_]{2,32}$/, missing: { status: [404] } },
+    { key: 'segmentfault', name: 'SegmentFault', category: 'development', url: 'https://segmentfault.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hexpm', name: 'Hex', category: 'development', url: 'https://hex.pm/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'nuget', name: 'NuGet', category: 'development', url: 'https://www.nuget.org/profiles/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'chocolatey', name: 'Chocolatey', category: 'development', url: 'https://community.chocolatey.org/profiles/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'anaconda', name: 'Anaconda', category: 'development', url: 'https://anaconda.org/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'quay', name: 'Quay', category: 'development', url: 'https://quay.io/user/{username}', pattern: /^[a-z0-9_]{2,255}$/, missing: { status: [404] } },
+    { key: 'wordpressorg', name: 'WordPress.org', category: 'development', url: 'https://profiles.wordpress.org/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'readthedocs', name: 'Read the Docs', category: 'development', url: 'https://readthedocs.org/profiles/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'openhub', name: 'Open Hub', category: 'development', url: 'https://openhub.net/accounts/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'observable', name: 'Observable', category: 'development', url: 'https://observablehq.com/@{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'glitch', name: 'Glitch', category: 'development', url: 'https://glitch.com/@{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'jsfiddle', name: 'JSFiddle', category: 'development', url: 'https://jsfiddle.net/user/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'codesandbox', name: 'CodeSandbox', category: 'development', url: 'https://codesandbox.io/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hackmd', name: 'HackMD', category: 'development', url: 'https://hackmd.io/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'codechef', name: 'CodeChef', category: 'development', url: 'https://www.codechef.com/users/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404], redirect: 'codechef.com/' } },
+    { key: 'codeforces', name: 'Codeforces', category: 'development', url: 'https://codeforces.com/profile/{username}', probeUrl: 'https://codeforces.com/api/user.info?handles={username}', pattern: /^[A-Za-z0-9_.-]{3,24}$/, missing: { status: [400] } },
+    { key: 'atcoder', name: 'AtCoder', category: 'development', url: 'https://atcoder.jp/users/{username}', pattern: /^[A-Za-z0-9_]{3,16}$/, missing: { status: [404] } },
+    { key: 'exercism', name: 'Exercism', category: 'development', url: 'https://exercism.org/profiles/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'wakatime', name: 'WakaTime', category: 'development', url: 'https://wakatime.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'codementor', name: 'Codementor', category: 'development', url: 'https://www.codementor.io/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hackster', name: 'Hackster', category: 'development', url: 'https://www.hackster.io/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'rootme', name: 'Root Me', category: 'development', url: 'https://www.root-me.org/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'intigriti', name: 'Intigriti', category: 'development', url: 'https://app.intigriti.com/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+
+    // Blogging and writing
+    { key: 'medium', name: 'Medium', category: 'blogging', url: 'https://medium.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'substack', name: 'Substack', category: 'blogging', url: 'https://{username}.substack.com', pattern: /^[a-z0-9-]{1,63}$/, missing: { status: [404], redirect: 'substack.com/discover' } },
+    { key: 'wordpress', name: 'WordPress.com', category: 'blogging', url: 'https://{username}.wordpress.com', pattern: /^[a-z0-9]{4,50}$/, missing: { status: [404], redirect: 'wordpress.com/typo' } },
+    { key: 'blogger', name: 'Blogger', category: 'blogging', url: 'https://{username}.blogspot.com', pattern: /^[a-z0-9-]{1,63}$/, missing: { status: [404] } },
+    { key: 'livejournal', name: 'LiveJournal', category: 'blogging', url: 'https://{username}.livejournal.com', pattern: /^[a-z0-9_-]{1,15}$/, missing: { status: [404] } },
+    { key: 'wattpad', name: 'Wattpad', category: 'blogging', url: 'https://www.wattpad.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'goodreads', name: 'Goodreads', category: 'blogging', url: 'https://www.goodreads.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'quora', name: 'Quora', category: 'blogging', url: 'https://www.quora.com/profile/{username}', pattern: /^[A-Za-z0-9-]{1,60}$/, missing: { status: [404] } },
+    { key: 'archiveorg', name: 'Internet Archive', category: 'blogging', url: 'https://archive.org/details/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hubpages', name: 'HubPages', category: 'blogging', url: 'https://hubpages.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'writeas', name: 'Write.as', category: 'blogging', url: 'https://write.as/{username}/', pattern: /^[A-Za-z0-9-]{1,40}$/, missing: { status: [404] } },
+    { key: 'typepad', name: 'Typepad', category: 'blogging', url: 'https://{username}.typepad.com', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'dreamwidth', name: 'Dreamwidth', category: 'blogging', url: 'https://{username}.dreamwidth.org', pattern: /^[A-Za-z0-9-]{1,25}$/, missing: { status: [404] } },
+    { key: 'bearblog', name: 'Bear Blog', category: 'blogging', url: 'https://{username}.bearblog.dev', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'microblog', name: 'Micro.blog', category: 'blogging', url: 'https://micro.blog/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'tistory', name: 'Tistory', category: 'blogging', url: 'https://{username}.tistory.com', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'naverblog', name: 'Naver Blog', category: 'blogging', url: 'https://blog.naver.com/{username}', pattern: /^[a-z0-9_-]{5,20}$/, missing: { status: [404] } },
+    { key: 'velog', name: 'velog', category: 'blogging', url: 'https://velog.io/@{username}', pattern: /^[A-Za-z0-9_-]{3,16}$/, missing: { status: [404] } },
+    { key: 'notecom', name: 'note', category: 'blogging', url: 'https://note.com/{username}', pattern: /^[A-Za-z0-9_]{3,16}$/, missing: { status: [404] } },
+    { key: 'hatena', name: 'Hatena', category: 'blogging', url: 'https://profile.hatena.ne.jp/{username}/', pattern: /^[A-Za-z][A-Za-z0-9_-]{2,31}$/, missing: { status: [404] } },
+    { key: 'ameblo', name: 'Ameba Blog', category: 'blogging', url: 'https://ameblo.jp/{username}/', pattern: /^[a-z0-9-]{3,24}$/, missing: { status: [404] } },
+    { key: 'cnblogs', name: 'Cnblogs', category: 'blogging', url: 'https://www.cnblogs.com/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'csdn', name: 'CSDN', category: 'blogging', url: 'https://blog.csdn.net/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hackernoon', name: 'HackerNoon', category: 'blogging', url: 'https://hackernoon.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'buttondown', name: 'Buttondown', category: 'blogging', url: 'https://buttondown.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'issuu', name: 'Issuu', category: 'blogging', url: 'https://issuu.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'ao3', name: 'Archive of Our Own', category: 'blogging', url: 'https://archiveofourown.org/users/{username}', pattern: /^[A-Za-z0-9_]{3,40}$/, missing: { status: [404] } },
+    { key: 'librarything', name: 'LibraryThing', category: 'blogging', url: 'https://www.librarything.com/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'storygraph', name: 'The StoryGraph', category: 'blogging', url: 'https://app.thestorygraph.com/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+
+    // Creative and design
+    { key: 'behance', name: 'Behance', category: 'creative', url: 'https://www.behance.net/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'dribbble', name: 'Dribbble', category: 'creative', url: 'https://dribbble.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'deviantart', name: 'DeviantArt', category: 'creative', url: 'https://www.deviantart.com/{username}', pattern: ALNUM_DASH, missing: { status: [404] } },
+    { key: 'artstation', name: 'ArtStation', category: 'creative', url: 'https://www.artstation.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'flickr', name: 'Flickr', category: 'creative', url: 'https://www.flickr.com/people/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: '500px', name: '500px', category: 'creative', url: 'https://500px.com/p/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'unsplash', name: 'Unsplash', category: 'creative', url: 'https://unsplash.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'vsco', name: 'VSCO', category: 'creative', url: 'https://vsco.co/{username}/gallery', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'imgur', name: 'Imgur', category: 'creative', url: 'https://imgur.com/user/{username}', probeUrl: 'https://api.imgur.com/account/v1/accounts/{username}?client_id=546c25a59c58ad7', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'giphy', name: 'Giphy', category: 'creative', url: 'https://giphy.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'sketchfab', name: 'Sketchfab', category: 'creative', url: 'https://sketchfab.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'instructables', name: 'Instructables', category: 'creative', url: 'https://www.instructables.com/member/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'thingiverse', name: 'Thingiverse', category: 'creative', url: 'https://www.thingiverse.com/{username}/designs', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'newgrounds', name: 'Newgrounds', category: 'creative', url: 'https://{username}.newgrounds.com', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'furaffinity', name: 'Fur Affinity', category: 'creative', url: 'https://www.furaffinity.net/user/{username}/', pattern: GENERIC, missing: { status: [404], markers: ['This user cannot be found.'] } },
+    { key: 'cara', name: 'Cara', category: 'creative', url: 'https://cara.app/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'coroflot', name: 'Coroflot', category: 'creative', url: 'https://www.coroflot.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'carbonmade', name: 'Carbonmade', category: 'creative', url: 'https://{username}.carbonmade.com', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'crevado', name: 'Crevado', category: 'creative', url: 'https://{username}.crevado.com', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'figma', name: 'Figma Community', category: 'creative', url: 'https://www.figma.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'smugmug', name: 'SmugMug', category: 'creative', url: 'https://{username}.smugmug.com', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'pexels', name: 'Pexels', category: 'creative', url: 'https://www.pexels.com/@{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'scratch', name: 'Scratch', category: 'creative', url: 'https://scratch.mit.edu/users/{username}/', probeUrl: 'https://api.scratch.mit.edu/users/{username}', pattern: /^[A-Za-z0-9_-]{3,20}$/, missing: { status: [404] } },
+    { key: 'shadertoy', name: 'Shadertoy', category: 'creative', url: 'https://www.shadertoy.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'printables', name: 'Printables', category: 'creative', url: 'https://www.printables.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'cults3d', name: 'Cults', category: 'creative', url: 'https://cults3d.com/en/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'myminifactory', name: 'MyMiniFactory', category: 'creative', url: 'https://www.myminifactory.com/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+
+    // Music
+    { key: 'soundcloud', name: 'SoundCloud', category: 'music', url: 'https://soundcloud.com/{username}', pattern: /^[a-z0-9_-]{3,25}$/, missing: { status: [404] } },
+    { key: 'spotify', name: 'Spotify', category: 'music', url: 'https://open.spotify.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'bandcamp', name: 'Bandcamp', category: 'music', url: 'https://bandcamp.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'lastfm', name: 'Last.fm', category: 'music', url: 'https://www.last.fm/user/{username}', pattern: /^[A-Za-z][A-Za-z0-9_-]{1,14}$/, missing: { status: [404] } },
+    { key: 'mixcloud', name: 'Mixcloud', category: 'music', url: 'https://www.mixcloud.com/{username}/', probeUrl: 'https://api.mixcloud.com/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'genius', name: 'Genius', category: 'music', url: 'https://genius.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'audiomack', name: 'Audiomack', category: 'music', url: 'https://audiomack.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'reverbnation', name: 'ReverbNation', category: 'music', url: 'https://www.reverbnation.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'hearthis', name: 'hearthis.at', category: 'music', url: 'https://hearthis.at/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'discogs', name: 'Discogs', category: 'music', url: 'https://www.discogs.com/user/{username}', probeUrl: 'https://api.discogs.com/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'rateyourmusic', name: 'Rate Your Music', category: 'music', url: 'https://rateyourmusic.com/~{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'musescore', name: 'MuseScore', category: 'music', url: 'https://musescore.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'smule', name: 'Smule', category: 'music', url: 'https://www.smule.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'freesound', name: 'Freesound', category: 'music', url: 'https://freesound.org/people/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'bandlab', name: 'BandLab', category: 'music', url: 'https://www.bandlab.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'ultimateguitar', name: 'Ultimate Guitar', category: 'music', url: 'https://www.ultimate-guitar.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'setlistfm', name: 'setlist.fm', category: 'music', url: 'https://www.setlist.fm/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'audius', name: 'Audius', category: 'music', url: 'https://audius.co/{username}', pattern: GENERIC, missing: { status: [404] } },
+
+    // Gaming
+    { key: 'steam', name: 'Steam', category: 'gaming', url: 'https://steamcommunity.com/id/{username}', pattern: /^[A-Za-z0-9_-]{2,32}$/, missing: { markers: ['The specified profile could not be found'] } },
+    { key: 'chesscom', name: 'Chess.com', category: 'gaming', url: 'https://www.chess.com/member/{username}', probeUrl: 'https://api.chess.com/pub/player/{username}', pattern: /^[A-Za-z0-9_-]{3,25}$/, missing: { status: [404] } },
+    { key: 'lichess', name: 'Lichess', category: 'gaming', url: 'https://lichess.org/@/{username}', probeUrl: 'https://lichess.org/api/user/{username}', pattern: /^[A-Za-z0-9_-]{2,30}$/, missing: { status: [404] } },
+    { key: 'roblox', name: 'Roblox', category: 'gaming', url: 'https://www.roblox.com/user.aspx?username={username}', pattern: /^[A-Za-z0-9_]{3,20}$/, missing: { status: [404], redirect: 'request-error' } },
+    { key: 'speedrun', name: 'Speedrun.com', category: 'gaming', url: 'https://www.speedrun.com/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'itchio', name: 'itch.io', category: 'gaming', url: 'https://{username}.itch.io', pattern: /^[a-z0-9_-]{1,40}$/, missing: { status: [404] } },
+    { key: 'minecraft', name: 'Minecraft', category: 'gaming', url: 'https://namemc.com/profile/{username}', probeUrl: 'https://api.mojang.com/users/profiles/minecraft/{username}', pattern: /^[A-Za-z0-9_]{3,16}$/, missing: { status: [204, 404] } },
+    { key: 'xboxgamertag', name: 'Xbox Gamertag', category: 'gaming', url: 'https://xboxgamertag.com/search/{username}', pattern: /^[A-Za-z0-9 ]{1,15}$/, missing: { status: [404] } },
+    { key: 'osu', name: 'osu!', category: 'gaming', url: 'https://osu.ppy.sh/users/{username}', pattern: /^[A-Za-z0-9_ [\]-]{3,15}$/, missing: { status: [404] } },
+    { key: 'psnprofiles', name: 'PSNProfiles', category: 'gaming', url: 'https://psnprofiles.com/{username}', pattern: /^[A-Za-z][A-Za-z0-9_-]{2,15}$/, missing: { status: [404], redirect: '?psnId=' } },
+    { key: 'gog', name: 'GOG', category: 'gaming', url: 'https://www.gog.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'faceit', name: 'FACEIT', category: 'gaming', url: 'https://www.faceit.com/en/players/{username}', probeUrl: 'https://www.faceit.com/api/users/v1/nicknames/{username}', pattern: /^[A-Za-z0-9_-]{2,12}$/, missing: { status: [404] } },
+    { key: 'moddb', name: 'ModDB', category: 'gaming', url: 'https://www.moddb.com/members/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'gamejolt', name: 'Game Jolt', category: 'gaming', url: 'https://gamejolt.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'kongregate', name: 'Kongregate', category: 'gaming', url: 'https://www.kongregate.com/accounts/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'boardgamegeek', name: 'BoardGameGeek', category: 'gaming', url: 'https://boardgamegeek.com/user/{username}', probeUrl: 'https://boardgamegeek.com/xmlapi2/user?name={username}', pattern: GENERIC, missing: { markers: ['id=""'] } },
+    { key: 'pokemonshowdown', name: 'Pokémon Showdown', category: 'gaming', url: 'https://pokemonshowdown.com/users/{username}', pattern: /^[A-Za-z0-9 _-]{1,18}$/, missing: { status: [404] } },
+    { key: 'retroachievements', name: 'RetroAchievements', category: 'gaming', url: 'https://retroachievements.org/user/{username}', pattern: /^[A-Za-z0-9]{2,20}$/, missing: { status: [404] } },
+    { key: 'planetminecraft', name: 'Planet Minecraft', category: 'gaming', url: 'https://www.planetminecraft.com/member/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'curseforge', name: 'CurseForge', category: 'gaming', url: 'https://www.curseforge.com/members/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'modrinth', name: 'Modrinth', category: 'gaming', url: 'https://modrinth.com/user/{username}', probeUrl: 'https://api.modrinth.com/v2/user/{username}', pattern: /^[A-Za-z0-9_-]{1,39}$/, missing: { status: [404] } },
+    { key: 'backloggd', name: 'Backloggd', category: 'gaming', url: 'https://www.backloggd.com/u/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'trueachievements', name: 'TrueAchievements', category: 'gaming', url: 'https://www.trueachievements.com/gamer/{username}', pattern: /^[A-Za-z0-9 ]{1,15}$/, missing: { status: [404] } },
+    { key: 'tetrio', name: 'TETR.IO', category: 'gaming', url: 'https://ch.tetr.io/u/{username}', probeUrl: 'https://ch.tetr.io/api/users/{username}', pattern: /^[A-Za-z0-9_-]{3,16}$/, missing: { markers: ['"success":false'] } },
+    { key: 'monkeytype', name: 'Monkeytype', category: 'gaming', url: 'https://monkeytype.com/profile/{username}', probeUrl: 'https://api.monkeytype.com/users/{username}/profile', pattern: /^[A-Za-z0-9_.-]{1,16}$/, missing: { status: [404] } },
+
+    // Professional and commerce
+    { key: 'linkedin', name: 'LinkedIn', category: 'professional', url: 'https://www.linkedin.com/in/{username}', pattern: /^[A-Za-z0-9-]{3,100}$/, missing: { status: [404] }, exists: { status: [200] } },
+    { key: 'angellist', name: 'Wellfound', category: 'professional', url: 'https://wellfound.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'producthunt', name: 'Product Hunt', category: 'professional', url: 'https://www.producthunt.com/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'fiverr', name: 'Fiverr', category: 'professional', url: 'https://www.fiverr.com/{username}', pattern: /^[A-Za-z0-9_]{4,15}$/, missing: { status: [404] } },
+    { key: 'freelancer', name: 'Freelancer', category: 'professional', url: 'https://www.freelancer.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'etsy', name: 'Etsy', category: 'professional', url: 'https://www.etsy.com/people/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'ebay', name: 'eBay', category: 'professional', url: 'https://www.ebay.com/usr/{username}', pattern: GENERIC, missing: { markers: ['The User ID you entered was not found'] } },
+    { key: 'slideshare', name: 'SlideShare', category: 'professional', url: 'https://www.slideshare.net/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'patreon', name: 'Patreon', category: 'professional', url: 'https://www.patreon.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'kofi', name: 'Ko-fi', category: 'professional', url: 'https://ko-fi.com/{username}', pattern: GENERIC, missing: { status: [404], redirect: 'ko-fi.com/art' } },
+    { key: 'buymeacoffee', name: 'Buy Me a Coffee', category: 'professional', url: 'https://www.buymeacoffee.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'gumroad', name: 'Gumroad', category: 'professional', url: 'https://{username}.gumroad.com', pattern: /^[a-z0-9]{1,40}$/, missing: { status: [404] } },
+    { key: 'cashapp', name: 'Cash App', category: 'professional', url: 'https://cash.app/${username}', pattern: /^[A-Za-z0-9]{1,20}$/, missing: { status: [404] } },
+    { key: 'venmo', name: 'Venmo', category: 'professional', url: 'https://account.venmo.com/u/{username}', pattern: /^[A-Za-z0-9_-]{5,30}$/, missing: { status: [404] } },
+    { key: 'xing', name: 'XING', category: 'professional', url: 'https://www.xing.com/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'researchgate', name: 'ResearchGate', category: 'professional', url: 'https://www.researchgate.net/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'crunchbase', name: 'Crunchbase', category: 'professional', url: 'https://www.crunchbase.com/person/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'contra', name: 'Contra', category: 'professional', url: 'https://contra.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'f6s', name: 'F6S', category: 'professional', url: 'https://www.f6s.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'guru', name: 'Guru', category: 'professional', url: 'https://www.guru.com/freelancers/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: '99designs', name: '99designs', category: 'professional', url: 'https://99designs.com/profiles/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'envato', name: 'Envato Market', category: 'professional', url: 'https://themeforest.net/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'creativemarket', name: 'Creative Market', category: 'professional', url: 'https://creativemarket.com/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'calendly', name: 'Calendly', category: 'professional', url: 'https://calendly.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'paypalme', name: 'PayPal.Me', category: 'professional', url: 'https://www.paypal.com/paypalme/{username}', pattern: /^[A-Za-z0-9]{1,20}$/, missing: { status: [404] } },
+    { key: 'opencollective', name: 'Open Collective', category: 'professional', url: 'https://opencollective.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'liberapay', name: 'Liberapay', category: 'professional', url: 'https://liberapay.com/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'kickstarter', name: 'Kickstarter', category: 'professional', url: 'https://www.kickstarter.com/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'redbubble', name: 'Redbubble', category: 'professional', url: 'https://www.redbubble.com/people/{username}/shop', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'society6', name: 'Society6', category: 'professional', url: 'https://society6.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'poshmark', name: 'Poshmark', category: 'professional', url: 'https://poshmark.com/closet/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'depop', name: 'Depop', category: 'professional', url: 'https://www.depop.com/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'carousell', name: 'Carousell', category: 'professional', url: 'https://www.carousell.com/u/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'udemy', name: 'Udemy', category: 'professional', url: 'https://www.udemy.com/user/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'khanacademy', name: 'Khan Academy', category: 'professional', url: 'https://www.khanacademy.org/profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'quizlet', name: 'Quizlet', category: 'professional', url: 'https://quizlet.com/user/{username}/sets', pattern: GENERIC, missing: { status: [404] } },
+
+    // Forums and communities
+    { key: 'pastebin', name: 'Pastebin', category: 'community', url: 'https://pastebin.com/u/{username}', pattern: GENERIC, missing: { status: [404], redirect: 'pastebin.com/index' } },
+    { key: 'xda', name: 'XDA Forums', category: 'community', url: 'https://xdaforums.com/m/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'slashdot', name: 'Slashdot', category: 'community', url: 'https://slashdot.org/~{username}', pattern: GENERIC, missing: { markers: ['user you requested does not exist'] } },
+    { key: 'lobsters', name: 'Lobsters', category: 'community', url: 'https://lobste.rs/u/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'trello', name: 'Trello', category: 'community', url: 'https://trello.com/{username}', probeUrl: 'https://trello.com/1/Members/{username}', pattern: /^[a-z0-9_]{3,100}$/, missing: { status: [404] } },
+    { key: 'kaskus', name: 'Kaskus', category: 'community', url: 'https://www.kaskus.co.id/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'couchsurfing', name: 'Couchsurfing', category: 'community', url: 'https://www.couchsurfing.com/people/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'myanimelist', name: 'MyAnimeList', category: 'community', url: 'https://myanimelist.net/profile/{username}', pattern: /^[A-Za-z0-9_-]{2,16}$/, missing: { status: [404] } },
+    { key: 'letterboxd', name: 'Letterboxd', category: 'community', url: 'https://letterboxd.com/{username}/', pattern: /^[A-Za-z0-9_]{2,15}$/, missing: { status: [404] } },
+    { key: 'strava', name: 'Strava', category: 'community', url: 'https://www.strava.com/athletes/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'duolingo', name: 'Duolingo', category: 'community', url: 'https://www.duolingo.com/profile/{username}', probeUrl: 'https://www.duolingo.com/2017-06-30/users?username={username}', pattern: GENERIC, exists: { status: [200], markers: ['"username"'] }, missing: { markers: ['"users":[]'] } },
+    { key: 'tradingview', name: 'TradingView', category: 'community', url: 'https://www.tradingview.com/u/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'wikipedia', name: 'Wikipedia', category: 'community', url: 'https://en.wikipedia.org/wiki/User:{username}', probeUrl: 'https://en.wikipedia.org/w/api.php?action=query&list=users&ususers={username}&format=json', pattern: /^[^#<>[\]|{}/@:]{1,85}$/, exists: { status: [200], markers: ['"userid"'] }, missing: { markers: ['"missing"'] } },
+    { key: 'fandom', name: 'Fandom', category: 'community', url: 'https://community.fandom.com/wiki/User:{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'gitee', name: 'Gitee', category: 'community', url: 'https://gitee.com/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'ninegag', name: '9GAG', category: 'community', url: 'https://9gag.com/u/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'tripadvisor', name: 'Tripadvisor', category: 'community', url: 'https://www.tripadvisor.com/Profile/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'trakt', name: 'Trakt', category: 'community', url: 'https://trakt.tv/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'untappd', name: 'Untappd', category: 'community', url: 'https://untappd.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'geocaching', name: 'Geocaching', category: 'community', url: 'https://www.geocaching.com/p/?u={username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'inaturalist', name: 'iNaturalist', category: 'community', url: 'https://www.inaturalist.org/people/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'alltrails', name: 'AllTrails', category: 'community', url: 'https://www.alltrails.com/members/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'openstreetmap', name: 'OpenStreetMap', category: 'community', url: 'https://www.openstreetmap.org/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'neocities', name: 'Neocities', category: 'community', url: 'https://{username}.neocities.org', pattern: SUBDOMAIN, missing: { status: [404] } },
+    { key: 'ifunny', name: 'iFunny', category: 'community', url: 'https://ifunny.co/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'imgflip', name: 'Imgflip', category: 'community', url: 'https://imgflip.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'knowyourmeme', name: 'Know Your Meme', category: 'community', url: 'https://knowyourmeme.com/users/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'habr', name: 'Habr', category: 'community', url: 'https://habr.com/en/users/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'pikabu', name: 'Pikabu', category: 'community', url: 'https://pikabu.ru/@{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'tildes', name: 'Tildes', category: 'community', url: 'https://tildes.net/user/{username}', pattern: /^[A-Za-z0-9_-]{3,20}$/, missing: { status: [404] } },
+    { key: 'hubski', name: 'Hubski', category: 'community', url: 'https://hubski.com/user/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'steemit', name: 'Steemit', category: 'community', url: 'https://steemit.com/@{username}', pattern: /^[a-z][a-z0-9.-]{2,15}$/, missing: { status: [404] } },
+    { key: 'peakd', name: 'PeakD', category: 'community', url: 'https://peakd.com/@{username}', pattern: /^[a-z][a-z0-9.-]{2,15}$/, missing: { status: [404] } },
+    { key: 'zhihu', name: 'Zhihu', category: 'community', url: 'https://www.zhihu.com/people/{username}', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'v2ex', name: 'V2EX', category: 'community', url: 'https://www.v2ex.com/member/{username}', pattern: ALNUM_UNDERSCORE, missing: { status: [404] } },
+    { key: 'connpass', name: 'connpass', category: 'community', url: 'https://connpass.com/user/{username}/', pattern: GENERIC, missing: { status: [404] } },
+    { key: 'indiehackers', name: 'Indie Hackers', category: 'community', url: 'https://www.indiehackers.com/{username}', pattern: GENERIC, missing: { status: [404] } }
+];
+
+module.exports = usernameSites;
@@ -0,0 +1,17 @@
+// Watch configuration
+// Watches are kept in WATCHES_FILE (data/watches.json by default) and run as jobs on the job queue
+const watchConfig = {
+    // How often the scheduler looks for watches that are due
+    tickInterval: 60 * 1000,
+
+    // Schedules that run more often than this are rejected, to spare upstream quotas
+    minIntervalMinutes: parseInt(process.env.WATCH_MIN_INTERVAL, 10) || 15,
+
+    defaultSchedule: '0 * * * *',
+
+    // History kept per watch; older change events and runs are dropped
+    maxEvents: 500,
+    maxRuns: 50
+};
+
+module.exports = watchConfig;
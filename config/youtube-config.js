@@ -0,0 +1,20 @@
+// YouTube channel lookup configuration
+// With YOUTUBE_API_KEY channels come from the Data API v3; without it the public channel page
+// and the uploads RSS feed are parsed instead
+const youtubeConfig = {
+    apiBase: process.env.YOUTUBE_API_BASE || 'https://www.googleapis.com/youtube/v3',
+    siteBase: 'https://www.youtube.com',
+    timeout: parseInt(process.env.YOUTUBE_TIMEOUT, 10) || 15000,
+
+    // Recent uploads listed per channel; the RSS feed never has more than 15
+    recentUploads: Math.min(parseInt(process.env.YOUTUBE_RECENT_UPLOADS, 10) || 10, 50),
+
+    // Page requests skip the EU consent interstitial and ask for English so dates and counts parse
+    pageHeaders: {
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Cookie': 'SOCS=CAI; CONSENT=YES+1',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'
+    }
+};
+
+module.exports = youtubeConfig;
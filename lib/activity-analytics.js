@@ -0,0 +1,132 @@
+// Activity analytics over dated items, shared by the platforms that return post histories:
+// hour by weekday heatmaps, an inferred UTC offset, monthly series and account age. All times are UTC
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The middle of most people's night is around 03:30 local time
+const SLEEP_CENTER_HOUR = 3.5;
+const QUIET_WINDOW_HOURS = 6;
+
+// Fewer dated items than this give a low confidence timezone whatever the pattern
+const MIN_TIMEZONE_SAMPLE = 30;
+
+// A few well known places per UTC offset, to make the offset readable
+const OFFSET_REGIONS = {
+    '-10': 'Hawaii',
+    '-9': 'Alaska',
+    '-8': 'US Pacific',
+    '-7': 'US Mountain, US Pacific (summer)',
+    '-6': 'US Central, US Mountain (summer)',
+    '-5': 'US Eastern, US Central (summer)',
+    '-4': 'US Eastern (summer), Atlantic',
+    '-3': 'Brazil, Argentina',
+    '0': 'UK, Portugal, West Africa',
+    '1': 'Central Europe, UK (summer)',
+    '2': 'Eastern Europe, Central Europe (summer)',
+    '3': 'Moscow, Turkey, East Africa',
+    '4': 'Gulf states',
+    '5': 'Pakistan, India (UTC+5:30)',
+    '6': 'Bangladesh, India (UTC+5:30)',
+    '7': 'Indochina, Western Indonesia',
+    '8': 'China, Singapore, Western Australia',
+    '9': 'Japan, Korea',
+    '10': 'Eastern Australia',
+    '12': 'New Zealand'
+};
+
+function validDates(values) {
+    return values
+        .map(value => (value ? new Date(value) : null))
+        .filter(date => date && !isNaN(date));
+}
+
+// counts[day][hour] with day 0 = Sunday, plus the totals per hour and per day
+function activityHeatmap(values) {
+    const counts = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    validDates(values).forEach(date => {
+        counts[date.getUTCDay()][date.getUTCHours()]++;
+    });
+    return {
+        counts,
+        hours: counts[0].map((_, hour) => counts.reduce((total, day) => total + day[hour], 0)),
+        days: counts.map(day => day.reduce((total, count) => total + count, 0))
+    };
+}
+
+function formatOffset(offset) {
+    return offset === 0 ? 'UTC' : `UTC${offset > 0 ? '+' : '-'}${Math.abs(offset)}`;
+}
+
+// Guess the UTC offset from the quietest stretch of hours, taken to be the night around 03:30 local time.
+// Confidence reflects how quiet that stretch is compared with an even spread, and the sample size
+function inferTimezone(hours) {
+    const total = hours.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+
+    const windows = hours.map((_, start) => {
+        let count = 0;
+        for (let i = 0; i < QUIET_WINDOW_HOURS; i++) count += hours[(start + i) % 24];
+        return count;
+    });
+    const least = Math.min(...windows);
+
+    // A night longer than the window gives a run of equally quiet windows: take the middle one
+    let best = { start: 0, length: 0 };
+    for (let start = 0; start < 24; start++) {
+        if (windows[start] !== least || windows[(start + 23) % 24] === least) continue;
+        let length = 0;
+        while (windows[(start + length) % 24] === least) length++;
+        if (length > best.length) best = { start, length };
+    }
+    const quietest = { start: (best.start + Math.floor(Math.max(best.length - 1, 0) / 2)) % 24, count: least };
+
+    // To the nearest hour; the pattern is never sharper than that
+    const centerUtc = (best.start + Math.max(best.length - 1, 0) / 2 + QUIET_WINDOW_HOURS / 2) % 24;
+    let offset = Math.round(SLEEP_CENTER_HOUR - centerUtc);
+    if (offset > 14) offset -= 24;
+    if (offset < -11) offset += 24;
+
+    // An even spread puts a quarter of the activity in any six hours
+    const quietShare = quietest.count / total;
+    const contrast = 1 - quietShare / (QUIET_WINDOW_HOURS / 24);
+    const confidence = total < MIN_TIMEZONE_SAMPLE || contrast < 0.5 ? 'low' : contrast < 0.8 ? 'medium' : 'high';
+    return {
+        offset,
+        label: formatOffset(offset),
+        regions: OFFSET_REGIONS[String(offset)] || null,
+        quietHoursUtc: [quietest.start, (quietest.start + QUIET_WINDOW_HOURS) % 24],
+        quietShare: Math.round(quietShare * 1000) / 1000,
+        sample: total,
+        confidence
+    };
+}
+
+// Items per calendar month, oldest first, as [{ month: 'YYYY-MM', ...sums }]. value(item) returns the numbers to add up
+function monthlySeries(items, dateOf, value = () => ({ count: 1 })) {
+    const months = new Map();
+    items.forEach(item => {
+        const [date] = validDates([dateOf(item)]);
+        if (!date) return;
+        const month = date.toISOString().slice(0, 7);
+        const entry = months.get(month) || { month };
+        Object.entries(value(item)).forEach(([key, amount]) => {
+            entry[key] = (entry[key] || 0) + amount;
+        });
+        months.set(month, entry);
+    });
+    return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+function accountAge(createdAt, now = new Date()) {
+    const [created] = validDates([createdAt]);
+    if (!created) return null;
+    const days = Math.floor((now - created) / DAY_MS);
+    return { createdAt: created.toISOString(), days, years: Math.round(days / 365.25 * 10) / 10 };
+}
+
+module.exports = {
+    activityHeatmap,
+    inferTimezone,
+    monthlySeries,
+    accountAge,
+    formatOffset
+};
@@ -0,0 +1,106 @@
+// Audience overlap between accounts: intersections, Jaccard similarity, Venn regions and the shared
+// accounts ranked by how telling they are. Works on plain id lists, so any platform with follower lists fits
+const LIST_KINDS = ['followers', 'following'];
+
+function jaccard(a, b) {
+    let intersection = 0;
+    a.forEach(id => {
+        if (b.has(id)) intersection++;
+    });
+    const union = a.size + b.size - intersection;
+    return { intersection, union, jaccard: union > 0 ? Math.round(intersection / union * 10000) / 10000 : 0 };
+}
+
+// Ids in exactly each combination of sets, keyed by the member indexes joined with "+", e.g. "0+2"
+function vennRegions(sets) {
+    const membership = new Map();
+    sets.forEach((set, index) => set.forEach(id => {
+        membership.set(id, [...(membership.get(id) || []), index]);
+    }));
+    const regions = {};
+    membership.forEach(members => {
+        const key = members.join('+');
+        regions[key] = (regions[key] || 0) + 1;
+    });
+    return regions;
+}
+
+function compareSets(usernames, sets) {
+    const pairs = [];
+    usernames.forEach((first, i) => usernames.slice(i + 1).forEach((second, offset) => {
+        pairs.push({ accounts: [first, second], ...jaccard(sets[i], sets[i + 1 + offset]) });
+    }));
+    const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+    const sharedByAll = smallest ? [...smallest].filter(id => rest.every(set => set.has(id))).length : 0;
+    return {
+        sizes: Object.fromEntries(usernames.map((username, i) => [username, sets[i].size])),
+        pairs: pairs.sort((a, b) => b.jaccard - a.jaccard),
+        sharedByAll,
+        regions: vennRegions(sets)
+    };
+}
+
+// A shared account is more telling when it is tied to more of the accounts, in both directions, and
+// when it is small: thousands of people follow a celebrity, few follow the same local bakery
+function relevance(relations, followers) {
+    const accounts = new Set(relations.map(relation => relation.account)).size;
+    const mutual = relations.length - accounts;
+    return Math.round((accounts + 0.5 * mutual) / Math.log10(10 + (followers || 0)) * 1000) / 1000;
+}
+
+// lists: { username: { followers: [ids], following: [ids] } }; users: { id: { username, name, followers, verified } }
+function computeOverlap(lists, users = {}, { limit = 100 } = {}) {
+    const usernames = Object.keys(lists);
+    const sets = Object.fromEntries(LIST_KINDS.map(kind => [kind, usernames.map(username => new Set(lists[username][kind] || []))]));
+    const combined = usernames.map((_, i) => new Set([...sets.followers[i], ...sets.following[i]]));
+
+    const relations = new Map();
+    usernames.forEach((username, i) => LIST_KINDS.forEach(kind => sets[kind][i].forEach(id => {
+        if (!relations.has(id)) relations.set(id, []);
+        relations.get(id).push({ account: username, kind });
+    })));
+
+    const ownIds = new Set(usernames.map(username => lists[username].id).filter(Boolean));
+    const shared = [...relations.entries()]
+        .filter(([id, related]) => !ownIds.has(id) && new Set(related.map(relation => relation.account)).size > 1)
+        .map(([id, related]) => {
+            const user = users[id] || {};
+            return {
+                id,
+                username: user.username || null,
+                name: user.name || null,
+                followers: user.followers === undefined ? null : user.followers,
+                verified: Boolean(user.verified),
+                // For each compared account: followed by it, following it, or both
+                relations: Object.fromEntries(usernames.map(username => {
+                    const kinds = related.filter(relation => relation.account === username).map(relation => relation.kind);
+                    return [username, kinds.length === 2 ? 'both' : kinds[0] === 'followers' ? 'follower' : kinds[0] === 'following' ? 'followed' : null];
+                }).filter(([, relation]) => relation)),
+                score: relevance(related, user.followers)
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    // Accounts among the compared ones that follow each other
+    const direct = [];
+    usernames.forEach((username, i) => usernames.forEach(other => {
+        if (other !== username && lists[other].id && sets.following[i].has(lists[other].id)) {
+            direct.push({ from: username, to: other });
+        }
+    }));
+
+    return {
+        accounts: usernames,
+        followers: compareSets(usernames, sets.followers),
+        following: compareSets(usernames, sets.following),
+        combined: compareSets(usernames, combined),
+        direct,
+        sharedTotal: shared.length,
+        shared: shared.slice(0, limit)
+    };
+}
+
+module.exports = {
+    computeOverlap,
+    jaccard
+};
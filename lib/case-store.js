@@ -0,0 +1,181 @@
+// Investigation case store backed by a single JSON file
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class CaseStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.cases = null;
+        this.loading = null;
+        // Writes are chained so concurrent requests never interleave on disk
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Calls made while the file is still being read share that read; reading it again would replace
+    // the list the earlier callers have already added to
+    async load() {
+        if (this.cases) return this.cases;
+        if (!this.loading) {
+            this.loading = this.read().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async read() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.cases = JSON.parse(raw).cases || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.cases = [];
+        }
+        return this.cases;
+    }
+
+    // Write to a temporary file and rename it so a crash never leaves a half written store. A failed write
+    // rejects for its caller only; the chain carries on so the next write still runs
+    persist() {
+        const write = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, cases: this.cases }, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    summarize(investigation) {
+        return {
+            id: investigation.id,
+            name: investigation.name,
+            description: investigation.description,
+            tags: investigation.tags,
+            searchCount: investigation.searches.length,
+            noteCount: investigation.notes.length,
+            createdAt: investigation.createdAt,
+            updatedAt: investigation.updatedAt
+        };
+    }
+
+    async list() {
+        const cases = await this.load();
+        return cases
+            .map(investigation => this.summarize(investigation))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async get(id) {
+        const cases = await this.load();
+        return cases.find(investigation => investigation.id === id) || null;
+    }
+
+    async create({ name, description = '', tags = [] }) {
+        const cases = await this.load();
+        const now = new Date().toISOString();
+        const investigation = {
+            id: crypto.randomUUID(),
+            name,
+            description,
+            tags: normalizeTags(tags),
+            searches: [],
+            notes: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        cases.push(investigation);
+        await this.persist();
+        return investigation;
+    }
+
+    async update(id, changes) {
+        const investigation = await this.get(id);
+        if (!investigation) return null;
+
+        if (changes.name !== undefined) investigation.name = changes.name;
+        if (changes.description !== undefined) investigation.description = changes.description;
+        if (changes.tags !== undefined) investigation.tags = normalizeTags(changes.tags);
+        investigation.updatedAt = new Date().toISOString();
+        await this.persist();
+        return investigation;
+    }
+
+    async remove(id) {
+        const cases = await this.load();
+        const index = cases.findIndex(investigation => investigation.id === id);
+        if (index === -1) return false;
+        cases.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // parentId links a pivot to the search it started from, pivot keeps the entity that was followed
+    async addSearch(id, { query, type, platforms = [], results = [], parentId = null, pivot = null }) {
+        const investigation = await this.get(id);
+        if (!investigation) return null;
+
+        const search = {
+            id: crypto.randomUUID(),
+            query,
+            type,
+            platforms,
+            results,
+            parentId,
+            pivot,
+            createdAt: new Date().toISOString()
+        };
+        investigation.searches.push(search);
+        investigation.updatedAt = search.createdAt;
+        await this.persist();
+        return search;
+    }
+
+    async removeSearch(id, searchId) {
+        const investigation = await this.get(id);
+        if (!investigation) return false;
+        const index = investigation.searches.findIndex(search => search.id === searchId);
+        if (index === -1) return false;
+        investigation.searches.splice(index, 1);
+        investigation.updatedAt = new Date().toISOString();
+        await this.persist();
+        return true;
+    }
+
+    async addNote(id, { text, searchId = null, author = null }) {
+        const investigation = await this.get(id);
+        if (!investigation) return null;
+
+        const note = {
+            id: crypto.randomUUID(),
+            text,
+            searchId,
+            author,
+            createdAt: new Date().toISOString()
+        };
+        investigation.notes.push(note);
+        investigation.updatedAt = note.createdAt;
+        await this.persist();
+        return note;
+    }
+
+    async removeNote(id, noteId) {
+        const investigation = await this.get(id);
+        if (!investigation) return false;
+        const index = investigation.notes.findIndex(note => note.id === noteId);
+        if (index === -1) return false;
+        investigation.notes.splice(index, 1);
+        investigation.updatedAt = new Date().toISOString();
+        await this.persist();
+        return true;
+    }
+}
+
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+module.exports = CaseStore;
@@ -0,0 +1,94 @@
+// Concurrency helpers shared by the checkers and the search orchestrator
+
+// Run worker over every item with at most `limit` calls in flight, keeping input order
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+    await Promise.all(workers);
+    return results;
+}
+
+// Create a limiter that runs at most `limit` tasks at a time, queueing the rest
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+
+    function next() {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    }
+
+    function run(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+    }
+
+    run.stats = () => ({ active, queued: queue.length, limit });
+    return run;
+}
+
+class TimeoutError extends Error {
+    constructor(ms) {
+        super(`Timed out after ${ms}ms`);
+        this.name = 'TimeoutError';
+        this.timeout = ms;
+    }
+}
+
+// Reject with a TimeoutError if the promise does not settle within ms
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(ms)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry a task with exponential backoff while isRetryable(error) allows it.
+// An error carrying retryAfter (ms) overrides the computed delay.
+async function retryWithBackoff(task, { retries = 2, baseDelay = 1000, maxDelay = 30000, isRetryable = () => true, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = Math.min(error.retryAfter ?? baseDelay * 2 ** attempt, maxDelay);
+            onRetry({ attempt: attempt + 1, delay, error });
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    mapWithConcurrency,
+    createLimiter,
+    withTimeout,
+    retryWithBackoff,
+    sleep,
+    TimeoutError
+};
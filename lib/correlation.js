@@ -0,0 +1,339 @@
+// Cross-platform identity correlation: explained scores for pairs of accounts
+const crypto = require('crypto');
+const { fetchPublic } = require('./public-fetch');
+const correlationConfig = require('../config/correlation-config');
+const { mapWithConcurrency } = require('./concurrency');
+const { hostnameOf, registrableDomain, GENERIC_DOMAINS } = require('./entity-extractor');
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'you', 'your', 'are', 'was', 'our',
+    'not', 'but', 'all', 'any', 'can', 'has', 'have', 'who', 'what', 'about', 'just', 'into',
+    'here', 'there', 'they', 'them', 'his', 'her', 'she', 'him', 'its', 'out', 'also', 'more'
+]);
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/g;
+
+// Strip accents so "José" and "Jose" compare equal
+function fold(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function normalizeUsername(value) {
+    return fold(value).replace(/^@/, '').replace(/[^a-z0-9]/g, '');
+}
+
+function tokens(value, minLength = 2) {
+    return fold(value)
+        .replace(URL_PATTERN, ' ')
+        .split(/[^a-z0-9#@]+/)
+        .filter(token => token.length >= minLength && !STOP_WORDS.has(token));
+}
+
+function jaroWinkler(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+            if (!bMatches[j] && a[i] === b[j]) {
+                aMatches[i] = bMatches[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function jaccard(a, b) {
+    const left = new Set(a);
+    const right = new Set(b);
+    if (left.size === 0 || right.size === 0) return { similarity: 0, shared: [] };
+    const shared = [...left].filter(item => right.has(item));
+    return { similarity: shared.length / new Set([...left, ...right]).size, shared };
+}
+
+// Links an account publishes, normalised to host and path. Profile websites are often entered without a scheme
+function accountLinks(account) {
+    const website = account.website && !/^[a-z][a-z0-9+.-]*:\/\//i.test(account.website) ? `https://${account.website}` : account.website;
+    const urls = [website, ...(String(account.bio || '').match(URL_PATTERN) || [])].filter(Boolean);
+    return urls
+        .map(url => url.trim().replace(/[.,;:!?]+$/, ''))
+        .map(url => {
+            const hostname = hostnameOf(url);
+            if (!hostname || GENERIC_DOMAINS.has(registrableDomain(hostname))) return null;
+            const path = new URL(url).pathname.replace(/\/+$/, '').toLowerCase();
+            return { link: `${hostname}${path}`, domain: registrableDomain(hostname) };
+        })
+        .filter(Boolean);
+}
+
+// Each comparison returns { similarity, detail } or null when either side lacks the data
+const comparisons = {
+    username: (a, b) => {
+        const left = normalizeUsername(a.username);
+        const right = normalizeUsername(b.username);
+        if (!left || !right) return null;
+        if (left === right) {
+            const identical = fold(a.username) === fold(b.username);
+            return { similarity: 1, detail: `Usernames "${a.username}" and "${b.username}" ${identical ? 'are identical' : 'match ignoring punctuation'}` };
+        }
+
+        const withoutDigits = [left.replace(/\d+$/, ''), right.replace(/\d+$/, '')];
+        if (withoutDigits[0].length >= 4 && withoutDigits[0] === withoutDigits[1]) {
+            return { similarity: 0.9, detail: `Usernames "${a.username}" and "${b.username}" differ only in trailing digits` };
+        }
+        const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+        if (shorter.length >= 4 && longer.includes(shorter)) {
+            return { similarity: 0.8, detail: `Username "${shorter}" is contained in "${longer}"` };
+        }
+        // Short names share most of their letters by chance ("bob" and "bob2")
+        if (shorter.length < 4) {
+            return { similarity: 0, detail: `Usernames "${a.username}" and "${b.username}" are too short to compare` };
+        }
+        const similarity = jaroWinkler(left, right);
+        return { similarity, detail: `Usernames "${a.username}" and "${b.username}" are ${Math.round(similarity * 100)}% similar` };
+    },
+
+    displayName: (a, b) => {
+        const left = tokens(a.displayName);
+        const right = tokens(b.displayName);
+        if (left.length === 0 || right.length === 0) return null;
+        const { similarity: overlap } = jaccard(left, right);
+        const similarity = Math.max(overlap, jaroWinkler(left.join(' '), right.join(' ')));
+        return { similarity, detail: `Display names "${a.displayName}" and "${b.displayName}" are ${Math.round(similarity * 100)}% similar` };
+    },
+
+    bio: (a, b) => {
+        const left = tokens(a.bio, 3);
+        const right = tokens(b.bio, 3);
+        if (left.length === 0 || right.length === 0) return null;
+        const { shared } = jaccard(left, right);
+        // One shared word is coincidence, use overlap relative to the shorter bio
+        if (shared.length < 2) return { similarity: 0, detail: 'Bios share no distinctive words' };
+        const similarity = shared.length / Math.min(new Set(left).size, new Set(right).size);
+        return { similarity, detail: `Bios share ${shared.slice(0, 8).join(', ')}` };
+    },
+
+    links: (a, b) => {
+        const left = accountLinks(a);
+        const right = accountLinks(b);
+        if (left.length === 0 || right.length === 0) return null;
+        const sharedLink = left.find(item => right.some(other => other.link === item.link));
+        if (sharedLink) return { similarity: 1, detail: `Both link to ${sharedLink.link}` };
+        const sharedDomain = left.find(item => right.some(other => other.domain === item.domain));
+        if (sharedDomain) return { similarity: 0.7, detail: `Both link to the ${sharedDomain.domain} domain` };
+        return { similarity: 0, detail: 'No shared links' };
+    },
+
+    location: (a, b) => {
+        const left = tokens(a.location);
+        const right = tokens(b.location);
+        if (left.length === 0 || right.length === 0) return null;
+        const { similarity, shared } = jaccard(left, right);
+        return { similarity, detail: shared.length > 0 ? `Locations share ${shared.join(', ')}` : 'Different locations' };
+    },
+
+    avatar: (a, b, { avatarHashes }) => {
+        const left = avatarHashes.get(a.avatarUrl);
+        const right = avatarHashes.get(b.avatarUrl);
+        if (!left || !right) return null;
+        return left === right
+            ? { similarity: 1, detail: 'Identical avatar images' }
+            : { similarity: 0, detail: 'Different avatar images' };
+    },
+
+    // Only used against a contact seed, which carries the email address or phone number
+    contact: (a, b) => {
+        const seed = a.contact ? a : b.contact ? b : null;
+        const other = seed === a ? b : a;
+        if (!seed || !other.bio) return null;
+        const bio = String(other.bio).toLowerCase();
+        const { email, phoneDigits } = seed.contact;
+        if (email && bio.includes(email)) {
+            return { similarity: 1, detail: 'Bio contains the email address' };
+        }
+        if (phoneDigits) {
+            const bioDigits = bio.replace(/\D/g, '');
+            if (phoneDigits.length >= 7 && bioDigits.includes(phoneDigits.slice(-7))) {
+                return { similarity: 1, detail: 'Bio contains the phone number' };
+            }
+            if (bioDigits.includes(phoneDigits.slice(-4))) {
+                return { similarity: 0.3, detail: 'Bio contains the last four phone digits' };
+            }
+        }
+        if (email && seed.username.length >= 4 && bio.includes(seed.username)) {
+            return { similarity: 0.6, detail: `Bio mentions "${seed.username}" from the email address` };
+        }
+        return { similarity: 0, detail: 'Bio does not mention the contact details' };
+    }
+};
+
+function confidenceFor(score, config = correlationConfig) {
+    return config.levels.find(level => score >= level.minScore).name;
+}
+
+// Score two accounts; every signal that fired is listed with its contribution
+function scorePair(a, b, { avatarHashes = new Map(), config = correlationConfig } = {}) {
+    const signals = [];
+    let remaining = 1;
+
+    Object.entries(comparisons).forEach(([signal, compare]) => {
+        const settings = config.signals[signal];
+        const outcome = settings && compare(a, b, { avatarHashes });
+        if (!outcome || outcome.similarity < settings.minSimilarity) return;
+        const contribution = settings.weight * outcome.similarity;
+        remaining *= 1 - contribution;
+        signals.push({
+            signal,
+            similarity: Math.round(outcome.similarity * 100) / 100,
+            contribution: Math.round(contribution * 100) / 100,
+            detail: outcome.detail
+        });
+    });
+
+    const score = Math.round((1 - remaining) * 100) / 100;
+    signals.sort((x, y) => y.contribution - x.contribution);
+    return { score, confidence: confidenceFor(score, config), signals };
+}
+
+function accountKey(account) {
+    return `${account.platform}:${(account.username || account.url || '').toLowerCase()}`;
+}
+
+// Compare every pair of accounts and group the strong matches into identity clusters
+function correlateAccounts(accounts, { avatarHashes = new Map(), config = correlationConfig } = {}) {
+    const unique = [...new Map(accounts.map(account => [accountKey(account), account])).values()]
+        .slice(0, config.maxAccounts);
+    const pairs = [];
+
+    for (let i = 0; i < unique.length; i++) {
+        for (let j = i + 1; j < unique.length; j++) {
+            const match = scorePair(unique[i], unique[j], { avatarHashes, config });
+            if (match.score >= config.minPairScore) {
+                pairs.push({ a: accountKey(unique[i]), b: accountKey(unique[j]), ...match });
+            }
+        }
+    }
+    pairs.sort((x, y) => y.score - x.score);
+
+    // Union-find over the pairs strong enough to call the same person
+    const parent = new Map(unique.map(account => [accountKey(account), accountKey(account)]));
+    const find = key => (parent.get(key) === key ? key : find(parent.get(key)));
+    pairs
+        .filter(pair => pair.score >= config.clusterScore)
+        .forEach(pair => parent.set(find(pair.a), find(pair.b)));
+
+    const groups = new Map();
+    unique.forEach(account => {
+        const root = find(accountKey(account));
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(accountKey(account));
+    });
+    const clusters = [...groups.values()]
+        .filter(members => members.length > 1)
+        .map(members => {
+            const links = pairs.filter(pair => members.includes(pair.a) && members.includes(pair.b) && pair.score >= config.clusterScore);
+            const score = Math.max(...links.map(pair => pair.score));
+            return { members, score, confidence: confidenceFor(score, config) };
+        })
+        .sort((x, y) => y.score - x.score);
+
+    // Best match per account, in the matchScore and matchReasons fields of the schema
+    const scored = unique.map(account => {
+        const key = accountKey(account);
+        const best = pairs.find(pair => pair.a === key || pair.b === key);
+        if (!best) return account;
+        return {
+            ...account,
+            matchScore: best.score,
+            matchReasons: [
+                `Best match ${best.a === key ? best.b : best.a} (${best.confidence} confidence)`,
+                ...best.signals.map(signal => signal.detail)
+            ],
+            matchSignals: best.signals
+        };
+    });
+
+    return { accounts: scored, pairs, clusters };
+}
+
+// Turn contact details into a pseudo account that candidates are scored against
+function contactSeed({ email, phone, username, name }) {
+    const seed = { platform: 'contact', contact: {} };
+    if (email) {
+        seed.contact.email = email.toLowerCase();
+        const [local, domain] = seed.contact.email.split('@');
+        seed.username = local.replace(/\+.*$/, '');
+        if (domain && !GENERIC_DOMAINS.has(domain)) seed.website = `https://${domain}`;
+        // first.last style addresses usually spell the owner's name
+        if (/[._-]/.test(seed.username)) seed.displayName = seed.username.split(/[._-]+/).join(' ');
+    }
+    if (phone) seed.contact.phoneDigits = String(phone).replace(/\D/g, '');
+    if (username) seed.username = username;
+    if (name) seed.displayName = name;
+    return seed;
+}
+
+// Score candidate accounts against contact details, best first, dropping weak candidates
+function scoreCandidates(candidates, contact, { avatarHashes = new Map(), config = correlationConfig } = {}) {
+    const seed = contactSeed(contact);
+    return candidates
+        .map(account => {
+            const match = scorePair(seed, account, { avatarHashes, config });
+            return {
+                ...account,
+                matchScore: match.score,
+                matchReasons: match.signals.map(signal => signal.detail),
+                matchSignals: match.signals
+            };
+        })
+        .filter(account => account.matchScore >= config.minCandidateScore)
+        .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+// SHA-256 of each avatar image; only byte identical images match, resized copies do not.
+// Avatar URLs come from the request body, so only public hosts are fetched
+async function hashAvatars(accounts, { config = correlationConfig, fetchImage } = {}) {
+    const download = fetchImage || (async url => {
+        const response = await fetchPublic(url, { responseType: 'arraybuffer', timeout: config.avatarTimeout });
+        return Buffer.from(response.data);
+    });
+    const urls = [...new Set(accounts.map(account => account.avatarUrl).filter(Boolean))]
+        // Platform default avatars are shared by everyone
+        .filter(url => !/default_profile|defaultavatar|default-avatar/i.test(url));
+
+    const hashes = new Map();
+    await mapWithConcurrency(urls, config.avatarConcurrency, async url => {
+        try {
+            hashes.set(url, crypto.createHash('sha256').update(await download(url)).digest('hex'));
+        } catch (error) {
+            console.error(`Avatar hash failed for ${url}:`, error.message);
+        }
+    });
+    return hashes;
+}
+
+module.exports = {
+    scorePair,
+    correlateAccounts,
+    scoreCandidates,
+    hashAvatars,
+    jaroWinkler
+};
@@ -0,0 +1,113 @@
+// Provider credentials and health: one place to read keys, validate them and remember the last error
+const { withTimeout } = require('./concurrency');
+
+class CredentialRegistry {
+    // source is where credential values come from, process.env unless a test passes its own
+    constructor({ source = process.env, timeout = 10000 } = {}) {
+        this.source = source;
+        this.timeout = timeout;
+        this.states = new Map();
+    }
+
+    get(name) {
+        const value = this.source[name];
+        return value && String(value).trim() ? String(value).trim() : undefined;
+    }
+
+    isSet(name) {
+        return this.get(name) !== undefined;
+    }
+
+    // Names of required credentials that are not set. A provider with credentialSets also needs one of
+    // them complete, e.g. a bearer token or all four OAuth values; the missing entry lists the alternatives
+    missing(provider) {
+        const missing = (provider.credentials || [])
+            .filter(credential => credential.required && !this.isSet(credential.name))
+            .map(credential => credential.name);
+        const sets = provider.credentialSets || [];
+        if (sets.length > 0 && !sets.some(set => set.every(name => this.isSet(name)))) {
+            missing.push(sets.map(set => set.join(' + ')).join(' or '));
+        }
+        return missing;
+    }
+
+    stateFor(id) {
+        if (!this.states.has(id)) {
+            this.states.set(id, { valid: null, quota: null, details: null, checkedAt: null, lastError: null, lastErrorAt: null });
+        }
+        return this.states.get(id);
+    }
+
+    // Run the provider's validate(context) hook; it resolves to { quota, details },
+    // to null when there is nothing to check, or throws when the credentials do not work
+    async check(provider, context) {
+        const state = this.stateFor(provider.id);
+        state.checkedAt = new Date().toISOString();
+
+        // Nothing to validate yet: unconfigured is not the same as invalid
+        if (this.missing(provider).length > 0) {
+            state.valid = null;
+            state.quota = null;
+            return this.health(provider);
+        }
+        if (typeof provider.validate !== 'function') {
+            state.valid = null;
+            return this.health(provider);
+        }
+
+        try {
+            const outcome = await withTimeout(Promise.resolve(provider.validate(context)), this.timeout);
+            state.valid = outcome === null ? null : true;
+            state.quota = outcome?.quota || null;
+            state.details = outcome?.details || null;
+        } catch (error) {
+            state.valid = false;
+            this.recordError(provider.id, error);
+        }
+        return this.health(provider);
+    }
+
+    async checkAll(providers, context) {
+        return Promise.all(providers.map(provider => this.check(provider, context)));
+    }
+
+    recordError(id, error) {
+        const state = this.stateFor(id);
+        state.lastError = error?.message || String(error);
+        state.lastErrorAt = new Date().toISOString();
+    }
+
+    // Remember failures seen during searches so the dashboard shows them without a re-check
+    recordResult(id, result) {
+        if (result && result.status === 'error') {
+            this.recordError(id, result.error || result.description);
+        }
+        return result;
+    }
+
+    // configured: every required credential is set; valid: null until a check ran or when there is nothing to check
+    health(provider) {
+        const state = this.stateFor(provider.id);
+        const missing = this.missing(provider);
+        return {
+            id: provider.id,
+            name: provider.name,
+            configured: missing.length === 0,
+            missing,
+            credentials: (provider.credentials || []).map(credential => ({
+                name: credential.name,
+                required: !!credential.required,
+                configured: this.isSet(credential.name)
+            })),
+            validatable: typeof provider.validate === 'function',
+            valid: state.valid,
+            quota: state.quota,
+            details: state.details,
+            checkedAt: state.checkedAt,
+            lastError: state.lastError,
+            lastErrorAt: state.lastErrorAt
+        };
+    }
+}
+
+module.exports = CredentialRegistry;
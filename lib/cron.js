@@ -0,0 +1,114 @@
+// Five field cron expressions: minute hour day-of-month month day-of-week, each a *, value, list,
+// range or step ("*/15", "1-5", "0,30"), plus @hourly, @daily, @weekly and @monthly. Server local time
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    // 0 and 7 are both Sunday
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Searching further ahead than this means the expression never matches, e.g. February 30th
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in the ${name} field: ${part}`);
+        }
+        // Number('') is 0, so an empty part or a missing range end would otherwise read as zero
+        if (!/^(\*|\d+(-\d+)?)$/.test(range)) {
+            throw new Error(`Invalid ${name} field: ${part}`);
+        }
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        // "5/10" means every 10 starting at 5
+        if (to === undefined) to = stepText === undefined ? from : max;
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+            throw new Error(`Invalid ${name} field: ${part}`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    });
+    return values;
+}
+
+// Throws with a readable message when the expression is not valid
+function parseCron(expression) {
+    const text = ALIASES[String(expression || '').trim()] || String(expression || '').trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('A schedule needs five fields: minute hour day-of-month month day-of-week');
+    }
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        expression: text,
+        // Like cron, a day matches either restricted day field when both are restricted
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+function dayMatches(schedule, date) {
+    const byMonthDay = schedule.dayOfMonth.has(date.getDate());
+    const byWeekDay = schedule.dayOfWeek.has(date.getDay());
+    return schedule.anyDay ? byMonthDay || byWeekDay : byMonthDay && byWeekDay;
+}
+
+// First minute strictly after from that the expression matches
+function nextCronRun(expression, from = new Date()) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    while (date.getTime() - from.getTime() < MAX_LOOKAHEAD_MS) {
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    throw new Error(`Schedule ${schedule.expression} never runs`);
+}
+
+// Shortest gap in minutes between the next few runs, to keep schedules from running too often
+function shortestInterval(expression, runs = 24, from = new Date()) {
+    const schedule = parseCron(expression);
+    let previous = nextCronRun(schedule, from);
+    let shortest = Infinity;
+    for (let i = 1; i < runs; i++) {
+        const next = nextCronRun(schedule, previous);
+        shortest = Math.min(shortest, (next - previous) / 60000);
+        previous = next;
+    }
+    return shortest;
+}
+
+module.exports = {
+    parseCron,
+    nextCronRun,
+    shortestInterval
+};
@@ -0,0 +1,165 @@
+// Domain report building blocks: RDAP parsing, DNS enumeration, CT subdomains and email pattern guessing
+const domainConfig = require('../config/domain-config');
+const { lookupMailDns } = require('./email-analysis');
+
+// Bare hostname from whatever was typed: "Example.COM." gives "example.com", "https://www.example.com/about" gives "www.example.com"
+function normalizeDomain(query) {
+    return String(query || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#]/)[0]
+        .replace(/:\d+$/, '')
+        .replace(/\.$/, '');
+}
+
+function isValidDomain(domain) {
+    return domain.length <= 253 && /^(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))+$/.test(domain) && !/\.\d+$/.test(domain);
+}
+
+// vCard properties of an RDAP entity as { name, organization, email, country }
+function vcardFields(entity) {
+    const properties = (entity.vcardArray && entity.vcardArray[1]) || [];
+    const value = (name) => {
+        const property = properties.find(entry => entry[0] === name);
+        return property ? property[3] : undefined;
+    };
+    const address = value('adr');
+    return {
+        name: value('fn') || undefined,
+        organization: value('org') || undefined,
+        email: value('email') || undefined,
+        country: Array.isArray(address) ? address[6] || undefined : undefined
+    };
+}
+
+// Entities are nested, e.g. the abuse contact sits inside the registrar
+function flattenEntities(entities = []) {
+    return entities.flatMap(entity => [entity, ...flattenEntities(entity.entities)]);
+}
+
+// Registration details from an RDAP domain object; redacted fields are left out
+function parseRdap(rdap) {
+    const events = {};
+    (rdap.events || []).forEach(event => {
+        events[event.eventAction] = event.eventDate;
+    });
+    const entities = flattenEntities(rdap.entities);
+    const withRole = (role) => entities.find(entity => (entity.roles || []).includes(role));
+    const registrar = withRole('registrar');
+    const registrant = withRole('registrant');
+    const abuse = withRole('abuse');
+    const registrantFields = registrant ? vcardFields(registrant) : null;
+
+    return {
+        domain: (rdap.ldhName || '').toLowerCase(),
+        handle: rdap.handle,
+        registrar: registrar ? vcardFields(registrar).name || registrar.handle : null,
+        registrarIanaId: registrar
+            ? ((registrar.publicIds || []).find(id => id.type === 'IANA Registrar ID') || {}).identifier || null
+            : null,
+        created: events.registration || null,
+        updated: events['last changed'] || null,
+        expires: events.expiration || null,
+        status: rdap.status || [],
+        nameservers: (rdap.nameservers || []).map(nameserver => (nameserver.ldhName || '').toLowerCase()).filter(Boolean),
+        dnssec: rdap.secureDNS ? !!rdap.secureDNS.delegationSigned : null,
+        registrant: registrantFields && Object.values(registrantFields).some(Boolean) ? registrantFields : null,
+        abuseEmail: abuse ? vcardFields(abuse).email || null : null
+    };
+}
+
+// Missing records are empty answers rather than failures
+async function resolveType(resolver, hostname, type) {
+    try {
+        return await resolver.resolve(hostname, type);
+    } catch (error) {
+        if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) return [];
+        throw error;
+    }
+}
+
+// Every configured record type plus the mail summary from the email analysis
+async function enumerateDns(resolver, domain, types = domainConfig.dnsRecordTypes) {
+    const records = {};
+    const errors = {};
+    await Promise.all(types.map(async type => {
+        try {
+            const answer = await resolveType(resolver, domain, type);
+            records[type] = type === 'TXT' ? answer.map(chunks => chunks.join('')) : answer;
+        } catch (error) {
+            errors[type] = error.message;
+        }
+    }));
+    const mail = await lookupMailDns(domain, resolver).catch(error => {
+        errors.mail = error.message;
+        return null;
+    });
+    return { records, mail, errors };
+}
+
+// Subdomains named in certificates, with when they were first and last seen in one
+function subdomainsFromCertificates(certificates, domain, limit = domainConfig.maxSubdomains) {
+    const found = new Map();
+    certificates.forEach(certificate => {
+        certificate.names.forEach(rawName => {
+            const name = rawName.trim().toLowerCase().replace(/^\*\./, '');
+            if (name !== domain && !name.endsWith(`.${domain}`)) return;
+            if (!found.has(name)) {
+                found.set(name, { name, wildcard: false, certificates: 0, firstSeen: null, lastSeen: null, issuers: [] });
+            }
+            const entry = found.get(name);
+            entry.certificates++;
+            if (rawName.trim().startsWith('*.')) entry.wildcard = true;
+            if (certificate.notBefore && (!entry.firstSeen || certificate.notBefore < entry.firstSeen)) entry.firstSeen = certificate.notBefore;
+            if (certificate.notAfter && (!entry.lastSeen || certificate.notAfter > entry.lastSeen)) entry.lastSeen = certificate.notAfter;
+            if (certificate.issuer && !entry.issuers.includes(certificate.issuer)) entry.issuers.push(certificate.issuer);
+        });
+    });
+    const subdomains = [...found.values()]
+        .filter(entry => entry.name !== domain)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    return { subdomains: subdomains.slice(0, limit), total: subdomains.length };
+}
+
+// Local part builders in Hunter.io's pattern notation
+const EMAIL_PATTERNS = {
+    '{first}.{last}': (first, last) => `${first}.${last}`,
+    '{first}{last}': (first, last) => `${first}${last}`,
+    '{f}{last}': (first, last) => `${first[0]}${last}`,
+    '{f}.{last}': (first, last) => `${first[0]}.${last}`,
+    '{first}_{last}': (first, last) => `${first}_${last}`,
+    '{first}-{last}': (first, last) => `${first}-${last}`,
+    '{first}{l}': (first, last) => `${first}${last[0]}`,
+    '{first}': (first) => first,
+    '{last}.{first}': (first, last) => `${last}.${first}`,
+    '{last}{f}': (first, last) => `${last}${first[0]}`,
+    '{last}': (first, last) => last
+};
+
+// The pattern most named addresses follow, e.g. { pattern: '{first}.{last}', matches: 4, sample: 5, confidence: 0.8 }
+function guessEmailPattern(emails) {
+    const clean = (value) => String(value || '').toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+    const named = emails
+        .map(email => ({ local: String(email.address || '').split('@')[0].toLowerCase(), first: clean(email.firstName), last: clean(email.lastName) }))
+        .filter(email => email.local && email.first && email.last);
+    if (named.length === 0) return null;
+
+    const counts = Object.keys(EMAIL_PATTERNS).map(pattern => ({
+        pattern,
+        matches: named.filter(email => EMAIL_PATTERNS[pattern](email.first, email.last) === email.local).length
+    }));
+    const best = counts.reduce((top, entry) => entry.matches > top.matches ? entry : top);
+    if (best.matches === 0) return null;
+    return { pattern: best.pattern, matches: best.matches, sample: named.length, confidence: Math.round(best.matches / named.length * 100) / 100 };
+}
+
+module.exports = {
+    normalizeDomain,
+    isValidDomain,
+    parseRdap,
+    enumerateDns,
+    subdomainsFromCertificates,
+    guessEmailPattern,
+    EMAIL_PATTERNS
+};
@@ -0,0 +1,138 @@
+// Network sources behind the domain report. Each source is a plain object so local fixtures or stubs can replace it:
+//   rdap.lookup(domain)         - raw RDAP domain object
+//   dns                         - dns.promises compatible resolver (resolve, resolveMx, resolveTxt)
+//   certificates.lookup(domain) - certificates [{ names, issuer, notBefore, notAfter }] from a CT log search
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const domainConfig = require('../config/domain-config');
+
+// crt.sh leaves the UTC offset off its timestamps
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(/Z$|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+function rdapSource(endpoint = domainConfig.rdapEndpoint) {
+    return {
+        name: 'rdap',
+        async lookup(domain) {
+            const response = await axios.get(`${endpoint}/domain/${encodeURIComponent(domain)}`, {
+                headers: { 'Accept': 'application/rdap+json' },
+                timeout: domainConfig.timeout
+            });
+            return response.data;
+        }
+    };
+}
+
+// Certificate transparency searches, selected with CT_SOURCE. Add an entry here for another log search
+const certificateSources = {
+    crtsh: {
+        name: 'crt.sh',
+        async lookup(domain) {
+            const response = await axios.get('https://crt.sh/', {
+                params: { q: `%.${domain}`, output: 'json' },
+                timeout: domainConfig.timeout
+            });
+            return (response.data || []).map(entry => ({
+                names: String(entry.name_value || '').split('\n'),
+                issuer: entry.issuer_name,
+                notBefore: toIsoDate(entry.not_before),
+                notAfter: toIsoDate(entry.not_after)
+            }));
+        }
+    },
+
+    certspotter: {
+        name: 'Cert Spotter',
+        async lookup(domain) {
+            const response = await axios.get('https://api.certspotter.com/v1/issuances', {
+                params: { domain, include_subdomains: true, expand: ['dns_names', 'issuer'] },
+                paramsSerializer: { indexes: null },
+                timeout: domainConfig.timeout
+            });
+            return (response.data || []).map(issuance => ({
+                names: issuance.dns_names || [],
+                issuer: issuance.issuer && (issuance.issuer.friendly_name || issuance.issuer.name),
+                notBefore: toIsoDate(issuance.not_before),
+                notAfter: toIsoDate(issuance.not_after)
+            }));
+        }
+    }
+};
+
+// Sources answering from <dir>/<domain>.json: { rdap, dns: { hostname: { TYPE: records } }, certificates }
+function fixtureSources(dir = domainConfig.fixturesDir) {
+    const directory = path.resolve(__dirname, '..', dir);
+
+    // Hostnames such as _dmarc.example.com are answered from the example.com fixture
+    const load = (hostname) => {
+        const labels = hostname.toLowerCase().split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const file = path.join(directory, `${labels.slice(i).join('.')}.json`);
+            if (fs.existsSync(file)) {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        }
+        const error = new Error(`No fixture for ${hostname} in ${directory}`);
+        error.code = 'ENOTFOUND';
+        throw error;
+    };
+
+    const resolve = async (hostname, type = 'A') => {
+        const records = ((load(hostname).dns || {})[hostname.toLowerCase()] || {})[type];
+        if (!records) {
+            const error = new Error(`No ${type} records for ${hostname}`);
+            error.code = 'ENODATA';
+            throw error;
+        }
+        return records;
+    };
+
+    return {
+        rdap: {
+            name: 'fixtures',
+            async lookup(domain) {
+                const fixture = load(domain);
+                if (!fixture.rdap) throw new Error(`No RDAP fixture for ${domain}`);
+                return fixture.rdap;
+            }
+        },
+        dns: {
+            resolve,
+            resolveMx: hostname => resolve(hostname, 'MX'),
+            resolveTxt: hostname => resolve(hostname, 'TXT')
+        },
+        certificates: {
+            name: 'fixtures',
+            async lookup(domain) {
+                return load(domain).certificates || [];
+            }
+        }
+    };
+}
+
+// The sources selected by DOMAIN_SOURCES and CT_SOURCE
+function createDomainSources(config = domainConfig) {
+    if (config.sources === 'fixtures') {
+        return fixtureSources(config.fixturesDir);
+    }
+    const certificates = certificateSources[config.certificateSource];
+    if (!certificates) {
+        throw new Error(`Unknown certificate transparency source ${config.certificateSource}`);
+    }
+    return {
+        rdap: rdapSource(config.rdapEndpoint),
+        dns: dns.promises,
+        certificates
+    };
+}
+
+module.exports = {
+    certificateSources,
+    fixtureSources,
+    createDomainSources
+};
@@ -0,0 +1,171 @@
+// Offline email analysis: syntax, disposable and free providers, role accounts, aliases and username candidates.
+// MX, SPF and DMARC lookups are separate so callers decide whether to touch the network
+const dns = require('dns');
+const emailDomains = require('../config/email-domains');
+
+// RFC 5322 dot-atom and quoted-string local parts; RFC 5321 length limits
+const ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+const QUOTED = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const ADDRESS_LITERAL = /^\[(?:\d{1,3}\.){3}\d{1,3}\]$/;
+
+const DISPOSABLE = new Set(emailDomains.disposable);
+const FREE = new Set(emailDomains.free);
+const ROLES = new Set(emailDomains.roles);
+
+// Split at the last @ so quoted local parts may contain one
+function splitAddress(address) {
+    const at = address.lastIndexOf('@');
+    return at === -1 ? [address, ''] : [address.slice(0, at), address.slice(at + 1)];
+}
+
+// Syntax problems with the address; an empty list means it is valid
+function syntaxErrors(address) {
+    if (!address.includes('@')) return ['Missing @'];
+
+    const errors = [];
+    const [localPart, domain] = splitAddress(address);
+    if (address.length > 254) errors.push('Address is longer than 254 characters');
+
+    if (localPart.length === 0) {
+        errors.push('Local part is empty');
+    } else if (localPart.length > 64) {
+        errors.push('Local part is longer than 64 characters');
+    } else if (localPart.startsWith('"')) {
+        if (!QUOTED.test(localPart)) errors.push('Quoted local part is not closed or contains invalid characters');
+    } else if (localPart.split('.').some(atom => atom.length === 0)) {
+        errors.push('Local part has a leading, trailing or double dot');
+    } else if (!localPart.split('.').every(atom => ATOM.test(atom))) {
+        errors.push('Local part contains characters that need quoting');
+    }
+
+    if (domain.length === 0) {
+        errors.push('Domain is empty');
+    } else if (ADDRESS_LITERAL.test(domain)) {
+        if (domain.slice(1, -1).split('.').some(octet => Number(octet) > 255)) errors.push('Address literal is not an IPv4 address');
+    } else {
+        const labels = domain.split('.');
+        if (domain.length > 253) errors.push('Domain is longer than 253 characters');
+        if (labels.length < 2) errors.push('Domain has no top-level domain');
+        if (!labels.every(label => DOMAIN_LABEL.test(label))) errors.push('Domain contains an invalid label');
+        if (/^\d+$/.test(labels[labels.length - 1])) errors.push('Top-level domain is numeric');
+    }
+    return errors;
+}
+
+function providerFor(domain) {
+    const entry = Object.entries(emailDomains.providers).find(([, provider]) => provider.domains.includes(domain));
+    return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+// The mailbox an address delivers to, and other spellings that reach it
+function aliasInfo(localPart, domain, provider) {
+    let mailbox = localPart.toLowerCase();
+    let tag = null;
+    if (provider && provider.plus && mailbox.includes('+')) {
+        [mailbox, tag] = [mailbox.slice(0, mailbox.indexOf('+')), mailbox.slice(mailbox.indexOf('+') + 1)];
+    }
+    if (provider && provider.dots) {
+        mailbox = mailbox.replace(/\./g, '');
+    }
+
+    const canonicalDomain = provider && provider.shared ? provider.domains[0] : domain;
+    const canonical = `${mailbox}@${canonicalDomain}`;
+    const equivalents = provider && provider.shared
+        ? provider.domains.map(alias => `${mailbox}@${alias}`)
+        : [canonical];
+    return {
+        canonical,
+        tag,
+        dotsIgnored: !!(provider && provider.dots),
+        plusTags: !!(provider && provider.plus),
+        equivalents: equivalents.filter(address => address !== `${localPart.toLowerCase()}@${domain}`)
+    };
+}
+
+// Likely usernames from the local part, most likely first. "john.smith90+news" gives
+// "john.smith90", "johnsmith90", ..., "johnsmith", "jsmith", "john", "smith"
+function usernameCandidates(localPart) {
+    const base = localPart.toLowerCase().replace(/^"|"$/g, '').split('+')[0];
+    const parts = base.split(/[._-]+/).filter(Boolean);
+    const stripped = parts.map(part => part.replace(/\d+$/, '')).filter(Boolean);
+    const candidates = [base, parts.join('')];
+
+    [parts, stripped].forEach(words => {
+        if (words.length < 2) return;
+        candidates.push(words.join(''), words.join('_'), words.join('.'), words.join('-'));
+        candidates.push([...words].reverse().join(''), [...words].reverse().join('_'));
+        if (words[0].length > 1) {
+            candidates.push(`${words[0][0]}${words[words.length - 1]}`, `${words[0]}${words[words.length - 1][0]}`);
+        }
+    });
+    candidates.push(stripped.join(''), ...stripped.filter(word => word.length >= 3));
+
+    return [...new Set(candidates)].filter(candidate => /^[a-z0-9_.-]{2,40}$/.test(candidate));
+}
+
+// Offline analysis of an address. dns is filled in by lookupMailDns when lookups are enabled
+function analyzeEmail(query) {
+    const input = String(query || '').trim();
+    const errors = syntaxErrors(input);
+    const [localPart, rawDomain] = splitAddress(input);
+    const domain = rawDomain.toLowerCase();
+    if (errors.length > 0) {
+        return { input, valid: false, errors, localPart, domain, usernameCandidates: [], dns: null };
+    }
+
+    const provider = providerFor(domain);
+    const roleName = localPart.toLowerCase().split('+')[0];
+    return {
+        input,
+        valid: true,
+        errors,
+        localPart,
+        domain,
+        disposable: DISPOSABLE.has(domain),
+        freeProvider: FREE.has(domain),
+        roleAccount: ROLES.has(roleName),
+        provider: provider ? provider.name : null,
+        aliases: aliasInfo(localPart, domain, provider),
+        usernameCandidates: ROLES.has(roleName) ? [] : usernameCandidates(localPart),
+        dns: null
+    };
+}
+
+// Missing records are empty answers rather than failures
+async function resolveOrEmpty(lookup) {
+    try {
+        return await lookup();
+    } catch (error) {
+        if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) return [];
+        throw error;
+    }
+}
+
+// MX, SPF and DMARC records of a domain. resolver defaults to dns.promises and
+// only needs resolveMx and resolveTxt, so tests can pass a stub
+async function lookupMailDns(domain, resolver = dns.promises) {
+    const [mx, txt, dmarcTxt] = await Promise.all([
+        resolveOrEmpty(() => resolver.resolveMx(domain)),
+        resolveOrEmpty(() => resolver.resolveTxt(domain)),
+        resolveOrEmpty(() => resolver.resolveTxt(`_dmarc.${domain}`))
+    ]);
+    const records = txt.map(chunks => chunks.join(''));
+    const dmarc = dmarcTxt.map(chunks => chunks.join('')).find(record => /^v=DMARC1/i.test(record)) || null;
+    const sorted = [...mx].sort((a, b) => a.priority - b.priority);
+
+    return {
+        mx: sorted.map(record => ({ exchange: record.exchange, priority: record.priority })),
+        // RFC 7505 null MX: the domain accepts no mail
+        acceptsMail: sorted.length > 0 && !(sorted.length === 1 && sorted[0].exchange === ''),
+        spf: records.find(record => /^v=spf1/i.test(record)) || null,
+        dmarc,
+        dmarcPolicy: dmarc ? (dmarc.match(/;\s*p=(\w+)/i) || [])[1] || null : null
+    };
+}
+
+module.exports = {
+    analyzeEmail,
+    lookupMailDns,
+    usernameCandidates
+};
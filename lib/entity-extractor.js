@@ -0,0 +1,189 @@
+// Typed entity extraction from schema results, used to pivot into follow-up searches
+
+// Search type each entity type pivots into
+const PIVOT_TYPES = {
+    email: 'email',
+    username: 'username',
+    phone: 'phone',
+    name: 'name',
+    domain: 'domain',
+    url: 'domain'
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/g;
+const MENTION_PATTERN = /(?:^|[^A-Za-z0-9_@.])@([A-Za-z0-9_]{2,30})\b/g;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/g;
+const PERSON_NAME_PATTERN = /^[\p{Lu}][\p{L}'.-]+(?:\s+[\p{Lu}][\p{L}'.-]+){1,3}$/u;
+
+// Hosts that identify the platform rather than the person
+const GENERIC_DOMAINS = new Set([
+    'twitter.com', 'x.com', 't.co', 'reddit.com', 'redd.it', 'github.com', 'google.com',
+    'facebook.com', 'instagram.com', 'youtube.com', 'youtu.be', 'linkedin.com', 'hunter.io',
+    'gmail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'icloud.com', 'githubusercontent.com'
+]);
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+function registrableDomain(hostname) {
+    const parts = hostname.split('.');
+    // Keep three labels for second level country domains such as example.co.uk
+    if (parts.length > 2 && parts[parts.length - 2].length <= 3 && parts[parts.length - 1].length === 2) {
+        return parts.slice(-3).join('.');
+    }
+    return parts.slice(-2).join('.');
+}
+
+function normalizePhone(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 8 || digits.length > 15) return null;
+    return value.trim().startsWith('+') ? `+${digits}` : digits;
+}
+
+function isPersonName(value) {
+    return typeof value === 'string' && PERSON_NAME_PATTERN.test(value.trim());
+}
+
+// Collects entities keyed by type and value so each appears once with all its sources
+class EntityCollector {
+    constructor(exclude = []) {
+        this.entities = new Map();
+        this.exclude = new Set(exclude.map(([type, value]) => `${type}:${String(value).toLowerCase()}`));
+    }
+
+    add(type, value, source) {
+        if (!value) return;
+        const normalized = type === 'name' || type === 'url' ? String(value).trim() : String(value).trim().toLowerCase();
+        const key = `${type}:${normalized.toLowerCase()}`;
+        if (this.exclude.has(key)) return;
+
+        if (!this.entities.has(key)) {
+            const pivotQuery = type === 'url' ? registrableDomain(hostnameOf(normalized) || '') : normalized;
+            // Links into the big platforms have nothing useful to pivot on
+            const pivot = type === 'url' && GENERIC_DOMAINS.has(pivotQuery)
+                ? null
+                : { type: PIVOT_TYPES[type], query: pivotQuery };
+            this.entities.set(key, { type, value: normalized, pivot, sources: [] });
+        }
+        const entity = this.entities.get(key);
+        if (!entity.sources.some(existing => existing.platform === source.platform && existing.field === source.field)) {
+            entity.sources.push(source);
+        }
+    }
+
+    addUrl(url, source, { includeDomain = true } = {}) {
+        const cleaned = url.replace(/[.,;:!?]+$/, '');
+        const hostname = hostnameOf(cleaned);
+        if (!hostname) return;
+        this.add('url', cleaned, source);
+        const domain = registrableDomain(hostname);
+        if (includeDomain && !GENERIC_DOMAINS.has(domain)) {
+            this.add('domain', domain, source);
+        }
+    }
+
+    addEmail(address, source) {
+        this.add('email', address, source);
+        const domain = address.split('@')[1];
+        if (domain && !GENERIC_DOMAINS.has(domain.toLowerCase())) {
+            this.add('domain', domain, source);
+        }
+    }
+
+    // Pull emails, links, phone numbers and @mentions out of free text
+    addText(text, source) {
+        if (!text) return;
+        const value = String(text);
+        (value.match(EMAIL_PATTERN) || []).forEach(email => this.addEmail(email, source));
+        (value.match(URL_PATTERN) || []).forEach(url => this.addUrl(url, source));
+        for (const match of value.matchAll(MENTION_PATTERN)) {
+            this.add('username', match[1], source);
+        }
+        const withoutUrls = value.replace(URL_PATTERN, ' ').replace(EMAIL_PATTERN, ' ');
+        (withoutUrls.match(PHONE_PATTERN) || []).forEach(candidate => {
+            const phone = normalizePhone(candidate);
+            // Dates and plain years are not phone numbers
+            if (phone && !/^\d{4}[-/.]\d{2}[-/.]\d{2}$/.test(candidate.trim())) {
+                this.add('phone', phone, source);
+            }
+        });
+    }
+
+    toArray() {
+        return [...this.entities.values()];
+    }
+}
+
+// Extract entities from a result envelope, skipping the identifier that was searched for
+function extractEntities(result) {
+    const platform = result.platform;
+    const collector = new EntityCollector(result.query && result.type ? [[result.type, result.query]] : []);
+
+    (result.accounts || []).forEach(account => {
+        const source = field => ({ platform: account.platform || platform, field: `account.${field}`, accountUrl: account.url });
+        if (account.username && !account.username.startsWith('r/')) {
+            collector.add('username', account.username.replace(/^@/, ''), source('username'));
+        }
+        if (account.username && account.username.startsWith('r/') && account.url) {
+            collector.addUrl(account.url, source('community'), { includeDomain: false });
+        }
+        if (isPersonName(account.displayName)) {
+            collector.add('name', account.displayName, source('displayName'));
+        }
+        if (account.website) {
+            collector.addUrl(account.website, source('website'));
+        }
+        collector.addText(account.bio, source('bio'));
+    });
+
+    (result.emails || []).forEach(email => {
+        const source = field => ({ platform, field: `email.${field}` });
+        if (email.address) {
+            collector.addEmail(email.address, source('address'));
+        }
+        const name = [email.firstName, email.lastName].filter(Boolean).join(' ');
+        if (isPersonName(name)) {
+            collector.add('name', name, source('name'));
+        }
+        if (email.linkedin) {
+            collector.addUrl(email.linkedin, source('linkedin'), { includeDomain: false });
+        }
+    });
+
+    (result.posts || []).forEach(post => {
+        const source = field => ({ platform: post.platform || platform, field: `post.${field}`, postUrl: post.url });
+        if (post.community) {
+            collector.addUrl(`https://www.reddit.com/r/${post.community}`, source('community'), { includeDomain: false });
+        }
+        collector.addText(post.title, source('title'));
+        collector.addText(post.text, source('text'));
+    });
+
+    (result.links || []).forEach(link => {
+        const source = field => ({ platform, field: `link.${field}` });
+        if (link.url) {
+            collector.addUrl(link.url, source('url'));
+        }
+        collector.addText(link.snippet, source('snippet'));
+    });
+
+    if (result.data && result.data.domain) {
+        collector.add('domain', result.data.domain, { platform, field: 'data.domain' });
+    }
+
+    return collector.toArray();
+}
+
+module.exports = {
+    extractEntities,
+    hostnameOf,
+    registrableDomain,
+    PIVOT_TYPES,
+    GENERIC_DOMAINS
+};
@@ -0,0 +1,212 @@
+// Relationship graph of searched identifiers, accounts and extracted entities
+const { extractEntities, hostnameOf } = require('./entity-extractor');
+
+const NODE_TYPES = ['email', 'username', 'phone', 'name', 'domain', 'url', 'account'];
+
+// Edge type for an entity, from whatever it was found on
+const ENTITY_EDGE_TYPES = {
+    email: 'has-email',
+    username: 'uses-username',
+    phone: 'has-phone',
+    name: 'has-name',
+    domain: 'related-domain',
+    url: 'links-to'
+};
+
+function identifierKey(type, value) {
+    return `${type}:${String(value).trim().toLowerCase()}`;
+}
+
+function accountKey(account) {
+    return identifierKey(`account:${account.platform}`, account.username || account.url);
+}
+
+class EntityGraph {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    // Build from saved searches: [{ id, query, type, parentId, results }]
+    static fromSearches(searches) {
+        const graph = new EntityGraph();
+        searches.forEach(search => graph.addSearch(search));
+        searches
+            .filter(search => search.parentId)
+            .forEach(search => {
+                const parent = searches.find(candidate => candidate.id === search.parentId);
+                if (parent) {
+                    graph.addEdge(identifierKey(parent.type, parent.query), identifierKey(search.type, search.query), 'pivoted-to');
+                }
+            });
+        graph.linkStructure();
+        return graph;
+    }
+
+    addNode(id, fields) {
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, { id, type: fields.type, label: fields.label, searched: false, platforms: [], searchIds: [] });
+        }
+        const node = this.nodes.get(id);
+        if (fields.url && !node.url) node.url = fields.url;
+        if (fields.searched) node.searched = true;
+        if (fields.platform && !node.platforms.includes(fields.platform)) node.platforms.push(fields.platform);
+        if (fields.searchId && !node.searchIds.includes(fields.searchId)) node.searchIds.push(fields.searchId);
+        return node;
+    }
+
+    // Repeated sightings of the same relationship raise its weight instead of adding edges
+    addEdge(source, target, type, platform) {
+        if (source === target || !this.nodes.has(source) || !this.nodes.has(target)) return null;
+        const id = `${source}->${target}:${type}`;
+        if (!this.edges.has(id)) {
+            this.edges.set(id, { id, source, target, type, weight: 0, platforms: [] });
+        }
+        const edge = this.edges.get(id);
+        edge.weight++;
+        if (platform && !edge.platforms.includes(platform)) edge.platforms.push(platform);
+        return edge;
+    }
+
+    addSearch(search) {
+        const rootId = identifierKey(search.type, search.query);
+        this.addNode(rootId, { type: search.type, label: search.query, searched: true, searchId: search.id });
+
+        (search.results || [])
+            .filter(result => result.status === 'found' || result.status === 'unknown')
+            .forEach(result => this.addResult(rootId, result, search.id));
+    }
+
+    addResult(rootId, result, searchId) {
+        const platform = result.platform;
+        const accountIds = new Map();
+
+        (result.accounts || []).forEach(account => {
+            const accountPlatform = account.platform || platform;
+            const id = accountKey({ ...account, platform: accountPlatform });
+            const label = account.username ? `${accountPlatform}: ${account.username}` : account.url;
+            this.addNode(id, { type: 'account', label, url: account.url, platform: accountPlatform, searchId });
+            this.addEdge(rootId, id, 'has-account', accountPlatform);
+            if (account.url) accountIds.set(account.url, id);
+        });
+
+        // Emails, usernames, links and the rest come from the extracted entities.
+        // Saved searches from before schema 1.1 carry no entities
+        const entities = result.entities || extractEntities(result);
+        entities.forEach(entity => {
+            const id = identifierKey(entity.type, entity.value);
+            const node = this.nodes.get(id);
+            // Platform links are only interesting when an account points at them
+            const fromAccount = entity.sources.find(source => source.accountUrl && accountIds.has(source.accountUrl));
+            if (entity.type === 'url' && !entity.pivot && !fromAccount) return;
+
+            this.addNode(id, {
+                type: entity.type,
+                label: node ? node.label : entity.value,
+                url: entity.type === 'url' ? entity.value : undefined,
+                platform,
+                searchId
+            });
+            entity.sources.forEach(source => {
+                const from = source.accountUrl && accountIds.has(source.accountUrl) ? accountIds.get(source.accountUrl) : rootId;
+                this.addEdge(from, id, ENTITY_EDGE_TYPES[entity.type], source.platform || platform);
+            });
+        });
+    }
+
+    // Tie emails and links to the domains already in the graph
+    linkStructure() {
+        [...this.nodes.values()].forEach(node => {
+            let domain = null;
+            if (node.type === 'email') {
+                domain = node.label.split('@')[1];
+            } else if (node.type === 'url') {
+                domain = hostnameOf(node.label);
+            }
+            if (!domain) return;
+            const candidates = [domain, domain.split('.').slice(-2).join('.'), domain.split('.').slice(-3).join('.')];
+            const domainId = candidates.map(candidate => identifierKey('domain', candidate)).find(id => this.nodes.has(id));
+            if (domainId) {
+                this.addEdge(node.id, domainId, node.type === 'email' ? 'at-domain' : 'hosted-on');
+            }
+        });
+    }
+
+    degreeOf(id) {
+        let degree = 0;
+        this.edges.forEach(edge => {
+            if (edge.source === id || edge.target === id) degree++;
+        });
+        return degree;
+    }
+
+    // Copy of the graph restricted to the given node ids
+    subgraph(ids) {
+        const graph = new EntityGraph();
+        ids.forEach(id => {
+            if (this.nodes.has(id)) graph.nodes.set(id, this.nodes.get(id));
+        });
+        this.edges.forEach(edge => {
+            if (graph.nodes.has(edge.source) && graph.nodes.has(edge.target)) {
+                graph.edges.set(edge.id, edge);
+            }
+        });
+        graph.parent = this.parent || this;
+        return graph;
+    }
+
+    // Keep only nodes of the given types; searched identifiers always stay as anchors
+    filterTypes(types) {
+        if (!types || types.length === 0) return this;
+        const ids = [...this.nodes.values()]
+            .filter(node => node.searched || types.includes(node.type))
+            .map(node => node.id);
+        return this.subgraph(ids);
+    }
+
+    // Nodes within depth hops of focus, ignoring edge direction
+    neighbourhood(focus, depth = 1) {
+        const seen = new Set(focus.filter(id => this.nodes.has(id)));
+        let frontier = [...seen];
+        for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+            const next = [];
+            this.edges.forEach(edge => {
+                frontier.forEach(id => {
+                    const other = edge.source === id ? edge.target : edge.target === id ? edge.source : null;
+                    if (other && !seen.has(other)) {
+                        seen.add(other);
+                        next.push(other);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        return this.subgraph([...seen]);
+    }
+
+    searchedNodeIds() {
+        return [...this.nodes.values()].filter(node => node.searched).map(node => node.id);
+    }
+
+    // degree counts edges in the full graph so clients can tell which nodes expand further
+    toJSON() {
+        const full = this.parent || this;
+        const nodes = [...this.nodes.values()].map(node => ({ ...node, degree: full.degreeOf(node.id) }));
+        const edges = [...this.edges.values()];
+        const types = {};
+        nodes.forEach(node => {
+            types[node.type] = (types[node.type] || 0) + 1;
+        });
+        return {
+            nodes,
+            edges,
+            stats: { nodes: nodes.length, edges: edges.length, types, totalNodes: full.nodes.size }
+        };
+    }
+}
+
+module.exports = {
+    EntityGraph,
+    NODE_TYPES,
+    identifierKey
+};
@@ -0,0 +1,265 @@
+// GitHub profile report: profile, repositories, organisations, gists, public keys and the public event stream
+// of one login, with the commit authors seen in push events and first and last seen activity dates
+const crypto = require('crypto');
+const githubConfig = require('../config/github-config');
+
+// GitHub logins: alphanumerics and single inner hyphens, at most 39 characters
+function normalizeLogin(query) {
+    return String(query || '').trim().replace(/^@/, '').replace(/^https?:\/\/(www\.)?github\.com\//i, '').split(/[/?#]/)[0];
+}
+
+function isValidLogin(login) {
+    return /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(login);
+}
+
+// Follow numbered pages of 100 until a short page or the page limit
+async function fetchPages(source, apiPath, maxPages, params = {}) {
+    const items = [];
+    for (let page = 1; page <= maxPages; page++) {
+        const batch = await source.get(apiPath, { ...params, per_page: 100, page });
+        items.push(...batch);
+        if (batch.length < 100) break;
+    }
+    return items;
+}
+
+// Everything the report is built from. The profile is required; a failing list is reported in errors
+async function fetchGithubProfile(source, login, { progress = () => {}, config = githubConfig } = {}) {
+    const userPath = `/users/${encodeURIComponent(login)}`;
+    const profile = await source.get(userPath);
+
+    const lists = {
+        repos: () => fetchPages(source, `${userPath}/repos`, config.maxRepoPages, { sort: 'pushed' }),
+        orgs: () => source.get(`${userPath}/orgs`),
+        gists: () => fetchPages(source, `${userPath}/gists`, config.maxGistPages),
+        keys: () => source.get(`${userPath}/keys`),
+        gpgKeys: () => source.get(`${userPath}/gpg_keys`),
+        events: () => fetchPages(source, `${userPath}/events/public`, config.maxEventPages)
+    };
+    const names = Object.keys(lists);
+    const raw = { profile, errors: {} };
+    let finished = 0;
+    await Promise.all(names.map(async name => {
+        try {
+            raw[name] = await lists[name]();
+        } catch (error) {
+            raw[name] = [];
+            raw.errors[name] = error.message;
+        } finally {
+            finished++;
+            progress({ event: 'provider-page', page: finished, pages: names.length, label: name });
+        }
+    }));
+    return raw;
+}
+
+// OpenSSH style SHA256 fingerprint of a public key line such as "ssh-ed25519 AAAA..."
+function sshFingerprint(key) {
+    const [, body] = String(key || '').split(/\s+/);
+    if (!body) return null;
+    const digest = crypto.createHash('sha256').update(Buffer.from(body, 'base64')).digest('base64');
+    return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+// Commit metadata is whatever the committer's git config says, so only well formed addresses are reported
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+function isValidEmail(email) {
+    return EMAIL_PATTERN.test(String(email || ''));
+}
+
+function isNoreplyEmail(email) {
+    return /@users\.noreply\.github\.com$/i.test(email);
+}
+
+// Earliest and latest of a list of ISO dates, ignoring gaps
+function dateRange(dates) {
+    const sorted = dates.filter(Boolean).sort();
+    return { firstSeen: sorted[0] || null, lastSeen: sorted[sorted.length - 1] || null };
+}
+
+// Commit authors of push events, most commits first. One person often commits under several emails
+function commitAuthors(events) {
+    const authors = new Map();
+    events.filter(event => event.type === 'PushEvent').forEach(event => {
+        ((event.payload && event.payload.commits) || []).forEach(commit => {
+            const author = { ...commit.author };
+            if (!isValidEmail(author.email)) author.email = null;
+            if (!author.email && !author.name) return;
+            const key = `${String(author.name || '').toLowerCase()}|${String(author.email || '').toLowerCase()}`;
+            const entry = authors.get(key) || {
+                name: author.name || null,
+                email: author.email || null,
+                noreply: isNoreplyEmail(author.email || ''),
+                commits: 0,
+                repositories: new Set(),
+                dates: [],
+                sampleUrl: null
+            };
+            entry.commits++;
+            entry.repositories.add(event.repo && event.repo.name);
+            entry.dates.push(event.created_at);
+            entry.sampleUrl = entry.sampleUrl || (event.repo && commit.sha ? `https://github.com/${event.repo.name}/commit/${commit.sha}` : null);
+            authors.set(key, entry);
+        });
+    });
+    return [...authors.values()]
+        .map(({ repositories, dates, ...author }) => ({
+            ...author,
+            repositories: [...repositories].filter(Boolean),
+            ...dateRange(dates)
+        }))
+        .sort((a, b) => b.commits - a.commits);
+}
+
+// Event counts per type and per repository over the window the public stream covers
+function summarizeEvents(events) {
+    const types = {};
+    const repositories = new Map();
+    events.forEach(event => {
+        types[event.type] = (types[event.type] || 0) + 1;
+        const name = event.repo && event.repo.name;
+        if (!name) return;
+        const entry = repositories.get(name) || { name, events: 0, dates: [] };
+        entry.events++;
+        entry.dates.push(event.created_at);
+        repositories.set(name, entry);
+    });
+    return {
+        total: events.length,
+        types,
+        repositories: [...repositories.values()]
+            .map(({ dates, ...entry }) => ({ ...entry, ...dateRange(dates) }))
+            .sort((a, b) => b.events - a.events),
+        window: dateRange(events.map(event => event.created_at))
+    };
+}
+
+function summarizeRepositories(repos, limit = githubConfig.topRepositories) {
+    const languages = {};
+    repos.forEach(repo => {
+        if (repo.language) languages[repo.language] = (languages[repo.language] || 0) + 1;
+    });
+    return {
+        total: repos.length,
+        forks: repos.filter(repo => repo.fork).length,
+        stars: repos.reduce((total, repo) => total + (repo.stargazers_count || 0), 0),
+        languages: Object.entries(languages)
+            .map(([language, count]) => ({ language, count }))
+            .sort((a, b) => b.count - a.count),
+        list: [...repos]
+            .sort((a, b) => String(b.pushed_at || '').localeCompare(String(a.pushed_at || '')))
+            .slice(0, limit)
+            .map(repo => ({
+                name: repo.name,
+                fullName: repo.full_name,
+                url: repo.html_url,
+                description: repo.description || null,
+                language: repo.language || null,
+                homepage: repo.homepage || null,
+                topics: repo.topics || [],
+                fork: Boolean(repo.fork),
+                stars: repo.stargazers_count || 0,
+                forks: repo.forks_count || 0,
+                createdAt: repo.created_at || null,
+                pushedAt: repo.pushed_at || null
+            }))
+    };
+}
+
+// The structured report from the raw API responses of fetchGithubProfile
+function buildGithubReport({ profile, repos = [], orgs = [], gists = [], keys = [], gpgKeys = [], events = [], errors = {} }) {
+    const activity = summarizeEvents(events);
+    return {
+        login: profile.login,
+        profile: {
+            id: profile.id,
+            login: profile.login,
+            type: profile.type,
+            name: profile.name || null,
+            company: profile.company || null,
+            blog: profile.blog || null,
+            location: profile.location || null,
+            email: profile.email || null,
+            bio: profile.bio || null,
+            twitterUsername: profile.twitter_username || null,
+            hireable: profile.hireable === undefined ? null : profile.hireable,
+            avatarUrl: profile.avatar_url,
+            url: profile.html_url,
+            publicRepos: profile.public_repos || 0,
+            publicGists: profile.public_gists || 0,
+            followers: profile.followers || 0,
+            following: profile.following || 0,
+            createdAt: profile.created_at || null,
+            updatedAt: profile.updated_at || null
+        },
+        repositories: summarizeRepositories(repos),
+        organizations: orgs.map(org => ({
+            login: org.login,
+            url: `https://github.com/${org.login}`,
+            description: org.description || null,
+            avatarUrl: org.avatar_url
+        })),
+        gists: gists.map(gist => ({
+            id: gist.id,
+            url: gist.html_url,
+            description: gist.description || null,
+            files: Object.keys(gist.files || {}),
+            public: gist.public !== false,
+            createdAt: gist.created_at || null,
+            updatedAt: gist.updated_at || null
+        })),
+        keys: {
+            ssh: keys.map(key => ({
+                id: key.id,
+                type: String(key.key || '').split(/\s+/)[0],
+                fingerprint: sshFingerprint(key.key)
+            })),
+            gpg: gpgKeys.map(key => ({
+                keyId: key.key_id,
+                emails: (key.emails || []).map(email => ({ email: email.email, verified: Boolean(email.verified) })),
+                canSign: Boolean(key.can_sign),
+                createdAt: key.created_at || null,
+                expiresAt: key.expires_at || null
+            }))
+        },
+        commitAuthors: commitAuthors(events),
+        activity: {
+            accountCreated: profile.created_at || null,
+            // Any dated trace: repositories created and pushed, gists created and updated, public events
+            ...dateRange([
+                ...repos.flatMap(repo => [repo.created_at, repo.pushed_at]),
+                ...gists.flatMap(gist => [gist.created_at, gist.updated_at]),
+                ...events.map(event => event.created_at)
+            ]),
+            events: activity
+        },
+        errors
+    };
+}
+
+// Emails the report exposes: the profile email, GPG key emails and commit emails, minus GitHub's noreply ones
+function reportEmails(report) {
+    const emails = new Map();
+    const add = (address, source, name) => {
+        if (!isValidEmail(address) || isNoreplyEmail(address)) return;
+        const key = address.toLowerCase();
+        const entry = emails.get(key) || { address, sources: [], name: null };
+        if (source && !entry.sources.includes(source)) entry.sources.push(source);
+        entry.name = entry.name || name || null;
+        emails.set(key, entry);
+    };
+    add(report.profile.email, report.profile.url);
+    report.keys.gpg.forEach(key => key.emails.forEach(email => add(email.email, `https://github.com/${report.login}.gpg`)));
+    report.commitAuthors.forEach(author => add(author.email, author.sampleUrl, author.name));
+    return [...emails.values()];
+}
+
+module.exports = {
+    normalizeLogin,
+    isValidLogin,
+    fetchGithubProfile,
+    buildGithubReport,
+    reportEmails,
+    sshFingerprint
+};
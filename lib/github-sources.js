@@ -0,0 +1,79 @@
+// Sources behind the GitHub profile report. A source is a plain object with get(path, params) returning the
+// parsed JSON of a REST API path, so recorded fixtures can replace the API:
+//   api      - api.github.com with the token from GITHUB_API_KEY when set
+//   fixtures - <dir>/<login>.json mapping paths such as "/users/octocat/repos" to recorded responses
+const fs = require('fs');
+const path = require('path');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const githubConfig = require('../config/github-config');
+
+// Requests are authenticated when a token is configured, which raises the rate limit
+function githubHeaders(credentials) {
+    return credentials.isSet('GITHUB_API_KEY') ? {
+        'Authorization': `token ${credentials.get('GITHUB_API_KEY')}`,
+        'Accept': 'application/vnd.github.v3+json'
+    } : {};
+}
+
+// Fetch an API URL as JSON. Rate limit answers carry retryAfter; other failures carry the status
+async function githubRequest(url, credentials, { timeout = githubConfig.timeout } = {}) {
+    const response = await fetch(url, { headers: githubHeaders(credentials), signal: AbortSignal.timeout(timeout) });
+    if (response.status === 429 || (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0')) {
+        const error = new Error('GitHub API rate limit exceeded');
+        error.statusCode = 429;
+        const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+        if (reset) {
+            error.retryAfter = Math.max(0, reset * 1000 - Date.now());
+        }
+        throw error;
+    }
+    if (!response.ok) {
+        const error = new Error(`GitHub API answered ${response.status} for ${new URL(url).pathname}`);
+        error.statusCode = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+function apiSource(credentials, config = githubConfig) {
+    return {
+        name: 'api',
+        get(apiPath, params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return githubRequest(`${config.apiBase}${apiPath}${query ? `?${query}` : ''}`, credentials, config);
+        }
+    };
+}
+
+// Lists are recorded as one page: later pages answer empty. A path missing from the fixture answers 404
+function fixtureSource(dir = githubConfig.fixturesDir) {
+    const directory = path.resolve(__dirname, '..', dir);
+    return {
+        name: 'fixtures',
+        async get(apiPath, params = {}) {
+            const login = apiPath.split('/')[2] || '';
+            const file = path.join(directory, `${login.toLowerCase()}.json`);
+            const fixture = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+            // Logins are case insensitive
+            const key = Object.keys(fixture).find(recorded => recorded.toLowerCase() === apiPath.toLowerCase());
+            if (!key) {
+                const error = new Error(`No fixture for ${apiPath} in ${directory}`);
+                error.statusCode = 404;
+                throw error;
+            }
+            return params.page && Number(params.page) > 1 ? [] : fixture[key];
+        }
+    };
+}
+
+// The source selected by GITHUB_SOURCES
+function createGithubSource(credentials, config = githubConfig) {
+    return config.sources === 'fixtures' ? fixtureSource(config.fixturesDir) : apiSource(credentials, config);
+}
+
+module.exports = {
+    githubHeaders,
+    githubRequest,
+    fixtureSource,
+    createGithubSource
+};
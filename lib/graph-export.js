@@ -0,0 +1,109 @@
+// GraphML and GEXF serialisation of an EntityGraph for external tools such as Gephi and yEd
+
+const NODE_ATTRIBUTES = [
+    { id: 'type', type: 'string', value: node => node.type },
+    { id: 'searched', type: 'boolean', value: node => node.searched },
+    { id: 'platforms', type: 'string', value: node => node.platforms.join(',') },
+    { id: 'url', type: 'string', value: node => node.url || '' }
+];
+
+const EDGE_ATTRIBUTES = [
+    { id: 'type', type: 'string', value: edge => edge.type },
+    { id: 'platforms', type: 'string', value: edge => edge.platforms.join(',') }
+];
+
+// Control characters other than tab and newlines are not allowed in XML 1.0, even escaped, so they are dropped
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toGraphML(graph) {
+    const { nodes, edges } = graph.toJSON();
+    const keys = [
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+        ...NODE_ATTRIBUTES.map(attribute => `  <key id="n_${attribute.id}" for="node" attr.name="${attribute.id}" attr.type="${attribute.type}"/>`),
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+        ...EDGE_ATTRIBUTES.map(attribute => `  <key id="e_${attribute.id}" for="edge" attr.name="${attribute.id}" attr.type="${attribute.type}"/>`)
+    ];
+
+    const nodeLines = nodes.map(node => [
+        `    <node id="${escapeXml(node.id)}">`,
+        `      <data key="label">${escapeXml(node.label)}</data>`,
+        ...NODE_ATTRIBUTES.map(attribute => `      <data key="n_${attribute.id}">${escapeXml(attribute.value(node))}</data>`),
+        '    </node>'
+    ].join('\n'));
+
+    const edgeLines = edges.map(edge => [
+        `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+        `      <data key="weight">${edge.weight}</data>`,
+        ...EDGE_ATTRIBUTES.map(attribute => `      <data key="e_${attribute.id}">${escapeXml(attribute.value(edge))}</data>`),
+        '    </edge>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        ...keys,
+        '  <graph id="osint" edgedefault="directed">',
+        ...nodeLines,
+        ...edgeLines,
+        '  </graph>',
+        '</graphml>',
+        ''
+    ].join('\n');
+}
+
+function toGEXF(graph) {
+    const { nodes, edges } = graph.toJSON();
+    const attributeLines = (attributes, prefix) => attributes.map(attribute =>
+        `      <attribute id="${prefix}_${attribute.id}" title="${attribute.id}" type="${attribute.type}"/>`
+    );
+    const valueLines = (attributes, prefix, record) => [
+        '        <attvalues>',
+        ...attributes.map(attribute => `          <attvalue for="${prefix}_${attribute.id}" value="${escapeXml(attribute.value(record))}"/>`),
+        '        </attvalues>'
+    ];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+        '    <creator>OSINT Finder</creator>',
+        '  </meta>',
+        '  <graph mode="static" defaultedgetype="directed">',
+        '    <attributes class="node">',
+        ...attributeLines(NODE_ATTRIBUTES, 'n'),
+        '    </attributes>',
+        '    <attributes class="edge">',
+        ...attributeLines(EDGE_ATTRIBUTES, 'e'),
+        '    </attributes>',
+        '    <nodes>',
+        ...nodes.map(node => [
+            `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`,
+            ...valueLines(NODE_ATTRIBUTES, 'n', node),
+            '      </node>'
+        ].join('\n')),
+        '    </nodes>',
+        '    <edges>',
+        ...edges.map(edge => [
+            `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${escapeXml(edge.type)}" weight="${edge.weight}">`,
+            ...valueLines(EDGE_ATTRIBUTES, 'e', edge),
+            '      </edge>'
+        ].join('\n')),
+        '    </edges>',
+        '  </graph>',
+        '</gexf>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    toGraphML,
+    toGEXF
+};
@@ -0,0 +1,34 @@
+// Shared Hunter.io request handling for the Hunter and domain report providers
+const axios = require('axios');
+const { createEmail } = require('./result-schema');
+
+// Helper function for Hunter.io requests; resolves to a cache entry { value, cached, fetchedAt }
+function hunterRequest({ cache, credentials }, endpoint, params) {
+    return cache.wrap('hunter', endpoint, params, async () => {
+        const response = await axios.get(`https://api.hunter.io/v2/${endpoint}`, {
+            params: { ...params, api_key: credentials.get('HUNTER_API_KEY') }
+        });
+        return response.data;
+    });
+}
+
+// Convert the emails of a Hunter.io domain search into schema records
+function hunterDomainEmails(data) {
+    const { emails = [], organization } = data.data;
+    return emails.map(email => createEmail({
+        address: email.value,
+        firstName: email.first_name,
+        lastName: email.last_name,
+        position: email.position,
+        department: email.department,
+        company: organization,
+        confidence: email.confidence,
+        linkedin: email.linkedin,
+        sources: (email.sources || []).map(source => source.uri)
+    }));
+}
+
+module.exports = {
+    hunterRequest,
+    hunterDomainEmails
+};
@@ -0,0 +1,276 @@
+// Persistent background job queue backed by a single JSON file.
+// Failed attempts are retried with exponential backoff, running jobs report progress and can be
+// cancelled, and jobs interrupted by a restart run again. Every change is emitted as an 'update' event
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// queued -> running -> succeeded | failed, with retrying between attempts; cancelled from any unfinished state
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+    constructor(filePath, { concurrency = 2, maxAttempts = 3, baseDelay = 5000, maxDelay = 300000, retentionHours = 72 } = {}) {
+        super();
+        // One listener per subscribed client
+        this.setMaxListeners(0);
+        this.filePath = filePath;
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.retentionMs = retentionHours * 60 * 60 * 1000;
+        this.kinds = new Map();
+        this.jobs = null;
+        this.started = false;
+        // Abort controllers of running jobs and timers of jobs waiting for a retry, by job id
+        this.running = new Map();
+        this.retryTimers = new Map();
+        // Writes are chained so concurrent updates never interleave on disk
+        this.writeQueue = Promise.resolve();
+    }
+
+    // handler(payload, job) resolves to the job's result. job carries attempt, maxAttempts, signal (aborted on
+    // cancel), progress(update), checkpoint (saved by an earlier attempt) and saveCheckpoint(data).
+    // validate(payload) returns an error message or null; an error with retryable = false is not retried
+    register(kind, handler, { validate = () => null, maxAttempts } = {}) {
+        this.kinds.set(kind, { handler, validate, maxAttempts });
+        return this;
+    }
+
+    async load() {
+        if (this.jobs) return this.jobs;
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.jobs = JSON.parse(raw).jobs || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.jobs = [];
+        }
+        return this.jobs;
+    }
+
+    // Write to a temporary file and rename it so a crash never leaves a half written store. A failed write
+    // rejects for its caller only; the chain carries on so the next write still runs
+    persist() {
+        const write = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, jobs: this.jobs }, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    // persist() where a failed write must not stop the job: log it, the next write saves the same state
+    save() {
+        return this.persist().catch(error => console.error('Failed to save jobs:', error.message));
+    }
+
+    // Load stored jobs and carry on with the unfinished ones. Call once every kind is registered
+    async start() {
+        const jobs = await this.load();
+        this.prune();
+        jobs.forEach(job => {
+            if (job.state === 'running') {
+                job.state = 'queued';
+                job.progress = { ...job.progress, message: 'Resumed after a server restart' };
+            }
+        });
+        this.started = true;
+        await this.persist();
+        jobs.filter(job => job.state === 'retrying').forEach(job => this.scheduleRetry(job));
+        this.drain();
+    }
+
+    // Finished jobs past the retention period are dropped
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        this.jobs = this.jobs.filter(job => !FINISHED_STATES.includes(job.state) || Date.parse(job.finishedAt) >= cutoff);
+    }
+
+    // Returns { error } when the kind is unknown or the payload is rejected, otherwise { job }
+    async enqueue(kind, payload = {}, { maxAttempts } = {}) {
+        const registration = this.kinds.get(kind);
+        if (!registration) {
+            return { error: `Unknown job kind ${kind}` };
+        }
+        const validationError = registration.validate(payload);
+        if (validationError) {
+            return { error: validationError };
+        }
+
+        await this.load();
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            kind,
+            payload,
+            state: 'queued',
+            attempts: 0,
+            maxAttempts: maxAttempts || registration.maxAttempts || this.maxAttempts,
+            progress: null,
+            checkpoint: null,
+            result: null,
+            error: null,
+            nextRunAt: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+        this.prune();
+        this.jobs.push(job);
+        await this.persist();
+        this.emitUpdate(job);
+        this.drain();
+        return { job };
+    }
+
+    async get(id) {
+        const jobs = await this.load();
+        return jobs.find(job => job.id === id) || null;
+    }
+
+    // Jobs without their payload details, checkpoint and result, newest first
+    async list({ state, kind } = {}) {
+        const jobs = await this.load();
+        return jobs
+            .filter(job => (!state || job.state === state) && (!kind || job.kind === kind))
+            .map(job => this.summarize(job))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    summarize(job) {
+        const { checkpoint, result, ...summary } = job;
+        return { ...summary, hasResult: result !== null };
+    }
+
+    // A running job is told through its abort signal; whatever it still produces is ignored
+    async cancel(id) {
+        const job = await this.get(id);
+        if (!job || FINISHED_STATES.includes(job.state)) return job;
+
+        clearTimeout(this.retryTimers.get(id));
+        this.retryTimers.delete(id);
+        const controller = this.running.get(id);
+        if (controller) controller.abort();
+        this.finish(job, 'cancelled');
+        await this.persist();
+        return job;
+    }
+
+    // Start queued jobs, oldest first, while there is room
+    drain() {
+        if (!this.started) return;
+        while (this.running.size < this.concurrency) {
+            const job = this.jobs.find(entry => entry.state === 'queued');
+            if (!job) return;
+            this.runJob(job);
+        }
+    }
+
+    async runJob(job) {
+        const registration = this.kinds.get(job.kind);
+        const controller = new AbortController();
+        this.running.set(job.id, controller);
+        job.attempts++;
+        job.state = 'running';
+        job.nextRunAt = null;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        this.touch(job);
+        this.save();
+
+        try {
+            if (!registration) {
+                const error = new Error(`No handler registered for ${job.kind} jobs`);
+                error.retryable = false;
+                throw error;
+            }
+            const result = await registration.handler(job.payload, {
+                id: job.id,
+                attempt: job.attempts,
+                maxAttempts: job.maxAttempts,
+                signal: controller.signal,
+                checkpoint: job.checkpoint,
+                progress: (update) => {
+                    if (controller.signal.aborted) return;
+                    job.progress = { ...job.progress, ...update };
+                    this.touch(job);
+                },
+                saveCheckpoint: (data) => {
+                    if (controller.signal.aborted) return Promise.resolve();
+                    job.checkpoint = data;
+                    return this.persist();
+                }
+            });
+            if (!controller.signal.aborted) {
+                this.finish(job, 'succeeded', { result });
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                this.fail(job, error);
+            }
+        } finally {
+            this.running.delete(job.id);
+            await this.save();
+            this.drain();
+        }
+    }
+
+    // Retry with backoff while attempts are left, otherwise the job has failed. An error with retryAfter
+    // (ms) is a rate limit: the job waits that long and the wait does not use up an attempt
+    fail(job, error) {
+        const rateLimited = error.retryAfter !== undefined && error.retryable !== false;
+        if (rateLimited) job.attempts--;
+        if (job.attempts >= job.maxAttempts || error.retryable === false) {
+            this.finish(job, 'failed', { error: error.message });
+            return;
+        }
+        const delay = rateLimited ? error.retryAfter : Math.min(this.baseDelay * 2 ** (job.attempts - 1), this.maxDelay);
+        job.state = 'retrying';
+        job.error = error.message;
+        job.nextRunAt = new Date(Date.now() + delay).toISOString();
+        this.touch(job);
+        this.scheduleRetry(job);
+    }
+
+    scheduleRetry(job) {
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(job.id);
+            if (job.state !== 'retrying') return;
+            job.state = 'queued';
+            this.touch(job);
+            this.drain();
+        }, Math.max(Date.parse(job.nextRunAt) - Date.now(), 0));
+        // Waiting retries do not keep the process alive
+        timer.unref();
+        this.retryTimers.set(job.id, timer);
+    }
+
+    finish(job, state, { result = null, error = null } = {}) {
+        job.state = state;
+        job.result = result;
+        job.error = error;
+        job.checkpoint = null;
+        job.nextRunAt = null;
+        job.finishedAt = new Date().toISOString();
+        this.touch(job);
+    }
+
+    touch(job) {
+        job.updatedAt = new Date().toISOString();
+        this.emitUpdate(job);
+    }
+
+    emitUpdate(job) {
+        this.emit('update', this.summarize(job));
+    }
+
+    isFinished(job) {
+        return FINISHED_STATES.includes(job.state);
+    }
+}
+
+module.exports = JobQueue;
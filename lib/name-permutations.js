@@ -0,0 +1,249 @@
+// Ranked username and email candidates from a full name, an optional birth year and nicknames.
+// Non-Latin names are transliterated first so "Владимир Петров" gives "vladimir.petrov"
+const { transliterate } = require('transliteration');
+const namePatterns = require('../config/name-patterns');
+
+// Brahmic scripts write consonants with an inherent "a" that a vowel sign or virama replaces.
+// The generic transliteration drops it ("सन्तोष" comes out as "sntoss"), so these are spelled out
+const BRAHMIC_SCRIPTS = [
+    {
+        name: 'devanagari',
+        range: /[ऀ-ॿ]/,
+        virama: '्',
+        nukta: '़',
+        // Hindi drops the inherent vowel at the end of a word: "राम" is "ram"
+        finalVowel: false,
+        consonants: {
+            'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+            'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+            'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+            'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+            'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+            'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+        },
+        vowels: {
+            'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+            'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+        },
+        vowelSigns: {
+            'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+            'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+        },
+        marks: { 'ं': 'n', 'ँ': 'n', 'ः': 'h' }
+    },
+    {
+        name: 'tamil',
+        range: /[஀-௿]/,
+        virama: '்',
+        nukta: null,
+        // Tamil marks a vowelless final consonant with the pulli, so a bare one keeps its "a"
+        finalVowel: true,
+        consonants: {
+            'க': 'k', 'ங': 'ng', 'ச': 's', 'ஞ': 'nj', 'ட': 'd', 'ண': 'n',
+            'த': 'th', 'ந': 'n', 'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r',
+            'ல': 'l', 'வ': 'v', 'ழ': 'zh', 'ள': 'l', 'ற': 'r', 'ன': 'n',
+            'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+        },
+        vowels: {
+            'அ': 'a', 'ஆ': 'a', 'இ': 'i', 'ஈ': 'i', 'உ': 'u', 'ஊ': 'u',
+            'எ': 'e', 'ஏ': 'e', 'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'o', 'ஔ': 'au'
+        },
+        vowelSigns: {
+            'ா': 'a', 'ி': 'i', 'ீ': 'i', 'ு': 'u', 'ூ': 'u',
+            'ெ': 'e', 'ே': 'e', 'ை': 'ai', 'ொ': 'o', 'ோ': 'o', 'ௌ': 'au'
+        },
+        marks: { 'ஃ': 'h' }
+    }
+];
+
+// Han and Hangul names are written without spaces, family name first
+const CJK = /[㐀-鿿가-힯]/;
+
+function brahmicToLatin(word, script) {
+    const chars = [...word];
+    let output = '';
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        if (script.consonants[char] === undefined) {
+            output += script.vowels[char] || script.marks[char] || char;
+            continue;
+        }
+        output += script.consonants[char];
+        if (chars[i + 1] === script.nukta) i++;
+        const next = chars[i + 1];
+        if (next === script.virama) {
+            i++;
+        } else if (script.vowelSigns[next] !== undefined) {
+            output += script.vowelSigns[next];
+            i++;
+        } else if (script.finalVowel || (next !== undefined && script.range.test(next))) {
+            output += 'a';
+        }
+    }
+    return output;
+}
+
+// Latin spelling of one word
+function wordToLatin(word) {
+    const script = BRAHMIC_SCRIPTS.find(entry => entry.range.test(word));
+    return transliterate(script ? brahmicToLatin(word, script) : word);
+}
+
+// Lowercase ASCII words of a name. "Smith, John" is turned around to "john smith"
+// and a CJK name such as "王小明" becomes ["xiaoming", "wang"]
+function nameWords(name) {
+    const text = String(name || '').trim();
+    if (CJK.test(text) && !/\s/.test(text)) {
+        const syllables = [...text].map(char => transliterate(char).toLowerCase().replace(/[^a-z]/g, '')).filter(Boolean);
+        return syllables.length > 1 ? [syllables.slice(1).join(''), syllables[0]] : syllables;
+    }
+    const ordered = text.includes(',')
+        ? [...text.split(',').slice(1), text.split(',')[0]].join(' ')
+        : text;
+    return ordered
+        .split(/\s+/)
+        .map(word => wordToLatin(word).toLowerCase().replace(/[^a-z0-9]/g, ''))
+        .filter(word => word && !namePatterns.titles.includes(word));
+}
+
+// { first, middle, lasts } where lasts holds the surname with and without its particles
+function splitName(words) {
+    if (words.length === 0) return null;
+    const [first, ...rest] = words;
+    if (rest.length === 0) return { first, middle: [], lasts: [] };
+
+    let particleStart = rest.length - 1;
+    while (particleStart > 0 && namePatterns.particles.includes(rest[particleStart - 1])) particleStart--;
+    const last = rest[rest.length - 1];
+    const lasts = [{ value: rest.slice(particleStart).join(''), weight: 1 }];
+    if (particleStart < rest.length - 1) {
+        lasts.push({ value: last, weight: 0.85 });
+    }
+    return { first, middle: rest.slice(0, particleStart), lasts };
+}
+
+// Fill in a pattern; null when it needs a part the name does not have
+function expandPattern(pattern, parts) {
+    let missing = false;
+    const value = pattern.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!parts[key]) missing = true;
+        return parts[key] || '';
+    });
+    return missing ? null : value;
+}
+
+const USERNAME = /^[a-z0-9][a-z0-9._-]{1,29}$/;
+
+// Adds a candidate, keeping the best score when two patterns spell the same username
+function addCandidate(candidates, value, score, pattern) {
+    if (!value || !USERNAME.test(value)) return;
+    const rounded = Math.round(score * 1000) / 1000;
+    const existing = candidates.get(value);
+    if (!existing || existing.score < rounded) {
+        candidates.set(value, { value, score: rounded, pattern });
+    }
+}
+
+function parseBirthYear(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const year = parseInt(value, 10);
+    if (!/^\d{4}$/.test(String(value).trim()) || year < 1900 || year > new Date().getFullYear()) {
+        throw new Error(`Birth year must be a four digit year between 1900 and ${new Date().getFullYear()}`);
+    }
+    return year;
+}
+
+// A list from an array or a comma separated string; entries that are not strings are dropped
+function listValue(value) {
+    if (Array.isArray(value)) return value.filter(entry => typeof entry === 'string');
+    return String(value || '').split(',');
+}
+
+// Ranked candidates for a name:
+// { name, latinName, transliterated, tokens, usernames: [{ value, score, pattern }], emails: [{ value, score, pattern, domain }] }
+function generateCandidates({ name, birthYear, nicknames = [], domains = [], limit } = {}) {
+    const words = nameWords(name);
+    const tokens = splitName(words);
+    if (!tokens) {
+        throw new Error('Name must contain at least one letter');
+    }
+    const year = parseBirthYear(birthYear);
+    const firsts = [
+        { value: tokens.first, weight: 1 },
+        ...listValue(nicknames)
+            .flatMap(nickname => nameWords(nickname))
+            .filter(nickname => nickname !== tokens.first)
+            .map(nickname => ({ value: nickname, weight: namePatterns.nicknameWeight, nickname: true }))
+    ];
+    const lasts = tokens.lasts.length > 0 ? tokens.lasts : [{ value: '', weight: 1 }];
+    const middle = tokens.middle.join('');
+    const suffixes = year
+        ? [
+            { value: String(year).slice(2), weight: namePatterns.birthYearWeights.short },
+            { value: String(year), weight: namePatterns.birthYearWeights.full }
+        ]
+        : [];
+
+    const usernames = new Map();
+    firsts.forEach(first => lasts.forEach(last => {
+        const parts = {
+            first: first.value,
+            last: last.value,
+            middle,
+            f: first.value[0],
+            l: last.value[0],
+            m: middle[0]
+        };
+        namePatterns.usernames.forEach(({ pattern, weight }) => {
+            const value = expandPattern(pattern, parts);
+            const score = weight * first.weight * last.weight;
+            addCandidate(usernames, value, score, pattern);
+            if (namePatterns.birthYearPatterns.includes(pattern)) {
+                suffixes.forEach(suffix => addCandidate(usernames, value && `${value}${suffix.value}`, score * suffix.weight, `${pattern}${suffix.value}`));
+            }
+        });
+    }));
+
+    const maxUsernames = Math.min(parseInt(limit, 10) || namePatterns.maxUsernames, namePatterns.maxUsernames);
+    const ranked = [...usernames.values()]
+        .sort((a, b) => b.score - a.score || a.value.length - b.value.length)
+        .slice(0, maxUsernames);
+
+    // Domains the caller knows about (an employer, say) rank above the generic mail providers
+    const emailDomains = [...new Set([
+        ...listValue(domains).map(domain => domain.trim().toLowerCase().replace(/^@/, '')).filter(Boolean),
+        ...namePatterns.emailDomains
+    ])];
+    const emails = emailDomains
+        .flatMap((domain, index) => ranked
+            .slice(0, namePatterns.emailUsernames)
+            .map(username => ({
+                value: `${username.value}@${domain}`,
+                score: Math.round(username.score * Math.max(1 - index * 0.1, 0.5) * 1000) / 1000,
+                pattern: username.pattern,
+                domain
+            })))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, namePatterns.maxEmails);
+
+    const latinName = [tokens.first, ...tokens.middle, ...tokens.lasts.slice(0, 1).map(last => last.value)].join(' ');
+    return {
+        name: String(name).trim(),
+        latinName,
+        transliterated: /[^\x00-\x7F]/.test(String(name)),
+        tokens: {
+            first: tokens.first,
+            middle: tokens.middle,
+            last: tokens.lasts.length > 0 ? tokens.lasts[0].value : null,
+            nicknames: firsts.filter(first => first.nickname).map(first => first.value)
+        },
+        birthYear: year,
+        usernames: ranked,
+        emails
+    };
+}
+
+module.exports = {
+    generateCandidates,
+    nameWords
+};
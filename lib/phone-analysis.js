@@ -0,0 +1,104 @@
+// Offline phone number analysis: validation, E.164, line type, carrier range, timezones and formatting variants
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { carrier, geocoder, timezones } = require('libphonenumber-geo-carrier');
+const phoneApiConfig = require('../config/phone-api-config');
+
+// libphonenumber line types in the lower-case style used by the result schema
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'fixed-line',
+    FIXED_LINE_OR_MOBILE: 'fixed-line-or-mobile',
+    TOLL_FREE: 'toll-free',
+    PREMIUM_RATE: 'premium-rate',
+    SHARED_COST: 'shared-cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+// Numbers without a + or international prefix are read as numbers of the default region
+function parsePhone(query, defaultRegion = phoneApiConfig.countryCode) {
+    return parsePhoneNumberFromString(String(query || '').trim(), String(defaultRegion).toUpperCase()) || null;
+}
+
+// Common ways of writing the number, most common first, e.g. for +91 98765 43210:
+// "+91 98765 43210", "+919876543210", "098765 43210", "9876543210", "919876543210", "98765-43210", ...
+function formattingVariants(number) {
+    const callingCode = number.countryCallingCode;
+    const national = number.nationalNumber;
+    const groups = number.formatInternational().replace(`+${callingCode}`, '').trim().split(/[\s-]+/);
+    const nationalFormat = number.formatNational();
+
+    const variants = [
+        number.formatInternational(),
+        number.number,
+        nationalFormat,
+        national,
+        `${callingCode}${national}`,
+        nationalFormat.replace(/\D/g, ''),
+        groups.join('-'),
+        groups.join('.'),
+        groups.join(' '),
+        `+${callingCode}-${groups.join('-')}`,
+        `${callingCode}-${groups.join('-')}`,
+        `00${callingCode}${national}`
+    ];
+    return [...new Set(variants)];
+}
+
+// Variants of a query for searches, or the query itself when it is not a phone number
+function phoneVariants(query, defaultRegion) {
+    const number = parsePhone(query, defaultRegion);
+    return number ? formattingVariants(number) : [String(query).trim()];
+}
+
+// E.164 digits without the +, e.g. "+91 98765-43210" and "098765 43210" both give "919876543210"
+function e164Digits(query, defaultRegion) {
+    const number = parsePhone(query, defaultRegion);
+    return number ? number.number.slice(1) : String(query).replace(/\D/g, '');
+}
+
+// Full offline analysis. The carrier is the one the number range was allocated to,
+// which may differ from the current carrier after porting
+async function analyzePhone(query, { defaultRegion = phoneApiConfig.countryCode } = {}) {
+    const number = parsePhone(query, defaultRegion);
+    if (!number) {
+        return { input: String(query), defaultRegion, valid: false, possible: false, variants: [] };
+    }
+
+    const valid = number.isValid();
+    const [carrierName, location, zones] = valid
+        ? await Promise.all([carrier(number), geocoder(number), timezones(number)])
+        : [null, null, []];
+
+    return {
+        input: String(query),
+        defaultRegion,
+        valid,
+        possible: number.isPossible(),
+        e164: number.number,
+        country: number.country || null,
+        countryCallingCode: number.countryCallingCode,
+        nationalNumber: number.nationalNumber,
+        lineType: LINE_TYPES[number.getType()] || 'unknown',
+        carrier: carrierName || null,
+        location: location || null,
+        timezones: (zones || []).filter(zone => zone !== 'Etc/Unknown'),
+        formats: {
+            e164: number.number,
+            international: number.formatInternational(),
+            national: number.formatNational(),
+            rfc3966: number.getURI()
+        },
+        variants: formattingVariants(number)
+    };
+}
+
+module.exports = {
+    parsePhone,
+    phoneVariants,
+    e164Digits,
+    analyzePhone
+};
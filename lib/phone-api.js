@@ -0,0 +1,19 @@
+// Shared request handling for the server-side phone intelligence providers
+const axios = require('axios');
+const phoneApiConfig = require('../config/phone-api-config');
+
+// POST JSON to a phone provider API with a bearer key; resolves to the response body
+async function phoneApiRequest(provider, path, body, apiKey) {
+    const response = await axios.post(`${phoneApiConfig[provider].endpoint}${path}`, body, {
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        timeout: phoneApiConfig.timeout
+    });
+    return response.data;
+}
+
+module.exports = {
+    phoneApiRequest
+};
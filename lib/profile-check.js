@@ -0,0 +1,36 @@
+// Single-site profile checks for providers without an API of their own
+const { createResult, createAccount } = require('./result-schema');
+const { checkUsername } = require('./username-checker');
+
+// Convert a site check state into a result status
+function checkStateToStatus(state) {
+    if (state === 'exists') return 'found';
+    if (state === 'not-exists') return 'not-found';
+    return 'unknown';
+}
+
+// Check a single catalogue site for username searches; other search types only get a search link
+async function profileCheckResult(platform, query, type, searchUrl, description) {
+    if (type !== 'username') {
+        return createResult({ platform, query, type, status: 'unknown', url: searchUrl, description });
+    }
+
+    const [check] = await checkUsername(query, { keys: [platform] });
+    return createResult({
+        platform,
+        query,
+        type,
+        status: checkStateToStatus(check.state),
+        accounts: check.state === 'exists'
+            ? [createAccount({ platform, username: query, url: check.url })]
+            : [],
+        url: check.state === 'exists' ? check.url : searchUrl,
+        description: `${check.site} profile ${query}: ${check.state}`,
+        data: { checks: [check] }
+    });
+}
+
+module.exports = {
+    checkStateToStatus,
+    profileCheckResult
+};
@@ -0,0 +1,139 @@
+// Search provider plugins: discovery, metadata and dispatch.
+// A provider module exports { id, name, searchTypes, search(request, context) } plus optional
+// description, icon, color, order, searchUrl, credentials, credentialSets, rateLimit, routePrefix, routes(router, context)
+// and validate(context), which checks the credentials and may report the remaining quota.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createResult, createErrorResult } = require('./result-schema');
+const CredentialRegistry = require('./credential-registry');
+
+const REQUIRED_FIELDS = ['id', 'name', 'searchTypes', 'search'];
+
+class ProviderRegistry {
+    // context is passed to every provider: shared clients, the response cache, credentials, the job queue and so on
+    constructor(context = {}) {
+        this.credentials = context.credentials || new CredentialRegistry();
+        this.context = { ...context, credentials: this.credentials };
+        this.providers = new Map();
+    }
+
+    // Register every .js module in a directory, in file name order
+    loadDirectory(directory) {
+        fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => this.register(require(path.join(directory, file)), file));
+        return this;
+    }
+
+    register(provider, source = provider.id) {
+        const missing = REQUIRED_FIELDS.filter(field => provider[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Provider ${source} is missing ${missing.join(', ')}`);
+        }
+        if (typeof provider.search !== 'function' || !Array.isArray(provider.searchTypes)) {
+            throw new Error(`Provider ${source} needs a search function and a searchTypes array`);
+        }
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Provider ${provider.id} is already registered`);
+        }
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    get(id) {
+        return this.providers.get(id);
+    }
+
+    list() {
+        return [...this.providers.values()].sort((a, b) =>
+            (a.order ?? 100) - (b.order ?? 100) || a.name.localeCompare(b.name)
+        );
+    }
+
+    missingCredentials(provider) {
+        return this.credentials.missing(provider);
+    }
+
+    // Public description for /api/providers; never includes credential values
+    describe(provider) {
+        return {
+            id: provider.id,
+            name: provider.name,
+            description: provider.description || '',
+            icon: provider.icon || 'fas fa-search',
+            color: provider.color || '#333',
+            searchTypes: provider.searchTypes,
+            searchUrl: provider.searchUrl || null,
+            defaultSelected: provider.defaultSelected !== false,
+            credentials: (provider.credentials || []).map(credential => ({
+                name: credential.name,
+                required: !!credential.required,
+                description: credential.description || '',
+                configured: this.credentials.isSet(credential.name)
+            })),
+            configured: this.missingCredentials(provider).length === 0,
+            missing: this.missingCredentials(provider),
+            rateLimit: provider.rateLimit || null,
+            routes: provider.routes ? `/api/${provider.routePrefix || provider.id}` : null
+        };
+    }
+
+    // Orchestrator platform settings, with per-platform overrides from config on top
+    rateLimits(overrides = {}) {
+        const settings = {};
+        this.providers.forEach(provider => {
+            settings[provider.id] = { ...(provider.rateLimit || {}), ...(overrides[provider.id] || {}) };
+        });
+        return settings;
+    }
+
+    // Run one provider search; always resolves to a schema result for known providers
+    async search(id, query, type, progress = () => {}) {
+        const provider = this.get(id);
+        if (!provider) {
+            throw new Error(`Platform ${id} not supported`);
+        }
+
+        if (!provider.searchTypes.includes(type)) {
+            return createResult({
+                platform: id,
+                query,
+                type,
+                status: 'unknown',
+                description: `${provider.name} does not support ${type} searches`
+            });
+        }
+
+        const missing = this.missingCredentials(provider);
+        if (missing.length > 0) {
+            const message = `${provider.name} is not configured (missing ${missing.join(', ')})`;
+            return createErrorResult(id, message, message, { query, type });
+        }
+
+        return this.credentials.recordResult(id, await provider.search({ query, type, progress }, this.context));
+    }
+
+    // Credential and health status of every provider, validating them first when refresh is set
+    async health({ refresh = false, id } = {}) {
+        const providers = id ? [this.get(id)].filter(Boolean) : this.list();
+        if (refresh) {
+            return this.credentials.checkAll(providers, this.context);
+        }
+        return providers.map(provider => this.credentials.health(provider));
+    }
+
+    // Mount each provider's own endpoints under /api/<routePrefix or id>
+    mountRoutes(app) {
+        this.list()
+            .filter(provider => typeof provider.routes === 'function')
+            .forEach(provider => {
+                const router = express.Router();
+                provider.routes(router, this.context);
+                app.use(`/api/${provider.routePrefix || provider.id}`, router);
+            });
+    }
+}
+
+module.exports = ProviderRegistry;
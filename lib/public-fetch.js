@@ -0,0 +1,72 @@
+// Downloads of URLs that arrive in request bodies, such as avatar URLs sent for correlation.
+// Only http(s) on public addresses: the address is checked when the socket connects, so a hostname
+// that resolves to a private or loopback address is refused too, and redirects are not followed
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function privateAddressError(hostname) {
+    const error = new Error(`${hostname} is not a public address`);
+    error.code = 'EPRIVATEADDRESS';
+    return error;
+}
+
+// dns.lookup that fails when any answer is a private address
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => !isPublicAddress(address))) return callback(privateAddressError(hostname));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Sockets to IP literals skip the lookup, so those are checked up front
+function assertPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Not a URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Only http and https URLs can be fetched, not ${parsed.protocol}`);
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) throw privateAddressError(hostname);
+}
+
+// axios.get restricted to public hosts
+async function fetchPublic(url, options = {}) {
+    assertPublicUrl(url);
+    return axios.get(url, {
+        ...options,
+        maxRedirects: 0,
+        httpAgent: new http.Agent({ lookup: publicLookup }),
+        httpsAgent: new https.Agent({ lookup: publicLookup })
+    });
+}
+
+module.exports = {
+    isPublicAddress,
+    fetchPublic
+};
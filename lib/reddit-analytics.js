@@ -0,0 +1,86 @@
+// Analytics over a Reddit user's history: where they post, how their karma grew, when they are active
+// and the communities they are active in on the same days
+const { activityHeatmap, inferTimezone, monthlySeries, accountAge } = require('./activity-analytics');
+
+const TOP_SUBREDDITS = 25;
+const TOP_PAIRS = 15;
+
+function subredditDistribution(posts) {
+    const subreddits = new Map();
+    posts.filter(post => post.community).forEach(post => {
+        const entry = subreddits.get(post.community) || { name: post.community, submissions: 0, comments: 0, karma: 0, dates: [] };
+        entry[post.kind === 'submission' ? 'submissions' : 'comments']++;
+        entry.karma += (post.metrics && post.metrics.score) || 0;
+        entry.dates.push(post.createdAt);
+        subreddits.set(post.community, entry);
+    });
+    const total = posts.filter(post => post.community).length;
+    return [...subreddits.values()]
+        .map(({ dates, ...entry }) => {
+            const sorted = dates.filter(Boolean).sort();
+            return {
+                ...entry,
+                total: entry.submissions + entry.comments,
+                share: Math.round((entry.submissions + entry.comments) / total * 1000) / 1000,
+                firstSeen: sorted[0] || null,
+                lastSeen: sorted[sorted.length - 1] || null
+            };
+        })
+        .sort((a, b) => b.total - a.total)
+        .slice(0, TOP_SUBREDDITS);
+}
+
+// Score gained per month from the items in the history, with the running total
+function karmaOverTime(posts) {
+    let cumulative = 0;
+    return monthlySeries(posts, post => post.createdAt, post => ({
+        submissions: post.kind === 'submission' ? 1 : 0,
+        comments: post.kind === 'comment' ? 1 : 0,
+        karma: (post.metrics && post.metrics.score) || 0
+    })).map(month => {
+        cumulative += month.karma;
+        return { ...month, cumulativeKarma: cumulative };
+    });
+}
+
+// Pairs of subreddits the user was active in on the same UTC day, most shared days first
+function coOccurringCommunities(posts) {
+    const days = new Map();
+    posts.filter(post => post.community && post.createdAt).forEach(post => {
+        const day = post.createdAt.slice(0, 10);
+        if (!days.has(day)) days.set(day, new Set());
+        days.get(day).add(post.community);
+    });
+    const pairs = new Map();
+    days.forEach(communities => {
+        const sorted = [...communities].sort();
+        sorted.forEach((first, i) => sorted.slice(i + 1).forEach(second => {
+            const key = `${first}\n${second}`;
+            pairs.set(key, (pairs.get(key) || 0) + 1);
+        }));
+    });
+    return [...pairs.entries()]
+        .map(([key, sharedDays]) => ({ communities: key.split('\n'), days: sharedDays }))
+        .sort((a, b) => b.days - a.days)
+        .slice(0, TOP_PAIRS);
+}
+
+// posts are schema posts from the overview listing; account is the schema account
+function analyzeRedditHistory(account, posts) {
+    const heatmap = activityHeatmap(posts.map(post => post.createdAt));
+    const dates = posts.map(post => post.createdAt).filter(Boolean).sort();
+    return {
+        items: posts.length,
+        range: { from: dates[0] || null, to: dates[dates.length - 1] || null },
+        accountAge: accountAge(account && account.createdAt),
+        subreddits: subredditDistribution(posts),
+        karmaOverTime: karmaOverTime(posts),
+        heatmap,
+        timezone: inferTimezone(heatmap.hours),
+        coOccurring: coOccurringCommunities(posts)
+    };
+}
+
+module.exports = {
+    analyzeRedditHistory
+};
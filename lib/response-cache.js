@@ -0,0 +1,257 @@
+// Upstream response cache with pluggable backends
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// In-memory LRU: a Map keeps insertion order, so re-inserting on read marks an entry as recent.
+// Entries are stored serialised so callers never share or mutate cached objects.
+class MemoryCacheBackend {
+    constructor({ maxEntries = 500 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return JSON.parse(entry);
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, JSON.stringify(entry));
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async keys() {
+        return [...this.entries.keys()];
+    }
+
+    async stats() {
+        return { backend: 'memory', entries: this.entries.size, maxEntries: this.maxEntries };
+    }
+}
+
+// One JSON file per entry, named by the hash of its key
+class FileCacheBackend {
+    constructor({ directory }) {
+        this.directory = directory;
+    }
+
+    fileFor(key) {
+        return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+    }
+
+    async readEntry(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    async get(key) {
+        return this.readEntry(this.fileFor(key));
+    }
+
+    async set(key, entry) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const file = this.fileFor(key);
+        const tempPath = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+        await fs.promises.rename(tempPath, file);
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.fileFor(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async files() {
+        try {
+            return (await fs.promises.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async keys() {
+        const keys = await Promise.all((await this.files()).map(async name => {
+            const entry = await this.readEntry(path.join(this.directory, name));
+            return entry && entry.key;
+        }));
+        return keys.filter(Boolean);
+    }
+
+    async stats() {
+        return { backend: 'file', entries: (await this.files()).length, directory: this.directory };
+    }
+}
+
+// Memory in front of disk: hits on disk are promoted into memory
+class TieredCacheBackend {
+    constructor(memory, file) {
+        this.memory = memory;
+        this.file = file;
+    }
+
+    async get(key) {
+        const entry = await this.memory.get(key);
+        if (entry) return entry;
+        const stored = await this.file.get(key);
+        if (stored) await this.memory.set(key, stored);
+        return stored;
+    }
+
+    async set(key, entry) {
+        await Promise.all([this.memory.set(key, entry), this.file.set(key, entry)]);
+    }
+
+    async delete(key) {
+        const [inMemory, onDisk] = await Promise.all([this.memory.delete(key), this.file.delete(key)]);
+        return inMemory || onDisk;
+    }
+
+    async keys() {
+        return [...new Set([...await this.memory.keys(), ...await this.file.keys()])];
+    }
+
+    async stats() {
+        return { backend: 'tiered', memory: await this.memory.stats(), file: await this.file.stats() };
+    }
+}
+
+function createBackend({ backend = 'memory', maxEntries, directory }) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryCacheBackend({ maxEntries });
+        case 'file':
+            return new FileCacheBackend({ directory });
+        case 'tiered':
+            return new TieredCacheBackend(new MemoryCacheBackend({ maxEntries }), new FileCacheBackend({ directory }));
+        default:
+            throw new Error(`Unknown cache backend: ${backend}`);
+    }
+}
+
+// Params whose values are case-insensitive upstream; ids, cursors and page tokens keep their case
+const CASE_INSENSITIVE_PARAMS = new Set(['query', 'q', 'username', 'login', 'domain', 'email', 'vpa']);
+
+// Trim strings, lower-case the case-insensitive ones and sort object keys so equivalent queries share an entry
+function normalizeParams(value, name) {
+    if (Array.isArray(value)) return value.map(item => normalizeParams(item, name));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => [key, normalizeParams(value[key], key)]));
+    }
+    if (typeof value === 'string') {
+        const text = value.trim().replace(/\s+/g, ' ');
+        return CASE_INSENSITIVE_PARAMS.has(name) ? text.toLowerCase() : text;
+    }
+    return value;
+}
+
+class ResponseCache {
+    constructor({ backend, enabled = true, defaultTtl = 3600, ttls = {} }) {
+        this.backend = backend;
+        this.enabled = enabled;
+        this.defaultTtl = defaultTtl;
+        this.ttls = ttls;
+        this.counters = { hits: 0, misses: 0 };
+        // Concurrent misses for the same key share one upstream call
+        this.inFlight = new Map();
+    }
+
+    key(provider, operation, params) {
+        return `${provider}:${operation}:${JSON.stringify(normalizeParams(params))}`;
+    }
+
+    ttlFor(provider) {
+        return this.ttls[provider] || this.defaultTtl;
+    }
+
+    // Resolve to { value, cached, fetchedAt }; fetcher runs only on a miss and its value must be JSON
+    async wrap(provider, operation, params, fetcher) {
+        if (!this.enabled) {
+            return { value: await fetcher(), cached: false, fetchedAt: new Date().toISOString() };
+        }
+
+        const key = this.key(provider, operation, params);
+        const entry = await this.backend.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this.counters.hits++;
+            return { value: entry.value, cached: true, fetchedAt: entry.fetchedAt };
+        }
+
+        if (!this.inFlight.has(key)) {
+            this.counters.misses++;
+            const pending = (async () => {
+                const value = await fetcher();
+                const fetchedAt = new Date().toISOString();
+                await this.backend.set(key, {
+                    key,
+                    provider,
+                    value,
+                    fetchedAt,
+                    expiresAt: Date.now() + this.ttlFor(provider) * 1000
+                });
+                return { value, cached: false, fetchedAt };
+            })().finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, pending);
+        }
+        return this.inFlight.get(key);
+    }
+
+    // Remove one key, every key of a provider, or everything; resolves to the number removed
+    async purge({ provider, key } = {}) {
+        if (key) {
+            return (await this.backend.delete(key)) ? 1 : 0;
+        }
+        const keys = (await this.backend.keys()).filter(candidate => !provider || candidate.startsWith(`${provider}:`));
+        await Promise.all(keys.map(candidate => this.backend.delete(candidate)));
+        return keys.length;
+    }
+
+    async stats() {
+        return {
+            enabled: this.enabled,
+            ...this.counters,
+            ttls: { default: this.defaultTtl, ...this.ttls },
+            storage: await this.backend.stats()
+        };
+    }
+}
+
+// Stamp a result with the cache markers of the upstream responses it was built from
+function withCacheInfo(result, ...responses) {
+    if (responses.length === 0) return result;
+    result.cached = responses.every(response => response.cached);
+    result.fetchedAt = responses.map(response => response.fetchedAt).sort()[0];
+    return result;
+}
+
+module.exports = {
+    ResponseCache,
+    MemoryCacheBackend,
+    FileCacheBackend,
+    TieredCacheBackend,
+    createBackend,
+    withCacheInfo
+};
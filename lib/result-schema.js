@@ -0,0 +1,163 @@
+// Result schema shared by every /api endpoint
+//
+// Every response is an envelope:
+// {
+//     schemaVersion: '1.2',
+//     platform, query, type,
+//     status: 'found' | 'not-found' | 'unknown' | 'error',
+//     url, description, error,
+//     cached: true when served from the response cache, fetchedAt: when the upstream data was fetched,
+//     accounts: [Account], posts: [Post], emails: [Email], links: [Link],
+//     metrics: { name: number },
+//     entities: [Entity],
+//     data: { provider specific extras }
+// }
+//
+// Account: { platform, id, username, displayName, url, bio, location, website,
+//            avatarUrl, verified, protected, createdAt, metrics,
+//            matchScore (0-1), matchReasons: [string], matchSignals: [{ signal, similarity, contribution, detail }] }
+// Post:    { platform, id, kind, title, text, url, author, community, createdAt, metrics }
+// Email:   { address, firstName, lastName, position, department, company,
+//            confidence, status, score, linkedin, sources }
+// Link:    { source, title, url, snippet }
+// Entity:  { type: email | username | phone | name | domain | url, value,
+//            pivot: { type, query } | null, sources: [{ platform, field }] }
+//
+// 1.1 added entities, extracted from the other collections.
+// 1.2 added cached and fetchedAt.
+// Bump SCHEMA_VERSION whenever a field is renamed or removed.
+
+const { extractEntities } = require('./entity-extractor');
+
+const SCHEMA_VERSION = '1.2';
+
+const STATUSES = ['found', 'not-found', 'unknown', 'error'];
+
+// Drop undefined fields so the JSON stays compact
+function compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
+
+function toIsoDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    // Reddit reports seconds since epoch, everything else ISO strings or milliseconds
+    const date = typeof value === 'number' && value < 1e12 ? new Date(value * 1000) : new Date(value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function createAccount(fields) {
+    return compact({
+        platform: fields.platform,
+        id: fields.id !== undefined ? String(fields.id) : undefined,
+        username: fields.username,
+        displayName: fields.displayName,
+        url: fields.url,
+        bio: fields.bio,
+        location: fields.location,
+        website: fields.website,
+        avatarUrl: fields.avatarUrl,
+        verified: fields.verified,
+        protected: fields.protected,
+        createdAt: toIsoDate(fields.createdAt),
+        metrics: fields.metrics || {},
+        matchScore: fields.matchScore,
+        matchReasons: fields.matchReasons,
+        matchSignals: fields.matchSignals
+    });
+}
+
+function createPost(fields) {
+    return compact({
+        platform: fields.platform,
+        id: fields.id !== undefined ? String(fields.id) : undefined,
+        kind: fields.kind || 'post',
+        title: fields.title,
+        text: fields.text,
+        url: fields.url,
+        author: fields.author,
+        community: fields.community,
+        createdAt: toIsoDate(fields.createdAt),
+        metrics: fields.metrics || {}
+    });
+}
+
+function createEmail(fields) {
+    return compact({
+        address: fields.address,
+        firstName: fields.firstName,
+        lastName: fields.lastName,
+        position: fields.position,
+        department: fields.department,
+        company: fields.company,
+        confidence: fields.confidence,
+        status: fields.status,
+        score: fields.score,
+        linkedin: fields.linkedin,
+        sources: fields.sources
+    });
+}
+
+function createLink(fields) {
+    return compact({
+        source: fields.source,
+        title: fields.title,
+        url: fields.url,
+        snippet: fields.snippet
+    });
+}
+
+// Build a result envelope; status defaults to found when any record is present
+function createResult(fields) {
+    const accounts = fields.accounts || [];
+    const posts = fields.posts || [];
+    const emails = fields.emails || [];
+    const links = fields.links || [];
+    const hasRecords = accounts.length + posts.length + emails.length + links.length > 0;
+
+    const status = fields.status || (hasRecords ? 'found' : 'not-found');
+    if (!STATUSES.includes(status)) {
+        throw new Error(`Invalid result status ${status}`);
+    }
+
+    const result = compact({
+        schemaVersion: SCHEMA_VERSION,
+        platform: fields.platform,
+        query: fields.query,
+        type: fields.type,
+        status,
+        url: fields.url || null,
+        description: fields.description || '',
+        error: fields.error,
+        cached: fields.cached || false,
+        fetchedAt: fields.fetchedAt || new Date().toISOString(),
+        accounts,
+        posts,
+        emails,
+        links,
+        metrics: fields.metrics || {},
+        data: fields.data
+    });
+    result.entities = status === 'error' ? [] : extractEntities(result);
+    return result;
+}
+
+function createErrorResult(platform, description, error, fields = {}) {
+    return createResult({
+        ...fields,
+        platform,
+        status: 'error',
+        description,
+        error: error instanceof Error ? error.message : error
+    });
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    STATUSES,
+    createResult,
+    createErrorResult,
+    createAccount,
+    createPost,
+    createEmail,
+    createLink
+};
@@ -0,0 +1,87 @@
+// Parallel search orchestration across platforms
+const { createLimiter, withTimeout, TimeoutError } = require('./concurrency');
+const { createErrorResult } = require('./result-schema');
+
+class SearchOrchestrator {
+    // search(platform, query, type, progress) must resolve to a schema result;
+    // progress(event) may be called for pagination, rate limits and retries
+    constructor({ search, maxConcurrency = 4, defaultTimeout = 20000, defaultPlatformConcurrency = 2, platforms = {} }) {
+        this.search = search;
+        this.maxConcurrency = maxConcurrency;
+        this.defaultTimeout = defaultTimeout;
+        this.defaultPlatformConcurrency = defaultPlatformConcurrency;
+        this.platformSettings = platforms;
+        this.platformLimiters = new Map();
+    }
+
+    settingsFor(platform) {
+        return {
+            concurrency: this.defaultPlatformConcurrency,
+            timeout: this.defaultTimeout,
+            ...(this.platformSettings[platform] || {})
+        };
+    }
+
+    // Platform limiters are shared between searches so one provider is never flooded. Names without settings
+    // get a limiter that is not kept, so unknown names sent by clients cannot grow the map
+    limiterFor(platform) {
+        if (!Object.hasOwn(this.platformSettings, platform)) {
+            return createLimiter(this.defaultPlatformConcurrency);
+        }
+        if (!this.platformLimiters.has(platform)) {
+            this.platformLimiters.set(platform, createLimiter(this.settingsFor(platform).concurrency));
+        }
+        return this.platformLimiters.get(platform);
+    }
+
+    // Run one provider with its timeout, always resolving to a schema result
+    async runPlatform(platform, query, type, onEvent) {
+        const { timeout } = this.settingsFor(platform);
+        const startedAt = Date.now();
+
+        const result = await this.limiterFor(platform)(async () => {
+            onEvent({ event: 'provider-start', platform, timeout });
+            try {
+                const progress = event => onEvent({ ...event, platform });
+                return await withTimeout(Promise.resolve(this.search(platform, query, type, progress)), timeout);
+            } catch (error) {
+                const description = error instanceof TimeoutError
+                    ? `${platform} did not respond within ${timeout}ms`
+                    : `Error searching ${platform}: ${error.message}`;
+                return createErrorResult(platform, description, error, { query, type });
+            }
+        });
+
+        return { platform, result, elapsedMs: Date.now() - startedAt };
+    }
+
+    // Fan a query out to every platform; onEvent receives progress as each provider finishes
+    async run({ query, type, platforms }, onEvent = () => {}) {
+        const total = platforms.length;
+        const startedAt = Date.now();
+        const searchLimiter = createLimiter(this.maxConcurrency);
+        const results = [];
+        let completed = 0;
+
+        onEvent({ event: 'start', query, type, platforms, total });
+
+        await Promise.all(platforms.map(platform => searchLimiter(async () => {
+            const outcome = await this.runPlatform(platform, query, type, onEvent);
+            completed++;
+            results.push(outcome.result);
+            onEvent({
+                event: 'result',
+                platform,
+                result: outcome.result,
+                elapsedMs: outcome.elapsedMs,
+                completed,
+                total
+            });
+        })));
+
+        onEvent({ event: 'done', completed, total, elapsedMs: Date.now() - startedAt });
+        return results;
+    }
+}
+
+module.exports = SearchOrchestrator;
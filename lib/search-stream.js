@@ -0,0 +1,56 @@
+// Orchestrated searches streamed as Server-Sent Events, for EventSource clients
+const { createErrorResult } = require('./result-schema');
+
+// Write one Server-Sent Event
+function writeSseEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Handler for GET ?q=&type=&platforms=a,b. validate({ query, platforms }) returns an error message or null;
+// every orchestrator event is written under its own name until the search is done or the client leaves
+function searchStreamHandler(orchestrator, validate, { heartbeatInterval = 15000 } = {}) {
+    return async (req, res) => {
+        const platforms = req.query.platforms ? String(req.query.platforms).split(',').map(name => name.trim()).filter(Boolean) : [];
+        const query = req.query.q || req.query.query;
+        const validationError = validate({ query, platforms });
+        if (validationError) {
+            return res.status(400).json(createErrorResult('search', validationError, validationError));
+        }
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+        });
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        // Keep proxies from closing a quiet stream during long lookups
+        const heartbeat = setInterval(() => {
+            if (!closed) res.write(': heartbeat\n\n');
+        }, heartbeatInterval);
+
+        try {
+            await orchestrator.run({ query, type: req.query.type || 'search', platforms: [...new Set(platforms)] }, event => {
+                if (!closed) {
+                    writeSseEvent(res, event.event, event);
+                }
+            });
+        } catch (error) {
+            console.error('Streamed search error:', error);
+            if (!closed) {
+                writeSseEvent(res, 'error', { event: 'error', error: error.message });
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+        res.end();
+    };
+}
+
+module.exports = {
+    writeSseEvent,
+    searchStreamHandler
+};
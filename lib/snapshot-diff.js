@@ -0,0 +1,125 @@
+// Snapshots of schema results and the changes between two of them, for watches.
+// A snapshot keeps what is worth comparing: profile fields, metrics, and the ids of posts, emails
+// and links already seen, so an item that drops out of a recent window and comes back is not new again
+const PROFILE_FIELDS = ['displayName', 'bio', 'location', 'website', 'avatarUrl', 'url', 'verified', 'protected'];
+
+// Ids remembered per collection; enough for a few pages of history
+const MAX_SEEN = 1000;
+
+function accountKey(account) {
+    return `${account.platform || ''}:${account.id || account.username || account.url || ''}`.toLowerCase();
+}
+
+function postKey(post) {
+    return String(post.id || post.url || `${post.title || ''}${post.text || ''}`.slice(0, 200));
+}
+
+// Keep the newest ids first and forget the oldest ones past the limit
+function remember(previous, current) {
+    return [...new Set([...current, ...previous])].slice(0, MAX_SEEN);
+}
+
+function takeSnapshot(result, previous = null) {
+    const accounts = {};
+    (result.accounts || []).forEach(account => {
+        const fields = {};
+        PROFILE_FIELDS.forEach(field => {
+            if (account[field] !== undefined) fields[field] = account[field];
+        });
+        accounts[accountKey(account)] = { username: account.username, ...fields, metrics: account.metrics || {} };
+    });
+    const posts = result.posts || [];
+    return {
+        status: result.status,
+        fetchedAt: result.fetchedAt,
+        accounts,
+        posts: remember(previous ? previous.posts : [], posts.map(postKey)),
+        communities: remember(previous ? previous.communities : [], posts.map(post => post.community).filter(Boolean)),
+        emails: remember(previous ? previous.emails : [], (result.emails || []).map(email => String(email.address).toLowerCase())),
+        links: remember(previous ? previous.links : [], (result.links || []).map(link => link.url).filter(Boolean))
+    };
+}
+
+function truncate(text, length = 200) {
+    if (!text) return text;
+    return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+// Change events between the previous snapshot and a fresh result, as
+// [{ type, platform, summary, details }]. Without a previous snapshot there is nothing to compare
+function diffResult(previous, result) {
+    const platform = result.platform;
+    const events = [];
+    const add = (type, summary, details = {}) => events.push({ type, platform, summary, details });
+    if (!previous) return events;
+
+    if (previous.status !== result.status) {
+        add('status-changed', `${platform} went from ${previous.status} to ${result.status}`, { before: previous.status, after: result.status });
+    }
+
+    (result.accounts || []).forEach(account => {
+        const key = accountKey(account);
+        const name = account.username || account.displayName || key;
+        const before = previous.accounts[key];
+        if (!before) {
+            add('new-account', `New ${platform} account ${name}`, { username: account.username, url: account.url });
+            return;
+        }
+        PROFILE_FIELDS.forEach(field => {
+            if (account[field] !== undefined && before[field] !== undefined && account[field] !== before[field]) {
+                add('profile-changed', `${name} changed ${field}`, { username: account.username, field, before: before[field], after: account[field] });
+            }
+        });
+        const changed = Object.keys(account.metrics || {})
+            .filter(metric => before.metrics[metric] !== undefined && before.metrics[metric] !== account.metrics[metric]);
+        if (changed.length > 0) {
+            add('metrics-changed', `${name}: ${changed.map(metric => `${metric} ${before.metrics[metric]} -> ${account.metrics[metric]}`).join(', ')}`, {
+                username: account.username,
+                metrics: Object.fromEntries(changed.map(metric => [metric, { before: before.metrics[metric], after: account.metrics[metric] }]))
+            });
+        }
+    });
+    const currentAccounts = new Set((result.accounts || []).map(accountKey));
+    if (result.status !== 'error') {
+        Object.entries(previous.accounts)
+            .filter(([key]) => !currentAccounts.has(key))
+            .forEach(([key, account]) => add('account-removed', `${platform} account ${account.username || key} is gone`, { username: account.username }));
+    }
+
+    const seenPosts = new Set(previous.posts);
+    const seenCommunities = new Set(previous.communities);
+    (result.posts || []).forEach(post => {
+        if (seenPosts.has(postKey(post))) return;
+        add('new-post', `New ${platform} ${post.kind || 'post'}${post.community ? ` in ${post.community}` : ''}: ${truncate(post.title || post.text, 80) || post.url}`, {
+            kind: post.kind,
+            title: post.title,
+            text: truncate(post.text),
+            url: post.url,
+            community: post.community,
+            createdAt: post.createdAt
+        });
+        if (post.community && !seenCommunities.has(post.community)) {
+            seenCommunities.add(post.community);
+            add('new-community', `First activity in ${post.community} on ${platform}`, { community: post.community, url: post.url });
+        }
+    });
+
+    const seenEmails = new Set(previous.emails);
+    (result.emails || []).forEach(email => {
+        if (seenEmails.has(String(email.address).toLowerCase())) return;
+        add('new-email', `New email ${email.address} from ${platform}`, { address: email.address, position: email.position, confidence: email.confidence });
+    });
+
+    const seenLinks = new Set(previous.links);
+    (result.links || []).forEach(link => {
+        if (!link.url || seenLinks.has(link.url)) return;
+        add('new-link', `New ${platform} link: ${link.title || link.url}`, { url: link.url, title: link.title, snippet: truncate(link.snippet) });
+    });
+
+    return events;
+}
+
+module.exports = {
+    takeSnapshot,
+    diffResult
+};
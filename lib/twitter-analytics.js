@@ -0,0 +1,81 @@
+// Analytics over a Twitter timeline: hashtags, mentions, linked domains, the mix of originals, replies,
+// retweets and quotes, posting hours and the topics Twitter annotated the tweets with
+const { activityHeatmap, inferTimezone } = require('./activity-analytics');
+const { hostnameOf } = require('./entity-extractor');
+
+const TOP_ENTRIES = 15;
+
+// Counts of keys as [{ [name]: key, count }], most frequent first
+function ranked(keys, name, limit = TOP_ENTRIES) {
+    const counts = new Map();
+    keys.filter(Boolean).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    return [...counts.entries()]
+        .map(([key, count]) => ({ [name]: key, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+// retweeted, quoted and replied_to come from referenced_tweets; anything else is an original
+function tweetKind(tweet) {
+    const types = (tweet.referenced_tweets || []).map(reference => reference.type);
+    if (types.includes('retweeted')) return 'retweet';
+    if (types.includes('quoted')) return 'quote';
+    if (types.includes('replied_to')) return 'reply';
+    return 'original';
+}
+
+// Links to Twitter itself are quoted tweets and media, not sites the user shares
+function linkedDomains(tweets) {
+    return tweets.flatMap(tweet => ((tweet.entities && tweet.entities.urls) || [])
+        .map(url => hostnameOf(url.unwound_url || url.expanded_url || url.url))
+        .filter(hostname => hostname && !/(^|\.)(twitter\.com|x\.com|t\.co)$/.test(hostname)));
+}
+
+// context_annotations pair a topic domain such as "Sports Team" with an entity such as "Arsenal"
+function annotationTopics(tweets) {
+    const topics = new Map();
+    tweets.forEach(tweet => {
+        // A tweet counts once per topic even when annotated twice
+        const seen = new Set();
+        (tweet.context_annotations || []).forEach(({ domain, entity }) => {
+            if (!domain || !entity) return;
+            const key = `${domain.name}\n${entity.name}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            const topic = topics.get(key) || { domain: domain.name, entity: entity.name, count: 0 };
+            topic.count++;
+            topics.set(key, topic);
+        });
+    });
+    return [...topics.values()].sort((a, b) => b.count - a.count).slice(0, TOP_ENTRIES);
+}
+
+function analyzeTimeline(tweets) {
+    const kinds = { original: 0, reply: 0, retweet: 0, quote: 0 };
+    tweets.forEach(tweet => kinds[tweetKind(tweet)]++);
+    const heatmap = activityHeatmap(tweets.map(tweet => tweet.created_at));
+    const dates = tweets.map(tweet => tweet.created_at).filter(Boolean).sort();
+    const days = dates.length > 1 ? (new Date(dates[dates.length - 1]) - new Date(dates[0])) / (24 * 60 * 60 * 1000) : 0;
+
+    return {
+        tweets: tweets.length,
+        range: { from: dates[0] || null, to: dates[dates.length - 1] || null },
+        tweetsPerDay: days >= 1 ? Math.round(tweets.length / days * 10) / 10 : null,
+        kinds,
+        ratios: Object.fromEntries(Object.entries(kinds).map(([kind, count]) =>
+            [kind, tweets.length > 0 ? Math.round(count / tweets.length * 1000) / 1000 : 0])),
+        hashtags: ranked(tweets.flatMap(tweet => ((tweet.entities && tweet.entities.hashtags) || []).map(tag => `#${tag.tag}`)), 'hashtag'),
+        mentions: ranked(tweets.flatMap(tweet => ((tweet.entities && tweet.entities.mentions) || []).map(mention => mention.username)), 'username'),
+        domains: ranked(linkedDomains(tweets), 'domain'),
+        sources: ranked(tweets.map(tweet => tweet.source), 'source'),
+        topics: annotationTopics(tweets),
+        hours: heatmap.hours,
+        days: heatmap.days,
+        timezone: inferTimezone(heatmap.hours)
+    };
+}
+
+module.exports = {
+    analyzeTimeline,
+    tweetKind
+};
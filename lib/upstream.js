@@ -0,0 +1,31 @@
+// Error classification and retries for calls to upstream APIs, shared by the providers
+const { retryWithBackoff } = require('./concurrency');
+
+// HTTP status carried by an upstream error from axios, snoowrap, twitter-api-v2 or our own fetch checks
+function upstreamStatus(error) {
+    return error.response?.status || error.statusCode || (typeof error.code === 'number' ? error.code : undefined);
+}
+
+function isRateLimitError(error) {
+    return upstreamStatus(error) === 429 || /rate limit/i.test(error.message || '');
+}
+
+// Retry rate limited and failing upstream calls, reporting each retry through progress
+function retryUpstream(task, progress = () => {}) {
+    return retryWithBackoff(task, {
+        retries: 2,
+        isRetryable: error => isRateLimitError(error) || upstreamStatus(error) >= 500,
+        onRetry: ({ attempt, delay, error }) => {
+            if (isRateLimitError(error)) {
+                progress({ event: 'provider-rate-limit', retryInMs: delay, error: error.message });
+            }
+            progress({ event: 'provider-retry', attempt, delayMs: delay, error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    upstreamStatus,
+    isRateLimitError,
+    retryUpstream
+};
@@ -0,0 +1,135 @@
+// Username existence checker driven by config/username-sites.js
+const axios = require('axios');
+const defaultSites = require('../config/username-sites');
+const { mapWithConcurrency } = require('./concurrency');
+
+const DEFAULT_OPTIONS = {
+    concurrency: 20,
+    timeout: 10000,
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'
+};
+
+// Statuses that say more about us than about the profile
+const INCONCLUSIVE_STATUSES = [401, 403, 429];
+
+function fillTemplate(template, username) {
+    return template.replace(/\{username\}/g, encodeURIComponent(username));
+}
+
+// Select catalogue entries by key and/or category
+function selectSites({ keys = [], categories = [], sites = defaultSites } = {}) {
+    return sites.filter(site =>
+        (keys.length === 0 || keys.includes(site.key)) &&
+        (categories.length === 0 || categories.includes(site.category))
+    );
+}
+
+// Decide exists / not-exists / unknown from an HTTP response
+function classifyResponse(site, response) {
+    const status = response.status;
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+    const location = response.headers?.location || '';
+    const missing = site.missing || {};
+    const exists = site.exists || { status: [200] };
+
+    if (missing.status && missing.status.includes(status)) {
+        return { state: 'not-exists', matched: `status:${status}` };
+    }
+    if (missing.redirect && location.includes(missing.redirect)) {
+        return { state: 'not-exists', matched: `redirect:${location}` };
+    }
+    const missingMarker = (missing.markers || []).find(marker => body.includes(marker));
+    if (missingMarker) {
+        return { state: 'not-exists', matched: `marker:${missingMarker}` };
+    }
+
+    if (INCONCLUSIVE_STATUSES.includes(status) || status >= 500) {
+        return { state: 'unknown', matched: `status:${status}`, reason: 'Request was blocked, rate limited or failed upstream' };
+    }
+
+    if ((exists.status || [200]).includes(status)) {
+        if (!exists.markers || exists.markers.length === 0) {
+            return { state: 'exists', matched: `status:${status}` };
+        }
+        const existsMarker = exists.markers.find(marker => body.includes(marker));
+        if (existsMarker) {
+            return { state: 'exists', matched: `marker:${existsMarker}` };
+        }
+        return { state: 'unknown', matched: `status:${status}`, reason: 'Expected profile markers were not found' };
+    }
+
+    return { state: 'unknown', matched: `status:${status}`, reason: 'Response did not match any rule' };
+}
+
+// Probe a single site for a username
+async function checkSite(site, username, options = {}) {
+    const { timeout, userAgent } = { ...DEFAULT_OPTIONS, ...options };
+    const url = fillTemplate(site.url, username);
+    const probeUrl = fillTemplate(site.probeUrl || site.url, username);
+    const base = { key: site.key, site: site.name, category: site.category, url };
+
+    if (site.pattern && !site.pattern.test(username)) {
+        return {
+            ...base,
+            state: 'not-exists',
+            evidence: { probeUrl: null, reason: `Username is not valid on ${site.name}`, pattern: String(site.pattern) }
+        };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const response = await axios.get(probeUrl, {
+            timeout,
+            maxRedirects: 0,
+            responseType: 'text',
+            validateStatus: () => true,
+            headers: { 'User-Agent': userAgent, 'Accept-Language': 'en-US,en;q=0.9' }
+        });
+        const verdict = classifyResponse(site, response);
+        return {
+            ...base,
+            state: verdict.state,
+            evidence: {
+                probeUrl,
+                httpStatus: response.status,
+                matched: verdict.matched,
+                reason: verdict.reason,
+                elapsedMs: Date.now() - startedAt
+            }
+        };
+    } catch (error) {
+        return {
+            ...base,
+            state: 'unknown',
+            evidence: {
+                probeUrl,
+                reason: error.code === 'ECONNABORTED' ? `Timed out after ${timeout}ms` : error.message,
+                elapsedMs: Date.now() - startedAt
+            }
+        };
+    }
+}
+
+// Probe every selected site concurrently
+async function checkUsername(username, options = {}) {
+    const { concurrency } = { ...DEFAULT_OPTIONS, ...options };
+    const sites = options.sites || selectSites(options);
+    return mapWithConcurrency(sites, concurrency, site => checkSite(site, username, options));
+}
+
+function summarizeChecks(checks) {
+    return {
+        checked: checks.length,
+        exists: checks.filter(check => check.state === 'exists').length,
+        notExists: checks.filter(check => check.state === 'not-exists').length,
+        unknown: checks.filter(check => check.state === 'unknown').length
+    };
+}
+
+module.exports = {
+    checkUsername,
+    checkSite,
+    classifyResponse,
+    selectSites,
+    summarizeChecks
+};
@@ -0,0 +1,145 @@
+// Runs watches when their schedule comes due. Every run is a 'watch' job on the job queue, so it gets the
+// queue's retries and picks up again after a restart; the job diffs each platform against its last snapshot
+const { parseCron, nextCronRun, shortestInterval } = require('./cron');
+const { takeSnapshot, diffResult } = require('./snapshot-diff');
+
+class WatchScheduler {
+    // search(query, type, platforms, onEvent) runs an orchestrated search
+    constructor({ store, jobs, search, tickInterval = 60000, minIntervalMinutes = 15 }) {
+        this.store = store;
+        this.jobs = jobs;
+        this.search = search;
+        this.tickInterval = tickInterval;
+        this.minIntervalMinutes = minIntervalMinutes;
+        this.timer = null;
+        this.jobs.register('watch', (payload, job) => this.runWatch(payload, job), {
+            validate: payload => (payload && payload.watchId ? null : 'watchId is required')
+        });
+    }
+
+    // Returns an error message or null
+    validateSchedule(schedule) {
+        try {
+            parseCron(schedule);
+            if (shortestInterval(schedule) < this.minIntervalMinutes) {
+                return `Schedules may not run more often than every ${this.minIntervalMinutes} minutes`;
+            }
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    nextRun(schedule, from = new Date()) {
+        return nextCronRun(schedule, from).toISOString();
+    }
+
+    start() {
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Watch scheduler error:', error));
+        }, this.tickInterval);
+        this.timer.unref();
+        return this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Queue every enabled watch that is due. A run missed while the server was down happens once, not once per miss
+    async tick(now = new Date()) {
+        const watches = await this.store.load();
+        const due = watches.filter(watch => watch.enabled && watch.nextRunAt && Date.parse(watch.nextRunAt) <= now.getTime());
+        for (const watch of due) {
+            await this.queueRun(watch, { nextRunAt: this.nextRun(watch.schedule, now) });
+        }
+    }
+
+    // Queue a run unless the previous one is still queued or running. Returns the job
+    async queueRun(watch, { nextRunAt } = {}) {
+        const previous = watch.jobId ? await this.jobs.get(watch.jobId) : null;
+        if (previous && !this.jobs.isFinished(previous)) {
+            await this.store.update(watch.id, { nextRunAt });
+            return previous;
+        }
+        const { job, error } = await this.jobs.enqueue('watch', { watchId: watch.id, query: watch.query });
+        if (error) throw new Error(error);
+        await this.store.update(watch.id, { jobId: job.id, nextRunAt });
+        return job;
+    }
+
+    async runNow(id) {
+        const watch = await this.store.get(id);
+        if (!watch) return null;
+        return this.queueRun(watch);
+    }
+
+    // Search, then compare each platform with its last snapshot. Failed platforms keep their old snapshot
+    // and cached results that have not been refetched since the last run are skipped
+    async runWatch({ watchId }, job) {
+        const watch = await this.store.get(watchId);
+        if (!watch) {
+            const error = new Error('The watch no longer exists');
+            error.retryable = false;
+            throw error;
+        }
+
+        const startedAt = new Date().toISOString();
+        const platforms = [...new Set(watch.platforms)];
+        const results = {};
+        job.progress({ completed: 0, total: platforms.length, message: `Checking ${watch.name}` });
+        await this.search(watch.query, watch.type, platforms, event => {
+            if (event.event === 'result') {
+                results[event.platform] = event.result;
+                job.progress({ completed: event.completed, message: `${event.platform} checked` });
+            }
+        });
+        if (job.signal.aborted) return null;
+
+        const snapshots = {};
+        const events = [];
+        const errors = {};
+        platforms.forEach(platform => {
+            const result = results[platform];
+            const previous = watch.snapshots[platform] || null;
+            if (!result || result.status === 'error') {
+                errors[platform] = result ? result.error || result.description || 'Search failed' : 'No result';
+                return;
+            }
+            if (previous && result.fetchedAt && result.fetchedAt === previous.fetchedAt) return;
+            if (previous) {
+                events.push(...diffResult(previous, result));
+            } else {
+                const counts = ['accounts', 'posts', 'emails', 'links']
+                    .filter(collection => (result[collection] || []).length > 0)
+                    .map(collection => `${result[collection].length} ${collection}`);
+                events.push({
+                    type: 'baseline',
+                    platform,
+                    summary: `Started watching ${platform}: ${counts.length > 0 ? counts.join(', ') : result.status}`,
+                    details: { status: result.status }
+                });
+            }
+            snapshots[platform] = takeSnapshot(result, previous);
+        });
+
+        const failed = Object.keys(errors);
+        if (failed.length === platforms.length && job.attempt < job.maxAttempts) {
+            throw new Error(`Every platform failed: ${failed.join(', ')}`);
+        }
+
+        const run = {
+            jobId: job.id,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            platforms: platforms.length,
+            changes: events.filter(event => event.type !== 'baseline').length,
+            errors
+        };
+        await this.store.recordRun(watchId, { snapshots, events, run });
+        return { watchId, ...run };
+    }
+}
+
+module.exports = WatchScheduler;
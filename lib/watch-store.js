@@ -0,0 +1,150 @@
+// Watch store backed by a single JSON file. A watch re-runs a search on a cron schedule and keeps the last
+// snapshot per platform plus a timeline of the changes found between runs
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class WatchStore {
+    constructor(filePath, { maxEvents = 500, maxRuns = 50 } = {}) {
+        this.filePath = filePath;
+        this.maxEvents = maxEvents;
+        this.maxRuns = maxRuns;
+        this.watches = null;
+        this.loading = null;
+        // Writes are chained so concurrent requests never interleave on disk
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Calls made while the file is still being read share that read, as in the case store
+    async load() {
+        if (this.watches) return this.watches;
+        if (!this.loading) {
+            this.loading = this.read().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async read() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.watches = JSON.parse(raw).watches || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.watches = [];
+        }
+        return this.watches;
+    }
+
+    // Write to a temporary file and rename it so a crash never leaves a half written store. A failed write
+    // rejects for its caller only; the chain carries on so the next write still runs
+    persist() {
+        const write = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, watches: this.watches }, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    // Without snapshots and events, for lists
+    summarize(watch) {
+        const { snapshots, events, runs, ...summary } = watch;
+        return {
+            ...summary,
+            eventCount: events.length,
+            lastEventAt: events.length > 0 ? events[0].detectedAt : null,
+            lastRun: runs[0] || null
+        };
+    }
+
+    async list() {
+        const watches = await this.load();
+        return watches
+            .map(watch => this.summarize(watch))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async get(id) {
+        const watches = await this.load();
+        return watches.find(watch => watch.id === id) || null;
+    }
+
+    async create({ name, query, type, platforms, schedule, nextRunAt, enabled = true }) {
+        const watches = await this.load();
+        const now = new Date().toISOString();
+        const watch = {
+            id: crypto.randomUUID(),
+            name: name || query,
+            query,
+            type,
+            platforms,
+            schedule,
+            enabled,
+            nextRunAt,
+            lastRunAt: null,
+            jobId: null,
+            snapshots: {},
+            runs: [],
+            events: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        watches.push(watch);
+        await this.persist();
+        return watch;
+    }
+
+    async update(id, changes) {
+        const watch = await this.get(id);
+        if (!watch) return null;
+
+        ['name', 'platforms', 'schedule', 'enabled', 'nextRunAt', 'jobId'].forEach(field => {
+            if (changes[field] !== undefined) watch[field] = changes[field];
+        });
+        watch.updatedAt = new Date().toISOString();
+        await this.persist();
+        return watch;
+    }
+
+    async remove(id) {
+        const watches = await this.load();
+        const index = watches.findIndex(watch => watch.id === id);
+        if (index === -1) return false;
+        watches.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // Store a finished run: the new snapshots replace the old ones and the events go on top of the timeline
+    async recordRun(id, { snapshots, events, run }) {
+        const watch = await this.get(id);
+        if (!watch) return null;
+
+        const detectedAt = run.finishedAt;
+        watch.snapshots = { ...watch.snapshots, ...snapshots };
+        watch.events = [
+            ...events.map(event => ({ id: crypto.randomUUID(), ...event, detectedAt })),
+            ...watch.events
+        ].slice(0, this.maxEvents);
+        watch.runs = [run, ...watch.runs].slice(0, this.maxRuns);
+        watch.lastRunAt = detectedAt;
+        watch.updatedAt = detectedAt;
+        await this.persist();
+        return watch;
+    }
+
+    // Events of every watch, newest first, for the combined timeline
+    async timeline({ limit = 200 } = {}) {
+        const watches = await this.load();
+        return watches
+            .flatMap(watch => watch.events.map(event => ({ ...event, watchId: watch.id, watchName: watch.name })))
+            .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))
+            .slice(0, limit);
+    }
+}
+
+module.exports = WatchStore;
@@ -0,0 +1,342 @@
+// YouTube channel lookup: resolve handles, channel ids and custom URLs, then read the channel metadata and its
+// recent uploads from the Data API v3 when a key is set, or from the public channel page and uploads RSS feed.
+// Both sources produce the same channel object; counts parsed from the page are rounded ("1.2M subscribers")
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const youtubeConfig = require('../config/youtube-config');
+
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+const HANDLE_PATTERN = /^[\w.-]{3,30}$/;
+
+// First path segments of youtube.com URLs that are not channels
+const RESERVED_PATHS = ['watch', 'results', 'feed', 'shorts', 'playlist', 'embed', 'live', 'hashtag', 'premium', 'account', 'gaming', 'music'];
+
+// What a query points at as { kind, value }: kind is id, handle, custom (youtube.com/c/name or youtube.com/name)
+// or user (legacy youtube.com/user/name). A plain name is taken as a handle. Null when it is none of these
+function parseChannelInput(query) {
+    const text = String(query || '').trim();
+    if (CHANNEL_ID_PATTERN.test(text)) return { kind: 'id', value: text };
+    if (/^(https?:\/\/)?([\w-]+\.)?youtube\.com\//i.test(text)) {
+        let url;
+        try {
+            url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+        } catch (error) {
+            return null;
+        }
+        let segments;
+        try {
+            segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            // A stray % that is not an escape sequence
+            return null;
+        }
+        const [first, second] = segments;
+        if (!first) return null;
+        if (first.startsWith('@')) return HANDLE_PATTERN.test(first.slice(1)) ? { kind: 'handle', value: first.slice(1) } : null;
+        if (first === 'channel') return CHANNEL_ID_PATTERN.test(second || '') ? { kind: 'id', value: second } : null;
+        if (first === 'c' || first === 'user') return second ? { kind: first === 'c' ? 'custom' : 'user', value: second } : null;
+        return RESERVED_PATHS.includes(first.toLowerCase()) ? null : { kind: 'custom', value: first };
+    }
+    const handle = text.replace(/^@/, '');
+    return HANDLE_PATTERN.test(handle) ? { kind: 'handle', value: handle } : null;
+}
+
+// Cache key of a parsed input; only channel ids are case sensitive
+function channelKey(input) {
+    return `${input.kind}:${input.kind === 'id' ? input.value : input.value.toLowerCase()}`;
+}
+
+function channelPath(input) {
+    const value = encodeURIComponent(input.value);
+    return { id: `/channel/${value}`, handle: `/@${value}`, custom: `/c/${value}`, user: `/user/${value}` }[input.kind];
+}
+
+// "1.2M subscribers", "5,123 videos" or "No videos" as a number, null when there is no count
+function parseCount(text) {
+    if (text === undefined || text === null) return null;
+    if (typeof text === 'number') return text;
+    if (/^\s*no\b/i.test(text)) return 0;
+    const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB])?/i);
+    if (!match) return null;
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// ISO 8601 video durations such as PT1H2M3S in seconds
+function parseDuration(text) {
+    const match = String(text || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(part => parseInt(part, 10) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+// Links written into the channel description, in order and without repeats
+function descriptionLinks(text) {
+    const urls = String(text || '').match(/https?:\/\/[^\s<>"')\]]+/g) || [];
+    return [...new Set(urls.map(url => url.replace(/[.,;:!?]+$/, '')))].map(url => ({ title: null, url }));
+}
+
+// Keywords are space separated, with quotes around the ones that contain spaces
+function parseKeywords(text) {
+    return (String(text || '').match(/"[^"]+"|\S+/g) || []).map(keyword => keyword.replace(/^"|"$/g, ''));
+}
+
+function handleFromUrl(url) {
+    const match = String(url || '').match(/\/@([^/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Fetch a URL as JSON or text. Quota and rate limit answers carry status 429, a missing page 404
+async function youtubeRequest(url, { json = true, headers = {}, timeout = youtubeConfig.timeout } = {}) {
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const reason = body.error && body.error.errors && body.error.errors[0] ? body.error.errors[0].reason : '';
+        const quota = response.status === 429 || /quotaExceeded|rateLimitExceeded/.test(reason);
+        const error = new Error(quota
+            ? 'YouTube Data API quota exceeded'
+            : (body.error && body.error.message) || `YouTube answered ${response.status} for ${new URL(url).pathname}`);
+        error.statusCode = quota ? 429 : response.status;
+        error.reason = reason;
+        throw error;
+    }
+    return json ? response.json() : response.text();
+}
+
+function notFound(input) {
+    const error = new Error(`No YouTube channel for ${input.kind} ${input.value}`);
+    error.statusCode = 404;
+    return error;
+}
+
+function apiRequest(endpoint, params, apiKey) {
+    const query = new URLSearchParams({ ...params, key: apiKey }).toString();
+    return youtubeRequest(`${youtubeConfig.apiBase}/${endpoint}?${query}`);
+}
+
+// The API cannot look up custom URLs, so their channel id is read from the channel page
+async function resolveChannelId(input) {
+    const html = await youtubeRequest(`${youtubeConfig.siteBase}${channelPath(input)}`, { json: false, headers: youtubeConfig.pageHeaders });
+    const match = html.match(/"(?:externalId|channelId)":"(UC[\w-]{22})"/) || html.match(/\/channel\/(UC[\w-]{22})/);
+    if (!match) throw notFound(input);
+    return match[1];
+}
+
+async function fetchApiUploads(playlistId, apiKey, limit) {
+    let playlist;
+    try {
+        playlist = await apiRequest('playlistItems', { part: 'snippet,contentDetails', playlistId, maxResults: limit }, apiKey);
+    } catch (error) {
+        // Channels without uploads have no uploads playlist
+        if (error.statusCode === 404) return [];
+        throw error;
+    }
+    const items = playlist.items || [];
+    if (items.length === 0) return [];
+    const videos = await apiRequest('videos', {
+        part: 'statistics,contentDetails',
+        id: items.map(item => item.contentDetails.videoId).join(',')
+    }, apiKey);
+    const details = new Map((videos.items || []).map(video => [video.id, video]));
+    return items.map(item => {
+        const id = item.contentDetails.videoId;
+        const video = details.get(id) || {};
+        const statistics = video.statistics || {};
+        const thumbnails = item.snippet.thumbnails || {};
+        return {
+            id,
+            title: item.snippet.title,
+            description: item.snippet.description,
+            url: `${youtubeConfig.siteBase}/watch?v=${id}`,
+            publishedAt: item.contentDetails.videoPublishedAt || item.snippet.publishedAt,
+            thumbnailUrl: (thumbnails.medium || thumbnails.default || {}).url || null,
+            views: parseCount(statistics.viewCount),
+            likes: parseCount(statistics.likeCount),
+            comments: parseCount(statistics.commentCount),
+            duration: video.contentDetails ? parseDuration(video.contentDetails.duration) : null
+        };
+    });
+}
+
+async function fetchChannelFromApi(input, apiKey, { uploads = youtubeConfig.recentUploads } = {}) {
+    const lookup = input.kind === 'id' ? { id: input.value }
+        : input.kind === 'handle' ? { forHandle: `@${input.value}` }
+            : input.kind === 'user' ? { forUsername: input.value }
+                : { id: await resolveChannelId(input) };
+    const data = await apiRequest('channels', { part: 'snippet,statistics,contentDetails,brandingSettings', ...lookup }, apiKey);
+    const channel = data.items && data.items[0];
+    if (!channel) throw notFound(input);
+
+    const snippet = channel.snippet || {};
+    const statistics = channel.statistics || {};
+    const branding = channel.brandingSettings || {};
+    const thumbnails = snippet.thumbnails || {};
+    const handle = snippet.customUrl && snippet.customUrl.startsWith('@') ? snippet.customUrl.slice(1) : (input.kind === 'handle' ? input.value : null);
+    const errors = {};
+    const uploadsPlaylist = channel.contentDetails && channel.contentDetails.relatedPlaylists && channel.contentDetails.relatedPlaylists.uploads;
+    const recent = uploadsPlaylist ? await fetchApiUploads(uploadsPlaylist, apiKey, uploads).catch(error => {
+        errors.uploads = error.message;
+        return [];
+    }) : [];
+
+    return {
+        source: 'api',
+        id: channel.id,
+        title: snippet.title,
+        handle,
+        customUrl: snippet.customUrl || null,
+        url: handle ? `${youtubeConfig.siteBase}/@${handle}` : `${youtubeConfig.siteBase}/channel/${channel.id}`,
+        description: snippet.description || '',
+        avatarUrl: (thumbnails.high || thumbnails.medium || thumbnails.default || {}).url || null,
+        bannerUrl: (branding.image && branding.image.bannerExternalUrl) || null,
+        createdAt: snippet.publishedAt || null,
+        country: snippet.country || null,
+        keywords: parseKeywords(branding.channel && branding.channel.keywords),
+        subscribers: statistics.hiddenSubscriberCount ? null : parseCount(statistics.subscriberCount),
+        subscribersHidden: Boolean(statistics.hiddenSubscriberCount),
+        videos: parseCount(statistics.videoCount),
+        views: parseCount(statistics.viewCount),
+        approximateCounts: false,
+        links: descriptionLinks(snippet.description),
+        uploads: recent,
+        errors
+    };
+}
+
+// First value stored under key anywhere in a parsed ytInitialData tree
+function findValue(node, key) {
+    if (!node || typeof node !== 'object') return undefined;
+    if (Object.prototype.hasOwnProperty.call(node, key)) return node[key];
+    for (const child of Object.values(node)) {
+        const found = findValue(child, key);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+}
+
+// Page text comes as a string, { simpleText }, { content } or { runs: [{ text }] }
+function pageText(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'string') return value;
+    if (value.simpleText !== undefined) return value.simpleText;
+    if (value.content !== undefined) return value.content;
+    if (Array.isArray(value.runs)) return value.runs.map(run => run.text).join('');
+    return null;
+}
+
+function lastThumbnail(value) {
+    const thumbnails = (value && (value.thumbnails || value.sources)) || [];
+    return thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null;
+}
+
+function decodeXml(text) {
+    return String(text || '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Entries of the uploads RSS feed, newest first
+function parseUploadsFeed(xml, limit = youtubeConfig.recentUploads) {
+    const tag = (entry, name) => {
+        const match = entry.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+        return match ? decodeXml(match[1].trim()) : null;
+    };
+    const attribute = (entry, name, attr) => {
+        const match = entry.match(new RegExp(`<${name}\\s[^>]*${attr}="([^"]*)"`));
+        return match ? decodeXml(match[1]) : null;
+    };
+    return (xml.match(/<entry>[\s\S]*?<\/entry>/g) || []).slice(0, limit).map(entry => {
+        const id = tag(entry, 'yt:videoId');
+        return {
+            id,
+            title: tag(entry, 'title'),
+            description: tag(entry, 'media:description'),
+            url: `${youtubeConfig.siteBase}/watch?v=${id}`,
+            publishedAt: tag(entry, 'published'),
+            thumbnailUrl: attribute(entry, 'media:thumbnail', 'url'),
+            views: parseCount(attribute(entry, 'media:statistics', 'views')),
+            likes: null,
+            comments: null,
+            duration: null
+        };
+    });
+}
+
+// Metadata from the ytInitialData JSON of the channel's about page
+function parseChannelPage(html) {
+    const match = html.match(/ytInitialData\s*=\s*(\{[\s\S]*?\});\s*<\/script>/);
+    if (!match) throw new Error('The YouTube channel page could not be read');
+    const data = JSON.parse(match[1]);
+    const metadata = findValue(data, 'channelMetadataRenderer') || {};
+    const about = findValue(data, 'aboutChannelViewModel') || {};
+    const id = metadata.externalId || about.channelId || (html.match(/"externalId":"(UC[\w-]{22})"/) || [])[1];
+    if (!id) throw new Error('The YouTube channel page has no channel id');
+
+    const joined = pageText(about.joinedDateText);
+    const createdAt = joined ? new Date(joined.replace(/^Joined\s+/i, '')) : null;
+    const links = (about.links || [])
+        .map(link => link.channelExternalLinkViewModel)
+        .filter(Boolean)
+        .map(link => {
+            const url = pageText(link.link) || '';
+            return { title: pageText(link.title), url: /^https?:\/\//i.test(url) ? url : `https://${url}` };
+        });
+    const description = about.description || metadata.description || '';
+    const handle = handleFromUrl(about.canonicalChannelUrl) || handleFromUrl(metadata.vanityChannelUrl);
+    const subscribers = pageText(about.subscriberCountText) || pageText(findValue(data, 'subscriberCountText'));
+
+    return {
+        id,
+        title: metadata.title || pageText(findValue(data, 'title')),
+        handle,
+        customUrl: metadata.vanityChannelUrl || null,
+        url: handle ? `${youtubeConfig.siteBase}/@${handle}` : `${youtubeConfig.siteBase}/channel/${id}`,
+        description,
+        avatarUrl: lastThumbnail(metadata.avatar),
+        bannerUrl: lastThumbnail(findValue(findValue(data, 'imageBannerViewModel'), 'image')),
+        createdAt: createdAt && !isNaN(createdAt.getTime()) ? createdAt.toISOString() : null,
+        country: about.country || null,
+        keywords: parseKeywords(metadata.keywords),
+        subscribers: parseCount(subscribers),
+        subscribersHidden: !subscribers,
+        videos: parseCount(pageText(about.videoCountText)),
+        views: parseCount(pageText(about.viewCountText)),
+        links: links.length > 0 ? links : descriptionLinks(description)
+    };
+}
+
+async function fetchChannelFromPage(input, { uploads = youtubeConfig.recentUploads } = {}) {
+    const html = await youtubeRequest(`${youtubeConfig.siteBase}${channelPath(input)}/about`, { json: false, headers: youtubeConfig.pageHeaders })
+        .catch(error => {
+            throw error.statusCode === 404 ? notFound(input) : error;
+        });
+    const channel = parseChannelPage(html);
+    const errors = {};
+    const recent = await youtubeRequest(`${youtubeConfig.siteBase}/feeds/videos.xml?channel_id=${channel.id}`, { json: false, headers: youtubeConfig.pageHeaders })
+        .then(xml => parseUploadsFeed(xml, uploads))
+        .catch(error => {
+            // The feed answers 404 for channels without public uploads
+            if (error.statusCode !== 404) errors.uploads = error.message;
+            return [];
+        });
+    return { source: 'page', ...channel, approximateCounts: true, uploads: recent, errors };
+}
+
+// The channel for a parsed input; throws with statusCode 404 when there is none
+function fetchYoutubeChannel(input, { apiKey, uploads } = {}) {
+    return apiKey ? fetchChannelFromApi(input, apiKey, { uploads }) : fetchChannelFromPage(input, { uploads });
+}
+
+module.exports = {
+    parseChannelInput,
+    channelKey,
+    parseCount,
+    parseDuration,
+    descriptionLinks,
+    parseChannelPage,
+    parseUploadsFeed,
+    youtubeRequest,
+    fetchYoutubeChannel
+};
@@ -0,0 +1,162 @@
+// Domain report provider: registration (RDAP), DNS records, CT subdomains and Hunter.io emails in one report
+const { createResult, createErrorResult } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream, upstreamStatus } = require('../lib/upstream');
+const { hunterRequest, hunterDomainEmails } = require('../lib/hunter-api');
+const { createDomainSources } = require('../lib/domain-sources');
+const {
+    normalizeDomain,
+    isValidDomain,
+    parseRdap,
+    enumerateDns,
+    subdomainsFromCertificates,
+    guessEmailPattern
+} = require('../lib/domain-report');
+
+// Run every section; a failing section is reported in errors and the rest of the report still stands
+async function buildDomainReport(context, domain, progress = () => {}) {
+    const { cache, credentials } = context;
+    const sources = createDomainSources();
+    const cacheEntries = [];
+    const cached = async (operation, fetcher) => {
+        const response = await retryUpstream(() => cache.wrap('domain', operation, { domain, source: sources.rdap.name }, fetcher), progress);
+        cacheEntries.push(response);
+        return response.value;
+    };
+
+    const sections = {
+        // RDAP answers 404 for domains nobody has registered
+        registration: async () => {
+            try {
+                return parseRdap(await cached('rdap', () => sources.rdap.lookup(domain)));
+            } catch (error) {
+                if (upstreamStatus(error) === 404) return null;
+                throw error;
+            }
+        },
+        dns: () => enumerateDns(sources.dns, domain),
+        subdomains: async () => ({
+            source: sources.certificates.name,
+            ...subdomainsFromCertificates(await cached(`certificates:${sources.certificates.name}`, () => sources.certificates.lookup(domain)), domain)
+        }),
+        emails: async () => {
+            if (!credentials.isSet('HUNTER_API_KEY')) return null;
+            const response = await retryUpstream(() => hunterRequest(context, 'domain-search', { domain }), progress);
+            cacheEntries.push(response);
+            return {
+                emails: hunterDomainEmails(response.value),
+                organization: response.value.data.organization || null,
+                pattern: response.value.data.pattern || null
+            };
+        }
+    };
+
+    const names = Object.keys(sections);
+    const report = { domain };
+    const errors = {};
+    let finished = 0;
+    await Promise.all(names.map(async name => {
+        try {
+            report[name] = await sections[name]();
+        } catch (error) {
+            report[name] = null;
+            errors[name] = error.message;
+        } finally {
+            finished++;
+            progress({ event: 'provider-page', page: finished, pages: names.length, label: name });
+        }
+    }));
+
+    // Hunter's own pattern wins; otherwise guess one from the named addresses
+    const emails = report.emails ? report.emails.emails : [];
+    const guess = guessEmailPattern(emails);
+    if (report.emails && report.emails.pattern) {
+        report.emailPattern = { pattern: report.emails.pattern, source: 'hunter' };
+    } else {
+        report.emailPattern = guess ? { ...guess, source: 'guess' } : null;
+    }
+    report.errors = errors;
+    // Sections that were skipped, such as emails without a Hunter.io key, do not count as attempted
+    const attempted = names.filter(name => report[name] !== null || errors[name]).length;
+    return { report, emails, cacheEntries, failed: Object.keys(errors).length, attempted };
+}
+
+// SOA answers are a single object, every other record type a list
+function dnsRecordCount(dns) {
+    if (!dns) return 0;
+    return Object.values(dns.records).reduce((total, records) => total + (Array.isArray(records) ? records.length : 1), 0);
+}
+
+function describeReport(report) {
+    const parts = [
+        report.registration && report.registration.registrar && `registered with ${report.registration.registrar}`,
+        report.dns && `${dnsRecordCount(report.dns)} DNS records`,
+        report.subdomains && `${report.subdomains.total} subdomains`,
+        report.emails && `${report.emails.emails.length} emails`
+    ].filter(Boolean);
+    return `Domain report for ${report.domain}${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+}
+
+async function domainReportResult(context, query, progress) {
+    const domain = normalizeDomain(query);
+    if (!isValidDomain(domain)) {
+        return createResult({ platform: 'domain', query, type: 'domain', status: 'not-found', description: `${query} is not a valid domain name` });
+    }
+
+    const { report, emails, cacheEntries, failed, attempted } = await buildDomainReport(context, domain, progress);
+    if (failed === attempted) {
+        const [firstError] = Object.values(report.errors);
+        return createErrorResult('domain', `Domain report failed: ${firstError}`, firstError, { query, type: 'domain', data: { report } });
+    }
+
+    const empty = !report.registration && dnsRecordCount(report.dns) === 0 && !(report.subdomains && report.subdomains.total > 0) && emails.length === 0;
+    return withCacheInfo(createResult({
+        platform: 'domain',
+        query,
+        type: 'domain',
+        status: empty ? 'not-found' : 'found',
+        emails,
+        metrics: {
+            subdomains: report.subdomains ? report.subdomains.total : 0,
+            emails: emails.length,
+            failedSections: failed
+        },
+        data: { domain, report },
+        description: empty ? `No registration, DNS records or certificates found for ${domain}` : describeReport(report)
+    }), ...cacheEntries);
+}
+
+async function search({ query, type, progress }, context) {
+    try {
+        return await domainReportResult(context, query, progress);
+    } catch (error) {
+        console.error('Domain report error:', error);
+        return createErrorResult('domain', `Error building domain report: ${error.message}`, error, { query, type });
+    }
+}
+
+function routes(router, context) {
+    router.get('/report', async (req, res) => {
+        const { domain } = req.query;
+        if (!domain) {
+            return res.status(400).json(createErrorResult('domain', 'Domain parameter is required', 'Domain parameter is required', { type: 'domain' }));
+        }
+        res.json(await search({ query: domain, type: 'domain' }, context));
+    });
+}
+
+module.exports = {
+    id: 'domain',
+    name: 'Domain Report',
+    description: 'Registration, DNS records, certificate transparency subdomains and Hunter.io emails',
+    icon: 'fas fa-globe',
+    color: '#0aa6b4',
+    order: 55,
+    searchTypes: ['domain'],
+    credentials: [
+        { name: 'HUNTER_API_KEY', required: false, description: 'Adds the emails Hunter.io knows for the domain' }
+    ],
+    rateLimit: { concurrency: 1, timeout: 60000 },
+    search,
+    routes
+};
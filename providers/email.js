@@ -0,0 +1,81 @@
+// Email analysis provider: offline syntax, provider and alias checks with optional MX/SPF/DMARC lookups
+const emailDomains = require('../config/email-domains');
+const { createResult, createErrorResult } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { analyzeEmail, lookupMailDns } = require('../lib/email-analysis');
+
+// Human readable summary such as "Valid Gmail address (free provider, plus-tagged)"
+function describeAnalysis(analysis) {
+    if (!analysis.valid) {
+        return `${analysis.input} is not a valid email address: ${analysis.errors.join(', ')}`;
+    }
+    const notes = [
+        analysis.disposable && 'disposable domain',
+        analysis.freeProvider && 'free provider',
+        analysis.roleAccount && 'role account',
+        analysis.aliases.tag && 'plus-tagged',
+        analysis.dns && !analysis.dns.acceptsMail && 'domain accepts no mail'
+    ].filter(Boolean);
+    return `Valid ${analysis.provider ? `${analysis.provider} ` : ''}address${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+// DNS failures are reported in the analysis instead of failing it
+async function analysisResult({ cache }, query, withDns) {
+    const analysis = analyzeEmail(query);
+    let response = null;
+    if (withDns && analysis.valid && !analysis.domain.startsWith('[')) {
+        try {
+            response = await cache.wrap('dns', 'mail', { domain: analysis.domain }, () => lookupMailDns(analysis.domain));
+            analysis.dns = response.value;
+        } catch (error) {
+            analysis.dnsError = error.message;
+        }
+    }
+
+    const result = createResult({
+        platform: 'email',
+        query,
+        type: 'email',
+        status: analysis.valid ? 'found' : 'not-found',
+        description: describeAnalysis(analysis),
+        data: { analysis }
+    });
+    return response ? withCacheInfo(result, response) : result;
+}
+
+async function search({ query, type }, context) {
+    try {
+        return await analysisResult(context, query, emailDomains.dnsLookups);
+    } catch (error) {
+        return createErrorResult('email', `Error analysing email address: ${error.message}`, error, { query, type });
+    }
+}
+
+function routes(router, context) {
+    // Analyse an address on its own; dns=true|false overrides EMAIL_DNS_LOOKUPS
+    router.get('/analyze', async (req, res) => {
+        const { q, dns } = req.query;
+        if (!q) {
+            return res.status(400).json(createErrorResult('email', 'Query parameter q is required', 'Query parameter q is required', { type: 'email' }));
+        }
+        try {
+            const withDns = dns === undefined ? emailDomains.dnsLookups : dns === 'true';
+            res.json(await analysisResult(context, q, withDns));
+        } catch (error) {
+            console.error('Email analysis error:', error);
+            res.status(500).json(createErrorResult('email', 'Failed to analyse email address', error, { query: q, type: 'email' }));
+        }
+    });
+}
+
+module.exports = {
+    id: 'email',
+    name: 'Email Analysis',
+    description: 'Offline syntax, disposable, free provider, role and alias checks with optional MX/SPF/DMARC lookups',
+    icon: 'fas fa-at',
+    color: '#dc3545',
+    order: 45,
+    searchTypes: ['email'],
+    search,
+    routes
+};
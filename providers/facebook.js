@@ -0,0 +1,20 @@
+// Facebook provider: profile check for usernames, a search link for everything else
+const { profileCheckResult } = require('../lib/profile-check');
+
+const SEARCH_URL = 'https://www.facebook.com/search/top?q={query}';
+
+module.exports = {
+    id: 'facebook',
+    name: 'Facebook',
+    description: 'Checks whether a Facebook profile exists',
+    icon: 'fab fa-facebook',
+    color: '#1877F2',
+    order: 20,
+    searchUrl: SEARCH_URL,
+    searchTypes: ['email', 'phone', 'username', 'name', 'search'],
+    search({ query, type }) {
+        return profileCheckResult('facebook', query, type,
+            SEARCH_URL.replace('{query}', encodeURIComponent(query)),
+            `Facebook search results for ${query}`);
+    }
+};
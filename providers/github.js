@@ -0,0 +1,199 @@
+// GitHub provider: user search through the REST API, and a profile report for username searches
+const githubConfig = require('../config/github-config');
+const { createResult, createErrorResult, createAccount, createEmail, createPost, createLink } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream, upstreamStatus } = require('../lib/upstream');
+const { githubRequest, createGithubSource } = require('../lib/github-sources');
+const { normalizeLogin, isValidLogin, fetchGithubProfile, buildGithubReport, reportEmails } = require('../lib/github-profile');
+
+// Convert GitHub users search items into schema accounts
+function githubUsersToAccounts(items) {
+    return (items || []).map(item => createAccount({
+        platform: 'github',
+        id: item.id,
+        username: item.login,
+        url: item.html_url,
+        avatarUrl: item.avatar_url,
+        metrics: { score: item.score }
+    }));
+}
+
+// Public events as posts, so watches and the timeline see new activity
+function githubEventToPost(event) {
+    const repo = event.repo ? event.repo.name : '';
+    const commits = (event.payload && event.payload.commits) || [];
+    const text = event.type === 'PushEvent' && commits.length > 0
+        ? commits.map(commit => String(commit.message || '').split('\n')[0]).join('\n')
+        : undefined;
+    return createPost({
+        platform: 'github',
+        id: event.id,
+        kind: event.type.replace(/Event$/, '').toLowerCase(),
+        title: `${event.type.replace(/Event$/, '')} ${repo}`,
+        text,
+        url: repo ? `https://github.com/${repo}` : undefined,
+        author: event.actor && event.actor.login,
+        createdAt: event.created_at
+    });
+}
+
+function githubReportToResult(login, report, posts) {
+    const profile = report.profile;
+    return createResult({
+        platform: 'github',
+        query: login,
+        type: 'username',
+        status: 'found',
+        accounts: [createAccount({
+            platform: 'github',
+            id: profile.id,
+            username: profile.login,
+            displayName: profile.name,
+            url: profile.url,
+            bio: profile.bio,
+            location: profile.location,
+            website: profile.blog,
+            avatarUrl: profile.avatarUrl,
+            createdAt: profile.createdAt,
+            metrics: {
+                followers: profile.followers,
+                following: profile.following,
+                publicRepos: profile.publicRepos,
+                publicGists: profile.publicGists
+            }
+        })],
+        emails: reportEmails(report).map(email => {
+            const [firstName, ...rest] = String(email.name || '').trim().split(/\s+/);
+            return createEmail({
+                address: email.address,
+                firstName: rest.length > 0 ? firstName : undefined,
+                lastName: rest.length > 0 ? rest.join(' ') : undefined,
+                sources: email.sources
+            });
+        }),
+        posts,
+        links: report.repositories.list.map(repo => createLink({
+            source: repo.fork ? 'fork' : 'repository',
+            title: repo.fullName,
+            url: repo.url,
+            snippet: repo.description
+        })),
+        metrics: {
+            repositories: report.repositories.total,
+            stars: report.repositories.stars,
+            organizations: report.organizations.length,
+            commitAuthors: report.commitAuthors.length
+        },
+        data: { github: report },
+        url: profile.url,
+        description: `GitHub profile report for ${profile.login}`
+    });
+}
+
+// The whole report is cached, so a cache hit skips every API call. Answers null for an unknown login
+async function githubProfileResult({ cache, credentials }, query, progress) {
+    const login = normalizeLogin(query);
+    if (!isValidLogin(login)) return null;
+
+    const source = createGithubSource(credentials);
+    try {
+        const response = await cache.wrap('github', 'profile', { login: login.toLowerCase(), source: source.name }, async () => {
+            const raw = await retryUpstream(() => fetchGithubProfile(source, login, { progress }), progress);
+            return { report: buildGithubReport(raw), posts: raw.events.map(githubEventToPost) };
+        });
+        const { report, posts } = response.value;
+        return withCacheInfo(githubReportToResult(login, report, posts), response);
+    } catch (error) {
+        if (upstreamStatus(error) === 404) return null;
+        throw error;
+    }
+}
+
+async function search({ query, type, progress }, context) {
+    const { credentials } = context;
+    try {
+        if (type === 'username') {
+            const profileResult = await githubProfileResult(context, query, progress);
+            if (profileResult) return profileResult;
+        }
+        const data = await retryUpstream(
+            () => githubRequest(`${githubConfig.apiBase}/search/users?q=${encodeURIComponent(query)}`, credentials),
+            progress
+        );
+        return createResult({
+            platform: 'github',
+            query,
+            type,
+            accounts: githubUsersToAccounts(data.items),
+            metrics: { totalCount: data.total_count || 0 },
+            url: type === 'username'
+                ? `https://github.com/${encodeURIComponent(query)}`
+                : `https://github.com/search?q=${encodeURIComponent(query)}&type=users`,
+            description: `GitHub search results for ${query}`
+        });
+    } catch (error) {
+        return createErrorResult('github', `Error searching GitHub: ${error.message}`, error, {
+            query,
+            type,
+            url: `https://github.com/search?q=${encodeURIComponent(query)}&type=users`
+        });
+    }
+}
+
+// The rate limit endpoint is free and tells whether the token works
+async function validate({ credentials }) {
+    const { resources } = await githubRequest(`${githubConfig.apiBase}/rate_limit`, credentials).catch(error => {
+        throw upstreamStatus(error) === 401 ? new Error('GitHub rejected GITHUB_API_KEY') : error;
+    });
+    return {
+        quota: {
+            remaining: resources.search.remaining,
+            limit: resources.search.limit,
+            resetAt: new Date(resources.search.reset * 1000).toISOString(),
+            period: 'minute'
+        },
+        details: { authenticated: credentials.isSet('GITHUB_API_KEY'), coreRemaining: resources.core.remaining }
+    };
+}
+
+function routes(router, context) {
+    // The profile report alone: /api/github/profile/:login
+    router.get('/profile/:login', async (req, res) => {
+        const login = normalizeLogin(req.params.login);
+        if (!isValidLogin(login)) {
+            return res.status(400).json(createErrorResult('github', 'Invalid GitHub login', 'Invalid GitHub login', { query: req.params.login, type: 'username' }));
+        }
+        try {
+            const result = await githubProfileResult(context, login);
+            res.json(result || createResult({
+                platform: 'github',
+                query: login,
+                type: 'username',
+                status: 'not-found',
+                url: `https://github.com/${encodeURIComponent(login)}`,
+                description: `No GitHub user named ${login}`
+            }));
+        } catch (error) {
+            res.json(createErrorResult('github', `Error building GitHub profile report: ${error.message}`, error, { query: login, type: 'username' }));
+        }
+    });
+}
+
+module.exports = {
+    id: 'github',
+    name: 'GitHub',
+    description: 'GitHub user search and profile reports',
+    icon: 'fab fa-github',
+    color: '#333',
+    order: 60,
+    searchUrl: 'https://github.com/search?q={query}&type=users',
+    searchTypes: ['email', 'username', 'name', 'search'],
+    credentials: [
+        { name: 'GITHUB_API_KEY', required: false, description: 'Personal access token for higher rate limits' }
+    ],
+    // A profile report makes up to a dozen API calls
+    rateLimit: { concurrency: 2, timeout: 45000 },
+    search,
+    validate,
+    routes
+};
@@ -0,0 +1,302 @@
+// Google provider: SERP API web, maps and dork searches
+const { getJson } = require('serpapi');
+const axios = require('axios');
+const serpConfig = require('../config/google-api-config');
+const dorkTemplates = require('../config/google-dork-templates');
+const { createResult, createErrorResult, createLink } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream } = require('../lib/upstream');
+const { phoneVariants } = require('../lib/phone-analysis');
+
+// Google allows 32 words per query, so phone dorks only OR the most common spellings
+const PHONE_DORK_VARIANTS = 5;
+
+// Helper function for SERP API requests; resolves to a cache entry { value, cached, fetchedAt }
+async function makeSerpApiRequest({ cache, credentials }, query, type = 'search', extraParams = {}) {
+    try {
+        // Log the SERP API request parameters for debugging
+        console.log('SERP API Request:', {
+            query,
+            type,
+            extraParams,
+            apiKeyPresent: credentials.isSet('SERP_API_KEY')
+        });
+
+        const params = {
+            ...serpConfig.defaultParams,
+            engine: "google",
+            q: query,
+            ...extraParams
+        };
+
+        // The API key stays out of the cache key
+        return await cache.wrap('serpapi', type, params, () => getJson({ ...params, api_key: credentials.get('SERP_API_KEY') }));
+    } catch (error) {
+        console.error('SERP API request failed:', error);
+        throw error;
+    }
+}
+
+// Convert SERP API organic results into schema links
+function serpResultsToLinks(results, source = 'google') {
+    return (results || []).map(item => createLink({
+        source,
+        title: item.title,
+        url: item.link || item.website,
+        snippet: item.snippet || item.address
+    }));
+}
+
+// Only own keys name types and templates, so names like constructor or __proto__ are unknown
+function hasDorkTemplates(type) {
+    return Object.hasOwn(dorkTemplates, type);
+}
+
+function unknownDorkTemplates(type, templateNames) {
+    return templateNames.filter(name => !Object.hasOwn(dorkTemplates[type], name));
+}
+
+// Build the dork queries for a search type, optionally limited to named templates
+function buildDorkQueries(query, type, templateNames = [], variants = [query]) {
+    if (!hasDorkTemplates(type)) {
+        throw new Error(`No dork templates for search type ${type}`);
+    }
+    const templates = dorkTemplates[type];
+    const [unknown] = unknownDorkTemplates(type, templateNames);
+    if (unknown !== undefined) {
+        throw new Error(`Unknown dork template ${unknown} for search type ${type}`);
+    }
+
+    const names = templateNames.length > 0 ? templateNames : Object.keys(templates);
+    return names.map(name => {
+        const template = templates[name];
+        return {
+            template: name,
+            description: template.description,
+            query: template.build(query, variants)
+        };
+    });
+}
+
+// Normalize a result URL so the same page found by several dorks is only kept once
+function normalizeResultUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`.toLowerCase();
+    } catch (error) {
+        return String(url).toLowerCase();
+    }
+}
+
+// Run the dork queries in parallel and merge their organic results
+async function runGoogleDorks(context, query, type, templateNames, progress = () => {}) {
+    const variants = type === 'phone' ? phoneVariants(query).slice(0, PHONE_DORK_VARIANTS) : [query];
+    const dorks = buildDorkQueries(query, type, templateNames, variants);
+    let finished = 0;
+    const responses = await Promise.allSettled(
+        dorks.map(async dork => {
+            try {
+                return await retryUpstream(() => makeSerpApiRequest(context, dork.query, 'dork'), progress);
+            } finally {
+                finished++;
+                progress({ event: 'provider-page', page: finished, pages: dorks.length, label: dork.template });
+            }
+        })
+    );
+
+    const seen = new Set();
+    const results = [];
+    const errors = [];
+    const cacheEntries = [];
+
+    responses.forEach((response, index) => {
+        const dork = dorks[index];
+        if (response.status === 'rejected') {
+            errors.push({ template: dork.template, error: response.reason?.message || String(response.reason) });
+            return;
+        }
+
+        cacheEntries.push(response.value);
+        (response.value.value?.organic_results || []).forEach(item => {
+            if (!item.link) return;
+            const key = normalizeResultUrl(item.link);
+            if (seen.has(key)) return;
+            seen.add(key);
+            results.push({
+                template: dork.template,
+                title: item.title || item.link,
+                url: item.link,
+                snippet: item.snippet || ''
+            });
+        });
+    });
+
+    return { dorks, variants, results, errors, cacheEntries };
+}
+
+// Build a result from the merged dork results
+async function googleDorkResult(context, query, type, templateNames = [], progress) {
+    const { dorks, variants, results, errors, cacheEntries } = await runGoogleDorks(context, query, type, templateNames, progress);
+    const allFailed = errors.length === dorks.length;
+
+    return withCacheInfo(createResult({
+        platform: 'google',
+        query,
+        type,
+        status: allFailed ? 'error' : undefined,
+        error: allFailed ? errors[0].error : undefined,
+        links: results.map(result => createLink({
+            source: result.template,
+            title: result.title,
+            url: result.url,
+            snippet: result.snippet
+        })),
+        metrics: { dorks: dorks.length, failedDorks: errors.length },
+        data: {
+            dorks: dorks.map(({ template, query }) => ({ template, query })),
+            variants,
+            errors
+        },
+        url: `https://www.google.com/search?q=${encodeURIComponent(dorks[0].query)}`,
+        description: `${results.length} results from ${dorks.length} Google dorks`
+    }), ...cacheEntries);
+}
+
+// Maps searches go to the google_maps engine, identifier searches run the dork library
+async function search({ query, type, progress }, context) {
+    try {
+        if (type === 'places' || type === 'geocode') {
+            const response = await retryUpstream(() => makeSerpApiRequest(context, query, type, {
+                engine: 'google_maps'
+            }), progress);
+            if (!response.value) {
+                throw new Error('No results returned from SERP API');
+            }
+            return withCacheInfo(createResult({
+                platform: 'google',
+                query,
+                type,
+                links: serpResultsToLinks(response.value.local_results, 'google_maps'),
+                url: `https://www.google.com/maps/search/${encodeURIComponent(query)}`,
+                description: `Google ${type} results for ${query}`
+            }), response);
+        }
+
+        if (hasDorkTemplates(type)) {
+            return await googleDorkResult(context, query, type, [], progress);
+        }
+
+        // Default web search
+        const response = await retryUpstream(() => makeSerpApiRequest(context, query), progress);
+        if (!response.value) {
+            throw new Error('No results returned from SERP API');
+        }
+        return withCacheInfo(createResult({
+            platform: 'google',
+            query,
+            type,
+            links: serpResultsToLinks(response.value.organic_results),
+            metrics: {
+                totalResults: response.value.search_information?.total_results || 0
+            },
+            url: `https://www.google.com/search?q=${encodeURIComponent(query)}`,
+            description: `Google search results for ${query}`
+        }), response);
+    } catch (error) {
+        console.error('SERP API error:', error);
+        return createErrorResult('google', 'SERP API request failed', error, {
+            query,
+            type,
+            url: `https://www.google.com/search?q=${encodeURIComponent(query)}`
+        });
+    }
+}
+
+// The account endpoint does not count against the search quota
+async function validate({ credentials }) {
+    const response = await axios.get('https://serpapi.com/account', {
+        params: { api_key: credentials.get('SERP_API_KEY') },
+        timeout: 10000
+    });
+    return {
+        quota: {
+            remaining: response.data.plan_searches_left ?? response.data.total_searches_left,
+            limit: response.data.searches_per_month,
+            period: 'month'
+        },
+        details: { plan: response.data.plan_name }
+    };
+}
+
+function routes(router, context) {
+    // Google Dork endpoint
+    router.get('/dork', async (req, res) => {
+        try {
+            const { q, type = 'username', templates } = req.query;
+            if (!q) {
+                return res.status(400).json(createErrorResult('google', 'Query parameter q is required', 'Query parameter q is required', { type }));
+            }
+            if (!hasDorkTemplates(type)) {
+                return res.status(400).json(createErrorResult('google', `Unsupported search type ${type}`, `Unsupported search type ${type}`, {
+                    query: q,
+                    type,
+                    data: { supportedTypes: Object.keys(dorkTemplates) }
+                }));
+            }
+
+            const templateNames = templates ? String(templates).split(',').map(name => name.trim()).filter(Boolean) : [];
+            const unknown = unknownDorkTemplates(type, templateNames);
+            if (unknown.length > 0) {
+                const message = `Unknown dork templates for search type ${type}: ${unknown.join(', ')}`;
+                return res.status(400).json(createErrorResult('google', message, message, {
+                    query: q,
+                    type,
+                    data: { templates: Object.keys(dorkTemplates[type]) }
+                }));
+            }
+
+            // The search path gets this check from the provider registry
+            if (!context.credentials.isSet('SERP_API_KEY')) {
+                return res.status(500).json(createErrorResult('google', 'SERP API key not configured', 'SERP API key not configured', { query: q, type }));
+            }
+
+            res.json(await googleDorkResult(context, q, type, templateNames));
+        } catch (error) {
+            console.error('Google dork error:', error);
+            res.status(500).json(
+                createErrorResult('google', 'Failed to run Google dorks', error, { query: req.query.q, type: req.query.type })
+            );
+        }
+    });
+
+    // List the available dork templates per search type
+    router.get('/dork/templates', (req, res) => {
+        const templates = {};
+        Object.entries(dorkTemplates).forEach(([type, entries]) => {
+            templates[type] = Object.entries(entries).map(([name, template]) => ({
+                name,
+                description: template.description
+            }));
+        });
+        res.json(templates);
+    });
+}
+
+module.exports = {
+    id: 'google',
+    name: 'Google',
+    description: 'Web, maps and dork searches through SERP API',
+    icon: 'fab fa-google',
+    color: '#00a911',
+    order: 10,
+    searchUrl: 'https://www.google.com/search?q={query}',
+    searchTypes: ['email', 'phone', 'username', 'name', 'search', 'places', 'geocode'],
+    credentials: [
+        { name: 'SERP_API_KEY', required: true, description: 'SERP API key' }
+    ],
+    rateLimit: { concurrency: 2, timeout: 30000 },
+    search,
+    validate,
+    routes
+};
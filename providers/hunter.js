@@ -0,0 +1,139 @@
+// Hunter.io provider: domain email search and email verification
+const axios = require('axios');
+const { createResult, createErrorResult, createEmail } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream } = require('../lib/upstream');
+const { hunterRequest, hunterDomainEmails } = require('../lib/hunter-api');
+
+// Helper function to build a result from Hunter.io domain search data
+function hunterDomainResult(data, query, type) {
+    const { domain, pattern, organization } = data.data;
+    const emails = hunterDomainEmails(data);
+    return createResult({
+        platform: 'hunter',
+        query,
+        type,
+        emails,
+        metrics: { emailCount: emails.length },
+        data: { domain, pattern, organization },
+        url: `https://hunter.io/search/${encodeURIComponent(domain || query)}`,
+        description: `Hunter.io domain search results for ${domain || query}`
+    });
+}
+
+// Helper function to build a result from Hunter.io email verification data
+function hunterVerificationResult(data, query, type) {
+    const result = data.data.result !== undefined && typeof data.data.result === 'object'
+        ? data.data.result
+        : data.data;
+    return createResult({
+        platform: 'hunter',
+        query,
+        type,
+        emails: [createEmail({
+            address: result.email || query,
+            position: result.position,
+            company: result.company,
+            status: result.status || result.result,
+            score: result.score,
+            linkedin: result.linkedin
+        })],
+        metrics: { score: result.score || 0 },
+        url: `https://hunter.io/email-verifier/${encodeURIComponent(query)}`,
+        description: `Hunter.io verification for ${query}: ${result.status || result.result || 'unknown'}`
+    });
+}
+
+async function search({ query, type, progress }, context) {
+    try {
+        if (type === 'domain') {
+            const response = await retryUpstream(() => hunterRequest(context, 'domain-search', { domain: query }), progress);
+            return withCacheInfo(hunterDomainResult(response.value, query, type), response);
+        }
+        const response = await retryUpstream(() => hunterRequest(context, 'email-verifier', { email: query }), progress);
+        return withCacheInfo(hunterVerificationResult(response.value, query, type), response);
+    } catch (error) {
+        return createErrorResult('hunter', `Error searching Hunter.io: ${error.message}`, error, { query, type });
+    }
+}
+
+async function validate({ credentials }) {
+    const response = await axios.get('https://api.hunter.io/v2/account', {
+        params: { api_key: credentials.get('HUNTER_API_KEY') },
+        timeout: 10000
+    });
+    const { plan_name: plan, reset_date: resetAt, requests = {} } = response.data.data;
+    const searches = requests.searches || {};
+    return {
+        quota: {
+            remaining: (searches.available || 0) - (searches.used || 0),
+            limit: searches.available,
+            resetAt
+        },
+        details: { plan }
+    };
+}
+
+function routes(router, context) {
+    const { credentials } = context;
+
+    router.get('/domain', async (req, res) => {
+        try {
+            const { domain } = req.query;
+            if (!domain) {
+                return res.status(400).json(createErrorResult('hunter', 'Domain parameter is required', 'Domain parameter is required'));
+            }
+
+            if (!credentials.isSet('HUNTER_API_KEY')) {
+                return res.status(500).json(createErrorResult('hunter', 'Hunter.io API key not configured', 'Hunter.io API key not configured', { query: domain, type: 'domain' }));
+            }
+
+            const response = await hunterRequest(context, 'domain-search', { domain });
+            res.json(withCacheInfo(hunterDomainResult(response.value, domain, 'domain'), response));
+        } catch (error) {
+            console.error('Hunter.io API error:', error);
+            res.status(error.response?.status || 500).json(
+                createErrorResult('hunter', 'Failed to fetch data from Hunter.io', error, { query: req.query.domain, type: 'domain' })
+            );
+        }
+    });
+
+    router.get('/email-verify', async (req, res) => {
+        try {
+            const { email } = req.query;
+            if (!email) {
+                return res.status(400).json(createErrorResult('hunter', 'Email parameter is required', 'Email parameter is required'));
+            }
+
+            if (!credentials.isSet('HUNTER_API_KEY')) {
+                return res.status(500).json(createErrorResult('hunter', 'Hunter.io API key not configured', 'Hunter.io API key not configured', { query: email, type: 'email' }));
+            }
+
+            const response = await hunterRequest(context, 'email-verifier', { email });
+            res.json(withCacheInfo(hunterVerificationResult(response.value, email, 'email'), response));
+        } catch (error) {
+            console.error('Hunter.io API error:', error);
+            res.status(error.response?.status || 500).json(
+                createErrorResult('hunter', 'Failed to verify email with Hunter.io', error, { query: req.query.email, type: 'email' })
+            );
+        }
+    });
+}
+
+module.exports = {
+    id: 'hunter',
+    name: 'Hunter.io',
+    description: 'Email addresses for a domain and email verification',
+    icon: 'fas fa-search',
+    color: '#FF6B00',
+    order: 50,
+    searchUrl: 'https://hunter.io/search/{query}',
+    searchTypes: ['email', 'domain'],
+    credentials: [
+        { name: 'HUNTER_API_KEY', required: true, description: 'Hunter.io API key' }
+    ],
+    rateLimit: { concurrency: 1, timeout: 15000 },
+    search,
+    validate,
+    routes
+};
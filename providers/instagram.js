@@ -0,0 +1,20 @@
+// Instagram provider: profile check for usernames, a search link for everything else
+const { profileCheckResult } = require('../lib/profile-check');
+
+const SEARCH_URL = 'https://www.instagram.com/explore/tags/{query}/';
+
+module.exports = {
+    id: 'instagram',
+    name: 'Instagram',
+    description: 'Checks whether a Instagram profile exists',
+    icon: 'fab fa-instagram',
+    color: '#E4405F',
+    order: 40,
+    searchUrl: SEARCH_URL,
+    searchTypes: ['email', 'phone', 'username', 'name', 'search'],
+    search({ query, type }) {
+        return profileCheckResult('instagram', query, type,
+            SEARCH_URL.replace('{query}', encodeURIComponent(query)),
+            `Instagram search for ${query}`);
+    }
+};
@@ -0,0 +1,62 @@
+// Phone analysis provider: offline validation, line type, carrier range and formatting variants
+const { createResult, createErrorResult } = require('../lib/result-schema');
+const { analyzePhone } = require('../lib/phone-analysis');
+
+// Human readable summary such as "Valid mobile number from IN (Airtel range)"
+function describeAnalysis(analysis) {
+    if (!analysis.valid) {
+        return analysis.possible
+            ? `${analysis.input} has a possible length but is not a valid number for ${analysis.country || analysis.defaultRegion}`
+            : `${analysis.input} is not a valid phone number`;
+    }
+    const place = [analysis.location, analysis.country].filter(Boolean).join(', ');
+    return `Valid ${analysis.lineType} number from ${place}${analysis.carrier ? ` (${analysis.carrier} range)` : ''}`;
+}
+
+function analysisResult(analysis, query) {
+    return createResult({
+        platform: 'phone',
+        query,
+        type: 'phone',
+        status: analysis.valid ? 'found' : 'not-found',
+        description: describeAnalysis(analysis),
+        data: { analysis }
+    });
+}
+
+async function search({ query, type }) {
+    try {
+        return analysisResult(await analyzePhone(query), query);
+    } catch (error) {
+        return createErrorResult('phone', `Error analysing phone number: ${error.message}`, error, { query, type });
+    }
+}
+
+function routes(router) {
+    // Analyse a number without running any provider searches; region overrides COUNTRY_CODE
+    router.get('/analyze', async (req, res) => {
+        const { q, region } = req.query;
+        if (!q) {
+            return res.status(400).json(createErrorResult('phone', 'Query parameter q is required', 'Query parameter q is required', { type: 'phone' }));
+        }
+        try {
+            const analysis = await analyzePhone(q, region ? { defaultRegion: String(region) } : {});
+            res.json(analysisResult(analysis, q));
+        } catch (error) {
+            console.error('Phone analysis error:', error);
+            res.status(500).json(createErrorResult('phone', 'Failed to analyse phone number', error, { query: q, type: 'phone' }));
+        }
+    });
+}
+
+module.exports = {
+    id: 'phone',
+    name: 'Phone Analysis',
+    description: 'Offline validation, line type, carrier range, timezones and formatting variants',
+    icon: 'fas fa-hashtag',
+    color: '#fd7e14',
+    order: 95,
+    searchTypes: ['phone'],
+    search,
+    routes
+};
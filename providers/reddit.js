@@ -0,0 +1,290 @@
+// Reddit provider: full user history through the API for usernames, a search link for other search types
+const redditConfig = require('../config/reddit-api-config');
+const { createResult, createErrorResult, createAccount, createPost } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream, upstreamStatus } = require('../lib/upstream');
+const { analyzeRedditHistory } = require('../lib/reddit-analytics');
+
+// Page through a Reddit user's overview, reporting each page through progress. Reddit itself stops listings at about 1000 items
+async function fetchRedditHistory(client, username, { maxItems = redditConfig.historyLimit, progress = () => {} } = {}) {
+    const user = client.getUser(username);
+    const profile = await retryUpstream(() => user.fetch(), progress);
+
+    let listing = await retryUpstream(() => user.getOverview({ limit: 100 }), progress);
+    const items = [...listing];
+    let page = 1;
+    progress({ event: 'provider-page', page, items: items.length, posts: listing.map(redditItemToPost) });
+
+    while (!listing.isFinished && items.length < maxItems) {
+        listing = await retryUpstream(() => listing.fetchMore({ amount: 100, append: false }), progress);
+        if (listing.length === 0) break;
+        items.push(...listing);
+        page++;
+        progress({ event: 'provider-page', page, items: items.length, posts: listing.map(redditItemToPost) });
+    }
+
+    return { profile, items: items.slice(0, maxItems) };
+}
+
+// Cached as a whole, so a cache hit skips the paging and its progress events
+async function redditUserHistoryResult({ cache, clients }, username, progress, maxItems = redditConfig.historyLimit) {
+    const response = await cache.wrap('reddit', 'history', { username, maxItems }, async () => {
+        const { profile, items } = await fetchRedditHistory(clients.reddit, username, { maxItems, progress });
+        return redditHistoryToResult(username, profile, items);
+    });
+    return withCacheInfo(response.value, response);
+}
+
+function redditHistoryToResult(username, profile, items) {
+    const posts = items.map(redditItemToPost);
+    const account = redditUserToAccount(profile);
+    return createResult({
+        platform: 'reddit',
+        query: username,
+        type: 'username',
+        status: 'found',
+        accounts: [account],
+        posts,
+        data: { analytics: analyzeRedditHistory(account, posts) },
+        metrics: {
+            submissions: posts.filter(post => post.kind === 'submission').length,
+            comments: posts.filter(post => post.kind === 'comment').length
+        },
+        url: `https://www.reddit.com/user/${username}`,
+        description: `Reddit history for u/${username} (${posts.length} items)`
+    });
+}
+
+// Overview listings mix submissions (t3_) and comments (t1_)
+function redditItemToPost(item) {
+    return String(item.name || '').startsWith('t1_')
+        ? redditCommentToPost(item)
+        : redditSubmissionToPost(item);
+}
+
+// Helper functions to convert Reddit objects into schema records
+function redditUserToAccount(user) {
+    return createAccount({
+        platform: 'reddit',
+        id: user.id,
+        username: user.name,
+        url: `https://www.reddit.com/user/${user.name}`,
+        bio: user.subreddit?.public_description,
+        avatarUrl: user.icon_img,
+        verified: user.verified,
+        createdAt: user.created_utc,
+        metrics: {
+            linkKarma: user.link_karma || 0,
+            commentKarma: user.comment_karma || 0
+        }
+    });
+}
+
+function redditSubredditToAccount(subreddit) {
+    return createAccount({
+        platform: 'reddit',
+        id: subreddit.id,
+        username: `r/${subreddit.display_name}`,
+        displayName: subreddit.title,
+        url: `https://www.reddit.com/r/${subreddit.display_name}`,
+        bio: subreddit.public_description,
+        createdAt: subreddit.created_utc,
+        metrics: { subscribers: subreddit.subscribers || 0 }
+    });
+}
+
+function redditSubmissionToPost(post) {
+    return createPost({
+        platform: 'reddit',
+        id: post.id,
+        kind: 'submission',
+        title: post.title,
+        text: post.selftext,
+        url: `https://reddit.com${post.permalink}`,
+        author: post.author?.name,
+        community: post.subreddit?.display_name,
+        createdAt: post.created_utc,
+        metrics: {
+            score: post.score || 0,
+            comments: post.num_comments || 0
+        }
+    });
+}
+
+function redditCommentToPost(comment) {
+    return createPost({
+        platform: 'reddit',
+        id: comment.id,
+        kind: 'comment',
+        text: comment.body,
+        url: `https://reddit.com${comment.permalink}`,
+        author: comment.author?.name,
+        community: comment.subreddit?.display_name,
+        createdAt: comment.created_utc,
+        metrics: { score: comment.score || 0 }
+    });
+}
+
+async function search({ query, type, progress }, context) {
+    if (type !== 'username') {
+        return createResult({
+            platform: 'reddit',
+            query,
+            type,
+            status: 'unknown',
+            url: `https://www.reddit.com/search/?q=${encodeURIComponent(query)}`,
+            description: `Reddit search results for ${query}`
+        });
+    }
+    try {
+        return await redditUserResult(context, query, { progress });
+    } catch (error) {
+        // Unknown and suspended users answer 404
+        if (upstreamStatus(error) !== 404) throw error;
+        return createResult({
+            platform: 'reddit',
+            query,
+            type,
+            status: 'not-found',
+            url: `https://www.reddit.com/user/${encodeURIComponent(query)}`,
+            description: `No Reddit user named ${query}`
+        });
+    }
+}
+
+// snoowrap keeps the rate limit from the last response on the client. The registry only
+// validates once every Reddit credential is set
+async function validate({ clients }) {
+    if (!clients.reddit) {
+        throw new Error('Reddit client not initialized. Check the Reddit credentials.');
+    }
+    const me = await clients.reddit.getMe();
+    return {
+        quota: {
+            remaining: clients.reddit.ratelimitRemaining,
+            resetAt: clients.reddit.ratelimitExpiration ? new Date(clients.reddit.ratelimitExpiration).toISOString() : undefined,
+            period: '10 minutes'
+        },
+        details: { username: me.name }
+    };
+}
+
+// Paged history with analytics, as served by /api/reddit/user/:username. limit lowers the history cap, never raises it
+async function redditUserResult(context, username, { limit, progress } = {}) {
+    if (!context.clients.reddit) {
+        throw new Error('Reddit client not initialized');
+    }
+    const maxItems = Math.min(parseInt(limit, 10) || redditConfig.historyLimit, redditConfig.historyLimit);
+    return redditUserHistoryResult(context, username, progress, maxItems);
+}
+
+// Missing credentials and unknown users will not get better on a retry
+async function redditUserJob(context, { username, limit }, job) {
+    job.progress({ message: `Fetching u/${username}` });
+    try {
+        return await redditUserResult(context, username, {
+            limit,
+            progress: event => {
+                if (event.event === 'provider-page') job.progress({ message: `Page ${event.page}, ${event.items} items` });
+            }
+        });
+    } catch (error) {
+        if (!context.clients.reddit || upstreamStatus(error) === 404) error.retryable = false;
+        throw error;
+    }
+}
+
+function routes(router, context) {
+    const { cache, clients, jobs } = context;
+    if (jobs) {
+        jobs.register('reddit-user', (payload, job) => redditUserJob(context, payload, job), {
+            validate: payload => payload.username ? null : 'username is required'
+        });
+    }
+
+    // limit caps the history below REDDIT_HISTORY_LIMIT. background=true queues the fetch as a job and
+    // answers 202 with it; poll /api/jobs/:id for the result
+    router.get('/user/:username', async (req, res) => {
+        try {
+            const { username } = req.params;
+            const { limit } = req.query;
+            if (req.query.background === 'true' && jobs) {
+                const { job, error } = await jobs.enqueue('reddit-user', { username, limit });
+                if (error) {
+                    return res.status(400).json(createErrorResult('reddit', error, error, { query: username, type: 'username' }));
+                }
+                return res.status(202).json(jobs.summarize(job));
+            }
+            res.json(await redditUserResult(context, username, { limit }));
+        } catch (error) {
+            console.error('Reddit API error:', error);
+            res.status(error.statusCode || 500).json(
+                createErrorResult('reddit', 'Failed to fetch Reddit data', error, { query: req.params.username, type: 'username' })
+            );
+        }
+    });
+
+    router.get('/search', async (req, res) => {
+        try {
+            if (!clients.reddit) {
+                throw new Error('Reddit client not initialized');
+            }
+
+            const { query, type } = req.query;
+            const response = await cache.wrap('reddit', 'search', { query, type }, async () => {
+                let searchResults;
+                if (type === 'subreddit') {
+                    searchResults = await clients.reddit.searchSubreddits({
+                        query,
+                        limit: redditConfig.defaultParams.limit
+                    });
+                } else {
+                    searchResults = await clients.reddit.search({
+                        query,
+                        sort: redditConfig.defaultParams.sort,
+                        time: redditConfig.defaultParams.time,
+                        limit: redditConfig.defaultParams.limit
+                    });
+                }
+
+                return createResult({
+                    platform: 'reddit',
+                    query,
+                    type: type || 'posts',
+                    accounts: searchResults.filter(item => item.display_name).map(redditSubredditToAccount),
+                    posts: searchResults.filter(item => !item.display_name).map(redditSubmissionToPost),
+                    url: `https://www.reddit.com/search/?q=${encodeURIComponent(query)}`,
+                    description: `Reddit search results for ${query}`
+                });
+            });
+
+            res.json(withCacheInfo(response.value, response));
+        } catch (error) {
+            console.error('Reddit search error:', error);
+            res.status(error.statusCode || 500).json(
+                createErrorResult('reddit', 'Failed to search Reddit', error, { query: req.query.query, type: req.query.type })
+            );
+        }
+    });
+}
+
+module.exports = {
+    id: 'reddit',
+    name: 'Reddit',
+    description: 'Reddit post and comment history',
+    icon: 'fab fa-reddit',
+    color: '#FF4500',
+    order: 70,
+    searchUrl: 'https://www.reddit.com/search/?q={query}',
+    searchTypes: ['email', 'phone', 'username', 'name', 'search'],
+    credentials: [
+        { name: 'REDDIT_CLIENT_ID', required: true, description: 'Reddit app client id' },
+        { name: 'REDDIT_CLIENT_SECRET', required: true, description: 'Reddit app client secret' },
+        { name: 'REDDIT_USERNAME', required: true, description: 'Account the script app runs as' },
+        { name: 'REDDIT_PASSWORD', required: true, description: 'Password of that account' }
+    ],
+    rateLimit: { concurrency: 1, timeout: 90000 },
+    search,
+    validate,
+    routes
+};
@@ -0,0 +1,77 @@
+// Site catalogue provider: enumerates a username across config/username-sites.js
+const usernameSites = require('../config/username-sites');
+const { createResult, createErrorResult, createAccount } = require('../lib/result-schema');
+const { checkUsername, summarizeChecks } = require('../lib/username-checker');
+
+// Build a result from a full site catalogue enumeration
+function usernameEnumerationResult(query, checks) {
+    const summary = summarizeChecks(checks);
+    let status = 'not-found';
+    if (summary.exists > 0) {
+        status = 'found';
+    } else if (summary.unknown === summary.checked) {
+        status = 'unknown';
+    }
+
+    return createResult({
+        platform: 'sites',
+        query,
+        type: 'username',
+        status,
+        accounts: checks
+            .filter(check => check.state === 'exists')
+            .map(check => createAccount({ platform: check.key, username: query, url: check.url })),
+        metrics: summary,
+        description: `Checked ${checks.length} sites for ${query}`,
+        data: { checks }
+    });
+}
+
+async function search({ query }) {
+    return usernameEnumerationResult(query, await checkUsername(query));
+}
+
+function routes(router) {
+    // List the username enumeration site catalogue
+    router.get('/sites', (req, res) => {
+        res.json(usernameSites.map(site => ({
+            key: site.key,
+            name: site.name,
+            category: site.category,
+            url: site.url
+        })));
+    });
+
+    // Check a username across the site catalogue
+    router.get('/:username', async (req, res) => {
+        try {
+            const { username } = req.params;
+            const keys = req.query.sites ? String(req.query.sites).split(',').map(key => key.trim()).filter(Boolean) : [];
+            const categories = req.query.category ? String(req.query.category).split(',').map(name => name.trim()).filter(Boolean) : [];
+            const timeout = req.query.timeout ? Math.min(parseInt(req.query.timeout, 10) || 10000, 30000) : undefined;
+
+            const checks = await checkUsername(username, { keys, categories, timeout });
+            res.json(usernameEnumerationResult(username, checks));
+        } catch (error) {
+            console.error('Username enumeration error:', error);
+            res.status(500).json(
+                createErrorResult('sites', 'Failed to enumerate username', error, { query: req.params.username, type: 'username' })
+            );
+        }
+    });
+}
+
+module.exports = {
+    id: 'sites',
+    name: 'All Sites',
+    description: `Checks a username on ${usernameSites.length} sites`,
+    icon: 'fas fa-globe',
+    color: '#6f42c1',
+    order: 90,
+    searchTypes: ['username'],
+    defaultSelected: false,
+    rateLimit: { concurrency: 1, timeout: 120000 },
+    routePrefix: 'username',
+    search,
+    routes
+};
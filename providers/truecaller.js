@@ -0,0 +1,89 @@
+// TrueCaller provider: caller name, carrier and spam score for a phone number
+const phoneApiConfig = require('../config/phone-api-config');
+const { createResult, createErrorResult, createAccount, createEmail } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream, upstreamStatus } = require('../lib/upstream');
+const { phoneApiRequest } = require('../lib/phone-api');
+const { e164Digits } = require('../lib/phone-analysis');
+
+// Search responses list matches under data; older ones return a single flat record
+function truecallerRecord(data) {
+    if (Array.isArray(data?.data)) return data.data[0] || null;
+    return data?.name ? data : null;
+}
+
+// Helper function to build a result from TrueCaller search data
+function truecallerResult(data, query, phone) {
+    const record = truecallerRecord(data);
+    if (!record || !record.name) {
+        return createResult({
+            platform: 'truecaller',
+            query,
+            type: 'phone',
+            status: 'not-found',
+            description: `No TrueCaller listing for +${phone}`,
+            data: { phone: `+${phone}` }
+        });
+    }
+
+    const number = (record.phones || [])[0] || {};
+    const address = (record.addresses || [])[0] || {};
+    const location = [address.city, address.countryCode].filter(Boolean).join(', ');
+    return createResult({
+        platform: 'truecaller',
+        query,
+        type: 'phone',
+        status: 'found',
+        accounts: [createAccount({
+            platform: 'truecaller',
+            id: record.id,
+            displayName: record.name,
+            avatarUrl: record.image,
+            location: location || undefined,
+            metrics: { spamScore: record.spamScore || 0 }
+        })],
+        emails: (record.internetAddresses || [])
+            .filter(item => item.service === 'email' && item.id)
+            .map(item => createEmail({ address: item.id, sources: ['truecaller'] })),
+        metrics: { spamScore: record.spamScore || 0 },
+        data: {
+            phone: `+${phone}`,
+            carrier: number.carrier,
+            numberType: number.numberType,
+            countryCode: number.countryCode || address.countryCode,
+            spamType: record.spamType
+        },
+        description: `TrueCaller: ${record.name}${record.spamScore ? `, spam score ${record.spamScore}` : ''}`
+    });
+}
+
+async function search({ query, type, progress }, { cache, credentials }) {
+    const phone = e164Digits(query);
+    try {
+        const params = { phone, countryCode: phoneApiConfig.countryCode };
+        const response = await retryUpstream(() => cache.wrap('truecaller', 'search', params, () =>
+            phoneApiRequest('truecaller', '/search', { phone: `+${phone}`, countryCode: params.countryCode }, credentials.get('TRUECALLER_API_KEY'))
+        ), progress);
+        return withCacheInfo(truecallerResult(response.value, query, phone), response);
+    } catch (error) {
+        if (upstreamStatus(error) === 404) {
+            return truecallerResult(null, query, phone);
+        }
+        return createErrorResult('truecaller', `Error searching TrueCaller: ${error.message}`, error, { query, type });
+    }
+}
+
+module.exports = {
+    id: 'truecaller',
+    name: 'TrueCaller',
+    description: 'Caller name, carrier and spam score',
+    icon: 'fas fa-phone',
+    color: '#0087FF',
+    order: 100,
+    searchTypes: ['phone'],
+    credentials: [
+        { name: 'TRUECALLER_API_KEY', required: true, description: 'TrueCaller developer API key' }
+    ],
+    rateLimit: { concurrency: 1, timeout: 15000 },
+    search
+};
@@ -0,0 +1,578 @@
+// Twitter provider: API lookups of usernames and phone numbers in searches and through its own routes
+const twitterConfig = require('../config/twitter-api-config');
+const { createResult, createErrorResult, createAccount, createPost } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream, upstreamStatus } = require('../lib/upstream');
+const { analyzeTimeline } = require('../lib/twitter-analytics');
+const { computeOverlap } = require('../lib/audience-overlap');
+const { scoreCandidates } = require('../lib/correlation');
+const { parsePhone, phoneVariants } = require('../lib/phone-analysis');
+
+// Search queries are limited to 512 characters; a handful of spellings covers most tweets
+const PHONE_SEARCH_VARIANTS = 6;
+
+// Helper functions to convert Twitter objects into schema records
+function twitterUserToAccount(user, extra = {}) {
+    return createAccount({
+        platform: 'twitter',
+        id: user.id,
+        username: user.username,
+        displayName: user.name,
+        url: `https://twitter.com/${user.username}`,
+        bio: user.description,
+        location: user.location,
+        website: user.url,
+        avatarUrl: user.profile_image_url,
+        verified: user.verified,
+        protected: user.protected,
+        createdAt: user.created_at,
+        metrics: {
+            followers: user.public_metrics?.followers_count || 0,
+            following: user.public_metrics?.following_count || 0,
+            tweets: user.public_metrics?.tweet_count || 0
+        },
+        ...extra
+    });
+}
+
+function twitterTweetToPost(tweet, author) {
+    const metrics = tweet.public_metrics || {};
+    return createPost({
+        platform: 'twitter',
+        id: tweet.id,
+        kind: 'tweet',
+        text: tweet.text,
+        url: `https://twitter.com/${author || 'twitter'}/status/${tweet.id}`,
+        author,
+        createdAt: tweet.created_at,
+        metrics: {
+            likes: metrics.like_count || 0,
+            retweets: metrics.retweet_count || 0,
+            replies: metrics.reply_count || 0,
+            quotes: metrics.quote_count || 0,
+            media: tweet.attachments?.media_keys?.length || 0
+        }
+    });
+}
+
+// A Twitter profile with the analysis of its timeline, paged up to depth tweets, as a schema result
+async function fetchTwitterUserResult(client, username, { depth = twitterConfig.timelineDepth, progress = () => {} } = {}) {
+    // Get detailed user data
+    const user = await client.v2.userByUsername(username, {
+        'user.fields': [
+            'description',
+            'profile_image_url',
+            'public_metrics',
+            'verified',
+            'location',
+            'url',
+            'created_at',
+            'protected',
+            'pinned_tweet_id'
+        ].join(',')
+    }).catch(error => {
+        console.error('Twitter user lookup failed:', error.message);
+        throw new Error(`Failed to find Twitter user: ${error.message}`);
+    });
+
+    if (!user.data) {
+        throw Object.assign(new Error('User not found on Twitter'), { statusCode: 404 });
+    }
+
+    // A failing timeline still leaves the profile
+    const tweets = await fetchTimeline(client, user.data.id, depth, progress).catch(error => {
+        console.error('Twitter timeline fetch failed:', error.message);
+        return null;
+    });
+
+    return createResult({
+        platform: 'twitter',
+        query: username,
+        type: 'username',
+        status: 'found',
+        accounts: [twitterUserToAccount(user.data)],
+        posts: (tweets || []).slice(0, twitterConfig.timelinePosts).map(tweet => twitterTweetToPost(tweet, user.data.username)),
+        data: tweets ? { analytics: analyzeTimeline(tweets) } : undefined,
+        metrics: {
+            followers: user.data.public_metrics?.followers_count || 0,
+            following: user.data.public_metrics?.following_count || 0,
+            tweets: user.data.public_metrics?.tweet_count || 0
+        },
+        url: `https://twitter.com/${username}`,
+        description: `Twitter profile for @${user.data.username}`
+    });
+}
+
+// Page through a user's timeline, newest first, until depth tweets or the end of what the API serves
+async function fetchTimeline(client, userId, depth, progress) {
+    const timeline = await retryUpstream(() => client.v2.userTimeline(userId, {
+        max_results: Math.min(100, Math.max(5, depth)),
+        'tweet.fields': [
+            'created_at',
+            'public_metrics',
+            'entities',
+            'context_annotations',
+            'conversation_id',
+            'attachments',
+            'referenced_tweets',
+            'in_reply_to_user_id',
+            'source'
+        ].join(','),
+        'expansions': ['attachments.media_keys', 'referenced_tweets.id'],
+        'media.fields': ['url', 'preview_image_url', 'type']
+    }), progress);
+    let page = 1;
+    progress({ event: 'provider-page', page, items: timeline.tweets.length });
+
+    while (!timeline.done && timeline.tweets.length < depth) {
+        const before = timeline.tweets.length;
+        await retryUpstream(() => timeline.fetchNext(Math.min(100, depth - before)), progress);
+        if (timeline.tweets.length === before) break;
+        page++;
+        progress({ event: 'provider-page', page, items: timeline.tweets.length });
+    }
+    return timeline.tweets.slice(0, depth);
+}
+
+// The profile and timeline analysis, cached per depth
+async function twitterUserResult({ cache, clients }, username, { depth = twitterConfig.timelineDepth, progress } = {}) {
+    if (!clients.twitter) {
+        throw new Error('Twitter client not initialized. Check server logs for initialization errors.');
+    }
+    const response = await cache.wrap('twitter', 'user', { username, depth }, () => fetchTwitterUserResult(clients.twitter, username, { depth, progress }));
+    return withCacheInfo(response.value, response);
+}
+
+// A rate limit waits for the window to reset: the job queue reads retryAfter and resumes from the checkpoint
+function withRateLimitWait(error) {
+    if (error.rateLimitError || upstreamStatus(error) === 429) {
+        const reset = error.rateLimit && error.rateLimit.reset;
+        error.retryAfter = reset ? Math.max(reset * 1000 - Date.now(), 0) + 1000 : 15 * 60 * 1000;
+    }
+    return error;
+}
+
+// One page of a followers or following list as { users, nextToken }
+async function fetchAudiencePage(client, userId, kind, paginationToken, maxResults) {
+    const page = await client.v2[kind](userId, {
+        max_results: maxResults,
+        'user.fields': 'public_metrics,verified',
+        ...(paginationToken ? { pagination_token: paginationToken } : {})
+    }).catch(error => {
+        throw withRateLimitWait(error);
+    });
+    return { users: page.data || [], nextToken: page.meta && page.meta.next_token };
+}
+
+// Usernames without surrounding spaces or @, the first spelling of each kept
+function overlapUsernames(usernames) {
+    const seen = new Set();
+    return usernames
+        .map(username => username.trim().replace(/^@/, ''))
+        .filter(username => !seen.has(username.toLowerCase()) && seen.add(username.toLowerCase()));
+}
+
+// Usernames with or without @, compared case-insensitively; returns an error message or null
+function validateOverlapRequest({ usernames } = {}) {
+    const { minAccounts, maxAccounts } = twitterConfig.overlap;
+    if (!Array.isArray(usernames) || usernames.some(username => typeof username !== 'string' || !/^@?\w{1,15}$/.test(username.trim()))) {
+        return 'usernames must be a list of Twitter usernames';
+    }
+    const unique = overlapUsernames(usernames);
+    if (unique.length < minAccounts || unique.length > maxAccounts) {
+        return `Compare between ${minAccounts} and ${maxAccounts} different accounts`;
+    }
+    return null;
+}
+
+// Page through the followers and following of every account, checkpointing after each page so a rate limit
+// or a restart resumes where it stopped. The checkpoint keeps ids per list and a compact record per user.
+// Jobs can come from POST /api/jobs as well as the route, so the usernames are normalized here
+async function twitterOverlapJob({ clients }, payload, job) {
+    const usernames = overlapUsernames(payload.usernames);
+    const client = clients.twitter;
+    if (!client) {
+        const error = new Error('Twitter client not initialized');
+        error.retryable = false;
+        throw error;
+    }
+    const listCap = Math.min(parseInt(payload.cap, 10) || twitterConfig.overlap.listCap, twitterConfig.overlap.listCap);
+    const state = job.checkpoint || { accounts: {}, users: {} };
+
+    for (const username of usernames) {
+        if (state.accounts[username]) continue;
+        const user = await client.v2.userByUsername(username, { 'user.fields': 'public_metrics,protected' }).catch(error => {
+            throw withRateLimitWait(error);
+        });
+        if (!user.data) {
+            const error = new Error(`@${username} was not found on Twitter`);
+            error.retryable = false;
+            throw error;
+        }
+        const metrics = user.data.public_metrics || {};
+        state.accounts[username] = {
+            id: user.data.id,
+            protected: Boolean(user.data.protected),
+            followers: { ids: [], total: metrics.followers_count || 0, nextToken: null, done: false, error: null },
+            following: { ids: [], total: metrics.following_count || 0, nextToken: null, done: false, error: null }
+        };
+        await job.saveCheckpoint(state);
+    }
+
+    const lists = usernames.flatMap(username => ['followers', 'following'].map(kind => ({ username, kind })));
+    for (const { username, kind } of lists) {
+        const list = state.accounts[username][kind];
+        while (!list.done) {
+            if (job.signal.aborted) return null;
+            let page;
+            try {
+                page = await fetchAudiencePage(client, state.accounts[username].id, kind, list.nextToken, Math.min(1000, listCap - list.ids.length));
+            } catch (error) {
+                if (error.retryAfter !== undefined) {
+                    job.progress({ message: `Rate limited on @${username} ${kind}, resuming at ${new Date(Date.now() + error.retryAfter).toLocaleTimeString()}` });
+                    throw error;
+                }
+                // Protected accounts do not share their lists; compare what the others have
+                if ([401, 403].includes(upstreamStatus(error))) {
+                    list.error = error.message;
+                    list.done = true;
+                    break;
+                }
+                throw error;
+            }
+            page.users.forEach(user => {
+                list.ids.push(user.id);
+                state.users[user.id] = [user.username, user.name, (user.public_metrics || {}).followers_count || 0, user.verified ? 1 : 0];
+            });
+            list.nextToken = page.nextToken || null;
+            list.done = !list.nextToken || list.ids.length >= listCap;
+            await job.saveCheckpoint(state);
+            job.progress({
+                completed: lists.filter(entry => state.accounts[entry.username][entry.kind].done).length,
+                total: lists.length,
+                message: `@${username} ${kind}: ${list.ids.length} of ${Math.min(list.total, listCap)}`
+            });
+        }
+    }
+
+    const users = Object.fromEntries(Object.entries(state.users).map(([id, [username, name, followers, verified]]) =>
+        [id, { username, name, followers, verified: Boolean(verified) }]));
+    const overlap = computeOverlap(
+        Object.fromEntries(usernames.map(username => [username, {
+            id: state.accounts[username].id,
+            followers: state.accounts[username].followers.ids,
+            following: state.accounts[username].following.ids
+        }])),
+        users,
+        { limit: twitterConfig.overlap.sharedAccounts }
+    );
+    return {
+        platform: 'twitter',
+        usernames,
+        cap: listCap,
+        coverage: Object.fromEntries(usernames.map(username => {
+            const account = state.accounts[username];
+            return [username, Object.fromEntries(['followers', 'following'].map(kind => [kind, {
+                fetched: account[kind].ids.length,
+                total: account[kind].total,
+                error: account[kind].error
+            }]))];
+        })),
+        ...overlap
+    };
+}
+
+// Tweets that mention any common spelling of a phone number
+async function phoneTweetsResult({ cache, clients }, query) {
+    const variants = phoneVariants(query).slice(0, PHONE_SEARCH_VARIANTS);
+    const searchQuery = variants.map(variant => `"${variant}"`).join(' OR ');
+    const url = `https://twitter.com/search?q=${encodeURIComponent(searchQuery)}&f=live`;
+
+    if (!clients.twitter) {
+        const message = 'Twitter client not initialized. Check server logs for initialization errors.';
+        return createErrorResult('twitter', message, message, { query, type: 'phone', url });
+    }
+
+    try {
+        const response = await cache.wrap('twitter', 'search', { query: searchQuery, type: 'phone' }, async () => {
+            const tweets = await clients.twitter.v2.search(searchQuery, {
+                'tweet.fields': twitterConfig.defaultParams.tweet.fields.join(','),
+                max_results: twitterConfig.defaultParams.max_results
+            });
+            return tweets.tweets || [];
+        });
+        const tweets = response.value;
+        return withCacheInfo(createResult({
+            platform: 'twitter',
+            query,
+            type: 'phone',
+            status: tweets.length > 0 ? 'found' : 'not-found',
+            posts: tweets.map(tweet => twitterTweetToPost(tweet)),
+            metrics: { totalResults: tweets.length },
+            url,
+            description: tweets.length > 0
+                ? `${tweets.length} recent tweets mention ${query}`
+                : `No recent tweets mention ${query}`,
+            data: { searchTerm: searchQuery, variants }
+        }), response);
+    } catch (error) {
+        console.error('Twitter phone search failed:', error.message);
+        return createErrorResult('twitter', `Twitter search failed: ${error.message}`, error, { query, type: 'phone', url });
+    }
+}
+
+// Phone numbers and usernames go through the API; other search types link to the same search on twitter.com
+async function search({ query, type, progress }, context) {
+    if (type === 'phone') {
+        return phoneTweetsResult(context, query);
+    }
+    const url = `https://twitter.com/search?q=${encodeURIComponent(query)}`;
+    if (type !== 'username') {
+        return createResult({ platform: 'twitter', query, type, status: 'unknown', url, description: `Twitter search results for ${query}` });
+    }
+
+    const username = query.replace(/^@/, '');
+    try {
+        return await twitterUserResult(context, username, { progress });
+    } catch (error) {
+        if (upstreamStatus(error) === 404) {
+            return createResult({
+                platform: 'twitter',
+                query,
+                type,
+                status: 'not-found',
+                url: `https://twitter.com/${encodeURIComponent(username)}`,
+                description: `No Twitter user named @${username}`
+            });
+        }
+        return createErrorResult('twitter', `Error looking up Twitter user: ${error.message}`, error, { query, type, url });
+    }
+}
+
+// A user lookup with the full response exposes the rate limit headers. The registry only validates
+// once a bearer token or the OAuth 1.0a set is configured
+async function validate({ clients }) {
+    if (!clients.twitter) {
+        throw new Error('Twitter client not initialized. Check the Twitter credentials.');
+    }
+    const response = await clients.twitter.v2.get('users/by/username/twitterdev', undefined, { fullResponse: true });
+    const rateLimit = response.rateLimit || {};
+    return {
+        quota: {
+            remaining: rateLimit.remaining,
+            limit: rateLimit.limit,
+            resetAt: rateLimit.reset ? new Date(rateLimit.reset * 1000).toISOString() : undefined,
+            period: '15 minutes'
+        }
+    };
+}
+
+function routes(router, context) {
+    const { cache, clients, jobs } = context;
+    if (jobs) {
+        jobs.register('twitter-overlap', (payload, job) => twitterOverlapJob(context, payload, job), { validate: validateOverlapRequest });
+    }
+
+    // Audience overlap of 2 to 5 accounts: { usernames, cap? }. Paging can span several rate limit windows,
+    // so it runs as a background job; answers 202 with the job, whose result is the overlap
+    router.post('/overlap', async (req, res) => {
+        const validationError = validateOverlapRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!clients.twitter || !jobs) {
+            return res.status(503).json({ error: 'Twitter client not initialized. Check server logs for initialization errors.' });
+        }
+        try {
+            const { job, error } = await jobs.enqueue('twitter-overlap', { usernames: overlapUsernames(req.body.usernames), cap: req.body.cap });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            res.status(202).json(jobs.summarize(job));
+        } catch (error) {
+            console.error('Twitter overlap error:', error.message);
+            res.status(500).json({ error: 'Failed to queue the overlap analysis', details: error.message });
+        }
+    });
+
+    // depth sets how many timeline tweets are analysed, up to TWITTER_TIMELINE_DEPTH
+    router.get('/user/:username', async (req, res) => {
+        try {
+            const { username } = req.params;
+            const depth = Math.min(parseInt(req.query.depth, 10) || twitterConfig.timelineDepth, twitterConfig.timelineDepth);
+            console.log('Fetching Twitter user:', username);
+
+            res.json(await twitterUserResult(context, username, { depth }));
+        } catch (error) {
+            console.error('Twitter API error:', error.message);
+            res.status(error.code || 500).json(
+                createErrorResult('twitter', error.message || 'Failed to fetch Twitter data', error, { query: req.params.username, type: 'username' })
+            );
+        }
+    });
+
+    router.get('/search', async (req, res) => {
+        try {
+            if (!clients.twitter) {
+                throw new Error('Twitter client not initialized. Check server logs for initialization errors.');
+            }
+
+            const { query, type } = req.query;
+            if (!query) {
+                throw new Error('Search query is required');
+            }
+
+            console.log('Twitter search:', { query, type });
+
+            // Paginators are not plain data, so only the items are cached
+            const response = await cache.wrap('twitter', 'search', { query, type }, async () => {
+                try {
+                    if (type === 'user') {
+                        const users = await clients.twitter.v2.searchUsers(query, {
+                            'user.fields': twitterConfig.defaultParams.user.fields.join(','),
+                            max_results: twitterConfig.defaultParams.max_results
+                        });
+                        return users.data || [];
+                    }
+                    // Search tweets
+                    const tweets = await clients.twitter.v2.search(query, {
+                        'tweet.fields': twitterConfig.defaultParams.tweet.fields.join(','),
+                        max_results: twitterConfig.defaultParams.max_results
+                    });
+                    return tweets.tweets || [];
+                } catch (searchError) {
+                    console.error('Twitter search failed:', searchError.message);
+                    throw new Error(`Twitter search failed: ${searchError.message}`);
+                }
+            });
+
+            const items = response.value;
+            res.json(withCacheInfo(createResult({
+                platform: 'twitter',
+                query,
+                type: type || 'tweet',
+                accounts: type === 'user' ? items.map(twitterUserToAccount) : [],
+                posts: type === 'user' ? [] : items.map(tweet => twitterTweetToPost(tweet)),
+                url: `https://twitter.com/search?q=${encodeURIComponent(query)}`,
+                description: items.length > 0
+                    ? `Twitter search results for ${query}`
+                    : `No results found for "${query}"`
+            }), response));
+        } catch (error) {
+            console.error('Twitter search error:', error.message);
+            res.status(error.code || 500).json(
+                createErrorResult('twitter', error.message || 'Failed to search Twitter', error, { query: req.query.query, type: req.query.type })
+            );
+        }
+    });
+
+    // Helper endpoint to find Twitter users by email or phone
+    router.get('/find-by-contact', async (req, res) => {
+        try {
+            if (!clients.twitter) {
+                throw new Error('Twitter client not initialized. Check server logs for initialization errors.');
+            }
+
+            const { email, phone } = req.query;
+
+            if (!email && !phone) {
+                throw new Error('Either email or phone number is required');
+            }
+
+            let searchQuery = '';
+
+            // Build search query based on available information
+            if (email) {
+                // Remove @ and domain parts for better matching
+                const username = email.split('@')[0];
+                searchQuery = username;
+            } else if (phone) {
+                // Profiles usually give the number in national format
+                const number = parsePhone(phone);
+                searchQuery = number ? number.nationalNumber : phone.replace(/[^0-9]/g, '');
+            }
+
+            // Search for users with similar usernames or display names
+            const response = await cache.wrap('twitter', 'search-users', { query: searchQuery }, async () => {
+                const users = await clients.twitter.v2.searchUsers(searchQuery, {
+                    'user.fields': [
+                        'description',
+                        'profile_image_url',
+                        'public_metrics',
+                        'verified',
+                        'location',
+                        'url',
+                        'created_at',
+                        'protected'
+                    ].join(','),
+                    max_results: 10
+                });
+                return users.data || [];
+            });
+
+            if (response.value.length === 0) {
+                return res.json(withCacheInfo(createResult({
+                    platform: 'twitter',
+                    query: email || phone,
+                    type: email ? 'email' : 'phone',
+                    description: 'No Twitter accounts found that might be associated with the provided contact information.',
+                    data: { searchTerm: searchQuery }
+                }), response));
+            }
+
+            // Score each candidate against the contact details, best first, weak matches dropped
+            const filteredResults = scoreCandidates(response.value.map(user => twitterUserToAccount(user)), { email, phone })
+                .map(account => createAccount(account));
+
+            res.json(withCacheInfo(createResult({
+                platform: 'twitter',
+                query: email || phone,
+                type: email ? 'email' : 'phone',
+                accounts: filteredResults,
+                metrics: { totalResults: filteredResults.length },
+                url: `https://twitter.com/search?q=${encodeURIComponent(searchQuery)}`,
+                description: 'Potential Twitter accounts based on publicly available information and pattern matching. Account ownership cannot be verified through the API.',
+                data: {
+                    searchTerm: searchQuery,
+                    searchType: email ? 'email' : 'phone'
+                }
+            }), response));
+
+        } catch (error) {
+            console.error('Twitter contact search error:', error.message);
+            res.status(error.code || 500).json(
+                createErrorResult('twitter', error.message || 'Failed to search Twitter accounts', error, {
+                    query: req.query.email || req.query.phone,
+                    type: req.query.email ? 'email' : 'phone'
+                })
+            );
+        }
+    });
+}
+
+module.exports = {
+    id: 'twitter',
+    name: 'Twitter',
+    description: 'Twitter profiles, tweet search and contact lookups',
+    icon: 'fab fa-twitter',
+    color: '#1DA1F2',
+    order: 30,
+    searchUrl: 'https://twitter.com/search?q={query}',
+    searchTypes: ['email', 'phone', 'username', 'name', 'search'],
+    credentials: [
+        { name: 'TWITTER_BEARER_TOKEN', required: false, description: 'App bearer token for the API routes' },
+        { name: 'TWITTER_API_KEY', required: false, description: 'OAuth 1.0a consumer key' },
+        { name: 'TWITTER_API_KEY_SECRET', required: false, description: 'OAuth 1.0a consumer secret' },
+        { name: 'TWITTER_ACCESS_TOKEN', required: false, description: 'OAuth 1.0a access token' },
+        { name: 'TWITTER_ACCESS_TOKEN_SECRET', required: false, description: 'OAuth 1.0a access token secret' }
+    ],
+    // The client needs a bearer token or the full OAuth 1.0a set
+    credentialSets: [
+        ['TWITTER_BEARER_TOKEN'],
+        ['TWITTER_API_KEY', 'TWITTER_API_KEY_SECRET', 'TWITTER_ACCESS_TOKEN', 'TWITTER_ACCESS_TOKEN_SECRET']
+    ],
+    rateLimit: { concurrency: 1, timeout: 20000 },
+    search,
+    validate,
+    routes
+};
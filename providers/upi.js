@@ -0,0 +1,94 @@
+// UPI provider: payment handles (VPAs) registered for an Indian mobile number
+const phoneApiConfig = require('../config/phone-api-config');
+const { createResult, createErrorResult, createAccount } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { retryUpstream } = require('../lib/upstream');
+const { phoneApiRequest } = require('../lib/phone-api');
+const { e164Digits } = require('../lib/phone-analysis');
+
+// Indian mobile numbers: 91 followed by ten digits starting with 6-9
+const INDIAN_MOBILE = /^91[6-9]\d{9}$/;
+
+// Verify one candidate handle, resolving to a cache entry with { vpa, valid, name }
+function verifyHandle({ cache, credentials }, vpa, progress) {
+    return retryUpstream(() => cache.wrap('upi', 'verify', { vpa }, async () => {
+        const data = await phoneApiRequest('upi', '/handle/verify', { upiHandle: vpa }, credentials.get('UPI_API_KEY'));
+        return { vpa: data.vpa || vpa, valid: !!data.valid, name: data.name };
+    }), progress);
+}
+
+// Every configured payment app handle is tried for the number
+async function search({ query, type, progress }, context) {
+    const phone = e164Digits(query);
+    if (!INDIAN_MOBILE.test(phone)) {
+        return createResult({
+            platform: 'upi',
+            query,
+            type,
+            status: 'unknown',
+            description: 'UPI handles only exist for Indian mobile numbers',
+            data: { phone: `+${phone}` }
+        });
+    }
+
+    const mobile = phone.slice(2);
+    const handles = phoneApiConfig.upi.handles.map(handle => `${mobile}@${handle}`);
+    let finished = 0;
+    const checks = await mapWithConcurrency(handles, 3, async vpa => {
+        try {
+            return { vpa, response: await verifyHandle(context, vpa, progress) };
+        } catch (error) {
+            return { vpa, error: error.message };
+        } finally {
+            finished++;
+            progress({ event: 'provider-page', page: finished, pages: handles.length, label: vpa });
+        }
+    });
+
+    const failed = checks.filter(check => check.error);
+    if (failed.length === checks.length) {
+        return createErrorResult('upi', `Error verifying UPI handles: ${failed[0].error}`, failed[0].error, { query, type });
+    }
+
+    const registered = checks.filter(check => check.response?.value.valid).map(check => check.response.value);
+    return withCacheInfo(createResult({
+        platform: 'upi',
+        query,
+        type,
+        status: registered.length > 0 ? 'found' : 'not-found',
+        accounts: registered.map(handle => createAccount({
+            platform: 'upi',
+            username: handle.vpa,
+            displayName: handle.name
+        })),
+        metrics: { checked: checks.length, registered: registered.length, failed: failed.length },
+        data: {
+            phone: `+${phone}`,
+            handles: checks.map(check => ({
+                vpa: check.vpa,
+                valid: check.response ? check.response.value.valid : null,
+                name: check.response?.value.name,
+                error: check.error
+            }))
+        },
+        description: registered.length > 0
+            ? `UPI handles for +${phone}: ${registered.map(handle => handle.vpa).join(', ')}`
+            : `No UPI handles found for +${phone} (${checks.length} payment apps checked)`
+    }), ...checks.filter(check => check.response).map(check => check.response));
+}
+
+module.exports = {
+    id: 'upi',
+    name: 'UPI',
+    description: 'UPI payment handles registered to an Indian mobile number',
+    icon: 'fas fa-rupee-sign',
+    color: '#097939',
+    order: 120,
+    searchTypes: ['phone'],
+    credentials: [
+        { name: 'UPI_API_KEY', required: true, description: 'API key for the UPI handle verification service' }
+    ],
+    rateLimit: { concurrency: 1, timeout: 45000 },
+    search
+};
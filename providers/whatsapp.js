@@ -0,0 +1,73 @@
+// WhatsApp provider: whether a phone number has a WhatsApp account
+const { createResult, createErrorResult, createAccount } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream } = require('../lib/upstream');
+const { phoneApiRequest } = require('../lib/phone-api');
+const { e164Digits } = require('../lib/phone-analysis');
+
+// Helper function to build a result from a WhatsApp contacts check
+function whatsappResult(data, query, phone) {
+    const contact = (data?.contacts || [])[0] || {};
+    if (contact.status !== 'valid') {
+        return createResult({
+            platform: 'whatsapp',
+            query,
+            type: 'phone',
+            status: 'not-found',
+            description: `No WhatsApp account for +${phone}`,
+            data: { phone: `+${phone}`, contactStatus: contact.status }
+        });
+    }
+
+    const waId = contact.wa_id || phone;
+    return createResult({
+        platform: 'whatsapp',
+        query,
+        type: 'phone',
+        status: 'found',
+        accounts: [createAccount({
+            platform: 'whatsapp',
+            id: waId,
+            displayName: `+${waId}`,
+            url: `https://wa.me/${waId}`
+        })],
+        url: `https://wa.me/${waId}`,
+        data: { phone: `+${phone}`, contactStatus: contact.status },
+        description: `WhatsApp account exists for +${phone}`
+    });
+}
+
+// The contacts check only asks whether the number is registered; no message is sent
+async function search({ query, type, progress }, { cache, credentials }) {
+    const phone = e164Digits(query);
+    try {
+        const accountId = credentials.get('WHATSAPP_BUSINESS_ACCOUNT_ID');
+        const response = await retryUpstream(() => cache.wrap('whatsapp', 'contacts', { phone }, () =>
+            phoneApiRequest('whatsapp', `/${encodeURIComponent(accountId)}/contacts`, {
+                blocking: 'wait',
+                contacts: [`+${phone}`],
+                force_check: true
+            }, credentials.get('WHATSAPP_API_KEY'))
+        ), progress);
+        return withCacheInfo(whatsappResult(response.value, query, phone), response);
+    } catch (error) {
+        return createErrorResult('whatsapp', `Error checking WhatsApp: ${error.message}`, error, { query, type });
+    }
+}
+
+module.exports = {
+    id: 'whatsapp',
+    name: 'WhatsApp',
+    description: 'Checks whether a number is registered on WhatsApp',
+    icon: 'fab fa-whatsapp',
+    color: '#25D366',
+    order: 110,
+    searchUrl: 'https://wa.me/{query}',
+    searchTypes: ['phone'],
+    credentials: [
+        { name: 'WHATSAPP_API_KEY', required: true, description: 'WhatsApp Business API access token' },
+        { name: 'WHATSAPP_BUSINESS_ACCOUNT_ID', required: true, description: 'WhatsApp Business account the contacts check runs under' }
+    ],
+    rateLimit: { concurrency: 1, timeout: 15000 },
+    search
+};
@@ -0,0 +1,161 @@
+// YouTube provider: channel metadata and recent uploads for handles, channel ids and channel URLs,
+// a search link for everything else
+const { createResult, createErrorResult, createAccount, createPost, createLink } = require('../lib/result-schema');
+const { withCacheInfo } = require('../lib/response-cache');
+const { retryUpstream, upstreamStatus } = require('../lib/upstream');
+const { profileCheckResult } = require('../lib/profile-check');
+const { parseChannelInput, channelKey, youtubeRequest, fetchYoutubeChannel } = require('../lib/youtube-channel');
+const youtubeConfig = require('../config/youtube-config');
+
+const SEARCH_URL = 'https://www.youtube.com/results?search_query={query}';
+
+function searchUrl(query) {
+    return SEARCH_URL.replace('{query}', encodeURIComponent(query));
+}
+
+function youtubeChannelToResult(query, type, channel) {
+    return createResult({
+        platform: 'youtube',
+        query,
+        type,
+        status: 'found',
+        accounts: [createAccount({
+            platform: 'youtube',
+            id: channel.id,
+            username: channel.handle ? `@${channel.handle}` : channel.id,
+            displayName: channel.title,
+            url: channel.url,
+            bio: channel.description,
+            location: channel.country,
+            website: channel.links.length > 0 ? channel.links[0].url : undefined,
+            avatarUrl: channel.avatarUrl,
+            createdAt: channel.createdAt,
+            metrics: Object.fromEntries(Object.entries({
+                subscribers: channel.subscribers,
+                videos: channel.videos,
+                views: channel.views
+            }).filter(([, value]) => value !== null))
+        })],
+        posts: channel.uploads.map(video => createPost({
+            platform: 'youtube',
+            id: video.id,
+            kind: 'video',
+            title: video.title,
+            url: video.url,
+            author: channel.title,
+            createdAt: video.publishedAt,
+            metrics: Object.fromEntries(Object.entries({
+                views: video.views,
+                likes: video.likes,
+                comments: video.comments
+            }).filter(([, value]) => value !== null))
+        })),
+        links: channel.links.map(link => createLink({
+            source: 'channel link',
+            title: link.title || link.url,
+            url: link.url
+        })),
+        metrics: {
+            uploads: channel.uploads.length,
+            links: channel.links.length
+        },
+        data: { youtube: channel },
+        url: channel.url,
+        description: `YouTube channel ${channel.title}`
+    });
+}
+
+// Cached per channel and source. Answers null when the query is not a channel or the channel does not exist
+async function youtubeChannelResult({ cache, credentials }, query, type, progress) {
+    const input = parseChannelInput(query);
+    if (!input) return null;
+
+    const apiKey = credentials.get('YOUTUBE_API_KEY');
+    try {
+        const response = await cache.wrap('youtube', 'channel', { channel: channelKey(input), source: apiKey ? 'api' : 'page' }, () =>
+            retryUpstream(() => fetchYoutubeChannel(input, { apiKey }), progress));
+        return withCacheInfo(youtubeChannelToResult(query, type, response.value), response);
+    } catch (error) {
+        if (upstreamStatus(error) === 404) return null;
+        throw error;
+    }
+}
+
+async function search({ query, type, progress }, context) {
+    const input = parseChannelInput(query);
+    // Usernames are tried as handles; other search types only look up channel URLs and ids
+    const channelReference = input && (input.kind === 'id' || /youtube\.com\//i.test(query));
+    if (!input || (type !== 'username' && !channelReference)) {
+        return profileCheckResult('youtube', query, type, searchUrl(query), `YouTube search results for ${query}`);
+    }
+    try {
+        const result = await youtubeChannelResult(context, query, type, progress);
+        return result || createResult({
+            platform: 'youtube',
+            query,
+            type,
+            status: 'not-found',
+            url: searchUrl(query),
+            description: `No YouTube channel found for ${query}`
+        });
+    } catch (error) {
+        return createErrorResult('youtube', `Error looking up YouTube channel: ${error.message}`, error, {
+            query,
+            type,
+            url: searchUrl(query)
+        });
+    }
+}
+
+// Channel pages need no key, so there is only something to check when YOUTUBE_API_KEY is set.
+// A lookup by id costs one unit of the daily quota
+async function validate({ credentials }) {
+    if (!credentials.isSet('YOUTUBE_API_KEY')) return null;
+    const params = new URLSearchParams({ part: 'id', id: 'UC_x5XG1OV2P6uZZ5FSM9Ttw', key: credentials.get('YOUTUBE_API_KEY') });
+    await youtubeRequest(`${youtubeConfig.apiBase}/channels?${params}`).catch(error => {
+        throw ['keyInvalid', 'accessNotConfigured', 'forbidden'].includes(error.reason) ? new Error(`YouTube rejected YOUTUBE_API_KEY: ${error.message}`) : error;
+    });
+    return { quota: null, details: { source: 'api' } };
+}
+
+function routes(router, context) {
+    // A channel by id, @handle or URL-encoded channel URL: /api/youtube/channel/:channel
+    router.get('/channel/:channel', async (req, res) => {
+        const query = req.params.channel;
+        if (!parseChannelInput(query)) {
+            return res.status(400).json(createErrorResult('youtube', 'Not a YouTube channel id, handle or URL', 'Not a YouTube channel id, handle or URL', { query, type: 'username' }));
+        }
+        try {
+            const result = await youtubeChannelResult(context, query, 'username');
+            res.json(result || createResult({
+                platform: 'youtube',
+                query,
+                type: 'username',
+                status: 'not-found',
+                url: searchUrl(query),
+                description: `No YouTube channel found for ${query}`
+            }));
+        } catch (error) {
+            res.json(createErrorResult('youtube', `Error looking up YouTube channel: ${error.message}`, error, { query, type: 'username' }));
+        }
+    });
+}
+
+module.exports = {
+    id: 'youtube',
+    name: 'YouTube',
+    description: 'YouTube channel metadata and recent uploads',
+    icon: 'fab fa-youtube',
+    color: '#FF0000',
+    order: 80,
+    searchUrl: SEARCH_URL,
+    searchTypes: ['email', 'phone', 'username', 'name', 'search'],
+    credentials: [
+        { name: 'YOUTUBE_API_KEY', required: false, description: 'YouTube Data API v3 key; without it public channel pages are parsed' }
+    ],
+    // A lookup is up to four requests: channel, uploads playlist and video statistics, or page and feed
+    rateLimit: { concurrency: 2, timeout: 30000 },
+    search,
+    validate,
+    routes
+};
@@ -0,0 +1,93 @@
+// Local mock of the TrueCaller, WhatsApp and UPI APIs for trying the phone providers without real keys.
+// Start with `npm run mock:phone`, then point the server at it:
+//   TRUECALLER_API_ENDPOINT=http://localhost:4010/truecaller/v1
+//   WHATSAPP_API_ENDPOINT=http://localhost:4010/whatsapp
+//   UPI_API_ENDPOINT=http://localhost:4010/upi/v1
+// Any non-empty key is accepted. +919876543210 and +14155550100 are known numbers, everything else is not found;
+// numbers ending in 0429 answer with a rate limit error and numbers ending in 0500 with a server error.
+const express = require('express');
+
+const PORT = process.env.MOCK_PORT || 4010;
+
+const SUBSCRIBERS = {
+    '919876543210': {
+        truecaller: {
+            id: 'tc-1001',
+            name: 'Asha Verma',
+            image: 'https://example.com/avatars/asha.png',
+            spamScore: 0,
+            phones: [{ e164Format: '+919876543210', carrier: 'Jio', numberType: 'MOBILE', countryCode: 'IN' }],
+            addresses: [{ city: 'Pune', countryCode: 'IN' }],
+            internetAddresses: [{ id: 'asha.verma@example.com', service: 'email' }]
+        },
+        whatsapp: true,
+        upi: { ybl: 'ASHA VERMA', okaxis: 'ASHA VERMA' }
+    },
+    '14155550100': {
+        truecaller: {
+            id: 'tc-2002',
+            name: 'Sales Robocall',
+            spamScore: 87,
+            spamType: 'telemarketing',
+            phones: [{ e164Format: '+14155550100', carrier: 'Example Wireless', numberType: 'FIXED_LINE_OR_MOBILE', countryCode: 'US' }],
+            addresses: [{ city: 'San Francisco', countryCode: 'US' }]
+        },
+        whatsapp: false
+    }
+};
+
+const app = express();
+app.use(express.json());
+
+// Every mocked API wants a bearer key, like the real ones
+app.use((req, res, next) => {
+    const auth = req.get('Authorization') || '';
+    if (!/^Bearer \S+/.test(auth)) {
+        return res.status(401).json({ error: 'Missing API key' });
+    }
+    next();
+});
+
+// Simulated failures keyed on the number, so retries and error results can be exercised
+function simulatedFailure(digits, res) {
+    if (digits.endsWith('0429')) {
+        res.status(429).set('Retry-After', '1').json({ error: 'Rate limit exceeded' });
+        return true;
+    }
+    if (digits.endsWith('0500')) {
+        res.status(500).json({ error: 'Internal error' });
+        return true;
+    }
+    return false;
+}
+
+const digitsOf = value => String(value || '').replace(/\D/g, '');
+
+app.post('/truecaller/v1/search', (req, res) => {
+    const digits = digitsOf(req.body.phone);
+    if (simulatedFailure(digits, res)) return;
+    const subscriber = SUBSCRIBERS[digits];
+    res.json({ data: subscriber?.truecaller ? [subscriber.truecaller] : [] });
+});
+
+app.post('/whatsapp/:accountId/contacts', (req, res) => {
+    const contacts = (req.body.contacts || []).map(input => {
+        const digits = digitsOf(input);
+        return SUBSCRIBERS[digits]?.whatsapp
+            ? { input, status: 'valid', wa_id: digits }
+            : { input, status: 'invalid' };
+    });
+    if (contacts.some(contact => simulatedFailure(digitsOf(contact.input), res))) return;
+    res.json({ contacts });
+});
+
+app.post('/upi/v1/handle/verify', (req, res) => {
+    const [mobile, handle] = String(req.body.upiHandle || '').split('@');
+    if (simulatedFailure(mobile, res)) return;
+    const name = SUBSCRIBERS[`91${mobile}`]?.upi?.[handle];
+    res.json(name ? { valid: true, vpa: req.body.upiHandle, name } : { valid: false, vpa: req.body.upiHandle });
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock phone APIs listening on http://localhost:${PORT}`);
+});
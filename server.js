@@ -3,9 +3,6 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const { getJson } = require('serpapi');
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-const axios = require('axios');
 const snoowrap = require('snoowrap');
 const { TwitterApi } = require('twitter-api-v2');
 
@@ -15,21 +12,18 @@ if (result.error) {
     console.error('Error loading .env file:', result.error);
 }
 
-// Validate environment variables
-if (!process.env.SERP_API_KEY) {
-    console.error('WARNING: SERP_API_KEY is not set in environment variables');
-    console.error('Please create a .env file in the project root with:');
-    console.error('SERP_API_KEY=your_serp_api_key_here');
-}
-
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Saved cases carry full search results, so allow larger bodies
+app.use(express.json({ limit: '10mb' }));
 
-// Serve static files from the root directory
-app.use(express.static(__dirname));
+// Serve only the front end; data/ with cases, jobs, watches and cached responses must not be reachable.
+// index.html comes from the catch-all route below
+['Assets', 'Javascript', 'css'].forEach(directory => {
+    app.use(`/${directory}`, express.static(path.join(__dirname, directory)));
+});
 
 // Rate limiting
 const limiter = rateLimit({
@@ -48,6 +42,56 @@ const redditConfig = require('./config/reddit-api-config');
 // Load Twitter API configuration
 const twitterConfig = require('./config/twitter-api-config');
 
+// Shared result schema for every /api response
+const {
+    createResult,
+    createErrorResult,
+    createAccount
+} = require('./lib/result-schema');
+
+// Parallel search orchestration
+const SearchOrchestrator = require('./lib/search-orchestrator');
+const { writeSseEvent, searchStreamHandler } = require('./lib/search-stream');
+const orchestratorConfig = require('./config/orchestrator-config');
+const ProviderRegistry = require('./lib/provider-registry');
+const CredentialRegistry = require('./lib/credential-registry');
+
+// Investigation cases
+const CaseStore = require('./lib/case-store');
+const caseStore = new CaseStore(process.env.CASES_FILE || path.join(__dirname, 'data', 'cases.json'));
+
+// Relationship graph of entities across searches
+const { EntityGraph } = require('./lib/entity-graph');
+const { toGraphML, toGEXF } = require('./lib/graph-export');
+
+// Upstream response cache
+const cacheConfig = require('./config/cache-config');
+const { ResponseCache, createBackend } = require('./lib/response-cache');
+const responseCache = new ResponseCache({
+    backend: createBackend({ ...cacheConfig, directory: path.resolve(__dirname, cacheConfig.directory) }),
+    enabled: cacheConfig.enabled,
+    defaultTtl: cacheConfig.defaultTtl,
+    ttls: cacheConfig.ttls
+});
+
+// Cross-platform identity correlation
+const { correlateAccounts, hashAvatars } = require('./lib/correlation');
+const correlationConfig = require('./config/correlation-config');
+
+// Username and email candidates from a person's name
+const { generateCandidates } = require('./lib/name-permutations');
+
+// Background jobs for searches that outlive a request
+const JobQueue = require('./lib/job-queue');
+const jobConfig = require('./config/job-config');
+const jobQueue = new JobQueue(process.env.JOBS_FILE || path.join(__dirname, 'data', 'jobs.json'), jobConfig);
+
+// Watches: searches re-run on a schedule, with the changes between runs
+const WatchStore = require('./lib/watch-store');
+const WatchScheduler = require('./lib/watch-scheduler');
+const watchConfig = require('./config/watch-config');
+const watchStore = new WatchStore(process.env.WATCHES_FILE || path.join(__dirname, 'data', 'watches.json'), watchConfig);
+
 // Initialize Reddit API client
 let redditClient;
 try {
@@ -85,14 +129,6 @@ try {
     } else {
         throw new Error('No valid Twitter credentials provided. Need either OAuth 1.0a credentials or Bearer Token');
     }
-
-    // Verify the client is working
-    twitterClient.v2.me().then(() => {
-        console.log('Twitter client verified successfully');
-    }).catch((error) => {
-        console.error('Twitter client verification failed:', error.message);
-    });
-
 } catch (error) {
     console.error('Error initializing Twitter client:', error.message);
     console.error('Twitter credentials status:', {
@@ -104,221 +140,150 @@ try {
     });
 }
 
-// Helper function for SERP API requests
-async function makeSerpApiRequest(query, type = 'search', extraParams = {}) {
-    try {
-        // Log the SERP API request parameters for debugging
-        console.log('SERP API Request:', {
-            query,
-            type,
-            extraParams,
-            apiKeyPresent: !!serpConfig.apiKey
-        });
+// Search providers are plugins auto-discovered from providers/; their keys are read
+// and validated through the credential registry
+const providerRegistry = new ProviderRegistry({
+    cache: responseCache,
+    credentials: new CredentialRegistry(),
+    clients: { reddit: redditClient, twitter: twitterClient },
+    jobs: jobQueue
+}).loadDirectory(path.join(__dirname, 'providers'));
+
+const searchOrchestrator = new SearchOrchestrator({
+    ...orchestratorConfig,
+    platforms: providerRegistry.rateLimits(orchestratorConfig.platforms),
+    search: (platform, query, type, progress) => providerRegistry.search(platform, query, type, progress)
+});
 
-        const params = {
-            ...serpConfig.defaultParams,
-            engine: "google",
-            api_key: serpConfig.apiKey,
-            q: query,
-            ...extraParams
-        };
+// Validate an orchestrated search request body, returning an error message or null
+function validateSearchRequest({ query, platforms }) {
+    if (!query) {
+        return 'Query is required';
+    }
+    return validatePlatforms(platforms);
+}
 
-        const response = await getJson(params);
-        return response;
-    } catch (error) {
-        console.error('SERP API request failed:', error);
-        throw error;
+// Platform lists may only name loaded providers
+function validatePlatforms(platforms) {
+    if (!Array.isArray(platforms) || platforms.length === 0) {
+        return 'At least one platform is required';
     }
+    const unknown = platforms.filter(platform => typeof platform !== 'string' || !providerRegistry.get(platform));
+    return unknown.length > 0 ? `Unknown platforms: ${unknown.join(', ')}` : null;
 }
 
-// Helper function for platform searches
-async function handlePlatformSearch(platform, query, type) {
-    // Log the search request for debugging
-    console.log('Search Request:', { platform, query, type });
-    
-    switch(platform) {
-        case 'google':
-            try {
-                let searchResults;
-                
-                // Handle different types of searches
-                switch(type) {
-                    case 'places':
-                        searchResults = await makeSerpApiRequest(query, 'places', {
-                            engine: 'google_maps'
-                        });
-                        break;
-                        
-                    case 'geocode':
-                        searchResults = await makeSerpApiRequest(query, 'geocode', {
-                            engine: 'google_maps'
-                        });
-                        break;
-                        
-                    default:
-                        // Default web search
-                        searchResults = await makeSerpApiRequest(query);
-                        if (!searchResults) {
-                            throw new Error('No results returned from SERP API');
-                        }
-                        return {
-                            found: true,
-                            data: searchResults,
-                            url: `https://www.google.com/search?q=${encodeURIComponent(query)}`,
-                            description: `Google search results for ${query}`
-                        };
-                }
-                
-                if (!searchResults) {
-                    throw new Error('No results returned from SERP API');
-                }
-                
-                // Add URL for maps searches
-                const url = type === 'places' || type === 'geocode' 
-                    ? `https://www.google.com/maps/search/${encodeURIComponent(query)}`
-                    : `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-                
-                return {
-                    found: true,
-                    data: searchResults,
-                    url: url,
-                    description: `Google ${type} results for ${query}`
-                };
-            } catch (error) {
-                console.error('SERP API error:', error);
-                return {
-                    found: false,
-                    error: 'SERP API request failed',
-                    description: error.message,
-                    details: error.toString(),
-                    url: `https://www.google.com/search?q=${encodeURIComponent(query)}`
-                };
-            }
-            
-        case 'facebook':
-            return {
-                found: true,
-                url: `https://www.facebook.com/search/top?q=${encodeURIComponent(query)}`,
-                description: `Facebook search results for ${query}`,
-                status: 'found'
-            };
-            
-        case 'twitter':
-            return {
-                found: true,
-                url: `https://twitter.com/search?q=${encodeURIComponent(query)}`,
-                description: `Twitter search results for ${query}`,
-                status: 'found'
-            };
-            
-        case 'instagram':
-            const instagramUrl = type === 'username' 
-                ? `https://www.instagram.com/${encodeURIComponent(query)}/`
-                : `https://www.instagram.com/explore/tags/${encodeURIComponent(query)}/`;
-            return {
-                found: true,
-                url: instagramUrl,
-                description: `Instagram ${type === 'username' ? 'profile' : 'search'} for ${query}`,
-                status: 'found'
-            };
-            
-        case 'hunter':
-            try {
-                const hunterApiKey = process.env.HUNTER_API_KEY;
-                if (!hunterApiKey) {
-                    throw new Error('Hunter.io API key not configured');
-                }
-
-                let hunterUrl;
-                let hunterResponse;
-
-                if (type === 'domain') {
-                    hunterUrl = `https://api.hunter.io/v2/domain-search`;
-                    hunterResponse = await axios.get(hunterUrl, {
-                        params: {
-                            domain: query,
-                            api_key: hunterApiKey
-                        }
-                    });
-                } else if (type === 'email') {
-                    hunterUrl = `https://api.hunter.io/v2/email-verifier`;
-                    hunterResponse = await axios.get(hunterUrl, {
-                        params: {
-                            email: query,
-                            api_key: hunterApiKey
-                        }
-                    });
-                }
-
-                return {
-                    found: true,
-                    data: hunterResponse.data,
-                    url: type === 'domain' 
-                        ? `https://hunter.io/search/${encodeURIComponent(query)}`
-                        : `https://hunter.io/email-verifier/${encodeURIComponent(query)}`,
-                    description: `Hunter.io ${type} search results for ${query}`,
-                    status: 'found'
-                };
-            } catch (error) {
-                return {
-                    found: false,
-                    error: error.message,
-                    description: `Error searching Hunter.io: ${error.message}`,
-                    status: 'error'
-                };
-            }
-            
-        case 'github':
-            try {
-                const githubResponse = await fetch(`https://api.github.com/search/users?q=${encodeURIComponent(query)}`, {
-                    headers: process.env.GITHUB_API_KEY ? {
-                        'Authorization': `token ${process.env.GITHUB_API_KEY}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    } : {}
-                });
-                const data = await githubResponse.json();
-                return {
-                    found: true,
-                    data: data,
-                    url: type === 'username' 
-                        ? `https://github.com/${encodeURIComponent(query)}`
-                        : `https://github.com/search?q=${encodeURIComponent(query)}&type=users`,
-                    description: `GitHub search results for ${query}`,
-                    status: 'found'
-                };
-            } catch (error) {
-                return {
-                    found: false,
-                    error: error.message,
-                    url: `https://github.com/search?q=${encodeURIComponent(query)}&type=users`,
-                    description: `Error searching GitHub: ${error.message}`,
-                    status: 'error'
-                };
+// Orchestrated search: runs every platform in parallel and streams newline-delimited JSON events
+app.post('/api/search', async (req, res) => {
+    const validationError = validateSearchRequest(req.body);
+    if (validationError) {
+        return res.status(400).json(createErrorResult('search', validationError, validationError));
+    }
+
+    const { query, type } = req.body;
+    const platforms = [...new Set(req.body.platforms)];
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+
+    try {
+        await searchOrchestrator.run({ query, type: type || 'search', platforms }, event => {
+            if (!closed) {
+                res.write(`${JSON.stringify(event)}\n`);
             }
-            
-        case 'reddit':
-            return {
-                found: true,
-                url: type === 'username'
-                    ? `https://www.reddit.com/user/${encodeURIComponent(query)}`
-                    : `https://www.reddit.com/search/?q=${encodeURIComponent(query)}`,
-                description: `Reddit ${type === 'username' ? 'user profile' : 'search results'} for ${query}`,
-                status: 'found'
-            };
-            
-        case 'youtube':
-            return {
-                found: true,
-                url: `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`,
-                description: `YouTube search results for ${query}`,
-                status: 'found'
-            };
-            
-        default:
-            throw new Error(`Platform ${platform} not supported`);
+        });
+    } catch (error) {
+        console.error('Orchestrated search error:', error);
+        if (!closed) {
+            res.write(`${JSON.stringify({ event: 'error', error: error.message })}\n`);
+        }
+    }
+    res.end();
+});
+
+// An orchestrated search as a background job. Each finished platform is checkpointed, so a retry or a
+// restart only repeats the platforms still missing or failed; failures left after the last attempt stay
+// in the results. Cancelling stops recording, providers already running finish on their own
+jobQueue.register('search', async ({ query, type, platforms }, job) => {
+    const unique = [...new Set(platforms)];
+    const results = { ...((job.checkpoint && job.checkpoint.results) || {}) };
+    const remaining = unique.filter(platform => !results[platform] || results[platform].status === 'error');
+    const alreadyDone = unique.length - remaining.length;
+    job.progress({ completed: alreadyDone, total: unique.length, message: `Searching ${remaining.length} platforms` });
+
+    await searchOrchestrator.run({ query, type: type || 'search', platforms: remaining }, event => {
+        if (event.event === 'result') {
+            results[event.platform] = event.result;
+            job.saveCheckpoint({ results });
+            job.progress({ completed: alreadyDone + event.completed, message: `${event.platform} finished` });
+        } else if (event.event === 'provider-page') {
+            job.progress({ message: `${event.platform}: page ${event.page}${event.pages ? ` of ${event.pages}` : ''}` });
+        } else if (event.event === 'provider-rate-limit') {
+            job.progress({ message: `${event.platform} is rate limited, retrying in ${Math.ceil(event.retryInMs / 1000)}s` });
+        }
+    });
+
+    const failed = unique.filter(platform => results[platform].status === 'error');
+    if (failed.length > 0 && job.attempt < job.maxAttempts) {
+        throw new Error(`${failed.length} platform(s) failed: ${failed.join(', ')}`);
     }
+    return { query, type, platforms: unique, results: unique.map(platform => results[platform]) };
+}, { validate: validateSearchRequest });
+
+const watchScheduler = new WatchScheduler({
+    ...watchConfig,
+    store: watchStore,
+    jobs: jobQueue,
+    search: (query, type, platforms, onEvent) => searchOrchestrator.run({ query, type: type || 'search', platforms }, onEvent)
+});
+
+// Orchestrated search streamed as Server-Sent Events, for EventSource clients
+app.get('/api/search/stream', searchStreamHandler(searchOrchestrator, validateSearchRequest));
+
+// Search providers with their metadata, supported search types and credential status
+app.get('/api/providers', (req, res) => {
+    res.json(providerRegistry.list().map(provider => providerRegistry.describe(provider)));
+});
+
+// Provider health: configured, valid, remaining quota and last error per provider
+function healthReport(providers) {
+    const degraded = providers.some(provider => provider.configured && provider.valid === false);
+    return {
+        status: degraded ? 'degraded' : 'ok',
+        generatedAt: new Date().toISOString(),
+        providers
+    };
 }
 
+// GET /api/health returns the last known state, ?refresh=true validates every provider first
+app.get('/api/health', async (req, res) => {
+    try {
+        const providers = await providerRegistry.health({ refresh: req.query.refresh === 'true' });
+        res.json(healthReport(providers));
+    } catch (error) {
+        console.error('Health check error:', error);
+        res.status(500).json({ error: 'Failed to check provider health', details: error.message });
+    }
+});
+
+// Validate one provider's credentials on demand
+app.post('/api/health/:provider/check', async (req, res) => {
+    try {
+        if (!providerRegistry.get(req.params.provider)) {
+            return res.status(404).json({ error: `Provider ${req.params.provider} not found` });
+        }
+        const [provider] = await providerRegistry.health({ refresh: true, id: req.params.provider });
+        res.json(provider);
+    } catch (error) {
+        console.error('Health check error:', error);
+        res.status(500).json({ error: 'Failed to check provider health', details: error.message });
+    }
+});
+
 // Generic search endpoint for all platforms
 app.post('/api/search/:platform', async (req, res) => {
     try {
@@ -334,797 +299,549 @@ app.post('/api/search/:platform', async (req, res) => {
         });
 
         if (!query) {
-            return res.status(400).json({ error: 'Query is required' });
+            return res.status(400).json(createErrorResult(platform, 'Query is required', 'Query is required', { type }));
+        }
+
+        if (!providerRegistry.get(platform)) {
+            return res.status(404).json(createErrorResult(platform, `Platform ${platform} not supported`, `Platform ${platform} not supported`, { query, type }));
         }
 
         // Make type optional with a default value
         const searchType = type || 'search';
 
-        const result = await handlePlatformSearch(platform, query, searchType);
-        
+        const result = await providerRegistry.search(platform, query, searchType);
+
         // Log the result for debugging
         console.log('Search Result:', {
-            found: result.found,
-            hasData: !!result.data,
+            status: result.status,
+            accounts: result.accounts.length,
+            posts: result.posts.length,
+            emails: result.emails.length,
+            links: result.links.length,
             error: result.error
         });
-        
-        res.json({ ...result, query, type: searchType });
+
+        res.json(result);
     } catch (error) {
         console.error(`Error in /${req.params.platform} search:`, error);
-        res.status(500).json({ 
-            error: error.message,
-            query: req.body.query,
-            type: req.body.type,
+        res.status(500).json({
+            ...createErrorResult(req.params.platform, error.message, error, {
+                query: req.body.query,
+                type: req.body.type
+            }),
             stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
     }
 });
 
-// Hunter.io API endpoints
-app.get('/api/hunter/domain', async (req, res) => {
-    try {
-        const { domain } = req.query;
-        if (!domain) {
-            return res.status(400).json({ error: 'Domain parameter is required' });
-        }
-
-        const hunterApiKey = process.env.HUNTER_API_KEY;
-        if (!hunterApiKey) {
-            return res.status(500).json({ error: 'Hunter.io API key not configured' });
-        }
+// Provider endpoints such as /api/google/dork and /api/username/sites
+providerRegistry.mountRoutes(app);
+
+// Admin routes need ADMIN_TOKEN as a bearer token; without one configured they only answer local requests
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const authorized = adminToken
+        ? req.get('authorization') === `Bearer ${adminToken}`
+        : ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+    if (!authorized) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
 
-        const response = await axios.get(`https://api.hunter.io/v2/domain-search`, {
-            params: {
-                domain: domain,
-                api_key: hunterApiKey
-            }
-        });
+// Response cache statistics and purging
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        res.json(await responseCache.stats());
+    } catch (error) {
+        console.error('Cache stats error:', error);
+        res.status(500).json({ error: 'Failed to read cache stats', details: error.message });
+    }
+});
 
-        res.json({
-            status: 'found',
-            platform: 'hunter',
-            content: formatHunterResults(response.data),
-            url: `https://hunter.io/search/${domain}`
-        });
+// DELETE /api/admin/cache purges everything, ?provider=serpapi one provider, ?key=... a single entry
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        const { provider, key } = req.query;
+        const purged = await responseCache.purge({ provider, key });
+        res.json({ purged });
     } catch (error) {
-        console.error('Hunter.io API error:', error);
-        res.status(error.response?.status || 500).json({
-            status: 'error',
-            platform: 'hunter',
-            description: 'Failed to fetch data from Hunter.io',
-            error: error.message
-        });
+        console.error('Cache purge error:', error);
+        res.status(500).json({ error: 'Failed to purge cache', details: error.message });
     }
 });
 
-app.get('/api/hunter/email-verify', async (req, res) => {
+// Correlate accounts from any platforms; accepts { accounts } or schema { results }.
+// hashAvatars downloads profile images so identical avatars count as a signal.
+app.post('/api/correlate', async (req, res) => {
     try {
-        const { email } = req.query;
-        if (!email) {
-            return res.status(400).json({ error: 'Email parameter is required' });
+        const { results = [], hashAvatars: withAvatars = false } = req.body;
+        const accounts = [
+            ...(req.body.accounts || []),
+            ...results
+                .filter(result => result.status !== 'error')
+                .flatMap(result => (result.accounts || []).map(account => ({ platform: result.platform, ...account })))
+        ];
+        if (accounts.length < 2) {
+            return res.status(400).json(createErrorResult('correlation', 'At least two accounts are required', null, { type: 'accounts' }));
         }
-
-        const hunterApiKey = process.env.HUNTER_API_KEY;
-        if (!hunterApiKey) {
-            return res.status(500).json({ error: 'Hunter.io API key not configured' });
+        // Every pair is scored, so the work grows with the square of the account count
+        if (accounts.length > correlationConfig.maxAccounts) {
+            const message = `At most ${correlationConfig.maxAccounts} accounts can be correlated at once`;
+            return res.status(400).json(createErrorResult('correlation', message, message, { type: 'accounts' }));
         }
 
-        const response = await axios.get(`https://api.hunter.io/v2/email-verifier`, {
-            params: {
-                email: email,
-                api_key: hunterApiKey
+        const avatarHashes = withAvatars ? await hashAvatars(accounts) : new Map();
+        const correlation = correlateAccounts(accounts, { avatarHashes });
+
+        res.json(createResult({
+            platform: 'correlation',
+            query: `${accounts.length} accounts`,
+            type: 'accounts',
+            status: correlation.pairs.length > 0 ? 'found' : 'not-found',
+            accounts: correlation.accounts.map(account => createAccount(account)),
+            metrics: {
+                accounts: correlation.accounts.length,
+                pairs: correlation.pairs.length,
+                clusters: correlation.clusters.length
+            },
+            description: correlation.clusters.length > 0
+                ? `${correlation.clusters.length} group(s) of accounts probably belong to the same person`
+                : 'No accounts matched strongly enough to be grouped',
+            data: {
+                pairs: correlation.pairs,
+                clusters: correlation.clusters,
+                avatarsHashed: avatarHashes.size
             }
-        });
-
-        res.json({
-            status: 'found',
-            platform: 'hunter',
-            content: formatEmailVerification(response.data),
-            url: `https://hunter.io/email-verifier/${email}`
-        });
+        }));
     } catch (error) {
-        console.error('Hunter.io API error:', error);
-        res.status(error.response?.status || 500).json({
-            status: 'error',
-            platform: 'hunter',
-            description: 'Failed to verify email with Hunter.io',
-            error: error.message
-        });
+        console.error('Correlation error:', error);
+        res.status(500).json(createErrorResult('correlation', `Correlation failed: ${error.message}`, error, { type: 'accounts' }));
     }
 });
 
-// Helper function to format Hunter.io domain search results
-function formatHunterResults(data) {
-    const { domain, emails, pattern } = data.data;
-    let html = `
-        <div class="hunter-results">
-            <h3>Domain: ${domain}</h3>
-            ${pattern ? `<p>Email Pattern: ${pattern}</p>` : ''}
-            <h4>Found Emails:</h4>
-            <ul class="hunter-email-list">
-    `;
-
-    emails.forEach(email => {
-        html += `
-            <li>
-                <strong>${email.value}</strong><br>
-                ${email.first_name} ${email.last_name}
-                ${email.position ? `<br>Position: ${email.position}` : ''}
-                ${email.department ? `<br>Department: ${email.department}` : ''}
-            </li>
-        `;
-    });
-
-    html += `
-            </ul>
-        </div>
-    `;
-    return html;
-}
-
-// Helper function to format email verification results
-function formatEmailVerification(data) {
-    const { result } = data.data;
-    return `
-        <div class="hunter-verification">
-            <h3>Email Verification Results</h3>
-            <p><strong>Email:</strong> ${result.email}</p>
-            <p><strong>Status:</strong> ${result.status}</p>
-            <p><strong>Score:</strong> ${result.score}</p>
-            ${result.position ? `<p><strong>Position:</strong> ${result.position}</p>` : ''}
-            ${result.company ? `<p><strong>Company:</strong> ${result.company}</p>` : ''}
-            ${result.linkedin ? `<p><strong>LinkedIn:</strong> <a href="${result.linkedin}" target="_blank">Profile</a></p>` : ''}
-        </div>
-    `;
-}
+// Investigation case endpoints
+app.get('/api/cases', async (req, res) => {
+    try {
+        res.json({ cases: await caseStore.list() });
+    } catch (error) {
+        console.error('Case list error:', error);
+        res.status(500).json({ error: 'Failed to list cases', details: error.message });
+    }
+});
 
-// Add Reddit API endpoints
-app.get('/api/reddit/user/:username', async (req, res) => {
+app.post('/api/cases', async (req, res) => {
     try {
-        if (!redditClient) {
-            throw new Error('Reddit client not initialized');
+        const { name, description, tags } = req.body;
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Case name is required' });
         }
-
-        const { username } = req.params;
-        const user = await redditClient.getUser(username);
-        const userData = await Promise.all([
-            user.getOverview(),
-            user.getSubmissions(),
-            user.getComments()
-        ]);
-
-        const [overview, submissions, comments] = userData;
-
-        res.json({
-            status: 'found',
-            platform: 'reddit',
-            content: formatRedditResults({
-                overview,
-                submissions: submissions.slice(0, 10),
-                comments: comments.slice(0, 10)
-            }),
-            url: `https://www.reddit.com/user/${username}`
-        });
+        res.status(201).json(await caseStore.create({ name: String(name).trim(), description, tags }));
     } catch (error) {
-        console.error('Reddit API error:', error);
-        res.status(error.statusCode || 500).json({
-            status: 'error',
-            platform: 'reddit',
-            description: 'Failed to fetch Reddit data',
-            error: error.message
-        });
+        console.error('Case create error:', error);
+        res.status(500).json({ error: 'Failed to create case', details: error.message });
     }
 });
 
-app.get('/api/reddit/search', async (req, res) => {
+app.get('/api/cases/:id', async (req, res) => {
     try {
-        if (!redditClient) {
-            throw new Error('Reddit client not initialized');
+        const investigation = await caseStore.get(req.params.id);
+        if (!investigation) {
+            return res.status(404).json({ error: 'Case not found' });
         }
+        res.json(investigation);
+    } catch (error) {
+        console.error('Case fetch error:', error);
+        res.status(500).json({ error: 'Failed to load case', details: error.message });
+    }
+});
 
-        const { query, type } = req.query;
-        let searchResults;
-
-        if (type === 'subreddit') {
-            searchResults = await redditClient.searchSubreddits({
-                query,
-                limit: redditConfig.defaultParams.limit
-            });
-        } else {
-            searchResults = await redditClient.search({
-                query,
-                sort: redditConfig.defaultParams.sort,
-                time: redditConfig.defaultParams.time,
-                limit: redditConfig.defaultParams.limit
-            });
+app.patch('/api/cases/:id', async (req, res) => {
+    try {
+        const { name, description, tags } = req.body;
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ error: 'Case name cannot be empty' });
         }
-
-        res.json({
-            status: 'found',
-            platform: 'reddit',
-            content: formatRedditSearchResults(searchResults),
-            url: `https://www.reddit.com/search/?q=${encodeURIComponent(query)}`
-        });
+        const investigation = await caseStore.update(req.params.id, { name, description, tags });
+        if (!investigation) {
+            return res.status(404).json({ error: 'Case not found' });
+        }
+        res.json(investigation);
     } catch (error) {
-        console.error('Reddit search error:', error);
-        res.status(error.statusCode || 500).json({
-            status: 'error',
-            platform: 'reddit',
-            description: 'Failed to search Reddit',
-            error: error.message
-        });
+        console.error('Case update error:', error);
+        res.status(500).json({ error: 'Failed to update case', details: error.message });
     }
 });
 
-// Helper function to format Reddit user results
-function formatRedditResults(data) {
-    const { overview, submissions, comments } = data;
-    
-    let html = `
-        <div class="reddit-results">
-            <div class="reddit-overview">
-                <h4>User Activity Overview</h4>
-                <p>Recent Submissions: ${submissions.length}</p>
-                <p>Recent Comments: ${comments.length}</p>
-            </div>
-            
-            <div class="reddit-submissions">
-                <h4>Recent Submissions</h4>
-                <ul class="reddit-list">
-    `;
-
-    submissions.forEach(post => {
-        html += `
-            <li>
-                <a href="https://reddit.com${post.permalink}" target="_blank">
-                    ${post.title}
-                </a>
-                <span class="reddit-meta">
-                    in r/${post.subreddit.display_name} • ${post.score} points
-                </span>
-            </li>
-        `;
-    });
-
-    html += `
-                </ul>
-            </div>
-            
-            <div class="reddit-comments">
-                <h4>Recent Comments</h4>
-                <ul class="reddit-list">
-    `;
-
-    comments.forEach(comment => {
-        html += `
-            <li>
-                <div class="comment-body">${comment.body.substring(0, 200)}${comment.body.length > 200 ? '...' : ''}</div>
-                <span class="reddit-meta">
-                    in r/${comment.subreddit.display_name} • ${comment.score} points
-                </span>
-            </li>
-        `;
-    });
-
-    html += `
-                </ul>
-            </div>
-        </div>
-    `;
-    
-    return html;
-}
-
-// Helper function to format Reddit search results
-function formatRedditSearchResults(results) {
-    let html = `
-        <div class="reddit-search-results">
-            <ul class="reddit-list">
-    `;
-
-    results.forEach(item => {
-        if (item.display_name) {
-            // Subreddit result
-            html += `
-                <li>
-                    <a href="https://reddit.com/r/${item.display_name}" target="_blank">
-                        r/${item.display_name}
-                    </a>
-                    <span class="reddit-meta">
-                        ${item.subscribers.toLocaleString()} subscribers • ${item.public_description}
-                    </span>
-                </li>
-            `;
-        } else {
-            // Post result
-            html += `
-                <li>
-                    <a href="https://reddit.com${item.permalink}" target="_blank">
-                        ${item.title}
-                    </a>
-                    <span class="reddit-meta">
-                        in r/${item.subreddit.display_name} • ${item.score} points • ${item.num_comments} comments
-                    </span>
-                </li>
-            `;
+app.delete('/api/cases/:id', async (req, res) => {
+    try {
+        if (!await caseStore.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Case not found' });
         }
-    });
-
-    html += `
-            </ul>
-        </div>
-    `;
-    
-    return html;
-}
+        res.status(204).end();
+    } catch (error) {
+        console.error('Case delete error:', error);
+        res.status(500).json({ error: 'Failed to delete case', details: error.message });
+    }
+});
 
-// Twitter API endpoints
-app.get('/api/twitter/user/:username', async (req, res) => {
+app.post('/api/cases/:id/searches', async (req, res) => {
     try {
-        if (!twitterClient) {
-            throw new Error('Twitter client not initialized. Check server logs for initialization errors.');
+        const { query, type, platforms, results, parentId, pivot } = req.body;
+        if (!query) {
+            return res.status(400).json({ error: 'Query is required' });
         }
-
-        const { username } = req.params;
-        console.log('Fetching Twitter user:', username);
-        
-        // Get detailed user data
-        const user = await twitterClient.v2.userByUsername(username, {
-            'user.fields': [
-                'description',
-                'profile_image_url',
-                'public_metrics',
-                'verified',
-                'location',
-                'url',
-                'created_at',
-                'protected',
-                'pinned_tweet_id'
-            ].join(',')
-        }).catch(error => {
-            console.error('Twitter user lookup failed:', error.message);
-            throw new Error(`Failed to find Twitter user: ${error.message}`);
-        });
-
-        if (!user.data) {
-            throw new Error('User not found on Twitter');
+        const search = await caseStore.addSearch(req.params.id, { query, type, platforms, results, parentId, pivot });
+        if (!search) {
+            return res.status(404).json({ error: 'Case not found' });
         }
-
-        // Get user's tweets with more details
-        const tweets = await twitterClient.v2.userTimeline(user.data.id, {
-            max_results: 10,
-            'tweet.fields': [
-                'created_at',
-                'public_metrics',
-                'entities',
-                'context_annotations',
-                'conversation_id',
-                'attachments'
-            ].join(','),
-            'expansions': ['attachments.media_keys', 'referenced_tweets.id'],
-            'media.fields': ['url', 'preview_image_url', 'type']
-        }).catch(error => {
-            console.error('Twitter timeline fetch failed:', error.message);
-            return { data: [] };
-        });
-
-        // Format the response with precise user information
-        const formattedResponse = {
-            status: 'found',
-            platform: 'twitter',
-            content: formatTwitterResults({
-                user: {
-                    ...user.data,
-                    profile_url: `https://twitter.com/${username}`,
-                    metrics: {
-                        followers: user.data.public_metrics?.followers_count || 0,
-                        following: user.data.public_metrics?.following_count || 0,
-                        tweets: user.data.public_metrics?.tweet_count || 0
-                    },
-                    joined_date: new Date(user.data.created_at).toLocaleDateString()
-                },
-                tweets: tweets.data || []
-            }),
-            url: `https://twitter.com/${username}`,
-            metadata: {
-                isProtected: user.data.protected,
-                isVerified: user.data.verified,
-                joinDate: user.data.created_at,
-                location: user.data.location,
-                description: user.data.description,
-                metrics: user.data.public_metrics
-            }
-        };
-
-        res.json(formattedResponse);
+        res.status(201).json(search);
     } catch (error) {
-        console.error('Twitter API error:', error.message);
-        res.status(error.code || 500).json({
-            status: 'error',
-            platform: 'twitter',
-            description: error.message || 'Failed to fetch Twitter data',
-            error: error.message
-        });
+        console.error('Case search save error:', error);
+        res.status(500).json({ error: 'Failed to save search', details: error.message });
     }
 });
 
-app.get('/api/twitter/search', async (req, res) => {
+app.delete('/api/cases/:id/searches/:searchId', async (req, res) => {
     try {
-        if (!twitterClient) {
-            throw new Error('Twitter client not initialized. Check server logs for initialization errors.');
+        if (!await caseStore.removeSearch(req.params.id, req.params.searchId)) {
+            return res.status(404).json({ error: 'Search not found' });
         }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Case search delete error:', error);
+        res.status(500).json({ error: 'Failed to delete search', details: error.message });
+    }
+});
 
-        const { query, type } = req.query;
-        if (!query) {
-            throw new Error('Search query is required');
+app.post('/api/cases/:id/notes', async (req, res) => {
+    try {
+        const { text, searchId, author } = req.body;
+        if (!text || !String(text).trim()) {
+            return res.status(400).json({ error: 'Note text is required' });
         }
-
-        console.log('Twitter search:', { query, type });
-        let searchResults;
-
-        try {
-            if (type === 'user') {
-                searchResults = await twitterClient.v2.searchUsers(query, {
-                    'user.fields': twitterConfig.defaultParams.user.fields.join(','),
-                    max_results: twitterConfig.defaultParams.max_results
-                });
-            } else {
-                // Search tweets
-                searchResults = await twitterClient.v2.search(query, {
-                    'tweet.fields': twitterConfig.defaultParams.tweet.fields.join(','),
-                    max_results: twitterConfig.defaultParams.max_results
-                });
-            }
-        } catch (searchError) {
-            console.error('Twitter search failed:', searchError.message);
-            throw new Error(`Twitter search failed: ${searchError.message}`);
+        const note = await caseStore.addNote(req.params.id, { text: String(text).trim(), searchId, author });
+        if (!note) {
+            return res.status(404).json({ error: 'Case not found' });
         }
+        res.status(201).json(note);
+    } catch (error) {
+        console.error('Case note error:', error);
+        res.status(500).json({ error: 'Failed to add note', details: error.message });
+    }
+});
 
-        if (!searchResults.data || searchResults.data.length === 0) {
-            return res.json({
-                status: 'not-found',
-                platform: 'twitter',
-                content: `No results found for "${query}"`,
-                url: `https://twitter.com/search?q=${encodeURIComponent(query)}`
-            });
+app.delete('/api/cases/:id/notes/:noteId', async (req, res) => {
+    try {
+        if (!await caseStore.removeNote(req.params.id, req.params.noteId)) {
+            return res.status(404).json({ error: 'Note not found' });
         }
-
-        res.json({
-            status: 'found',
-            platform: 'twitter',
-            content: formatTwitterSearchResults(searchResults.data, type),
-            url: `https://twitter.com/search?q=${encodeURIComponent(query)}`
-        });
+        res.status(204).end();
     } catch (error) {
-        console.error('Twitter search error:', error.message);
-        res.status(error.code || 500).json({
-            status: 'error',
-            platform: 'twitter',
-            description: error.message || 'Failed to search Twitter',
-            error: error.message
-        });
+        console.error('Case note delete error:', error);
+        res.status(500).json({ error: 'Failed to delete note', details: error.message });
     }
 });
 
-// Helper function to format Twitter user and tweet results
-function formatTwitterResults(data) {
-    const { user, tweets } = data;
-    
-    let html = `
-        <div class="twitter-results">
-            <div class="twitter-user-info">
-                <div class="user-header">
-                    ${user.profile_image_url ? 
-                        `<img src="${user.profile_image_url}" alt="${user.username}" class="profile-image">` : 
-                        ''}
-                    <div class="user-names">
-                        <h4>${user.name}</h4>
-                        <span class="username">@${user.username}</span>
-                        ${user.verified ? '<span class="verified-badge" title="Verified Account">✓</span>' : ''}
-                        ${user.protected ? '<span class="protected-badge" title="Protected Account">🔒</span>' : ''}
-                    </div>
-                </div>
-                
-                <div class="user-bio">
-                    <p class="user-description">${user.description || ''}</p>
-                    ${user.location ? 
-                        `<p class="user-location"><i class="fas fa-map-marker-alt"></i> ${user.location}</p>` : 
-                        ''}
-                    <p class="user-joined"><i class="far fa-calendar-alt"></i> Joined ${user.joined_date}</p>
-                </div>
-
-                <div class="user-metrics">
-                    <span><strong>${user.metrics.followers.toLocaleString()}</strong> Followers</span>
-                    <span><strong>${user.metrics.following.toLocaleString()}</strong> Following</span>
-                    <span><strong>${user.metrics.tweets.toLocaleString()}</strong> Tweets</span>
-                </div>
-
-                <div class="user-actions">
-                    <a href="${user.profile_url}" target="_blank" class="profile-link">
-                        <i class="fab fa-twitter"></i> View Profile
-                    </a>
-                </div>
-            </div>
-
-            <div class="twitter-timeline">
-                <h4>Recent Tweets</h4>
-                <div class="tweet-list">
-    `;
-
-    if (tweets && tweets.length > 0) {
-        tweets.forEach(tweet => {
-            const metrics = tweet.public_metrics || {};
-            const hasMedia = tweet.attachments?.media_keys?.length > 0;
-            
-            html += `
-                <div class="tweet">
-                    <p class="tweet-text">${tweet.text}</p>
-                    ${hasMedia ? '<div class="tweet-media-indicator"><i class="far fa-image"></i> Media attached</div>' : ''}
-                    <div class="tweet-metadata">
-                        <span class="tweet-date">
-                            ${new Date(tweet.created_at).toLocaleDateString()}
-                        </span>
-                    </div>
-                    <div class="tweet-metrics">
-                        <span title="Likes"><i class="far fa-heart"></i> ${metrics.like_count || 0}</span>
-                        <span title="Retweets"><i class="fas fa-retweet"></i> ${metrics.retweet_count || 0}</span>
-                        <span title="Replies"><i class="far fa-comment"></i> ${metrics.reply_count || 0}</span>
-                        <span title="Quote Tweets"><i class="fas fa-quote-right"></i> ${metrics.quote_count || 0}</span>
-                    </div>
-                    <a href="https://twitter.com/twitter/status/${tweet.id}" target="_blank" class="tweet-link">
-                        View Tweet
-                    </a>
-                </div>
-            `;
-        });
+// Helper function to answer graph requests as JSON, GraphML or GEXF.
+// focus and depth return only the neighbourhood of the focus nodes (the searched identifiers by default)
+function sendGraph(res, searches, { format = 'json', types, focus, depth } = {}) {
+    let graph = EntityGraph.fromSearches(searches);
+    if (depth !== undefined && depth !== '') {
+        const focusIds = focus && focus.length > 0 ? focus : graph.searchedNodeIds();
+        graph = graph.neighbourhood(focusIds, Math.max(0, parseInt(depth, 10) || 0));
+    }
+    graph = graph.filterTypes(types);
+
+    if (format === 'graphml') {
+        res.attachment('osint-graph.graphml').type('application/graphml+xml').send(toGraphML(graph));
+    } else if (format === 'gexf') {
+        res.attachment('osint-graph.gexf').type('application/gexf+xml').send(toGEXF(graph));
+    } else if (format === 'json') {
+        res.json(graph.toJSON());
     } else {
-        html += `
-            <div class="no-tweets">
-                <p>No recent tweets available</p>
-            </div>
-        `;
+        res.status(400).json({ error: `Unknown graph format: ${format}` });
     }
+}
 
-    html += `
-                </div>
-            </div>
-        </div>
-    `;
-    
-    return html;
+function listParam(value) {
+    if (Array.isArray(value)) return value;
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined;
 }
 
-// Helper function to format Twitter search results
-function formatTwitterSearchResults(results, type) {
-    let html = `
-        <div class="twitter-search-results">
-    `;
-
-    if (type === 'user') {
-        html += `<div class="user-results">`;
-        results.forEach(user => {
-            html += `
-                <div class="user-card">
-                    ${user.profile_image_url ? 
-                        `<img src="${user.profile_image_url}" alt="${user.username}" class="profile-image">` : 
-                        ''}
-                    <div class="user-info">
-                        <h4>${user.name}</h4>
-                        <span class="username">@${user.username}</span>
-                        ${user.verified ? '<span class="verified-badge">✓</span>' : ''}
-                        <p class="user-description">${user.description || ''}</p>
-                    </div>
-                    <a href="https://twitter.com/${user.username}" target="_blank" class="profile-link">
-                        View Profile
-                    </a>
-                </div>
-            `;
+// Graph of every search saved in a case
+app.get('/api/cases/:id/graph', async (req, res) => {
+    try {
+        const investigation = await caseStore.get(req.params.id);
+        if (!investigation) {
+            return res.status(404).json({ error: 'Case not found' });
+        }
+        sendGraph(res, investigation.searches, {
+            format: req.query.format,
+            types: listParam(req.query.types),
+            focus: listParam(req.query.focus),
+            depth: req.query.depth
         });
-        html += `</div>`;
-    } else {
-        html += `<div class="tweet-results">`;
-        results.forEach(tweet => {
-            html += `
-                <div class="tweet">
-                    <p class="tweet-text">${tweet.text}</p>
-                    <div class="tweet-metrics">
-                        <span><i class="far fa-heart"></i> ${tweet.public_metrics?.like_count || 0}</span>
-                        <span><i class="fas fa-retweet"></i> ${tweet.public_metrics?.retweet_count || 0}</span>
-                        <span><i class="far fa-comment"></i> ${tweet.public_metrics?.reply_count || 0}</span>
-                    </div>
-                    <a href="https://twitter.com/twitter/status/${tweet.id}" target="_blank" class="tweet-link">
-                        View Tweet
-                    </a>
-                </div>
-            `;
+    } catch (error) {
+        console.error('Case graph error:', error);
+        res.status(500).json({ error: 'Failed to build graph', details: error.message });
+    }
+});
+
+// Graph of searches sent by the client, for results that are not saved in a case
+app.post('/api/graph', (req, res) => {
+    const { searches, format, types, focus, depth } = req.body;
+    if (!Array.isArray(searches)) {
+        return res.status(400).json({ error: 'searches must be an array of { id, query, type, results }' });
+    }
+    try {
+        sendGraph(res, searches, {
+            format,
+            types: listParam(types),
+            focus: listParam(focus),
+            depth: depth === undefined || depth === null ? undefined : String(depth)
         });
-        html += `</div>`;
+    } catch (error) {
+        console.error('Graph error:', error);
+        res.status(500).json({ error: 'Failed to build graph', details: error.message });
     }
+});
 
-    html += `</div>`;
-    return html;
-}
+// Ranked username and email candidates for a name: { name, birthYear?, nicknames?, domains?, limit? }.
+// nicknames and domains may be arrays or comma separated strings
+app.post('/api/names/candidates', (req, res) => {
+    const { name, birthYear, nicknames, domains, limit } = req.body;
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    try {
+        res.json(generateCandidates({ name, birthYear, nicknames, domains, limit }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-// Helper endpoint to find Twitter users by email or phone
-app.get('/api/twitter/find-by-contact', async (req, res) => {
+// Background jobs: { kind, payload, maxAttempts? }. The only built-in kind is search with
+// { query, type, platforms }; providers register their own, such as reddit-user
+app.post('/api/jobs', async (req, res) => {
+    const { kind, payload, maxAttempts } = req.body;
+    if (!kind) {
+        return res.status(400).json({ error: 'kind is required' });
+    }
     try {
-        if (!twitterClient) {
-            throw new Error('Twitter client not initialized. Check server logs for initialization errors.');
+        const { job, error } = await jobQueue.enqueue(kind, payload, { maxAttempts: parseInt(maxAttempts, 10) || undefined });
+        if (error) {
+            return res.status(400).json({ error });
         }
+        res.status(202).json(jobQueue.summarize(job));
+    } catch (error) {
+        console.error('Job enqueue error:', error);
+        res.status(500).json({ error: 'Failed to queue job', details: error.message });
+    }
+});
 
-        const { email, phone } = req.query;
-        
-        if (!email && !phone) {
-            throw new Error('Either email or phone number is required');
-        }
+app.get('/api/jobs', async (req, res) => {
+    try {
+        res.json({ jobs: await jobQueue.list({ state: req.query.state, kind: req.query.kind }) });
+    } catch (error) {
+        console.error('Job list error:', error);
+        res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+    }
+});
 
-        let searchResults = [];
-        let searchQuery = '';
-
-        // Build search query based on available information
-        if (email) {
-            // Remove @ and domain parts for better matching
-            const username = email.split('@')[0];
-            searchQuery = username;
-        } else if (phone) {
-            // Clean phone number format
-            const cleanPhone = phone.replace(/[^0-9]/g, '');
-            searchQuery = cleanPhone;
+// Poll a job; the result is included once it has finished
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
         }
+        const { checkpoint, ...details } = job;
+        res.json(details);
+    } catch (error) {
+        console.error('Job load error:', error);
+        res.status(500).json(createErrorResult('jobs', `Failed to load job: ${error.message}`, error, { query: req.params.id, type: 'job' }));
+    }
+});
 
-        // Search for users with similar usernames or display names
-        const users = await twitterClient.v2.searchUsers(searchQuery, {
-            'user.fields': [
-                'description',
-                'profile_image_url',
-                'public_metrics',
-                'verified',
-                'location',
-                'url',
-                'created_at',
-                'protected'
-            ].join(','),
-            max_results: 10
-        });
+// Subscribe to a job as Server-Sent Events: a job event on every change and a done event
+// with the result once it finishes
+app.get('/api/jobs/:id/events', async (req, res) => {
+    let job;
+    try {
+        job = await jobQueue.get(req.params.id);
+    } catch (error) {
+        console.error('Job load error:', error);
+        return res.status(500).json(createErrorResult('jobs', `Failed to load job: ${error.message}`, error, { query: req.params.id, type: 'job' }));
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-        if (!users.data || users.data.length === 0) {
-            return res.json({
-                status: 'not-found',
-                platform: 'twitter',
-                message: 'No Twitter accounts found that might be associated with the provided contact information.',
-                searchTerm: searchQuery
-            });
-        }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const finish = () => {
+        const { checkpoint, ...details } = job;
+        writeSseEvent(res, 'done', details);
+        cleanup();
+        res.end();
+    };
+    const onUpdate = (summary) => {
+        if (summary.id !== job.id) return;
+        writeSseEvent(res, 'job', summary);
+        if (jobQueue.isFinished(job)) finish();
+    };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobQueue.off('update', onUpdate);
+    };
+    res.on('close', cleanup);
+
+    writeSseEvent(res, 'job', jobQueue.summarize(job));
+    if (jobQueue.isFinished(job)) {
+        finish();
+    } else {
+        jobQueue.on('update', onUpdate);
+    }
+});
 
-        // Format and score the results
-        const scoredResults = users.data.map(user => {
-            let score = 0;
-            const userData = {
-                ...user,
-                matchScore: 0,
-                matchReason: []
-            };
-
-            // Score based on username match
-            if (email) {
-                const emailUsername = email.split('@')[0].toLowerCase();
-                if (user.username.toLowerCase().includes(emailUsername)) {
-                    score += 5;
-                    userData.matchReason.push('Username matches email pattern');
-                }
-                if (user.description && user.description.toLowerCase().includes(emailUsername)) {
-                    score += 2;
-                    userData.matchReason.push('Description contains email pattern');
-                }
-            }
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await jobQueue.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(jobQueue.summarize(job));
+    } catch (error) {
+        console.error('Job cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel job', details: error.message });
+    }
+});
 
-            if (phone) {
-                const cleanPhone = phone.replace(/[^0-9]/g, '');
-                if (user.description && user.description.includes(cleanPhone.slice(-4))) {
-                    score += 3;
-                    userData.matchReason.push('Description contains phone number pattern');
-                }
-            }
+app.get('/api/watches', async (req, res) => {
+    try {
+        res.json({ watches: await watchStore.list() });
+    } catch (error) {
+        console.error('Watch list error:', error);
+        res.status(500).json({ error: 'Failed to list watches', details: error.message });
+    }
+});
 
-            userData.matchScore = score;
-            return userData;
+// Create a watch: { name?, query, type, platforms, schedule? }. The first run only records a baseline
+app.post('/api/watches', async (req, res) => {
+    const { name, query, type, platforms, schedule = watchConfig.defaultSchedule } = req.body;
+    const validationError = validateSearchRequest({ query, platforms }) || watchScheduler.validateSchedule(schedule);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const watch = await watchStore.create({
+            name: name && String(name).trim(),
+            query: String(query).trim(),
+            type: type || 'search',
+            platforms: [...new Set(platforms)],
+            schedule,
+            nextRunAt: watchScheduler.nextRun(schedule)
         });
+        await watchScheduler.runNow(watch.id);
+        res.status(201).json(watchStore.summarize(await watchStore.get(watch.id)));
+    } catch (error) {
+        console.error('Watch create error:', error);
+        res.status(500).json({ error: 'Failed to create watch', details: error.message });
+    }
+});
 
-        // Sort by match score
-        scoredResults.sort((a, b) => b.matchScore - a.matchScore);
-
-        // Filter out low-confidence matches
-        const filteredResults = scoredResults.filter(result => result.matchScore > 0);
-
-        res.json({
-            status: 'found',
-            platform: 'twitter',
-            content: formatContactSearchResults(filteredResults),
-            url: `https://twitter.com/search?q=${encodeURIComponent(searchQuery)}`,
-            metadata: {
-                searchTerm: searchQuery,
-                totalResults: filteredResults.length,
-                searchType: email ? 'email' : 'phone'
-            }
-        });
+// Change events of every watch, newest first
+app.get('/api/watches/timeline', async (req, res) => {
+    try {
+        res.json({ events: await watchStore.timeline({ limit: parseInt(req.query.limit, 10) || undefined }) });
+    } catch (error) {
+        console.error('Watch timeline error:', error);
+        res.status(500).json({ error: 'Failed to load the watch timeline', details: error.message });
+    }
+});
 
+// A watch with its runs and events; snapshots stay on the server
+app.get('/api/watches/:id', async (req, res) => {
+    try {
+        const watch = await watchStore.get(req.params.id);
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        const { snapshots, ...details } = watch;
+        res.json(details);
     } catch (error) {
-        console.error('Twitter contact search error:', error.message);
-        res.status(error.code || 500).json({
-            status: 'error',
-            platform: 'twitter',
-            description: error.message || 'Failed to search Twitter accounts',
-            error: error.message
+        console.error('Watch fetch error:', error);
+        res.status(500).json({ error: 'Failed to load watch', details: error.message });
+    }
+});
+
+// Rename, change platforms or schedule, or pause and resume a watch
+app.patch('/api/watches/:id', async (req, res) => {
+    const { name, platforms, schedule, enabled } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({ error: 'Watch name cannot be empty' });
+    }
+    const platformsError = platforms !== undefined ? validatePlatforms(platforms) : null;
+    if (platformsError) {
+        return res.status(400).json({ error: platformsError });
+    }
+    const scheduleError = schedule !== undefined ? watchScheduler.validateSchedule(schedule) : null;
+    if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+    }
+    try {
+        const existing = await watchStore.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        const watch = await watchStore.update(req.params.id, {
+            name: name !== undefined ? String(name).trim() : undefined,
+            platforms: platforms && [...new Set(platforms)],
+            schedule,
+            enabled: enabled !== undefined ? Boolean(enabled) : undefined,
+            // A new schedule or a resumed watch counts from now rather than from a run missed while paused
+            nextRunAt: schedule !== undefined || enabled ? watchScheduler.nextRun(schedule || existing.schedule) : undefined
         });
+        res.json(watchStore.summarize(watch));
+    } catch (error) {
+        console.error('Watch update error:', error);
+        res.status(500).json({ error: 'Failed to update watch', details: error.message });
     }
 });
 
-// Helper function to format contact search results
-function formatContactSearchResults(results) {
-    let html = `
-        <div class="twitter-contact-search-results">
-            <h4>Potential Twitter Accounts Found</h4>
-            ${results.length === 0 ? 
-                '<p class="no-results">No matching Twitter accounts found.</p>' :
-                '<div class="results-list">'
-            }
-    `;
-
-    results.forEach(user => {
-        html += `
-            <div class="user-card ${user.matchScore > 5 ? 'high-confidence' : 'medium-confidence'}">
-                <div class="user-header">
-                    ${user.profile_image_url ? 
-                        `<img src="${user.profile_image_url}" alt="${user.username}" class="profile-image">` : 
-                        ''}
-                    <div class="user-names">
-                        <h4>${user.name}</h4>
-                        <span class="username">@${user.username}</span>
-                        ${user.verified ? '<span class="verified-badge" title="Verified Account">✓</span>' : ''}
-                        ${user.protected ? '<span class="protected-badge" title="Protected Account">🔒</span>' : ''}
-                    </div>
-                </div>
-                
-                <div class="user-bio">
-                    <p class="user-description">${user.description || ''}</p>
-                    ${user.location ? 
-                        `<p class="user-location"><i class="fas fa-map-marker-alt"></i> ${user.location}</p>` : 
-                        ''}
-                    <p class="user-joined"><i class="far fa-calendar-alt"></i> Joined ${new Date(user.created_at).toLocaleDateString()}</p>
-                </div>
-
-                <div class="match-info">
-                    <p class="confidence-score">Match Confidence: ${user.matchScore > 5 ? 'High' : 'Medium'}</p>
-                    <ul class="match-reasons">
-                        ${user.matchReason.map(reason => `<li>${reason}</li>`).join('')}
-                    </ul>
-                </div>
-
-                <div class="user-metrics">
-                    <span><strong>${user.public_metrics?.followers_count?.toLocaleString() || 0}</strong> Followers</span>
-                    <span><strong>${user.public_metrics?.following_count?.toLocaleString() || 0}</strong> Following</span>
-                    <span><strong>${user.public_metrics?.tweet_count?.toLocaleString() || 0}</strong> Tweets</span>
-                </div>
-
-                <div class="user-actions">
-                    <a href="https://twitter.com/${user.username}" target="_blank" class="profile-link">
-                        <i class="fab fa-twitter"></i> View Profile
-                    </a>
-                </div>
-            </div>
-        `;
-    });
+app.delete('/api/watches/:id', async (req, res) => {
+    try {
+        const watch = await watchStore.get(req.params.id);
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        if (watch.jobId) await jobQueue.cancel(watch.jobId);
+        await watchStore.remove(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Watch delete error:', error);
+        res.status(500).json({ error: 'Failed to delete watch', details: error.message });
+    }
+});
 
-    html += results.length > 0 ? '</div>' : '';
-    html += `
-        <div class="search-disclaimer">
-            <p><i class="fas fa-info-circle"></i> Note: These results are based on publicly available information and pattern matching. The actual account ownership cannot be verified through the API.</p>
-        </div>
-    </div>`;
-    
-    return html;
-}
+// Run a watch now, outside its schedule; answers with the job
+app.post('/api/watches/:id/run', async (req, res) => {
+    try {
+        const job = await watchScheduler.runNow(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        res.status(202).json(jobQueue.summarize(job));
+    } catch (error) {
+        console.error('Watch run error:', error);
+        res.status(500).json({ error: 'Failed to run watch', details: error.message });
+    }
+});
 
 // Catch-all route to serve index.html for any non-API routes
 app.get('*', (req, res) => {
@@ -1139,6 +856,11 @@ app.use((err, req, res, next) => {
     res.status(500).json({ error: 'Something went wrong!' });
 });
 
+// Jobs left unfinished by the last run pick up again once every job kind is registered
+jobQueue.start().then(() => watchScheduler.start()).catch(error => {
+    console.error('Failed to start the job queue:', error);
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -1150,4 +872,17 @@ app.listen(PORT, () => {
         hasApiKey: !!serpConfig.apiKey,
         defaultParams: serpConfig.defaultParams
     });
-}); 
\ No newline at end of file
+
+    // Validate provider credentials in the background; /api/health reports the outcome
+    providerRegistry.health({ refresh: true }).then(providers => {
+        providers.forEach(provider => {
+            if (!provider.configured) {
+                console.warn(`Provider ${provider.id}: not configured (missing ${provider.missing.join(', ')})`);
+            } else if (provider.valid === false) {
+                console.error(`Provider ${provider.id}: credential check failed: ${provider.lastError}`);
+            } else {
+                console.log(`Provider ${provider.id}: ${provider.valid ? 'credentials valid' : 'ready'}`);
+            }
+        });
+    });
+}); 
\ No newline at end of file
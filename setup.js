@@ -27,6 +27,10 @@ const apiInstructions = {
     WHATSAPP: {
         url: 'https://business.whatsapp.com/products/business-platform',
         instructions: 'Set up WhatsApp Business API'
+    },
+    UPI: {
+        url: 'https://www.npci.org.in/what-we-do/upi/product-overview',
+        instructions: 'Get an API key from a UPI handle verification provider'
     }
 };
 
@@ -63,11 +67,14 @@ NODE_ENV=development\n\n`;
     const countryCode = await askQuestion('Enter default country code (e.g., IN): ');
 
     envContent += `\n# API Endpoints
+TRUECALLER_API_ENDPOINT=https://api4.truecaller.com/v1
 WHATSAPP_API_ENDPOINT=https://graph.facebook.com/v17.0
 UPI_API_ENDPOINT=https://api.upi.system/v1\n
 # Additional Configuration
 WHATSAPP_BUSINESS_ACCOUNT_ID=${whatsappBusinessId || 'your_whatsapp_business_account_id'}
-COUNTRY_CODE=${countryCode || 'IN'}\n`;
+COUNTRY_CODE=${countryCode || 'IN'}
+# MX, SPF and DMARC lookups in email analysis
+EMAIL_DNS_LOOKUPS=false\n`;
 
     // Write to .env file
     fs.writeFileSync(envPath, envContent);
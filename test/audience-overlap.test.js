@@ -0,0 +1,48 @@
+// Audience overlap on small hand-made follower lists
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeOverlap, jaccard } = require('../lib/audience-overlap');
+
+const lists = {
+    alice: { id: 'a', followers: ['1', '2', '3', 'b'], following: ['2', '4', 'b'] },
+    bob: { id: 'b', followers: ['2', '3', 'a'], following: ['3', '5'] },
+    carol: { id: 'c', followers: ['3', '6'], following: [] }
+};
+const users = {
+    2: { username: 'bakery', name: 'Local Bakery', followers: 0 },
+    3: { username: 'celebrity', name: 'Celebrity', followers: 990, verified: true }
+};
+
+test('jaccard counts the intersection and union of two sets', () => {
+    assert.deepEqual(jaccard(new Set([1, 2, 3]), new Set([2, 3, 4, 5])), { intersection: 2, union: 5, jaccard: 0.4 });
+    assert.deepEqual(jaccard(new Set(), new Set()), { intersection: 0, union: 0, jaccard: 0 });
+});
+
+test('pairs are ranked by similarity and regions count ids per combination of accounts', () => {
+    const { accounts, followers } = computeOverlap(lists, users);
+    assert.deepEqual(accounts, ['alice', 'bob', 'carol']);
+    assert.deepEqual(followers.sizes, { alice: 4, bob: 3, carol: 2 });
+    assert.deepEqual(followers.pairs.map(pair => [pair.accounts.join('-'), pair.jaccard]),
+        [['alice-bob', 0.4], ['bob-carol', 0.25], ['alice-carol', 0.2]]);
+    assert.equal(followers.sharedByAll, 1);
+    assert.deepEqual(followers.regions, { 0: 2, '0+1': 1, '0+1+2': 1, 1: 1, 2: 1 });
+});
+
+test('shared accounts leave out the compared accounts and rank small ones first', () => {
+    const { shared, sharedTotal } = computeOverlap(lists, users);
+    assert.equal(sharedTotal, 2);
+    assert.deepEqual(shared.map(user => user.username), ['bakery', 'celebrity']);
+    assert.deepEqual(shared[0].relations, { alice: 'both', bob: 'follower' });
+    assert.deepEqual(shared[1].relations, { alice: 'follower', bob: 'both', carol: 'follower' });
+    assert.equal(shared[0].score, 2.5);
+    assert.equal(shared[1].score, 1.167);
+    assert.equal(shared[1].verified, true);
+});
+
+test('direct follows between the compared accounts are listed and the shared list honours the limit', () => {
+    const overlap = computeOverlap(lists, {}, { limit: 1 });
+    assert.deepEqual(overlap.direct, [{ from: 'alice', to: 'bob' }]);
+    assert.equal(overlap.shared.length, 1);
+    assert.equal(overlap.sharedTotal, 2);
+    assert.equal(overlap.shared[0].username, null);
+});
@@ -0,0 +1,149 @@
+// Bulk search in a vm context: parsing uploads into typed rows, and running them into the result matrix
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// fields holds the filter inputs the matrix reads, by element id. Result cards escape through
+// createElement, so the fake element serialises text the way innerHTML does
+function loadBulk(fields = {}) {
+    const document = {
+        getElementById: id => ({ value: fields[id] || '' }),
+        createElement: () => {
+            let text = '';
+            return {
+                set textContent(value) {
+                    text = String(value);
+                },
+                get innerHTML() {
+                    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                }
+            };
+        }
+    };
+    const PlatformConfig = { providers: [{ id: 'github' }, { id: 'reddit' }, { id: 'twitter' }] };
+    const context = vm.createContext({ document, console, PlatformConfig, setTimeout, clearTimeout });
+    const source = ['utils.js', 'renderers.js', 'os-int.js', 'bulk.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', 'Javascript', file), 'utf8'))
+        .join('\n');
+    vm.runInContext(`${source}\nUtils.showNotification = () => {};\nthis.BulkSearch = BulkSearch;\nthis.OSINTEngine = OSINTEngine;`, context);
+    return context;
+}
+
+// A BulkSearch without its DOM bindings; render and save are no-ops
+function bulkSearch(context, job = null) {
+    return Object.assign(Object.create(context.BulkSearch.prototype), {
+        engine: new context.OSINTEngine(),
+        job,
+        running: false,
+        paused: false,
+        cancelWait: null,
+        render: () => {},
+        save: () => {},
+        setStatus: () => {}
+    });
+}
+
+// Plain copies, since vm objects come from another realm
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('rows come from CSV, semicolon, tab separated or plain lists, with quoted cells', () => {
+    const { BulkSearch } = loadBulk();
+    const rows = plain(BulkSearch.parseRows('a,b\r\n"c, d";"say ""hi"""\n\n\te\t\n"multi\nline",x'));
+    assert.deepEqual(rows, [
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['c, d', 'say "hi"'] },
+        { line: 4, cells: ['', 'e', ''] },
+        { line: 5, cells: ['multi\nline', 'x'] }
+    ]);
+});
+
+test('each identifier type is detected with the search validators', () => {
+    const { BulkSearch } = loadBulk();
+    assert.equal(BulkSearch.detectType('jane@example.com'), 'email');
+    assert.equal(BulkSearch.detectType('+1 415 555 0100'), 'phone');
+    assert.equal(BulkSearch.detectType('example.com'), 'domain');
+    assert.equal(BulkSearch.detectType('jane_doe'), 'username');
+    assert.equal(BulkSearch.detectType('Jane Doe'), 'name');
+    assert.equal(BulkSearch.detectType('<script>'), null);
+});
+
+test('a header type column, a type cell or a forced type decide the type, and duplicates are skipped', () => {
+    const context = loadBulk();
+    const bulk = bulkSearch(context);
+
+    const withHeader = plain(bulk.buildRows('type,identifier\nusername,jane_doe\nemail,not-an-email\nusername,JANE_DOE'));
+    assert.equal(withHeader.duplicates, 1);
+    assert.deepEqual(withHeader.rows.map(row => [row.line, row.value, row.type, row.status, row.error]), [
+        [2, 'jane_doe', 'username', 'pending', null],
+        [3, 'not-an-email', 'email', 'invalid', 'Not a valid email']
+    ]);
+
+    const typeCells = plain(bulk.buildRows('jane@example.com\nphone;+44 20 7946 0958\n???'));
+    assert.deepEqual(typeCells.rows.map(row => [row.value, row.type, row.status]), [
+        ['jane@example.com', 'email', 'pending'],
+        ['+44 20 7946 0958', 'phone', 'pending'],
+        ['???', null, 'invalid']
+    ]);
+
+    // Without the forced type single names would read as usernames
+    const forced = plain(bulk.buildRows('Prince\nCher', 'name'));
+    assert.deepEqual(forced.rows.map(row => [row.type, row.status]), [['name', 'pending'], ['name', 'pending']]);
+    assert.equal(context.BulkSearch.detectType('Prince'), 'username');
+});
+
+test('a run searches pending rows into one identifier by platform matrix', async () => {
+    const context = loadBulk();
+    const bulk = bulkSearch(context, {
+        source: 'test',
+        delay: 0,
+        platforms: { username: ['github', 'reddit'], email: [], phone: [], name: [], domain: [] },
+        rows: plain(bulkSearch(context).buildRows('jane_doe\njohn_roe\nfail_me\njane@example.com\n???').rows)
+    });
+    const searched = [];
+    bulk.engine.fetchSearch = async (query, type, platforms, onEvent) => {
+        searched.push(query);
+        if (query === 'fail_me') throw new Error('Search stream failed');
+        platforms.forEach(platform => onEvent({
+            event: 'result',
+            platform,
+            result: { platform, status: platform === 'github' && query === 'jane_doe' ? 'found' : 'not-found', url: `https://${platform}.example/${query}` }
+        }));
+        onEvent({ event: 'done' });
+    };
+    await bulk.run();
+
+    assert.deepEqual(searched, ['jane_doe', 'john_roe', 'fail_me']);
+    assert.deepEqual(plain(bulk.job.rows.map(row => [row.value, row.status, row.error])), [
+        ['jane_doe', 'done', null],
+        ['john_roe', 'done', null],
+        ['fail_me', 'error', 'Search stream failed'],
+        ['jane@example.com', 'error', 'No selected platform searches email'],
+        ['???', 'invalid', 'Type could not be detected']
+    ]);
+    assert.deepEqual(plain(bulk.job.rows[0].results.github), { status: 'found', description: 'Search completed on github', url: 'https://github.example/jane_doe' });
+    assert.deepEqual(plain(bulk.platformColumns()), ['github', 'reddit']);
+    assert.equal(bulk.running, false);
+
+    // Failed rows go back in the queue, and only they are searched again
+    bulk.retryFailed();
+    searched.length = 0;
+    await bulk.run();
+    assert.deepEqual(searched, ['fail_me']);
+});
+
+test('the matrix filters by identifier, type and where a row was found', () => {
+    const rows = [
+        { value: 'jane_doe', type: 'username', status: 'done', results: { github: { status: 'found' }, reddit: { status: 'not-found' } } },
+        { value: 'john_roe', type: 'username', status: 'done', results: { reddit: { status: 'found' } } },
+        { value: 'jane@example.com', type: 'email', status: 'done', results: { twitter: { status: 'not-found' } } }
+    ];
+    const filtered = fields => plain(bulkSearch(loadBulk(fields), { rows }).filteredRows().map(row => row.value));
+    assert.deepEqual(filtered({}), ['jane_doe', 'john_roe', 'jane@example.com']);
+    assert.deepEqual(filtered({ bulkFilterText: 'JANE' }), ['jane_doe', 'jane@example.com']);
+    assert.deepEqual(filtered({ bulkFilterType: 'email' }), ['jane@example.com']);
+    assert.deepEqual(filtered({ bulkFilterFound: '*' }), ['jane_doe', 'john_roe']);
+    assert.deepEqual(filtered({ bulkFilterFound: 'reddit' }), ['john_roe']);
+    assert.deepEqual(plain(bulkSearch(loadBulk(), { rows }).platformColumns()), ['github', 'reddit', 'twitter']);
+});
@@ -0,0 +1,91 @@
+// Case store: cases, searches and notes on disk, and the chained atomic writes behind them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CaseStore = require('../lib/case-store');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const onDisk = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('a missing file is an empty store', async (t) => {
+    const store = new CaseStore(path.join(tempDir(t), 'cases.json'));
+    assert.deepEqual(await store.list(), []);
+    assert.equal(await store.get('missing'), null);
+});
+
+test('cases are created, updated and deleted on disk', async (t) => {
+    const filePath = path.join(tempDir(t), 'nested', 'cases.json');
+    const store = new CaseStore(filePath);
+    const created = await store.create({ name: 'Alice', tags: ' Fraud, fraud ,urgent,' });
+    assert.deepEqual(created.tags, ['fraud', 'urgent']);
+    assert.equal(onDisk(filePath).version, 1);
+    assert.equal(onDisk(filePath).cases[0].name, 'Alice');
+
+    const updated = await store.update(created.id, { description: 'Leads on Alice', tags: ['Leads'] });
+    assert.equal(updated.description, 'Leads on Alice');
+    assert.deepEqual(updated.tags, ['leads']);
+    assert.equal(updated.name, 'Alice');
+    assert.equal(await store.update('missing', { name: 'x' }), null);
+
+    // A fresh store reads back what was written
+    const reloaded = new CaseStore(filePath);
+    assert.deepEqual(await reloaded.get(created.id), updated);
+
+    assert.equal(await store.remove(created.id), true);
+    assert.equal(await store.remove(created.id), false);
+    assert.deepEqual(onDisk(filePath).cases, []);
+});
+
+test('searches and notes belong to a case and are counted in its summary', async (t) => {
+    const store = new CaseStore(path.join(tempDir(t), 'cases.json'));
+    const investigation = await store.create({ name: 'Bob' });
+    const search = await store.addSearch(investigation.id, { query: 'bob', type: 'username', platforms: ['github'] });
+    const pivot = await store.addSearch(investigation.id, { query: 'bob@example.com', type: 'email', parentId: search.id, pivot: { type: 'email' } });
+    const note = await store.addNote(investigation.id, { text: 'Same avatar everywhere', searchId: search.id });
+    assert.equal(pivot.parentId, search.id);
+    assert.equal(await store.addNote('missing', { text: 'x' }), null);
+
+    let [summary] = await store.list();
+    assert.equal(summary.searchCount, 2);
+    assert.equal(summary.noteCount, 1);
+    assert.equal(summary.searches, undefined);
+
+    assert.equal(await store.removeSearch(investigation.id, pivot.id), true);
+    assert.equal(await store.removeSearch(investigation.id, pivot.id), false);
+    assert.equal(await store.removeNote(investigation.id, note.id), true);
+    [summary] = await store.list();
+    assert.deepEqual([summary.searchCount, summary.noteCount], [1, 0]);
+});
+
+test('concurrent writes land in order and leave no temporary file behind', async (t) => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'cases.json');
+    const store = new CaseStore(filePath);
+    const cases = await Promise.all(Array.from({ length: 10 }, (_, i) => store.create({ name: `Case ${i}` })));
+    await Promise.all(cases.map(investigation => store.addNote(investigation.id, { text: 'checked' })));
+
+    const saved = onDisk(filePath).cases;
+    assert.deepEqual(saved.map(investigation => investigation.name), cases.map(investigation => investigation.name));
+    assert.ok(saved.every(investigation => investigation.notes.length === 1));
+    assert.deepEqual(fs.readdirSync(dir), ['cases.json']);
+});
+
+test('a failed write does not block the writes after it', async (t) => {
+    const dir = tempDir(t);
+    // A file where the store's directory should be makes the first write fail
+    fs.writeFileSync(path.join(dir, 'store'), '');
+    const store = new CaseStore(path.join(dir, 'store', 'cases.json'));
+    store.cases = [];
+
+    await assert.rejects(store.create({ name: 'Lost write' }));
+    fs.rmSync(path.join(dir, 'store'));
+    await store.create({ name: 'Kept' });
+    assert.deepEqual(onDisk(path.join(dir, 'store', 'cases.json')).cases.map(investigation => investigation.name), ['Lost write', 'Kept']);
+});
@@ -0,0 +1,60 @@
+// Concurrency helpers: limiters, timeouts and ordered mapping
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency, createLimiter, withTimeout, TimeoutError, sleep } = require('../lib/concurrency');
+
+// A task that records how many tasks run at once
+function tracker() {
+    const state = { active: 0, peak: 0 };
+    state.task = (value, ms = 5) => async () => {
+        state.active++;
+        state.peak = Math.max(state.peak, state.active);
+        await sleep(ms);
+        state.active--;
+        return value;
+    };
+    return state;
+}
+
+test('a limiter never runs more tasks at once than its limit and resolves each with its own value', async () => {
+    const limit = createLimiter(2);
+    const state = tracker();
+    const pending = [1, 2, 3, 4, 5].map(value => limit(state.task(value)));
+    assert.deepEqual(limit.stats(), { active: 2, queued: 3, limit: 2 });
+    assert.deepEqual(await Promise.all(pending), [1, 2, 3, 4, 5]);
+    assert.equal(state.peak, 2);
+    assert.deepEqual(limit.stats(), { active: 0, queued: 0, limit: 2 });
+});
+
+test('a failing task rejects for its caller and frees its slot', async () => {
+    const limit = createLimiter(1);
+    const failing = limit(async () => {
+        throw new Error('boom');
+    });
+    const next = limit(async () => 'next');
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'next');
+});
+
+test('withTimeout passes through results and errors that come in time', async () => {
+    assert.equal(await withTimeout(sleep(5).then(() => 'done'), 1000), 'done');
+    await assert.rejects(withTimeout(Promise.reject(new Error('upstream')), 1000), /upstream/);
+});
+
+test('withTimeout rejects with a TimeoutError when the promise is too slow', async () => {
+    const never = new Promise(() => {});
+    await assert.rejects(withTimeout(never, 10), error => {
+        assert.ok(error instanceof TimeoutError);
+        assert.equal(error.timeout, 10);
+        assert.equal(error.message, 'Timed out after 10ms');
+        return true;
+    });
+});
+
+test('mapWithConcurrency keeps input order whatever order the work finishes in', async () => {
+    const state = tracker();
+    const results = await mapWithConcurrency([30, 5, 15, 1], 2, (ms, index) => state.task(index, ms)());
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(state.peak, 2);
+    assert.deepEqual(await mapWithConcurrency([], 3, async () => 1), []);
+});
@@ -0,0 +1,39 @@
+// Pairwise account scoring
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scorePair, hashAvatars } = require('../lib/correlation');
+
+function signal(result, name) {
+    return result.signals.find(item => item.signal === name);
+}
+
+test('a website without a scheme matches the same link in a bio', () => {
+    const result = scorePair(
+        { platform: 'github', username: 'octocat', website: 'example.org/about' },
+        { platform: 'twitter', username: 'someone', bio: 'Writing at https://www.example.org/about/' }
+    );
+    assert.equal(signal(result, 'links').similarity, 1);
+    assert.match(signal(result, 'links').detail, /example\.org\/about/);
+});
+
+test('short usernames are not trusted on string similarity', () => {
+    const result = scorePair({ platform: 'github', username: 'bob' }, { platform: 'twitter', username: 'bob2' });
+    assert.equal(signal(result, 'username'), undefined);
+    assert.equal(result.score, 0);
+});
+
+test('longer usernames still score on similarity and trailing digits', () => {
+    const digits = scorePair({ platform: 'github', username: 'octocat' }, { platform: 'twitter', username: 'octocat42' });
+    assert.equal(signal(digits, 'username').similarity, 0.9);
+    const similar = scorePair({ platform: 'github', username: 'octocatz' }, { platform: 'twitter', username: 'octokatz' });
+    assert.ok(signal(similar, 'username').similarity >= 0.75);
+});
+
+test('avatar hashing skips avatar URLs that point at local hosts', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const hashes = await hashAvatars([
+        { platform: 'github', username: 'a', avatarUrl: 'http://169.254.169.254/latest/meta-data/' },
+        { platform: 'twitter', username: 'b', avatarUrl: 'http://localhost/avatar.png' }
+    ]);
+    assert.equal(hashes.size, 0);
+});
@@ -0,0 +1,38 @@
+// Credential registry: which providers count as configured and what a check reports
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CredentialRegistry = require('../lib/credential-registry');
+const twitter = require('../providers/twitter');
+const reddit = require('../providers/reddit');
+
+const OAUTH = {
+    TWITTER_API_KEY: 'key',
+    TWITTER_API_KEY_SECRET: 'secret',
+    TWITTER_ACCESS_TOKEN: 'token',
+    TWITTER_ACCESS_TOKEN_SECRET: 'token-secret'
+};
+
+test('twitter needs a bearer token or the full OAuth 1.0a set', () => {
+    assert.equal(new CredentialRegistry({ source: {} }).health(twitter).configured, false);
+    assert.equal(new CredentialRegistry({ source: { TWITTER_BEARER_TOKEN: 'bearer' } }).health(twitter).configured, true);
+    assert.equal(new CredentialRegistry({ source: OAUTH }).health(twitter).configured, true);
+
+    const partial = new CredentialRegistry({ source: { TWITTER_API_KEY: 'key' } }).health(twitter);
+    assert.equal(partial.configured, false);
+    assert.match(partial.missing[0], /TWITTER_BEARER_TOKEN or TWITTER_API_KEY \+ /);
+});
+
+test('reddit is not configured without its app credentials', () => {
+    const health = new CredentialRegistry({ source: { REDDIT_CLIENT_ID: 'id' } }).health(reddit);
+    assert.equal(health.configured, false);
+    assert.deepEqual(health.missing, ['REDDIT_CLIENT_SECRET', 'REDDIT_USERNAME', 'REDDIT_PASSWORD']);
+});
+
+test('checking an unconfigured provider reports it as unchecked rather than invalid', async () => {
+    const registry = new CredentialRegistry({ source: {} });
+    let validated = false;
+    const health = await registry.check({ ...twitter, validate: () => { validated = true; } }, {});
+    assert.equal(validated, false);
+    assert.equal(health.configured, false);
+    assert.equal(health.valid, null);
+});
@@ -0,0 +1,58 @@
+// Cron expressions: parsing, next runs in server local time and invalid schedules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronRun, shortestInterval } = require('../lib/cron');
+
+// Local time, as the schedules are
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('fields accept values, lists, ranges and steps', () => {
+    const schedule = parseCron('5/20 8-10 1,15 */6 1-5');
+    assert.deepEqual([...schedule.minute], [5, 25, 45]);
+    assert.deepEqual([...schedule.hour], [8, 9, 10]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.deepEqual([...schedule.month], [1, 7]);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+    assert.equal(schedule.anyDay, true);
+    assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0));
+    assert.equal(parseCron(' @daily ').expression, '0 0 * * *');
+});
+
+test('the next run is the first matching minute strictly after the start', () => {
+    assert.deepEqual(nextCronRun('*/15 * * * *', at(2024, 1, 1, 10, 7)), at(2024, 1, 1, 10, 15));
+    assert.deepEqual(nextCronRun('*/15 * * * *', at(2024, 1, 1, 10, 15)), at(2024, 1, 1, 10, 30));
+    // Friday morning to Monday at nine
+    assert.deepEqual(nextCronRun('0 9 * * 1-5', at(2024, 1, 5, 10)), at(2024, 1, 8, 9));
+    assert.deepEqual(nextCronRun('@monthly', at(2024, 1, 31, 12)), at(2024, 2, 1));
+    assert.deepEqual(nextCronRun('0 0 29 2 *', at(2024, 3, 1)), at(2028, 2, 29));
+});
+
+test('a day matches either day field when both are restricted', () => {
+    // The 1st of the month or a Sunday: from Monday the 1st, the next is Sunday the 7th
+    assert.deepEqual(nextCronRun('0 0 1 * 0', at(2024, 1, 1)), at(2024, 1, 7));
+    assert.deepEqual(nextCronRun('0 0 1 * *', at(2024, 1, 1)), at(2024, 2, 1));
+});
+
+test('invalid expressions are rejected with the field at fault', () => {
+    assert.throws(() => parseCron(''), /five fields/);
+    assert.throws(() => parseCron('* * * * * *'), /five fields/);
+    assert.throws(() => parseCron('60 * * * *'), /Invalid minute field: 60/);
+    assert.throws(() => parseCron('* 24 * * *'), /Invalid hour field/);
+    assert.throws(() => parseCron('* * 0 * *'), /Invalid day of month field/);
+    assert.throws(() => parseCron('* * * 5-1 *'), /Invalid month field/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid step in the minute field/);
+    assert.throws(() => parseCron('1,,2 * * * *'), /Invalid minute field/);
+    assert.throws(() => parseCron('-5 * * * *'), /Invalid minute field/);
+    assert.throws(() => parseCron('a * * * *'), /Invalid minute field/);
+    assert.throws(() => parseCron('@yearly'), /five fields/);
+});
+
+test('a schedule that can never match fails instead of looping', () => {
+    assert.throws(() => nextCronRun('0 0 30 2 *', at(2024, 1, 1)), /never runs/);
+});
+
+test('the shortest interval is the smallest gap between upcoming runs', () => {
+    assert.equal(shortestInterval('*/5 * * * *', 24, at(2024, 1, 1)), 5);
+    assert.equal(shortestInterval('0 9,10 * * *', 24, at(2024, 1, 1)), 60);
+    assert.equal(shortestInterval('@daily', 5, at(2024, 1, 1)), 24 * 60);
+});
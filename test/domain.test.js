@@ -0,0 +1,47 @@
+// Domain report against the recorded example.com fixture (scripts/fixtures/domains)
+process.env.DOMAIN_SOURCES = 'fixtures';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+const CredentialRegistry = require('../lib/credential-registry');
+const domain = require('../providers/domain');
+
+function context() {
+    return {
+        cache: new ResponseCache({ backend: new MemoryCacheBackend() }),
+        credentials: new CredentialRegistry({ source: {} })
+    };
+}
+
+test('the example.com report covers registration, DNS and certificate subdomains', async () => {
+    const result = await domain.search({ query: 'Example.com', type: 'domain' }, context());
+    assert.equal(result.status, 'found');
+    const { report } = result.data;
+
+    assert.equal(report.registration.registrar, 'RESERVED-Internet Assigned Numbers Authority');
+    assert.equal(report.registration.created, '1995-08-14T04:00:00Z');
+    assert.equal(report.registration.abuseEmail, 'abuse@iana.org');
+    assert.deepEqual(report.registration.nameservers, ['a.iana-servers.net', 'b.iana-servers.net']);
+
+    assert.deepEqual(report.dns.records.A, ['93.184.215.14']);
+    assert.equal(report.dns.mail.acceptsMail, false);
+    assert.equal(report.dns.mail.spf, 'v=spf1 -all');
+    assert.equal(report.dns.mail.dmarcPolicy, 'reject');
+
+    assert.deepEqual(report.subdomains.subdomains.map(subdomain => subdomain.name), ['api.example.com', 'dev.api.example.com', 'mail.example.com', 'www.example.com']);
+    assert.equal(result.metrics.subdomains, 4);
+    assert.deepEqual(report.errors, {});
+});
+
+test('emails are skipped without a Hunter.io key', async () => {
+    const result = await domain.search({ query: 'example.com', type: 'domain' }, context());
+    assert.equal(result.data.report.emails, null);
+    assert.deepEqual(result.emails, []);
+});
+
+test('a query that is not a domain name is not found without any lookups', async () => {
+    const result = await domain.search({ query: 'not a domain', type: 'domain' }, context());
+    assert.equal(result.status, 'not-found');
+    assert.match(result.description, /not a valid domain name/);
+});
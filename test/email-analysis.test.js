@@ -0,0 +1,68 @@
+// Email analysis, with a stub resolver standing in for DNS
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeEmail, lookupMailDns } = require('../lib/email-analysis');
+
+function notFound() {
+    return Promise.reject(Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' }));
+}
+
+// Answers from a table of { mx, txt } records per name; names without an entry have no records
+function stubResolver(records) {
+    return {
+        resolveMx: async name => records[name]?.mx || notFound(),
+        resolveTxt: async name => records[name]?.txt || notFound()
+    };
+}
+
+test('Gmail addresses resolve to their canonical mailbox', () => {
+    const analysis = analyzeEmail('John.Smith90+news@googlemail.com');
+    assert.equal(analysis.valid, true);
+    assert.equal(analysis.provider, 'Gmail');
+    assert.equal(analysis.freeProvider, true);
+    assert.equal(analysis.aliases.canonical, 'johnsmith90@gmail.com');
+    assert.equal(analysis.aliases.tag, 'news');
+    assert.ok(analysis.usernameCandidates.includes('johnsmith'));
+});
+
+test('syntax errors and role accounts are reported', () => {
+    assert.deepEqual(analyzeEmail('john..smith@example.com').errors, ['Local part has a leading, trailing or double dot']);
+    assert.equal(analyzeEmail('jane@mailinator.com').disposable, true);
+    const role = analyzeEmail('admin@example.com');
+    assert.equal(role.roleAccount, true);
+    assert.deepEqual(role.usernameCandidates, []);
+});
+
+test('mail records are read through the resolver, lowest MX priority first', async () => {
+    const resolver = stubResolver({
+        'example.com': {
+            mx: [{ exchange: 'mx2.example.com', priority: 20 }, { exchange: 'mx1.example.com', priority: 10 }],
+            txt: [['google-site-verification=abc'], ['v=spf1 include:_spf.example.com ', '-all']]
+        },
+        '_dmarc.example.com': { txt: [['v=DMARC1; p=reject; rua=mailto:dmarc@example.com']] }
+    });
+    const dns = await lookupMailDns('example.com', resolver);
+    assert.deepEqual(dns.mx.map(record => record.exchange), ['mx1.example.com', 'mx2.example.com']);
+    assert.equal(dns.acceptsMail, true);
+    assert.equal(dns.spf, 'v=spf1 include:_spf.example.com -all');
+    assert.equal(dns.dmarcPolicy, 'reject');
+});
+
+test('a null MX and missing records mean the domain accepts no mail', async () => {
+    const nullMx = await lookupMailDns('example.net', stubResolver({ 'example.net': { mx: [{ exchange: '', priority: 0 }] } }));
+    assert.equal(nullMx.acceptsMail, false);
+    assert.equal(nullMx.spf, null);
+    assert.equal(nullMx.dmarc, null);
+
+    const empty = await lookupMailDns('example.org', stubResolver({}));
+    assert.deepEqual(empty.mx, []);
+    assert.equal(empty.acceptsMail, false);
+});
+
+test('resolver failures other than missing records are not swallowed', async () => {
+    const resolver = {
+        resolveMx: () => Promise.reject(Object.assign(new Error('queryMx ETIMEOUT'), { code: 'ETIMEOUT' })),
+        resolveTxt: async () => []
+    };
+    await assert.rejects(lookupMailDns('example.com', resolver), /ETIMEOUT/);
+});
@@ -0,0 +1,83 @@
+// Entity extraction from result envelopes: what is found, how it is normalized and where it pivots
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractEntities, hostnameOf, registrableDomain } = require('../lib/entity-extractor');
+
+const result = {
+    platform: 'github',
+    query: 'alice',
+    type: 'username',
+    accounts: [{
+        platform: 'github',
+        username: 'alice',
+        displayName: 'Alice Liddell',
+        url: 'https://github.com/alice',
+        website: 'https://www.Alice.example.co.uk/about.',
+        bio: 'Write to Alice@Example.com or call +44 20 7946 0958. Born 2024-01-15. Ping @bob_dev and see https://github.com/alice/repo'
+    }],
+    emails: [{ address: 'alice@gmail.com', firstName: 'Alice', lastName: 'Liddell', linkedin: 'https://www.linkedin.com/in/alice' }],
+    posts: [{ platform: 'reddit', community: 'osint', title: 'hello @bob_dev', text: 'email ALICE@example.com', url: 'https://reddit.com/r/osint/1' }],
+    links: [{ url: 'https://news.example.org/story', snippet: 'contact 555-123-4567' }],
+    data: { domain: 'Example.com' }
+};
+
+const find = (entities, type, value) => entities.find(entity => entity.type === type && entity.value === value);
+
+test('hostnames lose www and case, domains keep two labels or three for country second levels', () => {
+    assert.equal(hostnameOf('https://WWW.Example.COM/path'), 'example.com');
+    assert.equal(hostnameOf('not a url'), null);
+    assert.equal(registrableDomain('blog.example.com'), 'example.com');
+    assert.equal(registrableDomain('alice.example.co.uk'), 'example.co.uk');
+});
+
+test('every entity type is found once, in the order first seen', () => {
+    const entities = extractEntities(result);
+    assert.deepEqual(entities.map(entity => `${entity.type} ${entity.value}`), [
+        'name Alice Liddell',
+        // The full stop after the website is punctuation, not part of the URL
+        'url https://www.Alice.example.co.uk/about',
+        'domain example.co.uk',
+        'email alice@example.com',
+        'domain example.com',
+        'url https://github.com/alice/repo',
+        'username bob_dev',
+        'phone +442079460958',
+        'email alice@gmail.com',
+        'url https://www.linkedin.com/in/alice',
+        'url https://www.reddit.com/r/osint',
+        'url https://news.example.org/story',
+        'domain example.org',
+        'phone 5551234567'
+    ]);
+});
+
+test('the searched identifier is left out', () => {
+    assert.equal(find(extractEntities(result), 'username', 'alice'), undefined);
+});
+
+test('values are normalized and repeated sightings collect their sources', () => {
+    const entities = extractEntities(result);
+    // Alice@Example.com in the bio and ALICE@example.com in a post are one email
+    const email = find(entities, 'email', 'alice@example.com');
+    assert.deepEqual(email.sources.map(source => source.field), ['account.bio', 'post.text']);
+    assert.deepEqual(find(entities, 'domain', 'example.com').sources.map(source => source.field), ['account.bio', 'post.text', 'data.domain']);
+    assert.deepEqual(find(entities, 'name', 'Alice Liddell').sources.map(source => source.field), ['account.displayName', 'email.name']);
+    assert.equal(find(entities, 'username', 'bob_dev').sources[1].postUrl, 'https://reddit.com/r/osint/1');
+});
+
+test('links pivot into their domain unless they point at a big platform', () => {
+    const entities = extractEntities(result);
+    assert.deepEqual(find(entities, 'url', 'https://www.Alice.example.co.uk/about').pivot, { type: 'domain', query: 'example.co.uk' });
+    assert.equal(find(entities, 'url', 'https://github.com/alice/repo').pivot, null);
+    assert.deepEqual(find(entities, 'phone', '+442079460958').pivot, { type: 'phone', query: '+442079460958' });
+    // Free mail providers are not the person's domain
+    assert.equal(find(entities, 'domain', 'gmail.com'), undefined);
+});
+
+test('dates, short numbers, subreddits and lowercase names are not entities', () => {
+    const entities = extractEntities({
+        platform: 'reddit',
+        accounts: [{ username: 'r/osint', displayName: 'osint community', bio: 'Since 2024-01-15, 12345 members' }]
+    });
+    assert.deepEqual(entities, []);
+});
@@ -0,0 +1,112 @@
+// Entity graph built from saved searches, its filters, and the GraphML and GEXF exports
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EntityGraph, identifierKey } = require('../lib/entity-graph');
+const { toGraphML, toGEXF } = require('../lib/graph-export');
+
+const searches = [
+    {
+        id: 's1',
+        query: 'alice',
+        type: 'username',
+        results: [
+            {
+                platform: 'github',
+                status: 'found',
+                accounts: [{ platform: 'github', username: 'alice', url: 'https://github.com/alice', website: 'https://blog.example.com/', bio: 'Mail alice@example.com' }]
+            },
+            {
+                platform: 'reddit',
+                status: 'found',
+                accounts: [{ platform: 'reddit', username: 'alice', url: 'https://reddit.com/u/alice', bio: 'alice@example.com' }]
+            },
+            // Only found and unknown results make it into the graph
+            {
+                platform: 'twitter',
+                status: 'not-found',
+                accounts: [{ platform: 'twitter', username: 'alice', url: 'https://twitter.com/alice' }]
+            }
+        ]
+    },
+    {
+        id: 's2',
+        parentId: 's1',
+        query: 'example.com',
+        type: 'domain',
+        results: [{ platform: 'hunter', status: 'found', emails: [{ address: 'bob@example.com', firstName: 'Bob', lastName: 'Stone' }] }]
+    }
+];
+
+const edge = (graph, source, target, type) => graph.edges.get(`${source}->${target}:${type}`);
+
+test('searches, accounts and entities become nodes, with one node per identifier', () => {
+    const graph = EntityGraph.fromSearches(searches);
+    assert.deepEqual([...graph.nodes.keys()], [
+        'username:alice',
+        'account:github:alice',
+        'url:https://blog.example.com/',
+        'domain:example.com',
+        'email:alice@example.com',
+        'account:reddit:alice',
+        'email:bob@example.com',
+        'name:bob stone'
+    ]);
+    const domain = graph.nodes.get('domain:example.com');
+    assert.equal(domain.searched, true);
+    assert.deepEqual(domain.searchIds, ['s1', 's2']);
+    assert.deepEqual(graph.nodes.get('email:alice@example.com').platforms, ['github', 'reddit']);
+    assert.equal(identifierKey('email', ' Bob@Example.com '), 'email:bob@example.com');
+});
+
+test('edges run from accounts to what they show, and repeated sightings add weight', () => {
+    const graph = EntityGraph.fromSearches(searches);
+    assert.equal(edge(graph, 'username:alice', 'account:github:alice', 'has-account').weight, 1);
+    assert.equal(edge(graph, 'account:github:alice', 'email:alice@example.com', 'has-email').weight, 1);
+    // The website and the bio email both point the GitHub account at example.com
+    assert.equal(edge(graph, 'account:github:alice', 'domain:example.com', 'related-domain').weight, 2);
+    assert.ok(edge(graph, 'username:alice', 'domain:example.com', 'pivoted-to'));
+    assert.ok(edge(graph, 'email:bob@example.com', 'domain:example.com', 'at-domain'));
+    assert.ok(edge(graph, 'url:https://blog.example.com/', 'domain:example.com', 'hosted-on'));
+    assert.equal(graph.toJSON().stats.edges, 15);
+});
+
+test('filters keep searched anchors and report degrees from the full graph', () => {
+    const graph = EntityGraph.fromSearches(searches);
+    const emails = graph.filterTypes(['email']).toJSON();
+    assert.deepEqual(emails.nodes.map(node => node.id), ['username:alice', 'domain:example.com', 'email:alice@example.com', 'email:bob@example.com']);
+    assert.equal(emails.stats.totalNodes, 8);
+
+    const around = graph.neighbourhood(['email:bob@example.com']).toJSON();
+    assert.deepEqual(around.nodes.map(node => [node.id, node.degree]), [['email:bob@example.com', 2], ['domain:example.com', 8]]);
+    assert.equal(graph.filterTypes([]), graph);
+});
+
+// A graph whose labels need escaping, including control characters XML 1.0 does not allow at all
+function awkwardGraph() {
+    const graph = new EntityGraph();
+    graph.addNode('name:a&b', { type: 'name', label: 'Tom & "Jerry" <cat>\u0000\u0007\u000b\u001f', searched: true });
+    graph.addNode('url:x', { type: 'url', label: "it's\ta\nlink", url: 'https://example.com/?a=1&b=2' });
+    graph.addEdge('name:a&b', 'url:x', 'links-to', 'github');
+    return graph;
+}
+
+test('GraphML escapes markup and drops characters XML cannot hold', () => {
+    const xml = toGraphML(awkwardGraph());
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<graphml '));
+    assert.ok(xml.includes('<node id="name:a&amp;b">'));
+    assert.ok(xml.includes('<data key="label">Tom &amp; &quot;Jerry&quot; &lt;cat&gt;</data>'));
+    assert.ok(xml.includes('<data key="label">it&apos;s\ta\nlink</data>'));
+    assert.ok(xml.includes('<data key="n_url">https://example.com/?a=1&amp;b=2</data>'));
+    assert.ok(xml.includes('<edge id="name:a&amp;b-&gt;url:x:links-to" source="name:a&amp;b" target="url:x">'));
+    assert.ok(xml.includes('<data key="e_platforms">github</data>'));
+    assert.doesNotMatch(xml, /[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+});
+
+test('GEXF carries the same nodes, edges and attributes', () => {
+    const xml = toGEXF(awkwardGraph());
+    assert.ok(xml.includes('<gexf xmlns="http://gexf.net/1.3" version="1.3">'));
+    assert.ok(xml.includes('<node id="name:a&amp;b" label="Tom &amp; &quot;Jerry&quot; &lt;cat&gt;">'));
+    assert.ok(xml.includes('<attvalue for="n_searched" value="true"/>'));
+    assert.ok(xml.includes('source="name:a&amp;b" target="url:x" label="links-to" weight="1">'));
+    assert.doesNotMatch(xml, /[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+});
@@ -0,0 +1,56 @@
+// GitHub profile reports built from the recorded octocat responses in scripts/fixtures/github
+process.env.GITHUB_SOURCES = 'fixtures';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CredentialRegistry = require('../lib/credential-registry');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+const { fixtureSource } = require('../lib/github-sources');
+const { fetchGithubProfile, buildGithubReport, reportEmails } = require('../lib/github-profile');
+const github = require('../providers/github');
+
+function context() {
+    return {
+        cache: new ResponseCache({ backend: new MemoryCacheBackend() }),
+        credentials: new CredentialRegistry({ source: {} })
+    };
+}
+
+test('the octocat report has its organisations, keys, commit authors and emails', async () => {
+    const raw = await fetchGithubProfile(fixtureSource(), 'OctoCat');
+    const report = buildGithubReport(raw);
+    assert.equal(report.login, 'octocat');
+    assert.deepEqual(raw.errors, {});
+    assert.equal(report.keys.ssh.length, 2);
+    assert.ok(report.keys.ssh.every(key => key.fingerprint.startsWith('SHA256:')));
+    assert.ok(report.commitAuthors.some(author => author.email === 'mona@example.com'));
+    // noreply addresses are kept on the author but never reported as emails
+    const emails = reportEmails(report).map(email => email.address);
+    assert.ok(emails.includes('mona@example.com'));
+    assert.ok(emails.every(address => !address.endsWith('@users.noreply.github.com')));
+});
+
+test('commit authors with malformed emails keep their name but lose the address', () => {
+    const report = buildGithubReport({
+        profile: { login: 'someone', html_url: 'https://github.com/someone' },
+        events: [{
+            type: 'PushEvent',
+            repo: { name: 'someone/repo' },
+            created_at: '2024-01-01T00:00:00Z',
+            payload: { commits: [{ sha: 'abc', author: { name: 'Eve', email: 'x" onmouseover="alert(1)' } }] }
+        }]
+    });
+    assert.equal(report.commitAuthors.length, 1);
+    assert.equal(report.commitAuthors[0].name, 'Eve');
+    assert.equal(report.commitAuthors[0].email, null);
+    assert.deepEqual(reportEmails(report), []);
+});
+
+test('a username search returns the report as a found result', async () => {
+    const result = await github.search({ query: 'octocat', type: 'username' }, context());
+    assert.equal(result.status, 'found');
+    assert.equal(result.accounts[0].username, 'octocat');
+    assert.equal(result.data.github.login, 'octocat');
+    assert.ok(result.posts.length > 0);
+    assert.ok(result.emails.some(email => email.address === 'mona@example.com'));
+});
@@ -0,0 +1,43 @@
+// Google dork route validation; nothing here reaches SERP API
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+const CredentialRegistry = require('../lib/credential-registry');
+const google = require('../providers/google');
+
+async function startApp(t, source) {
+    const router = express.Router();
+    google.routes(router, {
+        cache: new ResponseCache({ backend: new MemoryCacheBackend() }),
+        credentials: new CredentialRegistry({ source })
+    });
+    const server = express().use('/api/google', router).listen(0);
+    t.after(() => server.close());
+    await new Promise(resolve => server.once('listening', resolve));
+    return async (query) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/google/dork?${query}`);
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+test('prototype keys are unknown search types and templates', async (t) => {
+    const dork = await startApp(t, { SERP_API_KEY: 'key' });
+
+    const type = await dork('q=jane&type=constructor');
+    assert.equal(type.status, 400);
+    assert.match(type.body.error, /Unsupported search type constructor/);
+
+    for (const name of ['toString', '__proto__', 'hasOwnProperty']) {
+        const response = await dork(`q=jane&type=email&templates=exact,${name}`);
+        assert.equal(response.status, 400, name);
+        assert.equal(response.body.error, `Unknown dork templates for search type email: ${name}`);
+    }
+});
+
+test('dorks need a SERP API key, as searches do', async (t) => {
+    const dork = await startApp(t, {});
+    const response = await dork('q=jane%40example.com&type=email&templates=exact');
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'SERP API key not configured');
+});
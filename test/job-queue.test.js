@@ -0,0 +1,77 @@
+// Job queue: persistence that survives a failed write, and rate limit waits that keep their attempt
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../lib/job-queue');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Resolves with the first job of a kind to finish. Call it before enqueueing, a job can finish before
+// enqueue() returns; the timer keeps the test process alive meanwhile
+function finished(queue, kind, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${kind} job finished`)), timeout);
+        queue.on('update', (job) => {
+            if (job.kind === kind && queue.isFinished(job)) {
+                clearTimeout(timer);
+                resolve(job);
+            }
+        });
+    });
+}
+
+test('a failed write does not block the writes after it', async (t) => {
+    const dir = tempDir(t);
+    // A file where the store's directory should be makes the first write fail
+    fs.writeFileSync(path.join(dir, 'store'), '');
+    const queue = new JobQueue(path.join(dir, 'store', 'jobs.json'));
+    queue.jobs = [];
+
+    await assert.rejects(queue.persist());
+    fs.rmSync(path.join(dir, 'store'));
+    await queue.persist();
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'store', 'jobs.json'), 'utf8')).jobs, []);
+});
+
+test('a rate limited job waits without using up an attempt', async (t) => {
+    const queue = new JobQueue(path.join(tempDir(t), 'jobs.json'), { maxAttempts: 1 });
+    let calls = 0;
+    queue.register('limited', async () => {
+        calls++;
+        if (calls === 1) {
+            const error = new Error('Rate limit exceeded');
+            error.retryAfter = 20;
+            throw error;
+        }
+        return { calls };
+    });
+    await queue.start();
+
+    const outcome = finished(queue, 'limited');
+    const { job, error } = await queue.enqueue('limited', { query: 'x' });
+    assert.equal(error, undefined);
+    const done = await outcome;
+    assert.equal(done.state, 'succeeded');
+    assert.equal(done.attempts, 1);
+    assert.deepEqual((await queue.get(job.id)).result, { calls: 2 });
+});
+
+test('jobs without retries left fail with the handler error', async (t) => {
+    const queue = new JobQueue(path.join(tempDir(t), 'jobs.json'), { maxAttempts: 1 });
+    queue.register('broken', async () => {
+        throw new Error('upstream is down');
+    });
+    await queue.start();
+
+    const outcome = finished(queue, 'broken');
+    await queue.enqueue('broken', {});
+    const done = await outcome;
+    assert.equal(done.state, 'failed');
+    assert.equal(done.error, 'upstream is down');
+});
@@ -0,0 +1,53 @@
+// Username and email candidates from names, including the examples the generator was asked for
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCandidates, nameWords } = require('../lib/name-permutations');
+const namePatterns = require('../config/name-patterns');
+
+const values = candidates => candidates.map(candidate => candidate.value);
+
+test('John Smith born in 1984 gives jsmith, john.smith and smithj84 near the top', () => {
+    const { usernames, emails } = generateCandidates({ name: 'John Smith', birthYear: 1984 });
+    const best = values(usernames.slice(0, namePatterns.emailUsernames));
+    ['johnsmith', 'jsmith', 'john.smith', 'smithj84'].forEach(value => assert.ok(best.includes(value), value));
+    assert.equal(usernames[0].value, 'johnsmith');
+    assert.ok(values(emails).includes('smithj84@gmail.com'));
+});
+
+test('candidates are sorted by score and each spelling appears once', () => {
+    const { usernames } = generateCandidates({ name: 'Anna Lee', birthYear: '1990', nicknames: ['Annie'] });
+    const scores = usernames.map(candidate => candidate.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.equal(new Set(values(usernames)).size, usernames.length);
+    assert.ok(values(usernames).includes('annie.lee'));
+});
+
+test('non-Latin names are transliterated', () => {
+    const russian = generateCandidates({ name: 'Владимир Петров' });
+    assert.equal(russian.latinName, 'vladimir petrov');
+    assert.equal(russian.transliterated, true);
+    assert.ok(values(russian.usernames).includes('vladimir.petrov'));
+
+    assert.equal(generateCandidates({ name: 'सन्तोष कुमार' }).latinName, 'santosh kumar');
+    assert.deepEqual(nameWords('王小明'), ['xiaoming', 'wang']);
+});
+
+test('titles are dropped, "Last, First" is turned around and particles stay with the surname', () => {
+    assert.equal(generateCandidates({ name: 'Smith, John' }).latinName, 'john smith');
+    const { tokens, usernames } = generateCandidates({ name: 'Dr. Ludwig van Beethoven' });
+    assert.equal(tokens.first, 'ludwig');
+    assert.equal(tokens.last, 'vanbeethoven');
+    assert.ok(values(usernames).includes('ludwig.beethoven'));
+});
+
+test('caller domains come first and entries that are not strings are ignored', () => {
+    const { emails } = generateCandidates({ name: 'John Smith', domains: [42, null, ' @Example.com '] });
+    assert.equal(emails[0].value, 'johnsmith@example.com');
+    assert.ok(emails.every(email => ['example.com', ...namePatterns.emailDomains].includes(email.domain)));
+});
+
+test('a name without letters or a bad birth year is rejected', () => {
+    assert.throws(() => generateCandidates({ name: '  ' }), /at least one letter/);
+    assert.throws(() => generateCandidates({ name: 'John Smith', birthYear: '84' }), /four digit year/);
+    assert.throws(() => generateCandidates({ name: 'John Smith', birthYear: 1850 }), /four digit year/);
+});
@@ -0,0 +1,65 @@
+// Offline phone number parsing, classification and formatting variants
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone, phoneVariants, e164Digits, analyzePhone } = require('../lib/phone-analysis');
+
+test('numbers without a country code are read in the default region', () => {
+    assert.equal(parsePhone('098765 43210', 'in').number, '+919876543210');
+    assert.equal(parsePhone('0151 12345678', 'DE').number, '+4915112345678');
+    assert.equal(parsePhone('+44 20 7946 0958', 'DE').country, 'GB');
+    assert.equal(parsePhone('hello', 'IN'), null);
+    assert.equal(parsePhone(undefined, 'IN'), null);
+});
+
+test('an Indian mobile number is valid and classified with its carrier range and timezone', async () => {
+    const analysis = await analyzePhone('+91 98765 43210', { defaultRegion: 'US' });
+    assert.equal(analysis.valid, true);
+    assert.equal(analysis.e164, '+919876543210');
+    assert.equal(analysis.country, 'IN');
+    assert.equal(analysis.countryCallingCode, '91');
+    assert.equal(analysis.lineType, 'mobile');
+    assert.equal(typeof analysis.carrier, 'string');
+    assert.deepEqual(analysis.timezones, ['Asia/Calcutta']);
+    assert.deepEqual(analysis.formats, {
+        e164: '+919876543210',
+        international: '+91 98765 43210',
+        national: '098765 43210',
+        rfc3966: 'tel:+919876543210'
+    });
+});
+
+test('fixed lines, toll-free numbers and their locations are told apart', async () => {
+    const london = await analyzePhone('+44 20 7946 0958');
+    assert.equal(london.lineType, 'fixed-line');
+    assert.equal(london.location, 'London');
+    assert.deepEqual(london.timezones, ['Europe/London']);
+
+    const tollFree = await analyzePhone('+1 800 555 0199');
+    assert.equal(tollFree.lineType, 'toll-free');
+    assert.equal(tollFree.carrier, null);
+});
+
+test('a number with too few digits parses but is neither valid nor possible', async () => {
+    const analysis = await analyzePhone('+1 555 0100');
+    assert.equal(analysis.valid, false);
+    assert.equal(analysis.possible, false);
+    assert.equal(analysis.lineType, 'unknown');
+    assert.equal(analysis.carrier, null);
+    assert.deepEqual(analysis.timezones, []);
+});
+
+test('text that is not a phone number is invalid without formats or variants', async () => {
+    assert.deepEqual(await analyzePhone('hello', { defaultRegion: 'IN' }), {
+        input: 'hello', defaultRegion: 'IN', valid: false, possible: false, variants: []
+    });
+    assert.deepEqual(phoneVariants(' hello '), ['hello']);
+    assert.equal(e164Digits('hello'), '');
+});
+
+test('variants cover the usual spellings once each, most common first', () => {
+    const variants = phoneVariants('+91 98765 43210');
+    assert.deepEqual(variants.slice(0, 4), ['+91 98765 43210', '+919876543210', '098765 43210', '9876543210']);
+    ['919876543210', '98765-43210', '+91-98765-43210', '00919876543210'].forEach(variant => assert.ok(variants.includes(variant), variant));
+    assert.equal(new Set(variants).size, variants.length);
+    assert.equal(e164Digits('098765 43210', 'IN'), '919876543210');
+});
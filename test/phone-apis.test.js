@@ -0,0 +1,89 @@
+// TrueCaller, WhatsApp and UPI providers against the mock phone APIs (scripts/mock-phone-apis.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+const CredentialRegistry = require('../lib/credential-registry');
+
+const KNOWN_INDIAN = '+919876543210';
+const KNOWN_US = '+14155550100';
+const UNKNOWN_INDIAN = '+919812345678';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// Start the mock and point the phone API endpoints at it before any provider reads its config
+async function startMock(t) {
+    const port = await freePort();
+    const mock = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock-phone-apis.js')], {
+        env: { ...process.env, MOCK_PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    t.after(() => mock.kill());
+    await new Promise((resolve, reject) => {
+        mock.stdout.on('data', chunk => String(chunk).includes('listening') && resolve());
+        mock.once('exit', code => reject(new Error(`Mock phone APIs exited with ${code}`)));
+    });
+    process.env.TRUECALLER_API_ENDPOINT = `http://127.0.0.1:${port}/truecaller/v1`;
+    process.env.WHATSAPP_API_ENDPOINT = `http://127.0.0.1:${port}/whatsapp`;
+    process.env.UPI_API_ENDPOINT = `http://127.0.0.1:${port}/upi/v1`;
+    process.env.UPI_HANDLES = 'ybl,paytm,okaxis';
+}
+
+function context() {
+    return {
+        cache: new ResponseCache({ backend: new MemoryCacheBackend() }),
+        credentials: new CredentialRegistry({
+            source: {
+                TRUECALLER_API_KEY: 'test-key',
+                WHATSAPP_API_KEY: 'test-key',
+                WHATSAPP_BUSINESS_ACCOUNT_ID: '1000',
+                UPI_API_KEY: 'test-key'
+            }
+        })
+    };
+}
+
+const phone = query => ({ query, type: 'phone', progress: () => {} });
+
+test('phone providers against the mock APIs', async (t) => {
+    await startMock(t);
+    const truecaller = require('../providers/truecaller');
+    const whatsapp = require('../providers/whatsapp');
+    const upi = require('../providers/upi');
+
+    await t.test('TrueCaller lists the caller name, spam score and email', async () => {
+        const known = await truecaller.search(phone(KNOWN_INDIAN), context());
+        assert.equal(known.status, 'found');
+        assert.equal(known.accounts[0].displayName, 'Asha Verma');
+        assert.deepEqual(known.emails.map(email => email.address), ['asha.verma@example.com']);
+
+        const spam = await truecaller.search(phone(KNOWN_US), context());
+        assert.equal(spam.metrics.spamScore, 87);
+
+        assert.equal((await truecaller.search(phone(UNKNOWN_INDIAN), context())).status, 'not-found');
+    });
+
+    await t.test('WhatsApp reports whether the number has an account', async () => {
+        assert.equal((await whatsapp.search(phone(KNOWN_INDIAN), context())).status, 'found');
+        assert.equal((await whatsapp.search(phone(KNOWN_US), context())).status, 'not-found');
+    });
+
+    await t.test('UPI lists the registered handles and skips numbers outside India', async () => {
+        const known = await upi.search(phone(KNOWN_INDIAN), context());
+        assert.equal(known.status, 'found');
+        assert.deepEqual(known.accounts.map(account => account.username).sort(), ['9876543210@okaxis', '9876543210@ybl']);
+        assert.equal(known.metrics.checked, 3);
+
+        assert.equal((await upi.search(phone(UNKNOWN_INDIAN), context())).status, 'not-found');
+        assert.equal((await upi.search(phone(KNOWN_US), context())).status, 'unknown');
+    });
+});
@@ -0,0 +1,30 @@
+// Downloads of URLs from request bodies are limited to public hosts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { isPublicAddress, fetchPublic } = require('../lib/public-fetch');
+
+test('private, loopback, link-local and metadata addresses are not public', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost']
+        .forEach(address => assert.equal(isPublicAddress(address), false, address));
+    ['8.8.8.8', '140.82.112.3', '2606:4700:4700::1111', '::ffff:8.8.8.8']
+        .forEach(address => assert.equal(isPublicAddress(address), true, address));
+});
+
+test('fetchPublic refuses other schemes and local hosts without connecting', async (t) => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.end('image');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { port } = server.address();
+
+    await assert.rejects(fetchPublic('file:///etc/passwd'), /Only http and https/);
+    await assert.rejects(fetchPublic(`http://127.0.0.1:${port}/avatar.png`), /not a public address/);
+    await assert.rejects(fetchPublic(`http://[::ffff:7f00:1]:${port}/avatar.png`), /not a public address/);
+    // A hostname is checked after it resolves
+    await assert.rejects(fetchPublic(`http://localhost:${port}/avatar.png`), /not a public address/);
+    assert.equal(requests, 0);
+});
@@ -0,0 +1,52 @@
+// Reddit provider with a stand-in snoowrap client
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+const reddit = require('../providers/reddit');
+
+function missingUserClient() {
+    return {
+        getUser: () => ({
+            fetch: () => Promise.reject(Object.assign(new Error('404 - Not Found'), { statusCode: 404 }))
+        })
+    };
+}
+
+function context(overrides = {}) {
+    return {
+        cache: new ResponseCache({ backend: new MemoryCacheBackend() }),
+        clients: { reddit: missingUserClient() },
+        ...overrides
+    };
+}
+
+test('a username search for a missing user is not found rather than an error', async () => {
+    const result = await reddit.search({ query: 'no_such_user', type: 'username' }, context());
+    assert.equal(result.status, 'not-found');
+    assert.equal(result.url, 'https://www.reddit.com/user/no_such_user');
+});
+
+test('other search types link to Reddit search', async () => {
+    const result = await reddit.search({ query: 'Jane Doe', type: 'name' }, context());
+    assert.equal(result.status, 'unknown');
+    assert.equal(result.url, 'https://www.reddit.com/search/?q=Jane%20Doe');
+});
+
+test('a background history request that cannot be queued answers 400 with the reason', async (t) => {
+    const jobs = {
+        register() {},
+        enqueue: async () => ({ error: 'Unknown job kind reddit-user' }),
+        summarize: job => job
+    };
+    const router = express.Router();
+    reddit.routes(router, context({ jobs }));
+    const app = express().use('/api/reddit', router);
+    const server = app.listen(0);
+    t.after(() => server.close());
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/reddit/user/someone?background=true`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Unknown job kind reddit-user');
+});
@@ -0,0 +1,47 @@
+// Browser renderers run in a vm context; the fake element serialises text the way innerHTML does,
+// which escapes &, < and > but not quotes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadRenderers() {
+    const document = {
+        createElement: () => {
+            let text = '';
+            return {
+                set textContent(value) {
+                    text = String(value);
+                },
+                get innerHTML() {
+                    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                }
+            };
+        }
+    };
+    const context = vm.createContext({ document, console });
+    const source = ['utils.js', 'renderers.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', 'Javascript', file), 'utf8'))
+        .join('\n');
+    vm.runInContext(`${source}\nthis.ResultRenderer = ResultRenderer;`, context);
+    return context.ResultRenderer;
+}
+
+test('escape is safe inside quoted attributes', () => {
+    const { escape } = loadRenderers();
+    assert.equal(escape(`x" onmouseover="alert('1')`), 'x&quot; onmouseover=&quot;alert(&#39;1&#39;)');
+    assert.equal(escape(null), '');
+});
+
+test('pivot buttons cannot be broken out of by an entity value', () => {
+    const renderer = loadRenderers();
+    const html = renderer.renderEntities([{
+        type: 'email',
+        value: 'x" onmouseover="alert(1)@example.com',
+        sources: [{ platform: 'github', field: 'email' }],
+        pivot: { type: 'email', query: 'x" onmouseover="alert(1)@example.com' }
+    }], 'github');
+    assert.ok(!html.includes('" onmouseover="'));
+    assert.ok(html.includes('data-pivot-query="x&quot; onmouseover=&quot;alert(1)@example.com"'));
+});
@@ -0,0 +1,27 @@
+// Response cache keys
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+
+const cache = new ResponseCache({ backend: new MemoryCacheBackend() });
+
+test('queries and usernames share an entry regardless of case and spacing', () => {
+    assert.equal(cache.key('reddit', 'search', { query: ' Jane  Doe ', type: 'name' }), cache.key('reddit', 'search', { type: 'name', query: 'jane doe' }));
+    assert.equal(cache.key('reddit', 'history', { username: 'Spez', maxItems: 100 }), cache.key('reddit', 'history', { username: 'spez', maxItems: 100 }));
+});
+
+test('channel ids, cursors and page tokens keep their case', () => {
+    assert.notEqual(cache.key('youtube', 'channel', { channel: 'id:UC_x5XG1OV2P6uZZ5FSM9Ttw' }), cache.key('youtube', 'channel', { channel: 'id:uc_x5xg1ov2p6uzz5fsm9ttw' }));
+    assert.notEqual(cache.key('reddit', 'history', { username: 'spez', after: 't3_AbC' }), cache.key('reddit', 'history', { username: 'spez', after: 't3_abc' }));
+    assert.notEqual(cache.key('youtube', 'uploads', { pageToken: 'CAUQAA' }), cache.key('youtube', 'uploads', { pageToken: 'cauqaa' }));
+});
+
+test('a cached value is returned without calling the fetcher again', async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+    await cache.wrap('github', 'profile', { login: 'Octocat' }, fetcher);
+    const second = await cache.wrap('github', 'profile', { login: 'octocat' }, fetcher);
+    assert.equal(second.value, 1);
+    assert.equal(second.cached, true);
+    assert.equal(calls, 1);
+});
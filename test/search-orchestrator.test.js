@@ -0,0 +1,93 @@
+// Search orchestrator with a stand-in search function
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchOrchestrator = require('../lib/search-orchestrator');
+const { sleep } = require('../lib/concurrency');
+
+const found = platform => ({ platform, status: 'found' });
+
+// A search that records how many calls run at once, overall and per platform
+function countingSearch(ms = 10) {
+    const state = { active: {}, peak: {}, total: 0, peakTotal: 0 };
+    state.search = async (platform) => {
+        state.active[platform] = (state.active[platform] || 0) + 1;
+        state.peak[platform] = Math.max(state.peak[platform] || 0, state.active[platform]);
+        state.total++;
+        state.peakTotal = Math.max(state.peakTotal, state.total);
+        await sleep(ms);
+        state.active[platform]--;
+        state.total--;
+        return found(platform);
+    };
+    return state;
+}
+
+test('unknown platform names do not leave limiters behind', async () => {
+    const orchestrator = new SearchOrchestrator({
+        platforms: { github: { concurrency: 1 } },
+        search: async (platform) => {
+            throw new Error(`Platform ${platform} not supported`);
+        }
+    });
+    const names = Array.from({ length: 50 }, (_, index) => `made-up-${index}`);
+    const results = await orchestrator.run({ query: 'jane', type: 'username', platforms: [...names, 'github'] });
+
+    assert.equal(results.length, 51);
+    assert.deepEqual([...orchestrator.platformLimiters.keys()], ['github']);
+});
+
+test('a search runs at most maxConcurrency providers at once', async () => {
+    const state = countingSearch();
+    const orchestrator = new SearchOrchestrator({ maxConcurrency: 2, search: state.search });
+    const results = await orchestrator.run({ query: 'jane', type: 'username', platforms: ['a', 'b', 'c', 'd', 'e'] });
+    assert.equal(results.length, 5);
+    assert.equal(state.peakTotal, 2);
+});
+
+test('a platform limit is shared by every search running at the same time', async () => {
+    const state = countingSearch();
+    const orchestrator = new SearchOrchestrator({ platforms: { github: { concurrency: 1 } }, search: state.search });
+    await Promise.all(['jane', 'john', 'joan'].map(query => orchestrator.run({ query, type: 'username', platforms: ['github', 'reddit'] })));
+    assert.equal(state.peak.github, 1);
+    assert.ok(state.peak.reddit > 1);
+});
+
+test('a provider past its timeout becomes an error result without holding up the others', async () => {
+    const orchestrator = new SearchOrchestrator({
+        defaultTimeout: 1000,
+        platforms: { slow: { timeout: 20 } },
+        search: async (platform) => (platform === 'slow' ? new Promise(() => {}) : found(platform))
+    });
+    const results = await orchestrator.run({ query: 'jane', type: 'username', platforms: ['slow', 'github'] });
+    const slow = results.find(result => result.platform === 'slow');
+    assert.equal(slow.status, 'error');
+    assert.equal(slow.description, 'slow did not respond within 20ms');
+    assert.equal(slow.query, 'jane');
+    assert.equal(results.find(result => result.platform === 'github').status, 'found');
+});
+
+test('events come in order: start, then each provider starting and finishing, then done', async () => {
+    const orchestrator = new SearchOrchestrator({
+        search: async (platform, query, type, progress) => {
+            progress({ event: 'provider-page', page: 1 });
+            await sleep(platform === 'github' ? 20 : 1);
+            return found(platform);
+        }
+    });
+    const events = [];
+    await orchestrator.run({ query: 'jane', type: 'username', platforms: ['github', 'reddit'] }, event => events.push(event));
+
+    assert.deepEqual(events.map(event => `${event.event} ${event.platform || ''}`.trim()), [
+        'start',
+        'provider-start github',
+        'provider-page github',
+        'provider-start reddit',
+        'provider-page reddit',
+        'result reddit',
+        'result github',
+        'done'
+    ]);
+    assert.deepEqual(events.filter(event => event.event === 'result').map(event => [event.completed, event.total]), [[1, 2], [2, 2]]);
+    assert.equal(events[1].timeout, 20000);
+    assert.equal(events[events.length - 1].completed, 2);
+});
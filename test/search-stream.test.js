@@ -0,0 +1,97 @@
+// /api/search/stream: Server-Sent Events from the orchestrator with a stand-in search function
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const SearchOrchestrator = require('../lib/search-orchestrator');
+const { searchStreamHandler } = require('../lib/search-stream');
+const { sleep } = require('../lib/concurrency');
+
+const validate = ({ query, platforms }) => (!query ? 'Query is required' : platforms.length === 0 ? 'At least one platform is required' : null);
+
+async function serve(t, orchestrator, options) {
+    const app = express().get('/api/search/stream', searchStreamHandler(orchestrator, validate, options));
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}/api/search/stream`;
+}
+
+// The stream as [{ event, data }], with heartbeat comments counted apart
+function parseSse(body) {
+    const blocks = body.split('\n\n').filter(Boolean);
+    return {
+        heartbeats: blocks.filter(block => block.startsWith(':')).length,
+        events: blocks.filter(block => !block.startsWith(':')).map(block => {
+            const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            return { event: fields.event, data: JSON.parse(fields.data) };
+        })
+    };
+}
+
+function orchestrator(search) {
+    return new SearchOrchestrator({ search });
+}
+
+test('every provider event is streamed under its own name, ending with done', async (t) => {
+    const url = await serve(t, orchestrator(async (platform, query, type, progress) => {
+        progress({ event: 'provider-page', page: 1, pages: 2 });
+        await sleep(platform === 'github' ? 20 : 1);
+        return { platform, status: 'found', query, type };
+    }));
+    const response = await fetch(`${url}?q=jane&type=username&platforms=github,%20reddit,github`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    assert.equal(response.headers.get('cache-control'), 'no-cache');
+
+    const { events } = parseSse(await response.text());
+    assert.deepEqual(events.map(({ event, data }) => `${event} ${data.platform || ''}`.trim()), [
+        'start',
+        'provider-start github',
+        'provider-page github',
+        'provider-start reddit',
+        'provider-page reddit',
+        'result reddit',
+        'result github',
+        'done'
+    ]);
+    // The event name is repeated in the data, and duplicate platforms run once
+    assert.ok(events.every(({ event, data }) => data.event === event));
+    assert.deepEqual(events[0].data, { event: 'start', query: 'jane', type: 'username', platforms: ['github', 'reddit'], total: 2 });
+    assert.deepEqual(events[5].data.result, { platform: 'reddit', status: 'found', query: 'jane', type: 'username' });
+    assert.deepEqual(events.filter(({ event }) => event === 'result').map(({ data }) => data.completed), [1, 2]);
+    assert.equal(events[7].data.completed, 2);
+});
+
+test('a failed provider is a result event like any other', async (t) => {
+    const url = await serve(t, orchestrator(async () => {
+        throw new Error('upstream down');
+    }));
+    const { events } = parseSse(await (await fetch(`${url}?query=jane&platforms=github`)).text());
+    const result = events.find(({ event }) => event === 'result').data.result;
+    assert.equal(result.status, 'error');
+    assert.equal(result.description, 'Error searching github: upstream down');
+    assert.equal(events[events.length - 1].event, 'done');
+});
+
+test('an invalid request is answered with 400 before the stream opens', async (t) => {
+    const url = await serve(t, orchestrator(async () => assert.fail('no search expected')));
+    const missingQuery = await fetch(`${url}?platforms=github`);
+    assert.equal(missingQuery.status, 400);
+    assert.equal((await missingQuery.json()).error, 'Query is required');
+    const noPlatforms = await fetch(`${url}?q=jane&platforms=,`);
+    assert.equal(noPlatforms.status, 400);
+});
+
+test('a quiet stream gets heartbeats and an orchestrator failure ends it with an error event', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const failing = {
+        run: async () => {
+            await sleep(40);
+            throw new Error('orchestrator broke');
+        }
+    };
+    const url = await serve(t, failing, { heartbeatInterval: 5 });
+    const { heartbeats, events } = parseSse(await (await fetch(`${url}?q=jane&platforms=github`)).text());
+    assert.ok(heartbeats > 0);
+    assert.deepEqual(events, [{ event: 'error', data: { event: 'error', error: 'orchestrator broke' } }]);
+});
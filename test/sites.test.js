@@ -0,0 +1,41 @@
+// All Sites provider: a full catalogue enumeration with the HTTP requests answered by an axios adapter
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const usernameSites = require('../config/username-sites');
+const sites = require('../providers/sites');
+
+// GitHub has the profile, every other site answers 404
+function stubAdapter(config) {
+    const found = config.url === 'https://github.com/octocat';
+    return Promise.resolve({ status: found ? 200 : 404, statusText: '', headers: {}, data: found ? '<html>octocat</html>' : 'Not Found', config });
+}
+
+test('sites.search enumerates the whole catalogue into a result', async (t) => {
+    const adapter = axios.defaults.adapter;
+    axios.defaults.adapter = stubAdapter;
+    t.after(() => {
+        axios.defaults.adapter = adapter;
+    });
+
+    const result = await sites.search({ query: 'octocat', type: 'username' });
+    assert.equal(result.platform, 'sites');
+    assert.equal(result.status, 'found');
+    assert.equal(result.data.checks.length, usernameSites.length);
+    assert.equal(result.metrics.checked, usernameSites.length);
+    assert.deepEqual(result.accounts.map(account => account.platform), ['github']);
+    assert.equal(result.accounts[0].url, 'https://github.com/octocat');
+});
+
+test('sites.search reports not-found when no site has the profile', async (t) => {
+    const adapter = axios.defaults.adapter;
+    axios.defaults.adapter = (config) => Promise.resolve({ status: 404, statusText: '', headers: {}, data: '', config });
+    t.after(() => {
+        axios.defaults.adapter = adapter;
+    });
+
+    const result = await sites.search({ query: 'nobody-here', type: 'username' });
+    assert.notEqual(result.status, 'error');
+    assert.equal(result.accounts.length, 0);
+    assert.equal(result.metrics.exists, 0);
+});
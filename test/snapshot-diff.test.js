@@ -0,0 +1,74 @@
+// Watch snapshots and the change events between a snapshot and a fresh result
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { takeSnapshot, diffResult } = require('../lib/snapshot-diff');
+
+function result(overrides = {}) {
+    return {
+        platform: 'reddit',
+        status: 'found',
+        fetchedAt: '2024-01-01T00:00:00.000Z',
+        accounts: [{ platform: 'reddit', username: 'alice', bio: 'Hello', verified: false, metrics: { karma: 10 } }],
+        posts: [{ id: 'p1', kind: 'post', title: 'First', community: 'r/node' }],
+        emails: [{ address: 'Alice@Example.com' }],
+        links: [{ url: 'https://example.com/a', title: 'A' }],
+        ...overrides
+    };
+}
+
+const types = events => events.map(event => event.type);
+
+test('a snapshot keeps profile fields, metrics and the ids already seen', () => {
+    const snapshot = takeSnapshot(result());
+    assert.deepEqual(snapshot.accounts, { 'reddit:alice': { username: 'alice', bio: 'Hello', verified: false, metrics: { karma: 10 } } });
+    assert.deepEqual(snapshot.posts, ['p1']);
+    assert.deepEqual(snapshot.communities, ['r/node']);
+    assert.deepEqual(snapshot.emails, ['alice@example.com']);
+    assert.deepEqual(snapshot.links, ['https://example.com/a']);
+});
+
+test('without a previous snapshot there are no events', () => {
+    assert.deepEqual(diffResult(null, result()), []);
+});
+
+test('an unchanged result gives no events', () => {
+    assert.deepEqual(diffResult(takeSnapshot(result()), result()), []);
+});
+
+test('profile, metric, post, community, email and link changes each give an event', () => {
+    const previous = takeSnapshot(result());
+    const events = diffResult(previous, result({
+        accounts: [{ platform: 'reddit', username: 'alice', bio: 'Hi there', verified: false, metrics: { karma: 12 } }],
+        posts: [{ id: 'p1', title: 'First', community: 'r/node' }, { id: 'p2', kind: 'comment', text: 'Second', community: 'r/osint' }],
+        emails: [{ address: 'alice@example.com' }, { address: 'alice@work.example' }],
+        links: [{ url: 'https://example.com/a' }, { url: 'https://example.com/b', title: 'B' }]
+    }));
+    assert.deepEqual(types(events), ['profile-changed', 'metrics-changed', 'new-post', 'new-community', 'new-email', 'new-link']);
+    assert.deepEqual(events[0].details, { username: 'alice', field: 'bio', before: 'Hello', after: 'Hi there' });
+    assert.equal(events[1].summary, 'alice: karma 10 -> 12');
+    assert.equal(events[2].summary, 'New reddit comment in r/osint: Second');
+    assert.equal(events[4].details.address, 'alice@work.example');
+    assert.ok(events.every(event => event.platform === 'reddit'));
+});
+
+test('status changes, new accounts and removed accounts are reported', () => {
+    const previous = takeSnapshot(result());
+    const events = diffResult(previous, result({
+        status: 'partial',
+        accounts: [{ platform: 'reddit', username: 'alice2', metrics: {} }]
+    }));
+    assert.deepEqual(types(events), ['status-changed', 'new-account', 'account-removed']);
+    assert.deepEqual(events[0].details, { before: 'found', after: 'partial' });
+});
+
+test('accounts are not reported gone when the search failed', () => {
+    const events = diffResult(takeSnapshot(result()), result({ status: 'error', accounts: [], posts: [], emails: [], links: [] }));
+    assert.deepEqual(types(events), ['status-changed']);
+});
+
+test('a post that drops out of the result and comes back is not new again', () => {
+    const first = takeSnapshot(result());
+    const second = takeSnapshot(result({ posts: [{ id: 'p2', title: 'Second' }] }), first);
+    assert.deepEqual(second.posts, ['p2', 'p1']);
+    assert.deepEqual(types(diffResult(second, result())), []);
+});
@@ -0,0 +1,102 @@
+// Timeline analytics over a fixed set of tweets in the v2 API shape
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeTimeline, tweetKind } = require('../lib/twitter-analytics');
+
+const osint = { domain: { name: 'Interest' }, entity: { name: 'OSINT' } };
+const tweets = [
+    {
+        id: '1',
+        created_at: '2024-03-01T09:00:00.000Z',
+        source: 'Twitter Web App',
+        entities: {
+            hashtags: [{ tag: 'osint' }, { tag: 'node' }],
+            mentions: [{ username: 'bob' }],
+            urls: [{ url: 'https://t.co/a', expanded_url: 'https://www.example.com/a' }]
+        },
+        // Annotated twice with the same topic, counted once
+        context_annotations: [osint, osint]
+    },
+    {
+        id: '2',
+        created_at: '2024-03-01T10:00:00.000Z',
+        source: 'Twitter for iPhone',
+        referenced_tweets: [{ type: 'replied_to', id: '0' }],
+        entities: {
+            mentions: [{ username: 'bob' }, { username: 'carol' }],
+            urls: [{ url: 'https://t.co/b', expanded_url: 'https://twitter.com/bob/status/1' }]
+        }
+    },
+    {
+        id: '3',
+        created_at: '2024-03-02T09:30:00.000Z',
+        source: 'Twitter Web App',
+        referenced_tweets: [{ type: 'retweeted', id: '9' }],
+        entities: {
+            hashtags: [{ tag: 'osint' }],
+            urls: [{ url: 'https://t.co/c', expanded_url: 'https://bit.ly/x', unwound_url: 'https://blog.example.com/post' }]
+        }
+    },
+    {
+        id: '4',
+        created_at: '2024-03-03T22:00:00.000Z',
+        referenced_tweets: [{ type: 'replied_to', id: '7' }, { type: 'quoted', id: '8' }],
+        entities: {
+            urls: [
+                { url: 'https://t.co/d', expanded_url: 'https://example.com/b' },
+                { url: 'https://t.co/e', expanded_url: 'https://x.com/i/photo/1' }
+            ]
+        }
+    },
+    {
+        id: '5',
+        created_at: '2024-03-05T09:00:00.000Z',
+        source: 'Twitter Web App',
+        context_annotations: [osint, { domain: { name: 'Sports Team' }, entity: { name: 'Arsenal' } }]
+    },
+    { id: '6' }
+];
+
+test('tweets are sorted into originals, replies, retweets and quotes', () => {
+    assert.deepEqual(tweets.map(tweetKind), ['original', 'reply', 'retweet', 'quote', 'original', 'original']);
+});
+
+test('the timeline counts kinds, hashtags, mentions, sources and topics', () => {
+    const analysis = analyzeTimeline(tweets);
+    assert.equal(analysis.tweets, 6);
+    assert.deepEqual(analysis.kinds, { original: 3, reply: 1, retweet: 1, quote: 1 });
+    assert.deepEqual(analysis.ratios, { original: 0.5, reply: 0.167, retweet: 0.167, quote: 0.167 });
+    assert.deepEqual(analysis.hashtags, [{ hashtag: '#osint', count: 2 }, { hashtag: '#node', count: 1 }]);
+    assert.deepEqual(analysis.mentions, [{ username: 'bob', count: 2 }, { username: 'carol', count: 1 }]);
+    assert.deepEqual(analysis.sources, [{ source: 'Twitter Web App', count: 3 }, { source: 'Twitter for iPhone', count: 1 }]);
+    assert.deepEqual(analysis.topics, [
+        { domain: 'Interest', entity: 'OSINT', count: 2 },
+        { domain: 'Sports Team', entity: 'Arsenal', count: 1 }
+    ]);
+});
+
+test('linked domains use the unwound URL and leave out Twitter itself', () => {
+    assert.deepEqual(analyzeTimeline(tweets).domains, [{ domain: 'example.com', count: 2 }, { domain: 'blog.example.com', count: 1 }]);
+});
+
+test('dates give the range, the rate and the UTC posting hours', () => {
+    const analysis = analyzeTimeline(tweets);
+    assert.deepEqual(analysis.range, { from: '2024-03-01T09:00:00.000Z', to: '2024-03-05T09:00:00.000Z' });
+    assert.equal(analysis.tweetsPerDay, 1.5);
+    assert.equal(analysis.hours[9], 3);
+    assert.equal(analysis.hours[10], 1);
+    assert.equal(analysis.hours[22], 1);
+    // Friday twice, then Saturday, Sunday and Tuesday
+    assert.deepEqual(analysis.days, [1, 0, 1, 0, 0, 2, 1]);
+    assert.equal(analysis.timezone.sample, 5);
+    assert.equal(analysis.timezone.confidence, 'low');
+});
+
+test('an empty timeline has no rate and no timezone', () => {
+    const analysis = analyzeTimeline([]);
+    assert.equal(analysis.tweets, 0);
+    assert.deepEqual(analysis.range, { from: null, to: null });
+    assert.equal(analysis.tweetsPerDay, null);
+    assert.deepEqual(analysis.ratios, { original: 0, reply: 0, retweet: 0, quote: 0 });
+    assert.equal(analysis.timezone, null);
+});
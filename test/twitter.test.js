@@ -0,0 +1,89 @@
+// Twitter provider with a stand-in twitter-api-v2 client
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ResponseCache, MemoryCacheBackend } = require('../lib/response-cache');
+const twitter = require('../providers/twitter');
+
+function context(client) {
+    return {
+        cache: new ResponseCache({ backend: new MemoryCacheBackend() }),
+        clients: { twitter: client }
+    };
+}
+
+// userByUsername answers without data for unknown users, as the v2 API does
+const noUsersClient = {
+    v2: { userByUsername: async () => ({ errors: [{ title: 'Not Found Error' }] }) }
+};
+
+test('a username search for a missing user is not found', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const result = await twitter.search({ query: '@nobody', type: 'username' }, context(noUsersClient));
+    assert.equal(result.status, 'not-found');
+    assert.equal(result.url, 'https://twitter.com/nobody');
+});
+
+test('a failing user lookup is an error result', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const client = { v2: { userByUsername: async () => Promise.reject(new Error('Request failed with code 403')) } };
+    const result = await twitter.search({ query: 'jack', type: 'username' }, context(client));
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /403/);
+});
+
+test('other search types link to the search on twitter.com', async () => {
+    const result = await twitter.search({ query: 'Jane Doe', type: 'name' }, context(noUsersClient));
+    assert.equal(result.status, 'unknown');
+    assert.equal(result.url, 'https://twitter.com/search?q=Jane%20Doe');
+});
+
+test('a phone search without a client is an error rather than an unchecked link', async () => {
+    const result = await twitter.search({ query: '+14155550100', type: 'phone' }, context(null));
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /not initialized/);
+});
+
+// The overlap job as registered with the queue, driven without the route
+function overlapJob(client) {
+    const registered = {};
+    const jobs = { register: (kind, handler, options) => Object.assign(registered, { kind, handler, ...options }) };
+    twitter.routes(express.Router(), { ...context(client), jobs });
+    return registered;
+}
+
+function audienceClient() {
+    const looked = [];
+    const client = {
+        v2: {
+            userByUsername: async (username) => {
+                looked.push(username);
+                return { data: { id: `id-${username.toLowerCase()}`, public_metrics: { followers_count: 1, following_count: 1 } } };
+            },
+            followers: async () => ({ data: [{ id: 'shared', username: 'shared', name: 'Shared', public_metrics: { followers_count: 9 } }] }),
+            following: async () => ({ data: [] })
+        }
+    };
+    return { client, looked };
+}
+
+test('overlap jobs queued with raw usernames compare each account once without @ or spaces', async () => {
+    const { client, looked } = audienceClient();
+    const { kind, handler, validate } = overlapJob(client);
+    const payload = { usernames: [' @Alice ', 'bob', '@alice'] };
+    assert.equal(kind, 'twitter-overlap');
+    assert.equal(validate(payload), null);
+
+    const job = { checkpoint: null, signal: { aborted: false }, saveCheckpoint: async () => {}, progress: () => {} };
+    const result = await handler(payload, job);
+    assert.deepEqual(looked, ['Alice', 'bob']);
+    assert.deepEqual(result.usernames, ['Alice', 'bob']);
+    assert.deepEqual(Object.keys(result.coverage), ['Alice', 'bob']);
+    assert.equal(result.shared[0].username, 'shared');
+});
+
+test('the overlap validator counts spellings of one account once', () => {
+    const { validate } = overlapJob(audienceClient().client);
+    assert.match(validate({ usernames: ['@jack', ' JACK '] }), /between 2 and 5/);
+    assert.match(validate({ usernames: ['jack', 'not a name'] }), /list of Twitter usernames/);
+});
@@ -0,0 +1,79 @@
+// Username checks against a local HTTP server standing in for the sites
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkUsername, summarizeChecks } = require('../lib/username-checker');
+
+// /<site>/<username> answers as that kind of site would for alice and for anyone else
+const PAGES = {
+    status: name => name === 'alice' ? [200, 'Profile'] : [404, 'Not Found'],
+    marker: name => [200, name === 'alice' ? '<h1 class="profile">alice</h1>' : '<p>This account doesn\'t exist</p>'],
+    redirect: name => name === 'alice' ? [200, 'Profile'] : [302, '', { Location: '/signup?missing=1' }],
+    limited: () => [429, 'Too Many Requests'],
+    slow: () => null
+};
+
+function startServer(t) {
+    const server = http.createServer((req, res) => {
+        const [, site, name] = req.url.split('/');
+        const page = PAGES[site](decodeURIComponent(name));
+        // The slow site never answers, so its request times out
+        if (!page) return;
+        const [status, body, headers = {}] = page;
+        res.writeHead(status, { 'Content-Type': 'text/html', ...headers }).end(body);
+    });
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function catalogue(base) {
+    return [
+        { key: 'status', name: 'Status', category: 'test', url: `${base}/status/{username}`, missing: { status: [404] } },
+        { key: 'marker', name: 'Marker', category: 'test', url: `${base}/marker/{username}`, missing: { markers: ['doesn\'t exist'] }, exists: { status: [200], markers: ['class="profile"'] } },
+        { key: 'redirect', name: 'Redirect', category: 'test', url: `${base}/redirect/{username}`, missing: { redirect: '/signup' } },
+        { key: 'limited', name: 'Limited', category: 'test', url: `${base}/limited/{username}`, missing: { status: [404] } },
+        { key: 'pattern', name: 'Pattern', category: 'test', url: `${base}/status/{username}`, pattern: /^[a-z]{3,}$/ },
+        { key: 'slow', name: 'Slow', category: 'test', url: `${base}/slow/{username}`, missing: { status: [404] } }
+    ];
+}
+
+function states(checks) {
+    return Object.fromEntries(checks.map(check => [check.key, check.state]));
+}
+
+test('an existing username is found by status, marker and the absence of a redirect', async (t) => {
+    const sites = catalogue(await startServer(t));
+    const checks = await checkUsername('alice', { sites, timeout: 500 });
+    assert.deepEqual(states(checks), {
+        status: 'exists',
+        marker: 'exists',
+        redirect: 'exists',
+        limited: 'unknown',
+        pattern: 'exists',
+        slow: 'unknown'
+    });
+    assert.equal(checks.find(check => check.key === 'marker').evidence.matched, 'marker:class="profile"');
+    assert.match(checks.find(check => check.key === 'slow').evidence.reason, /Timed out after 500ms/);
+});
+
+test('a missing username is not found by status, marker or redirect', async (t) => {
+    const sites = catalogue(await startServer(t));
+    const checks = await checkUsername('bob99', { sites, timeout: 500 });
+    assert.deepEqual(states(checks), {
+        status: 'not-exists',
+        marker: 'not-exists',
+        redirect: 'not-exists',
+        limited: 'unknown',
+        pattern: 'not-exists',
+        slow: 'unknown'
+    });
+    const byKey = Object.fromEntries(checks.map(check => [check.key, check]));
+    assert.equal(byKey.status.evidence.httpStatus, 404);
+    assert.equal(byKey.redirect.evidence.matched, 'redirect:/signup?missing=1');
+    // The pattern rules the name out before any request is made
+    assert.equal(byKey.pattern.evidence.probeUrl, null);
+    assert.deepEqual(summarizeChecks(checks), { checked: 6, exists: 0, notExists: 4, unknown: 2 });
+});
@@ -0,0 +1,142 @@
+// Watch scheduler: schedule checks, due watches queued once, and runs diffed against their snapshots
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WatchStore = require('../lib/watch-store');
+const WatchScheduler = require('../lib/watch-scheduler');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-scheduler-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Records enqueued jobs; jobs listed in running are not finished yet
+function fakeJobs() {
+    const jobs = {
+        enqueued: [],
+        running: new Set(),
+        register(kind, handler, { validate }) {
+            Object.assign(jobs, { kind, handler, validate });
+        },
+        async enqueue(kind, payload) {
+            const job = { id: `job-${jobs.enqueued.length + 1}`, kind, payload };
+            jobs.enqueued.push(job);
+            return { job };
+        },
+        async get(id) {
+            return jobs.enqueued.find(job => job.id === id) || null;
+        },
+        isFinished(job) {
+            return !jobs.running.has(job.id);
+        }
+    };
+    return jobs;
+}
+
+function fakeJob(overrides = {}) {
+    return { id: 'job-1', attempt: 1, maxAttempts: 3, signal: { aborted: false }, progress: () => {}, ...overrides };
+}
+
+async function setup(t, results = {}) {
+    const store = new WatchStore(path.join(tempDir(t), 'watches.json'));
+    const jobs = fakeJobs();
+    const search = async (query, type, platforms, onEvent) => {
+        platforms.forEach((platform, index) => {
+            if (results[platform]) onEvent({ event: 'result', platform, result: results[platform], completed: index + 1 });
+        });
+    };
+    const scheduler = new WatchScheduler({ store, jobs, search });
+    const watch = await store.create({
+        name: 'alice', query: 'alice', type: 'username', platforms: ['reddit', 'github'], schedule: '@hourly', nextRunAt: '2024-01-01T10:00:00.000Z'
+    });
+    return { store, jobs, scheduler, watch, results };
+}
+
+test('schedules must parse and may not run more often than the minimum interval', async (t) => {
+    const { scheduler, jobs } = await setup(t);
+    assert.equal(scheduler.validateSchedule('@hourly'), null);
+    assert.match(scheduler.validateSchedule('*/5 * * * *'), /more often than every 15 minutes/);
+    assert.match(scheduler.validateSchedule('every hour'), /five fields/);
+    assert.equal(jobs.kind, 'watch');
+    assert.equal(jobs.validate({}), 'watchId is required');
+});
+
+test('a due watch is queued once and its next run moves on', async (t) => {
+    const { store, jobs, scheduler, watch } = await setup(t);
+    await scheduler.tick(new Date('2024-01-01T09:59:00.000Z'));
+    assert.equal(jobs.enqueued.length, 0);
+
+    const now = new Date('2024-01-01T10:30:00.000Z');
+    await scheduler.tick(now);
+    assert.deepEqual(jobs.enqueued.map(job => job.payload), [{ watchId: watch.id, query: 'alice' }]);
+    const stored = await store.get(watch.id);
+    assert.equal(stored.jobId, 'job-1');
+    assert.equal(stored.nextRunAt, scheduler.nextRun('@hourly', now));
+});
+
+test('a watch whose last run is still going is not queued again', async (t) => {
+    const { store, jobs, scheduler, watch } = await setup(t);
+    await scheduler.runNow(watch.id);
+    jobs.running.add('job-1');
+    await store.update(watch.id, { nextRunAt: '2024-01-01T10:00:00.000Z' });
+    await scheduler.tick(new Date('2024-01-01T10:30:00.000Z'));
+    assert.equal(jobs.enqueued.length, 1);
+    assert.equal(await scheduler.runNow('missing'), null);
+});
+
+test('disabled watches are skipped', async (t) => {
+    const { store, jobs, scheduler, watch } = await setup(t);
+    await store.update(watch.id, { enabled: false });
+    await scheduler.tick(new Date('2024-01-01T10:30:00.000Z'));
+    assert.equal(jobs.enqueued.length, 0);
+});
+
+test('the first run records a baseline and later runs record the changes', async (t) => {
+    const { store, scheduler, watch, results } = await setup(t);
+    results.reddit = { platform: 'reddit', status: 'found', fetchedAt: '1', accounts: [{ username: 'alice', metrics: { karma: 1 } }], posts: [{ id: 'p1' }] };
+    results.github = { platform: 'github', status: 'error', error: 'rate limited' };
+
+    const first = await scheduler.runWatch({ watchId: watch.id }, fakeJob());
+    assert.equal(first.changes, 0);
+    assert.deepEqual(first.errors, { github: 'rate limited' });
+    let stored = await store.get(watch.id);
+    assert.equal(stored.events[0].type, 'baseline');
+    assert.equal(stored.events[0].summary, 'Started watching reddit: 1 accounts, 1 posts');
+    assert.deepEqual(Object.keys(stored.snapshots), ['reddit']);
+
+    // A cached result that was not refetched is skipped
+    const cached = await scheduler.runWatch({ watchId: watch.id }, fakeJob({ id: 'job-2' }));
+    assert.equal(cached.changes, 0);
+
+    results.reddit = { ...results.reddit, fetchedAt: '2', posts: [{ id: 'p1' }, { id: 'p2', title: 'New one' }] };
+    const second = await scheduler.runWatch({ watchId: watch.id }, fakeJob({ id: 'job-3' }));
+    assert.equal(second.changes, 1);
+    stored = await store.get(watch.id);
+    assert.equal(stored.events[0].type, 'new-post');
+    assert.deepEqual(stored.runs.map(run => run.jobId), ['job-3', 'job-2', 'job-1']);
+});
+
+test('a run where every platform failed is retried until the last attempt', async (t) => {
+    const { store, scheduler, watch } = await setup(t);
+    await assert.rejects(scheduler.runWatch({ watchId: watch.id }, fakeJob()), /Every platform failed: reddit, github/);
+    assert.equal((await store.get(watch.id)).runs.length, 0);
+
+    const last = await scheduler.runWatch({ watchId: watch.id }, fakeJob({ attempt: 3 }));
+    assert.deepEqual(last.errors, { reddit: 'No result', github: 'No result' });
+});
+
+test('a run for a deleted watch fails without retries', async (t) => {
+    const { scheduler } = await setup(t);
+    await assert.rejects(scheduler.runWatch({ watchId: 'missing' }, fakeJob()), error => error.retryable === false);
+});
+
+test('watches created before the store has loaded are all kept', async (t) => {
+    const filePath = path.join(tempDir(t), 'watches.json');
+    const store = new WatchStore(filePath);
+    await Promise.all(['a', 'b', 'c'].map(query => store.create({ query, type: 'username', platforms: ['github'], schedule: '@daily' })));
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).watches;
+    assert.deepEqual(saved.map(watch => watch.query), ['a', 'b', 'c']);
+});
@@ -0,0 +1,151 @@
+// YouTube channel input parsing, page and feed parsing, and both lookup paths against a local stand-in server
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const youtubeConfig = require('../config/youtube-config');
+const { parseChannelInput, parseChannelPage, parseUploadsFeed, fetchYoutubeChannel } = require('../lib/youtube-channel');
+
+test('channel ids, handles and channel URLs are recognised', () => {
+    assert.deepEqual(parseChannelInput('UC_x5XG1OV2P6uZZ5FSM9Ttw'), { kind: 'id', value: 'UC_x5XG1OV2P6uZZ5FSM9Ttw' });
+    assert.deepEqual(parseChannelInput('@GoogleDevelopers'), { kind: 'handle', value: 'GoogleDevelopers' });
+    assert.deepEqual(parseChannelInput('https://www.youtube.com/c/Google%20Developers'), { kind: 'custom', value: 'Google Developers' });
+    assert.deepEqual(parseChannelInput('youtube.com/user/google'), { kind: 'user', value: 'google' });
+    assert.equal(parseChannelInput('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), null);
+});
+
+test('a URL with a malformed escape is not a channel rather than an exception', () => {
+    assert.equal(parseChannelInput('https://www.youtube.com/c/100%'), null);
+    assert.equal(parseChannelInput('youtube.com/@bad%zzhandle'), null);
+});
+
+// Recorded channel page, uploads feed and Data API answers in scripts/fixtures/youtube
+const FIXTURES = path.join(__dirname, '..', 'scripts', 'fixtures', 'youtube');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+
+test('the channel page fixture gives the metadata, counts and links', () => {
+    const channel = parseChannelPage(fixture('about.html'));
+    assert.equal(channel.id, CHANNEL_ID);
+    assert.equal(channel.title, 'Example Channel');
+    assert.equal(channel.handle, 'ExampleChannel');
+    assert.equal(channel.url, 'https://www.youtube.com/@ExampleChannel');
+    assert.equal(channel.avatarUrl, 'https://yt3.example/avatar=s900');
+    assert.equal(channel.bannerUrl, 'https://yt3.example/banner=w2560');
+    assert.equal(channel.createdAt, new Date('Mar 5, 2012').toISOString());
+    assert.equal(channel.country, 'Germany');
+    assert.deepEqual(channel.keywords, ['examples', 'open source', 'demos']);
+    assert.equal(channel.subscribers, 1200000);
+    assert.equal(channel.subscribersHidden, false);
+    assert.equal(channel.videos, 5123);
+    assert.equal(channel.views, 250000000);
+    assert.deepEqual(channel.links, [
+        { title: 'Blog', url: 'https://example.com/blog' },
+        { title: 'Store', url: 'https://store.example.com' }
+    ]);
+});
+
+test('a page without ytInitialData is an error', () => {
+    assert.throws(() => parseChannelPage('<html><body>Before you continue to YouTube</body></html>'), /could not be read/);
+});
+
+test('the uploads feed fixture gives the newest entries up to the limit', () => {
+    const uploads = parseUploadsFeed(fixture('videos.xml'), 2);
+    assert.equal(uploads.length, 2);
+    assert.deepEqual(uploads[0], {
+        id: 'video000001',
+        title: 'Testing & tuning',
+        description: 'How we test "examples"',
+        url: 'https://www.youtube.com/watch?v=video000001',
+        publishedAt: '2024-05-01T12:00:00+00:00',
+        thumbnailUrl: 'https://i.ytimg.com/vi/video000001/hqdefault.jpg',
+        views: 1234,
+        likes: null,
+        comments: null,
+        duration: null
+    });
+    assert.equal(uploads[1].views, 0);
+    assert.equal(parseUploadsFeed(fixture('videos.xml')).length, 3);
+    assert.deepEqual(parseUploadsFeed('<feed></feed>'), []);
+});
+
+// Serves the fixtures as the Data API and the YouTube site; the config bases point at it for one test
+async function youtubeServer(t, { quota = false } = {}) {
+    const api = JSON.parse(fixture('api.json'));
+    const requests = [];
+    const app = express();
+    app.get('/api/:endpoint', (req, res) => {
+        requests.push({ endpoint: req.params.endpoint, query: req.query });
+        if (quota) {
+            return res.status(403).json({ error: { message: 'quota', errors: [{ reason: 'quotaExceeded' }] } });
+        }
+        res.json(api[req.params.endpoint]);
+    });
+    app.get('/@ExampleChannel/about', (req, res) => res.send(fixture('about.html')));
+    app.get('/feeds/videos.xml', (req, res) => res.type('xml').send(fixture('videos.xml')));
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const saved = { apiBase: youtubeConfig.apiBase, siteBase: youtubeConfig.siteBase };
+    Object.assign(youtubeConfig, { apiBase: `${base}/api`, siteBase: base });
+    t.after(() => {
+        Object.assign(youtubeConfig, saved);
+        server.close();
+    });
+    return { base, requests };
+}
+
+test('with an API key the channel and its uploads come from the Data API', async (t) => {
+    const { base, requests } = await youtubeServer(t);
+    const channel = await fetchYoutubeChannel({ kind: 'handle', value: 'examplechannel' }, { apiKey: 'key', uploads: 5 });
+
+    assert.equal(requests[0].endpoint, 'channels');
+    assert.equal(requests[0].query.forHandle, '@examplechannel');
+    assert.equal(requests[0].query.key, 'key');
+    assert.equal(requests[1].query.playlistId, 'UUabcdefghijklmnopqrstuv');
+    assert.equal(requests[1].query.maxResults, '5');
+    assert.equal(requests[2].query.id, 'video000001,video000002');
+
+    assert.equal(channel.source, 'api');
+    assert.equal(channel.id, CHANNEL_ID);
+    assert.equal(channel.url, `${base}/@examplechannel`);
+    assert.equal(channel.avatarUrl, 'https://yt3.example/avatar=s800');
+    assert.equal(channel.subscribers, 1234567);
+    assert.equal(channel.videos, 5123);
+    assert.equal(channel.approximateCounts, false);
+    assert.deepEqual(channel.links, [{ title: null, url: 'https://example.com/blog' }]);
+    assert.deepEqual(channel.errors, {});
+
+    const [first, second] = channel.uploads;
+    assert.equal(first.publishedAt, '2024-05-01T12:00:00Z');
+    assert.equal(first.duration, 3723);
+    assert.deepEqual([first.views, first.likes, first.comments], [1234, 40, 7]);
+    // A video missing from the videos answer keeps its playlist data
+    assert.equal(second.title, 'Second upload');
+    assert.equal(second.thumbnailUrl, null);
+    assert.equal(second.duration, null);
+});
+
+test('a quota answer from the Data API is a 429', async (t) => {
+    await youtubeServer(t, { quota: true });
+    await assert.rejects(
+        fetchYoutubeChannel({ kind: 'id', value: CHANNEL_ID }, { apiKey: 'key' }),
+        error => error.statusCode === 429 && /quota exceeded/.test(error.message)
+    );
+});
+
+test('without a key the channel page and uploads feed are read, and a missing page is not found', async (t) => {
+    const { requests } = await youtubeServer(t);
+    const channel = await fetchYoutubeChannel({ kind: 'handle', value: 'ExampleChannel' }, { uploads: 2 });
+    assert.equal(requests.length, 0);
+    assert.equal(channel.source, 'page');
+    assert.equal(channel.approximateCounts, true);
+    assert.equal(channel.subscribers, 1200000);
+    assert.deepEqual(channel.uploads.map(upload => upload.id), ['video000001', 'video000002']);
+
+    await assert.rejects(
+        fetchYoutubeChannel({ kind: 'handle', value: 'missing' }),
+        error => error.statusCode === 404 && /No YouTube channel for handle missing/.test(error.message)
+    );
+});